@@ -8,9 +8,33 @@ const cors = require('cors');
 const rateLimit = require('express-rate-limit');
 const helmet = require('helmet');
 const compression = require('compression');
-const axios = require('axios');
-const { createClient } = require('@supabase/supabase-js');
 require('dotenv').config();
+const { createStorage } = require('./storage');
+const BoundedStore = require('./storage/bounded-store');
+const { JobQueue } = require('./services/job-queue');
+const JobEventHub = require('./services/job-events');
+const CallbackDispatcher = require('./services/callback-dispatcher');
+const { createProviders, listingDedupeKey } = require('./providers');
+const { ClaudeClient } = require('./services/claude-client');
+const { TokenBucketLimiter, estimateTokens } = require('./services/rate-limiter');
+const { ANALYSIS_TOOL, extractAnalysisItems, validateAnalyses } = require('./services/analysis-schema');
+const { SpendTracker, BudgetExceededError } = require('./services/llm-spend');
+const { AnalysisCache } = require('./services/analysis-cache');
+const { CompsValuation, VALUATION_MODES } = require('./services/comps-valuation');
+const { explainLlmAnalysis } = require('./services/valuation-explanation');
+const { NeighborhoodGazetteer } = require('./services/neighborhoods');
+const { SubwayStations, normalizeLine, describeStation } = require('./services/subway-stations');
+const { MessageTemplates, messageFields } = require('./services/message-templates');
+const { ShareCards } = require('./services/share-cards');
+const { Geocoder } = require('./services/geocoder');
+const { AlertScheduler } = require('./services/alert-scheduler');
+const { EmailNotifier } = require('./services/email-notifier');
+const { createEmailTransport } = require('./services/email-transports');
+const { InstagramClient } = require('./services/instagram-client');
+const { InstagramDmHandler, verifySignature, normalizeInstagramHandle, messagingEvents } = require('./services/instagram-dm');
+const { parseSearchQuery, llmSearchParams, mergeSearchParams, describeSearch, SEARCH_QUERY_TOOL } = require('./services/search-query-parser');
+const { GeoQueryError, isValidPoint, radiusArea, polygonArea, transitArea, containsPoint, distanceMiles } = require('./services/geo');
+const { WebSocketServer } = require('ws');
 
 // Only require Stripe if not disabled
 const stripe = process.env.DISABLE_STRIPE !== 'true' 
@@ -18,42 +42,180 @@ const stripe = process.env.DISABLE_STRIPE !== 'true'
     : null;
 
 class SmartCacheFirstAPI {
-    constructor() {
+    constructor(options = {}) {
         this.app = express();
         this.port = process.env.PORT || 3000;
         this.apiKey = process.env.VC_API_KEY || 'your-secure-api-key';
+        // Per-client API keys ({"client-id": "key"}); the key fixes the caller's
+        // identity for queue fairness and callback signing
+        this.clientIdsByKey = new Map(Object.entries(JSON.parse(process.env.API_CLIENT_KEYS_JSON || '{}'))
+            .map(([clientId, key]) => [key, clientId]));
         this.rapidApiKey = process.env.RAPIDAPI_KEY;
         this.claudeApiKey = process.env.ANTHROPIC_API_KEY;
+        // One limiter for the whole process so concurrent jobs share the API's RPM/TPM limits
+        this.claudeLimiter = new TokenBucketLimiter({
+            requestsPerMinute: parseInt(process.env.ANTHROPIC_RPM) || 50,
+            tokensPerMinute: parseInt(process.env.ANTHROPIC_TPM) || 40000
+        });
+        this.claude = new ClaudeClient({
+            apiKey: this.claudeApiKey,
+            maxRetries: parseInt(process.env.ANTHROPIC_MAX_RETRIES) || 4,
+            limiter: this.claudeLimiter
+        });
+        this.claudeContextTokens = parseInt(process.env.ANTHROPIC_CONTEXT_TOKENS) || 200000;
+        this.analysisMaxTokens = parseInt(process.env.ANALYSIS_MAX_OUTPUT_TOKENS) || 4096;
+        this.analysisBatchSize = parseInt(process.env.ANALYSIS_BATCH_SIZE) || 50;
+        this.analysisConcurrency = parseInt(process.env.ANALYSIS_CONCURRENCY) || 3;
+        this.analysisOutputTokensPerProperty = 120;
+        this.claudeModel = process.env.ANTHROPIC_MODEL || 'claude-3-haiku-20240307';
+        this.claudeTierModels = JSON.parse(process.env.ANTHROPIC_MODEL_TIERS || '{}');
         this.stripeDisabled = process.env.DISABLE_STRIPE === 'true';
         
-        this._supabase = null;
-        this._supabaseClient = null;
-        this.activeJobs = new Map();
-        this.jobResults = new Map();
+        this.storage = options.storage || createStorage();
+        this.spend = new SpendTracker({
+            storage: this.storage,
+            pricingOverrides: JSON.parse(process.env.ANTHROPIC_PRICING_JSON || '{}'),
+            jobBudgetUsd: parseFloat(process.env.ANTHROPIC_JOB_BUDGET_USD) || 0.5,
+            dailyBudgetUsd: parseFloat(process.env.ANTHROPIC_DAILY_BUDGET_USD) || 25
+        });
+        this.analysisCache = new AnalysisCache({
+            storage: this.storage,
+            maxAgeHours: parseFloat(process.env.ANALYSIS_CACHE_MAX_AGE_HOURS ?? 72)
+        });
+        this.comps = new CompsValuation({
+            storage: this.storage,
+            minComps: parseInt(process.env.COMPS_MIN_COUNT) || 5,
+            lookbackDays: parseInt(process.env.COMPS_LOOKBACK_DAYS) || 90
+        });
+        // llm: Claude only | comps: comparables only | fallback: comps when Claude
+        // can't score a listing | check: Claude, flagged when far off the comps
+        this.valuationMode = process.env.VALUATION_MODE || 'llm';
+        this.valuationCheckTolerance = parseFloat(process.env.VALUATION_CHECK_TOLERANCE) || 15;
+        if (!VALUATION_MODES.includes(this.valuationMode)) {
+            throw new Error(`VALUATION_MODE must be one of ${VALUATION_MODES.join(', ')}`);
+        }
+        this.activeJobs = new BoundedStore({
+            name: 'activeJobs',
+            ttlMs: (parseInt(process.env.JOB_TTL_MINUTES) || 60) * 60 * 1000,
+            maxSize: parseInt(process.env.JOB_STORE_MAX_SIZE) || 1000,
+            isPinned: job => ['queued', 'processing'].includes(job.status)
+        });
+        this.jobResults = new BoundedStore({
+            name: 'jobResults',
+            ttlMs: (parseInt(process.env.RESULT_TTL_MINUTES) || 60) * 60 * 1000,
+            maxSize: parseInt(process.env.RESULT_STORE_MAX_SIZE) || 200
+        });
+        this.jobRecoveryMode = process.env.JOB_RECOVERY_MODE || 'resume';
+        this.jobResumeMaxAgeMinutes = parseInt(process.env.JOB_RESUME_MAX_AGE_MINUTES) || 30;
+        this.jobEvents = new JobEventHub();
+        this.callbacks = new CallbackDispatcher({
+            signingSecret: process.env.CALLBACK_SIGNING_SECRET || this.apiKey,
+            maxAttempts: parseInt(process.env.CALLBACK_MAX_ATTEMPTS) || 5,
+            baseDelayMs: parseInt(process.env.CALLBACK_RETRY_BASE_MS) || 2000,
+            allowPrivateNetworks: process.env.CALLBACK_ALLOW_PRIVATE_NETWORKS === 'true'
+        });
+        this.searchQueue = new JobQueue({
+            concurrency: parseInt(process.env.SEARCH_CONCURRENCY) || 2,
+            maxQueued: parseInt(process.env.SEARCH_QUEUE_MAX) || 100,
+            worker: (jobId, params, signal) => this.startSmartSearch(jobId, params, { signal })
+        });
         this.cacheMaxAgeDays = 30;
-        this.thresholdSteps = [5, 4, 3, 2, 1];
+        // Relax one point at a time so the strictest threshold with results wins
+        this.thresholdSteps = [1, 2, 3, 4, 5];
+        this.providers = options.providers || createProviders();
+        this.neighborhoods = options.neighborhoods || NeighborhoodGazetteer.load();
+        this.maxSearchAreas = parseInt(process.env.SEARCH_MAX_AREAS) || 10;
+        this.stations = options.stations || SubwayStations.load(process.env.SUBWAY_STATIONS_PATH || undefined);
+        this.geocoder = options.geocoder || new Geocoder({ baseUrl: process.env.GEOCODER_URL });
+        this.maxGeoRadiusMiles = parseFloat(process.env.GEO_MAX_RADIUS_MILES) || 3;
+        this.maxWalkMinutes = 30;
+        // How long DELETE /api/jobs/:jobId waits for a running job to stop
+        this.jobCancelWaitMs = 5000;
+        // Every listing is tested against every polygon edge
+        this.maxPolygonVertices = parseInt(process.env.GEO_MAX_POLYGON_VERTICES) || 1000;
+        this.messageTemplates = options.messageTemplates || MessageTemplates.load(process.env.MESSAGE_TEMPLATES_PATH || undefined);
+        this.alertsEnabled = process.env.ALERTS_ENABLED !== 'false';
+        // Absolute links in emails (unsubscribe) need the public address
+        this.publicBaseUrl = process.env.PUBLIC_BASE_URL || `http://localhost:${this.port}`;
+        this.shareCards = new ShareCards({
+            cacheDir: process.env.SHARE_CARD_CACHE_DIR,
+            baseUrl: this.publicBaseUrl,
+            secret: process.env.SHARE_CARD_SECRET || this.apiKey,
+            brandName: process.env.SHARE_CARD_BRAND,
+            brandColor: process.env.SHARE_CARD_COLOR,
+            fontPath: process.env.SHARE_CARD_FONT_PATH
+        });
+        this.emailNotifier = new EmailNotifier({
+            storage: this.storage,
+            transport: options.emailTransport || createEmailTransport({
+                transport: process.env.EMAIL_TRANSPORT,
+                smtp: {
+                    host: process.env.SMTP_HOST,
+                    port: parseInt(process.env.SMTP_PORT) || 587,
+                    secure: process.env.SMTP_SECURE === 'true',
+                    user: process.env.SMTP_USER,
+                    pass: process.env.SMTP_PASS
+                },
+                fileDirectory: process.env.EMAIL_FILE_DIR
+            }),
+            from: process.env.EMAIL_FROM || 'NYC Property Alerts <alerts@localhost>',
+            baseUrl: this.publicBaseUrl,
+            unsubscribeSecret: process.env.EMAIL_UNSUBSCRIBE_SECRET || this.apiKey,
+            formatProperties: properties => this.formatInstagramResponse(properties)
+        });
+        this.alertScheduler = new AlertScheduler({
+            storage: this.storage,
+            plans: JSON.parse(process.env.ALERT_PLANS_JSON || '{}'),
+            tickIntervalMs: (parseInt(process.env.ALERT_SCHEDULER_INTERVAL_MINUTES) || 15) * 60 * 1000,
+            concurrency: parseInt(process.env.ALERT_CONCURRENCY) || 2,
+            buildSearchParams: (profile, options) => this.profileSearchParams(profile, options),
+            // Alert searches queue behind interactive ones
+            runSearch: params => this.runQueuedSearch(params, { clientId: 'alert-scheduler', priority: 'low' }),
+            deliver: () => this.deliverAlerts()
+        });
+        this.instagramAppSecret = process.env.INSTAGRAM_APP_SECRET;
+        this.instagramVerifyToken = process.env.INSTAGRAM_VERIFY_TOKEN;
+        this.instagram = options.instagramClient || new InstagramClient({
+            accessToken: process.env.INSTAGRAM_ACCESS_TOKEN,
+            accountId: process.env.INSTAGRAM_ACCOUNT_ID,
+            baseUrl: process.env.INSTAGRAM_API_URL
+        });
+        this.instagramDm = new InstagramDmHandler({
+            client: this.instagram,
+            storage: this.storage,
+            parse: text => parseSearchQuery(text, this.neighborhoods),
+            interpret: text => this.interpretSearchText(text),
+            buildSearchParams: (profile, { neighborhoods = [], ...overrides }) => this.profileSearchParams(profile, {
+                areas: neighborhoods.length ? neighborhoods.map(name => this.neighborhoods.resolve(name)).filter(Boolean) : undefined,
+                overrides,
+                maxResults: 10
+            }),
+            runSearch: params => this.runQueuedSearch(params, { clientId: 'instagram-dm', priority: 'normal' }),
+            formatProperties: properties => this.formatInstagramResponse(properties),
+            createCheckoutUrl: async profile => this.stripeDisabled ? null : (await this.createCheckoutSession({
+                profileId: profile.id,
+                email: profile.email_address,
+                instagramHandle: profile.instagram_handle,
+                neighborhood: profile.preferred_neighborhoods?.[0],
+                renewal: profile.subscription_renewal
+            })).url,
+            preferencesUrl: process.env.PREFERENCES_URL,
+            maxResults: parseInt(process.env.INSTAGRAM_DM_MAX_RESULTS) || 3
+        });
+        this.defaultProviders = (process.env.LISTING_PROVIDERS || 'streeteasy')
+            .split(',')
+            .map(name => name.trim())
+            .filter(Boolean);
         
+        for (const model of new Set([this.claudeModel, ...Object.values(this.claudeTierModels)])) {
+            this.spend.priceFor(model);
+        }
+
         this.setupMiddleware();
         this.setupRoutes();
         this.setupErrorHandling();
     }
 
-    get supabase() {
-        console.log('🔍 SKIPPING Supabase client creation (database disabled for testing)');
-        return null;
-    }
-
-    getSupabaseClient() {
-        if (!this._supabaseClient) {
-            this._supabaseClient = createClient(
-                process.env.SUPABASE_URL,
-                process.env.SUPABASE_SERVICE_ROLE_KEY
-            );
-            console.log('✅ Supabase client initialized');
-        }
-        return this._supabaseClient;
-    }
-
     setupMiddleware() {
         this.app.use(helmet());
         this.app.use(compression());
@@ -63,15 +225,28 @@ class SmartCacheFirstAPI {
         }));
         this.app.set('trust proxy', true);
         
+        // Meta delivers webhooks and fetches share cards from a few shared IPs, so
+        // those (signed) routes get their own, much higher per-minute limit
+        const isMetaRoute = req => req.originalUrl.startsWith('/api/instagram/webhook')
+            || req.originalUrl.startsWith('/api/share-cards/');
         const limiter = rateLimit({
             windowMs: 15 * 60 * 1000,
             max: 100,
+            skip: isMetaRoute,
             message: { error: 'Too many requests from this IP', retryAfter: 15 * 60 }
         });
+        const metaLimiter = rateLimit({
+            windowMs: 60 * 1000,
+            max: parseInt(process.env.META_RATE_LIMIT_PER_MINUTE) || 1000,
+            skip: req => !isMetaRoute(req),
+            message: { error: 'Too many requests from this IP', retryAfter: 60 }
+        });
         this.app.use('/api/', limiter);
+        this.app.use('/api/', metaLimiter);
         
         this.app.use((req, res, next) => {
-            if (req.path === '/api/stripe/webhook') {
+            // Webhooks verify signatures over the raw body
+            if (req.path === '/api/stripe/webhook' || req.path === '/api/instagram/webhook') {
                 next();
             } else {
                 express.json({ limit: '10mb' })(req, res, next);
@@ -87,8 +262,9 @@ class SmartCacheFirstAPI {
 
     authenticateAPI(req, res, next) {
         const apiKey = req.headers['x-api-key'] || req.query.apiKey;
+        const clientId = apiKey ? this.clientIdsByKey.get(apiKey) : undefined;
         
-        if (!apiKey || apiKey !== this.apiKey) {
+        if (!apiKey || (apiKey !== this.apiKey && !clientId)) {
             console.log('❌ Authentication failed');
             return res.status(401).json({
                 error: 'Unauthorized',
@@ -97,6 +273,7 @@ class SmartCacheFirstAPI {
         }
         
         console.log('✅ Authentication successful');
+        req.apiClientId = clientId || null;
         next();
     }
 
@@ -163,10 +340,21 @@ class SmartCacheFirstAPI {
                     'streeteasy_integration',
                     'claude_ai_analysis',
                     'instagram_formatting',
+                    'instagram_dm',
+                    'share_cards',
                     this.stripeDisabled ? 'free_mode' : 'stripe_integration'
                 ],
                 stripeEnabled: !this.stripeDisabled,
-                activeJobs: this.activeJobs.size
+                storageBackend: this.storage.backend,
+                activeJobs: this.activeJobs.size,
+                searchQueue: this.searchQueue.stats(),
+                claudeRateLimit: this.claudeLimiter.stats(),
+                alertScheduler: this.alertScheduler.stats(),
+                emailTransport: this.emailNotifier.transport.name,
+                jobStores: {
+                    activeJobs: this.activeJobs.stats(),
+                    jobResults: this.jobResults.stats()
+                }
             });
         });
 
@@ -202,11 +390,27 @@ class SmartCacheFirstAPI {
         <p><strong>Body:</strong> email, instagram_handle, bedrooms, max_budget, preferred_neighborhoods, etc.</p>
     </div>
     
+    <div class="endpoint">
+        <h3><span class="method get">GET</span>/<span class="method">POST</span> /api/instagram/webhook</h3>
+        <p>Meta webhook for Instagram DMs: GET answers the verification handshake, POST receives messages and replies with search results, the preferences link or a checkout link</p>
+        <p><strong>Auth:</strong> hub.verify_token (GET) / X-Hub-Signature-256 (POST)</p>
+    </div>
+    
     <div class="endpoint">
         <h3><span class="method">POST</span> /api/search/smart</h3>
         <p>Search for undervalued NYC properties with AI analysis</p>
         <p><strong>Auth:</strong> X-API-Key required</p>
-        <p><strong>Body:</strong> neighborhood, propertyType, bedrooms, maxPrice, etc.</p>
+        <p><strong>Body:</strong> neighborhood (name, alias or borough — unknown names get a 400 with suggestions) or neighborhoods (array, searched and ranked together), propertyType, bedrooms, maxPrice, priority (high/normal/low), profileId, callbackUrl, providers (e.g. ["streeteasy", "fixture"]), valuationMode (llm/comps/fallback/check), geo, channel (instagram/sms/whatsapp/telegram message formatting, default instagram), etc.</p>
+        <p><strong>Geo:</strong> <code>{"address": "200 Bedford Ave", "radiusMiles": 0.5}</code> or <code>{"latitude": 40.717, "longitude": -73.957, "radiusMiles": 0.5}</code>, <code>{"polygon": GeoJSON Polygon/MultiPolygon}</code>, or <code>{"line": "L", "station": "Bedford Av", "walkMinutes": 10}</code> — neighborhoods are optional and default to the ones the area covers; every result carries latitude/longitude and its nearest stations</p>
+        <p><strong>Callback:</strong> when callbackUrl is set, the <code>/api/results/{jobId}</code> payload is POSTed on completion (or failure), signed in <code>X-Realer-Signature</code> with your client secret from <code>GET /api/callbacks/secret</code> (per-client API keys; callbacks for the server key use CALLBACK_SIGNING_SECRET), retried with exponential backoff. The host must resolve to a public address</p>
+        <p><strong>Headers:</strong> optional X-Client-Id for per-client queue fairness (ignored for per-client API keys, which carry their own identity)</p>
+    </div>
+    
+    <div class="endpoint">
+        <h3><span class="method">POST</span> /api/search/natural</h3>
+        <p>Smart search from free text ("2br in williamsburg under 4k no fee"): bedrooms/studio, bathrooms, price ("$3,500", "4k", "3-4k"), no fee, rental/sale and neighborhood aliases are parsed directly, Claude fills in anything else. Returns the interpreted parameters and a "Searching for …" summary with the queued job</p>
+        <p><strong>Auth:</strong> X-API-Key required</p>
+        <p><strong>Body:</strong> query, plus optional priority, profileId, callbackUrl, maxResults, providers, valuationMode, geo, channel, propertyType (default when the text doesn't say)</p>
     </div>
     
     <div class="endpoint">
@@ -215,10 +419,91 @@ class SmartCacheFirstAPI {
         <p><strong>Auth:</strong> X-API-Key required</p>
     </div>
     
+    <div class="endpoint">
+        <h3><span class="method get">GET</span> /api/jobs/{jobId}/stream</h3>
+        <p>Live progress as Server-Sent Events: status, cache_checked, threshold_attempt, batch_analyzed, property_found, then completed (with the full result), failed or canceled</p>
+        <p><strong>Auth:</strong> X-API-Key header or ?apiKey= (for EventSource)</p>
+        <p><strong>WebSocket:</strong> the same events as JSON messages on <code>/api/jobs/{jobId}/ws</code></p>
+    </div>
+    
+    <div class="endpoint">
+        <h3><span class="method">DELETE</span> /api/jobs/{jobId}</h3>
+        <p>Cancel a queued or running search (in-flight listing provider and Claude calls are aborted). Responds with the job's final status once it stops: canceled, or completed/failed if it finished before the abort took effect. A job that takes longer than a few seconds to stop gets 202 canceling; GET /api/jobs/{jobId} then shows the outcome</p>
+        <p><strong>Auth:</strong> X-API-Key required</p>
+    </div>
+    
     <div class="endpoint">
         <h3><span class="method get">GET</span> /api/results/{jobId}</h3>
-        <p>Get property search results with Instagram formatting</p>
+        <p>Get property search results with ready-to-send messages and captions; <code>?channel=sms</code> (or whatsapp, telegram, instagram) re-renders them for another channel</p>
+        <p><strong>Auth:</strong> X-API-Key required</p>
+    </div>
+    
+    <div class="endpoint">
+        <h3><span class="method get">GET</span> /api/share-cards/{listingId}/{square|story}/{slide}.jpg</h3>
+        <p>Branded JPEG for a listing: slide 0 overlays price, % below market, beds/baths, neighborhood and grade on the primary photo (1080×1080 square or 1080×1920 story); later square slides are the other photos cropped for the carousel. Rendered locally and cached on disk</p>
+        <p><strong>Auth:</strong> signed <code>sig</code> query parameter — use the URLs in <code>instagramReady[].instagram.shareCards</code></p>
+    </div>
+    
+    <div class="endpoint">
+        <h3><span class="method get">GET</span> /api/neighborhoods</h3>
+        <p>NYC neighborhoods with borough, StreetEasy area and aliases; <code>?q=</code> resolves a name, alias or typo with suggestions</p>
+        <p><strong>Auth:</strong> X-API-Key required</p>
+        <p><strong>Query:</strong> ?borough=brooklyn or ?q=bk heights</p>
+    </div>
+    
+    <div class="endpoint">
+        <h3><span class="method get">GET</span> /api/stations</h3>
+        <p>Subway stations from the bundled dataset with lines, coordinates and neighborhood; <code>?q=</code> looks a station up by name</p>
+        <p><strong>Auth:</strong> X-API-Key required</p>
+        <p><strong>Query:</strong> ?line=L or ?q=bedford av&amp;line=L</p>
+    </div>
+    
+    <div class="endpoint">
+        <h3><span class="method get">GET</span> /api/usage/llm</h3>
+        <p>Claude spend per day and model (input/output tokens priced separately), cumulative totals and the configured caps</p>
+        <p><strong>Auth:</strong> X-API-Key required</p>
+        <p><strong>Query:</strong> ?days=30</p>
+    </div>
+    
+    <div class="endpoint">
+        <h3><span class="method get">GET</span> /api/alerts</h3>
+        <p>Listings queued for delivery by the preference alert scheduler (one per profile and listing)</p>
+        <p><strong>Auth:</strong> X-API-Key required</p>
+        <p><strong>Query:</strong> ?profileId=...&amp;status=pending&amp;limit=50</p>
+    </div>
+    
+    <div class="endpoint">
+        <h3><span class="method">POST</span> /api/alerts/run</h3>
+        <p>Run the alert scheduler now instead of waiting for its next tick; <code>force</code> also searches profiles that are not due yet</p>
+        <p><strong>Auth:</strong> X-API-Key required</p>
+        <p><strong>Body:</strong> optional profileIds (array), force</p>
+    </div>
+    
+    <div class="endpoint">
+        <h3><span class="method">POST</span> /api/alerts/deliver</h3>
+        <p>Email every profile its pending alerts now as one HTML + text digest (also runs after each scheduler pass)</p>
+        <p><strong>Auth:</strong> X-API-Key required</p>
+    </div>
+    
+    <div class="endpoint">
+        <h3><span class="method get">GET</span> /api/email/sends</h3>
+        <p>Emails sent (or failed) for a profile: recipient, subject, transport, message id and the alerts included</p>
+        <p><strong>Auth:</strong> X-API-Key required</p>
+        <p><strong>Query:</strong> ?profileId=...&amp;limit=50</p>
+    </div>
+    
+    <div class="endpoint">
+        <h3><span class="method get">GET</span> /api/email/unsubscribe</h3>
+        <p>One-click unsubscribe link included in every alert email (POST for RFC 8058 mail clients)</p>
+        <p><strong>Auth:</strong> None required (signed token)</p>
+        <p><strong>Query:</strong> ?profile=...&amp;token=...</p>
+    </div>
+    
+    <div class="endpoint">
+        <h3><span class="method get">GET</span> /api/fetch-jobs</h3>
+        <p>Audit log of search fetches: parameters, thresholds tried, API calls, Claude usage and timing</p>
         <p><strong>Auth:</strong> X-API-Key required</p>
+        <p><strong>Query:</strong> ?status=failed&amp;neighborhood=soho&amp;limit=50 — or /api/fetch-jobs/{id or jobId}</p>
     </div>
     
     ${!freeMode ? `
@@ -239,6 +524,9 @@ class SmartCacheFirstAPI {
         // ========================================================================
 
         this.setupPreferencesRoute();
+        this.setupUnsubscribeRoute();
+        this.setupShareCardRoute();
+        this.setupInstagramWebhookRoute();
         
         if (!this.stripeDisabled) {
             this.setupWebhookRoute();
@@ -251,61 +539,52 @@ class SmartCacheFirstAPI {
 
         this.app.use('/api/', this.authenticateAPI.bind(this));
 
-        this.app.post('/api/search/smart', async (req, res) => {
-            try {
-                const {
-                    neighborhood,
-                    propertyType = 'rental',
-                    bedrooms,
-                    bathrooms,
-                    undervaluationThreshold = 15,
-                    minPrice,
-                    maxPrice,
-                    maxResults = 1,
-                    noFee = false
-                } = req.body;
+        this.app.post('/api/search/smart', (req, res) => this.queueSmartSearchRequest(req, res, req.body));
+
+        this.app.post('/api/search/natural', async (req, res) => {
+            // Search fields come from the text; these are passed through as-is and
+            // propertyType is only the default when the text doesn't say
+            const { query, priority, profileId, callbackUrl, maxResults, providers, valuationMode, geo, channel, propertyType } = req.body;
+            const text = typeof query === 'string' ? query.trim() : '';
+            if (!text || text.length > 500) {
+                return res.status(400).json({
+                    error: 'Bad Request',
+                    message: 'query (free text, up to 500 characters) is required, e.g. "2br in williamsburg under 4k no fee"'
+                });
+            }
 
-                if (!neighborhood) {
+            try {
+                const interpretation = await this.interpretSearchText(text);
+                const { params } = interpretation;
+                if (params.neighborhoods.length === 0 && !geo) {
                     return res.status(400).json({
                         error: 'Bad Request',
-                        message: 'neighborhood parameter is required'
+                        message: `Couldn't find a neighborhood in "${text}"; mention one, e.g. "2br in Williamsburg under 4k"`,
+                        interpreted: interpretation
                     });
                 }
 
-                const jobId = this.generateJobId();
-                
-                this.startSmartSearch(jobId, {
-                    neighborhood: neighborhood.toLowerCase().replace(/\s+/g, '-'),
-                    propertyType,
-                    bedrooms: bedrooms ? parseInt(bedrooms) : undefined,
-                    bathrooms: bathrooms ? parseFloat(bathrooms) : undefined,
-                    undervaluationThreshold,
-                    minPrice: minPrice ? parseInt(minPrice) : undefined,
-                    maxPrice: maxPrice ? parseInt(maxPrice) : undefined,
-                    maxResults: Math.min(parseInt(maxResults), 10),
-                    noFee
-                });
-
-                res.status(202).json({
-                    success: true,
-                    data: {
-                        jobId,
-                        status: 'started',
-                        message: `Smart search started for ${neighborhood}`,
-                        estimatedDuration: '4-8 seconds',
-                        checkStatusUrl: `/api/jobs/${jobId}`,
-                        getResultsUrl: `/api/results/${jobId}`
-                    }
-                });
-
+                const resolvedAreas = params.neighborhoods.map(name => this.neighborhoods.resolve(name));
+                const summary = resolvedAreas.length > 0 && resolvedAreas.every(Boolean)
+                    ? `Searching for ${describeSearch({
+                        propertyType,
+                        ...params,
+                        neighborhoodName: this.searchAreaParams(resolvedAreas).neighborhoodName
+                    })}…`
+                    : null;
+
+                return this.queueSmartSearchRequest(req, res, {
+                    priority, profileId, callbackUrl, maxResults, providers, valuationMode, geo, channel, propertyType,
+                    ...params
+                }, { interpreted: interpretation, summary });
             } catch (error) {
-                console.error('Smart search error:', error);
+                console.error('❌ Natural search error:', error);
                 res.status(500).json({ error: error.message });
             }
         });
 
-        this.app.get('/api/jobs/:jobId', (req, res) => {
-            const job = this.activeJobs.get(req.params.jobId);
+        this.app.get('/api/jobs/:jobId', async (req, res) => {
+            const job = await this.getJobState(req.params.jobId);
             if (!job) return res.status(404).json({ error: 'Job not found' });
             
             res.json({
@@ -313,19 +592,310 @@ class SmartCacheFirstAPI {
                 data: {
                     jobId: req.params.jobId,
                     status: job.status,
+                    queuePosition: job.status === 'queued' ? this.searchQueue.position(req.params.jobId) : null,
                     progress: job.progress || 0,
                     startTime: job.startTime,
                     lastUpdate: job.lastUpdate,
                     message: job.message,
-                    error: job.error || null
+                    error: job.error || null,
+                    callback: job.callback || null
+                }
+            });
+        });
+
+        // Only for per-client keys: the secret belongs to the key, not to a header
+        // any caller could set
+        this.app.get('/api/callbacks/secret', (req, res) => {
+            const clientId = req.apiClientId;
+            if (!clientId) {
+                return res.status(403).json({
+                    error: 'Forbidden',
+                    message: 'Callback secrets are issued to per-client API keys; callbacks for the server key are signed with CALLBACK_SIGNING_SECRET'
+                });
+            }
+
+            res.json({
+                success: true,
+                data: {
+                    clientId,
+                    secret: this.callbacks.secretForClient(clientId),
+                    signatureHeader: 'X-Realer-Signature',
+                    scheme: 't=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>">'
+                }
+            });
+        });
+
+        this.app.get('/api/jobs/:jobId/stream', async (req, res) => {
+            const { jobId } = req.params;
+            const job = await this.getJobState(jobId);
+            if (!job) return res.status(404).json({ error: 'Job not found' });
+
+            res.writeHead(200, {
+                'Content-Type': 'text/event-stream',
+                'Cache-Control': 'no-cache',
+                'Connection': 'keep-alive',
+                'X-Accel-Buffering': 'no'
+            });
+
+            let unsubscribe = () => {};
+            const heartbeat = setInterval(() => {
+                res.write(': heartbeat\n\n');
+                res.flush?.();
+            }, 15000);
+            const close = () => {
+                clearInterval(heartbeat);
+                unsubscribe();
+            };
+
+            const send = event => {
+                res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+                res.flush?.();
+                if (JobEventHub.isTerminal(event.type)) {
+                    close();
+                    res.end();
+                }
+            };
+
+            req.on('close', close);
+
+            const snapshot = await this.buildJobSnapshotEvent(jobId, job);
+            send(snapshot);
+            if (!JobEventHub.isTerminal(snapshot.type)) {
+                unsubscribe = this.jobEvents.subscribe(jobId, send);
+            }
+        });
+
+        this.app.delete('/api/jobs/:jobId', async (req, res) => {
+            const { jobId } = req.params;
+            const job = await this.getJobState(jobId);
+            if (!job) return res.status(404).json({ error: 'Job not found' });
+
+            const settled = this.searchQueue.whenSettled(jobId);
+            const canceled = this.searchQueue.cancel(jobId);
+            if (!canceled) {
+                return res.status(409).json({ error: `Job already ${job.status}` });
+            }
+
+            if (canceled === 'queued') {
+                await this.updateJob(jobId, job, {
+                    status: 'canceled',
+                    message: 'Search canceled before it started'
+                });
+                console.log(`🛑 Canceled queued job ${jobId}`);
+                return res.json({ success: true, data: { jobId, status: 'canceled', canceled: true } });
+            }
+
+            // A running job only sees the abort at its next checkpoint and may
+            // finish first, so report the state it actually ended in
+            let timer;
+            const finished = await Promise.race([
+                settled.then(() => true),
+                new Promise(resolve => { timer = setTimeout(resolve, this.jobCancelWaitMs, false); })
+            ]);
+            clearTimeout(timer);
+
+            if (!finished) {
+                console.log(`🛑 Canceling running job ${jobId}`);
+                return res.status(202).json({
+                    success: true,
+                    data: { jobId, status: 'canceling', message: `Cancellation requested; GET /api/jobs/${jobId} shows the outcome` }
+                });
+            }
+
+            const finalJob = await this.getJobState(jobId);
+            const status = finalJob?.status || 'canceled';
+            console.log(`🛑 Cancel of running job ${jobId} ended ${status}`);
+            res.json({ success: true, data: { jobId, status, canceled: status === 'canceled' } });
+        });
+
+        this.app.get('/api/neighborhoods', (req, res) => {
+            if (req.query.q) {
+                const match = this.neighborhoods.resolve(req.query.q);
+                return res.json({
+                    success: true,
+                    data: {
+                        query: req.query.q,
+                        match,
+                        suggestions: match ? [] : this.neighborhoods.suggest(req.query.q)
+                    }
+                });
+            }
+
+            if (req.query.borough && !this.neighborhoods.list({ borough: req.query.borough }).length) {
+                return res.status(400).json({
+                    error: 'Bad Request',
+                    message: `Unknown borough "${req.query.borough}"`,
+                    boroughs: this.neighborhoods.listBoroughs().map(borough => borough.slug)
+                });
+            }
+
+            const neighborhoods = this.neighborhoods.list({ borough: req.query.borough });
+            res.json({
+                success: true,
+                data: {
+                    boroughs: this.neighborhoods.listBoroughs(),
+                    count: neighborhoods.length,
+                    neighborhoods
+                }
+            });
+        });
+
+        this.app.get('/api/stations', (req, res) => {
+            if (req.query.line && !this.stations.hasLine(req.query.line)) {
+                return res.status(400).json({
+                    error: 'Bad Request',
+                    message: `Unknown subway line "${req.query.line}"`,
+                    lines: [...this.stations.routes].sort()
+                });
+            }
+
+            if (req.query.q) {
+                const { stations, ambiguous } = this.stations.find(req.query.q, req.query.line);
+                return res.json({
+                    success: true,
+                    data: {
+                        query: req.query.q,
+                        ambiguous,
+                        matches: stations.map(station => ({ ...station })),
+                        suggestions: stations.length ? [] : this.stations.suggest(req.query.q)
+                    }
+                });
+            }
+
+            const stations = this.stations.list({ line: req.query.line });
+            res.json({
+                success: true,
+                data: {
+                    lines: [...this.stations.routes].sort(),
+                    count: stations.length,
+                    stations
+                }
+            });
+        });
+
+        this.app.get('/api/usage/llm', async (req, res) => {
+            try {
+                const days = Math.min(parseInt(req.query.days) || 30, 366);
+                res.json({
+                    success: true,
+                    data: {
+                        defaultModel: this.claudeModel,
+                        tierModels: this.claudeTierModels,
+                        ...await this.spend.report(days)
+                    }
+                });
+            } catch (error) {
+                console.error('❌ LLM usage report error:', error);
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        this.app.get('/api/alerts', async (req, res) => {
+            try {
+                const alerts = await this.storage.alerts.list({
+                    profileId: req.query.profileId,
+                    status: req.query.status,
+                    limit: Math.min(parseInt(req.query.limit) || 50, 500)
+                });
+                res.json({ success: true, data: { count: alerts.length, alerts } });
+            } catch (error) {
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        this.app.post('/api/alerts/run', (req, res) => {
+            const { profileIds, force = false } = req.body || {};
+            if (profileIds !== undefined && !Array.isArray(profileIds)) {
+                return res.status(400).json({ error: 'Bad Request', message: 'profileIds must be an array' });
+            }
+
+            const alreadyRunning = Boolean(this.alertScheduler.running);
+            this.alertScheduler.tick({ profileIds: profileIds || null, force: Boolean(force) })
+                .catch(error => console.error('❌ Manual alert run failed:', error));
+
+            res.status(202).json({
+                success: true,
+                data: {
+                    message: alreadyRunning ? 'An alert run is already in progress' : 'Alert run started',
+                    scheduler: this.alertScheduler.stats()
                 }
             });
         });
 
-        this.app.get('/api/results/:jobId', (req, res) => {
-            const results = this.jobResults.get(req.params.jobId);
+        this.app.post('/api/alerts/deliver', async (req, res) => {
+            try {
+                const summary = await this.deliverAlerts();
+                res.json({ success: true, data: summary });
+            } catch (error) {
+                console.error('❌ Alert delivery error:', error);
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        this.app.get('/api/email/sends', async (req, res) => {
+            if (!req.query.profileId) {
+                return res.status(400).json({ error: 'Bad Request', message: 'profileId is required' });
+            }
+            try {
+                const sends = await this.storage.emailSends.listByProfile(
+                    req.query.profileId,
+                    Math.min(parseInt(req.query.limit) || 50, 500)
+                );
+                res.json({ success: true, data: { count: sends.length, sends } });
+            } catch (error) {
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        this.app.get('/api/fetch-jobs', async (req, res) => {
+            try {
+                const records = await this.storage.fetchJobs.list({
+                    status: req.query.status,
+                    neighborhood: req.query.neighborhood,
+                    limit: Math.min(parseInt(req.query.limit) || 50, 200)
+                });
+
+                res.json({ success: true, data: records });
+            } catch (error) {
+                console.error('❌ Fetch job list error:', error);
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        this.app.get('/api/fetch-jobs/:id', async (req, res) => {
+            try {
+                const record = await this.storage.fetchJobs.findById(req.params.id)
+                    || await this.storage.fetchJobs.findByJobId(req.params.id);
+                if (!record) return res.status(404).json({ error: 'Fetch job not found' });
+
+                res.json({ success: true, data: record });
+            } catch (error) {
+                console.error('❌ Fetch job lookup error:', error);
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        this.app.get('/api/results/:jobId', async (req, res) => {
+            let results = this.jobResults.get(req.params.jobId);
+
+            if (!results) {
+                results = await this.storage.jobResults.get(req.params.jobId).catch(() => null);
+                if (results) this.jobResults.set(req.params.jobId, results);
+            }
             if (!results) return res.status(404).json({ error: 'Results not found' });
-            
+
+            // Same results with the messages rendered for another channel
+            const { channel } = req.query;
+            if (channel) {
+                if (!MessageTemplates.isChannel(channel)) {
+                    return res.status(400).json({
+                        error: 'Bad Request',
+                        message: `channel must be one of ${MessageTemplates.channelNames().join(', ')}`
+                    });
+                }
+                results = { ...results, instagramReady: this.formatInstagramResponse(results.properties || [], { channel }) };
+            }
+
             res.json({ success: true, data: results });
         });
     }
@@ -356,7 +926,7 @@ class SmartCacheFirstAPI {
 
                 const sanitizedEmail = email.toLowerCase().trim();
                 const sanitizedNeighborhoods = (preferred_neighborhoods || neighborhood_preferences || [])
-                    .map(n => n.toLowerCase().trim());
+                    .map(n => this.neighborhoods.resolve(n)?.slug || n.toLowerCase().trim());
                 
                 const validatedBedrooms = bedrooms ? Math.min(Math.max(parseInt(bedrooms), 0), 10) : null;
                 const validatedBudget = max_budget ? Math.max(parseInt(max_budget), 0) : null;
@@ -369,17 +939,11 @@ class SmartCacheFirstAPI {
                     freeMode: this.stripeDisabled
                 });
 
-                const supabase = this.getSupabaseClient();
-                
-                const { data: existingProfile } = await supabase
-                    .from('profiles')
-                    .select('id, stripe_customer_id')
-                    .eq('email_address', sanitizedEmail)
-                    .single();
+                const existingProfile = await this.storage.profiles.findByEmail(sanitizedEmail);
 
                 let profileId;
                 const profileData = {
-                    instagram_handle,
+                    instagram_handle: normalizeInstagramHandle(instagram_handle),
                     bedrooms: validatedBedrooms,
                     max_budget: validatedBudget,
                     preferred_neighborhoods: sanitizedNeighborhoods,
@@ -398,27 +962,16 @@ class SmartCacheFirstAPI {
                 }
 
                 if (existingProfile) {
-                    const { data: updated, error } = await supabase
-                        .from('profiles')
-                        .update(profileData)
-                        .eq('id', existingProfile.id)
-                        .select()
-                        .single();
-                    if (error) throw error;
+                    await this.storage.profiles.update(existingProfile.id, profileData);
                     profileId = existingProfile.id;
                     console.log('✅ Updated profile:', profileId);
                 } else {
-                    const { data: created, error } = await supabase
-                        .from('profiles')
-                        .insert({
-                            email_address: sanitizedEmail,
-                            ...profileData,
-                            subscription_plan: this.stripeDisabled ? 'unlimited' : 'free',
-                            is_canceled: false
-                        })
-                        .select()
-                        .single();
-                    if (error) throw error;
+                    const created = await this.storage.profiles.create({
+                        email_address: sanitizedEmail,
+                        ...profileData,
+                        subscription_plan: this.stripeDisabled ? 'unlimited' : 'free',
+                        is_canceled: false
+                    });
                     profileId = created.id;
                     console.log('✅ Created profile:', profileId);
                 }
@@ -435,28 +988,14 @@ class SmartCacheFirstAPI {
                 }
 
                 // STRIPE MODE: Create checkout
-                const priceId = subscription_renewal === 'annual'
-                    ? process.env.STRIPE_PRICE_UNLIMITED_ANNUAL
-                    : process.env.STRIPE_PRICE_UNLIMITED_MONTHLY;
-
-                const session = await stripe.checkout.sessions.create({
-                    mode: 'subscription',
-                    payment_method_types: ['card'],
-                    line_items: [{ price: priceId, quantity: 1 }],
-                    customer_email: sanitizedEmail,
-                    client_reference_id: profileId,
-                    metadata: {
-                        profile_id: profileId,
-                        instagram_handle: instagram_handle || '',
-                        neighborhood: sanitizedNeighborhoods[0] || 'nyc'
-                    },
-                    success_url: process.env.STRIPE_SUCCESS_URL,
-                    cancel_url: process.env.STRIPE_CANCEL_URL,
-                    allow_promotion_codes: true
+                const session = await this.createCheckoutSession({
+                    profileId,
+                    email: sanitizedEmail,
+                    instagramHandle: profileData.instagram_handle,
+                    neighborhood: sanitizedNeighborhoods[0],
+                    renewal: subscription_renewal
                 });
 
-                console.log('💳 Stripe Checkout created:', session.id);
-
                 res.json({
                     success: true,
                     freeMode: false,
@@ -472,6 +1011,72 @@ class SmartCacheFirstAPI {
         });
     }
 
+    // Used by the preferences form and by Instagram DMs from unsubscribed profiles
+    async createCheckoutSession({ profileId, email, instagramHandle, neighborhood, renewal = 'monthly' }) {
+        const priceId = renewal === 'annual'
+            ? process.env.STRIPE_PRICE_UNLIMITED_ANNUAL
+            : process.env.STRIPE_PRICE_UNLIMITED_MONTHLY;
+
+        const session = await stripe.checkout.sessions.create({
+            mode: 'subscription',
+            payment_method_types: ['card'],
+            line_items: [{ price: priceId, quantity: 1 }],
+            customer_email: email,
+            client_reference_id: profileId,
+            metadata: {
+                profile_id: profileId,
+                instagram_handle: instagramHandle || '',
+                neighborhood: neighborhood || 'nyc'
+            },
+            success_url: process.env.STRIPE_SUCCESS_URL,
+            cancel_url: process.env.STRIPE_CANCEL_URL,
+            allow_promotion_codes: true
+        });
+
+        console.log('💳 Stripe Checkout created:', session.id);
+        return session;
+    }
+
+    // Meta webhook for Instagram DMs: GET is the subscription handshake, POST
+    // delivers message events signed with the app secret
+    setupInstagramWebhookRoute() {
+        this.app.get('/api/instagram/webhook', (req, res) => {
+            const mode = req.query['hub.mode'];
+            const token = req.query['hub.verify_token'];
+
+            if (mode === 'subscribe' && this.instagramVerifyToken && token === this.instagramVerifyToken) {
+                console.log('✅ Instagram webhook verified');
+                return res.type('text/plain').send(String(req.query['hub.challenge'] || ''));
+            }
+            res.sendStatus(403);
+        });
+
+        this.app.post('/api/instagram/webhook', express.raw({ type: 'application/json' }), (req, res) => {
+            const rawBody = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+            if (!verifySignature(rawBody, req.headers['x-hub-signature-256'], this.instagramAppSecret)) {
+                console.error('⚠️ Instagram webhook signature failed');
+                return res.status(401).send('Invalid signature');
+            }
+
+            let payload;
+            try {
+                payload = JSON.parse(rawBody.toString('utf8'));
+            } catch (error) {
+                return res.status(400).send('Invalid JSON');
+            }
+
+            // Meta wants a fast 200; replies (and searches) happen afterwards
+            const events = messagingEvents(payload);
+            res.sendStatus(200);
+
+            console.log(`📱 Instagram webhook: ${events.length} message(s)`);
+            for (const event of events) {
+                this.instagramDm.handleEvent(event)
+                    .catch(error => console.error('❌ Instagram DM handling failed:', error));
+            }
+        });
+    }
+
     setupWebhookRoute() {
         this.app.post('/api/stripe/webhook', express.raw({ type: 'application/json' }), async (req, res) => {
             const sig = req.headers['stripe-signature'];
@@ -487,8 +1092,6 @@ class SmartCacheFirstAPI {
             console.log('🎣 Webhook received:', event.type);
 
             try {
-                const supabase = this.getSupabaseClient();
-
                 switch (event.type) {
                     case 'checkout.session.completed': {
                         const session = event.data.object;
@@ -500,14 +1103,22 @@ class SmartCacheFirstAPI {
                             subscriptionRenewal = interval === 'year' ? 'annual' : 'monthly';
                         }
 
-                        await supabase.from('profiles').update({
-                            stripe_customer_id: session.customer,
-                            subscription_plan: 'unlimited',
+                        const profile = (session.client_reference_id && await this.storage.profiles.findById(session.client_reference_id))
+                            || (session.customer_email && await this.storage.profiles.findByEmail(session.customer_email.toLowerCase().trim()));
+
+                        if (!profile) {
+                            console.warn('⚠️ No profile found for checkout session:', session.id);
+                            break;
+                        }
+
+                        await this.storage.profiles.update(profile.id, {
+                            stripe_customer_id: session.customer,
+                            subscription_plan: 'unlimited',
                             subscription_renewal: subscriptionRenewal,
                             is_canceled: false
-                        }).or(`id.eq.${session.client_reference_id},email_address.eq.${session.customer_email}`);
+                        });
 
-                        console.log('✅ Profile activated:', session.client_reference_id);
+                        console.log('✅ Profile activated:', profile.id);
                         break;
                     }
 
@@ -516,11 +1127,11 @@ class SmartCacheFirstAPI {
                         const isCanceled = ['canceled', 'incomplete_expired'].includes(subscription.status);
                         const interval = subscription.items.data[0]?.price?.recurring?.interval;
 
-                        await supabase.from('profiles').update({
+                        await this.storage.profiles.updateByStripeCustomerId(subscription.customer, {
                             subscription_renewal: interval === 'year' ? 'annual' : 'monthly',
                             is_canceled: isCanceled,
                             ...(isCanceled ? { subscription_plan: 'free' } : {})
-                        }).eq('stripe_customer_id', subscription.customer);
+                        });
 
                         console.log('✅ Subscription synced:', subscription.customer);
                         break;
@@ -529,10 +1140,10 @@ class SmartCacheFirstAPI {
                     case 'customer.subscription.deleted': {
                         const subscription = event.data.object;
                         
-                        await supabase.from('profiles').update({
+                        await this.storage.profiles.updateByStripeCustomerId(subscription.customer, {
                             is_canceled: true,
                             subscription_plan: 'free'
-                        }).eq('stripe_customer_id', subscription.customer);
+                        });
 
                         console.log('✅ Subscription canceled:', subscription.customer);
                         break;
@@ -547,6 +1158,77 @@ class SmartCacheFirstAPI {
         });
     }
 
+    // Linked from every alert email; the signed token stands in for the API key
+    setupUnsubscribeRoute() {
+        const unsubscribe = async (req, res, respond) => {
+            try {
+                const { profile, token } = req.query;
+                const done = await this.emailNotifier.unsubscribe(profile, token);
+                respond(done);
+            } catch (error) {
+                console.error('❌ Unsubscribe error:', error);
+                res.status(500).json({ error: error.message });
+            }
+        };
+
+        this.app.get('/api/email/unsubscribe', (req, res) => unsubscribe(req, res, done => {
+            res.status(done ? 200 : 400).send(`
+<!DOCTYPE html>
+<html>
+<head><title>${done ? 'Unsubscribed' : 'Invalid link'}</title></head>
+<body style="font-family: Arial, sans-serif; max-width: 600px; margin: 40px auto; text-align: center;">
+    <h1>${done ? '📭 You have been unsubscribed' : 'This unsubscribe link is not valid'}</h1>
+    <p>${done ? 'You will no longer receive property alert emails.' : 'Please use the link from your most recent alert email.'}</p>
+</body>
+</html>
+            `);
+        }));
+
+        // RFC 8058 one-click: mail clients POST to the List-Unsubscribe URL
+        this.app.post('/api/email/unsubscribe', (req, res) => unsubscribe(req, res, done => {
+            res.status(done ? 200 : 400).json({ success: done });
+        }));
+    }
+
+    // Public so Instagram can fetch cards when publishing; the signature in the
+    // URL (see ShareCards#url) stands in for the API key
+    setupShareCardRoute() {
+        this.app.get('/api/share-cards/:listingId/:format/:slide.jpg', async (req, res) => {
+            try {
+                const { listingId, format } = req.params;
+                const slide = parseInt(req.params.slide);
+
+                if (!ShareCards.isFormat(format)) {
+                    return res.status(400).json({
+                        error: 'Bad Request',
+                        message: `format must be one of ${ShareCards.formatNames().join(', ')}`
+                    });
+                }
+                if (!this.shareCards.verifyToken(listingId, format, req.params.slide, req.query.sig)) {
+                    return res.status(403).json({ error: 'Forbidden', message: 'Invalid share card signature' });
+                }
+
+                const listing = await this.storage.listings.findByListingId(listingId);
+                if (!listing || !(slide >= 0 && slide < this.shareCards.slideCount(listing, format))) {
+                    return res.status(404).json({ error: 'Share card not found' });
+                }
+
+                const { image, etag } = await this.shareCards.render(listing, format, slide);
+                res.set({
+                    'Content-Type': 'image/jpeg',
+                    'Cache-Control': 'public, max-age=3600',
+                    'Cross-Origin-Resource-Policy': 'cross-origin',
+                    ETag: `"${etag}"`
+                });
+                if (req.fresh) return res.status(304).end();
+                res.send(image);
+            } catch (error) {
+                console.error('❌ Share card error:', error);
+                res.status(500).json({ error: error.message });
+            }
+        });
+    }
+
     setupBillingPortalRoute() {
         this.app.get('/api/billing/portal', async (req, res) => {
             try {
@@ -559,14 +1241,9 @@ class SmartCacheFirstAPI {
                 let customerId = stripe_customer_id;
 
                 if (!customerId && email) {
-                    const supabase = this.getSupabaseClient();
-                    const { data: profile, error } = await supabase
-                        .from('profiles')
-                        .select('stripe_customer_id')
-                        .eq('email_address', email.toLowerCase().trim())
-                        .single();
-
-                    if (error || !profile?.stripe_customer_id) {
+                    const profile = await this.storage.profiles.findByEmail(email.toLowerCase().trim());
+
+                    if (!profile?.stripe_customer_id) {
                         return res.status(404).json({ error: 'No subscription found' });
                     }
 
@@ -604,97 +1281,613 @@ class SmartCacheFirstAPI {
     // COMPLETE SMART SEARCH ENGINE
     // ============================================================================
 
-    async startSmartSearch(jobId, params) {
+    // Validates smart-search params and queues the job; shared by the
+    // structured and natural-language search routes
+    async queueSmartSearchRequest(req, res, body, extraData = {}) {
+        try {
+            const {
+                neighborhood,
+                propertyType = 'rental',
+                bedrooms,
+                bathrooms,
+                undervaluationThreshold = 15,
+                minPrice,
+                maxPrice,
+                maxResults = 1,
+                noFee = false,
+                priority,
+                profileId,
+                callbackUrl,
+                providers,
+                valuationMode,
+                neighborhoods,
+                geo,
+                channel
+            } = body;
+
+            const geoArea = geo ? await this.resolveGeoArea(geo) : null;
+            const namedAreas = Array.isArray(neighborhoods) && neighborhoods.length > 0
+                ? neighborhoods
+                : [neighborhood].filter(Boolean);
+            // Geo searches without named neighborhoods fetch the ones the area covers
+            const requestedAreas = namedAreas.length === 0 && geoArea
+                ? this.neighborhoodsForGeoArea(geoArea)
+                : namedAreas;
+
+            if (requestedAreas.length === 0) {
+                return res.status(400).json({
+                    error: 'Bad Request',
+                    message: geoArea
+                        ? `No neighborhoods found for ${geoArea.label}; pass neighborhood or neighborhoods`
+                        : 'neighborhood (or a neighborhoods array, or geo) is required'
+                });
+            }
+
+            if (requestedAreas.length > this.maxSearchAreas) {
+                return res.status(400).json({
+                    error: 'Bad Request',
+                    message: namedAreas.length === 0
+                        ? `${geoArea.label} spans ${requestedAreas.length} neighborhoods; pass up to ${this.maxSearchAreas} of them as neighborhoods to narrow it`
+                        : `At most ${this.maxSearchAreas} neighborhoods per search`,
+                    ...(namedAreas.length === 0 ? { coveredNeighborhoods: requestedAreas } : {})
+                });
+            }
+
+            const unknownAreas = requestedAreas
+                .filter(name => !this.neighborhoods.resolve(name))
+                .map(name => ({ input: name, suggestions: this.neighborhoods.suggest(name) }));
+            if (unknownAreas.length > 0) {
+                return res.status(400).json({
+                    error: 'Bad Request',
+                    message: `Unknown neighborhood${unknownAreas.length > 1 ? 's' : ''} ${unknownAreas.map(area => `"${area.input}"`).join(', ')}`,
+                    suggestions: unknownAreas[0].suggestions,
+                    unknownNeighborhoods: unknownAreas,
+                    neighborhoodsUrl: '/api/neighborhoods'
+                });
+            }
+
+            const searchArea = this.searchAreaParams(requestedAreas.map(name => this.neighborhoods.resolve(name)));
+
+            const unknownProviders = (providers || []).filter(name => !this.providers[name]);
+            if (unknownProviders.length > 0) {
+                return res.status(400).json({
+                    error: 'Bad Request',
+                    message: `Unknown listing provider(s): ${unknownProviders.join(', ')}`,
+                    availableProviders: Object.keys(this.providers)
+                });
+            }
+
+            if (valuationMode && !VALUATION_MODES.includes(valuationMode)) {
+                return res.status(400).json({
+                    error: 'Bad Request',
+                    message: `valuationMode must be one of ${VALUATION_MODES.join(', ')}`
+                });
+            }
+
+            if (channel && !MessageTemplates.isChannel(channel)) {
+                return res.status(400).json({
+                    error: 'Bad Request',
+                    message: `channel must be one of ${MessageTemplates.channelNames().join(', ')}`
+                });
+            }
+
+            const callbackError = callbackUrl ? await this.callbacks.checkUrl(callbackUrl) : null;
+            if (callbackError) {
+                return res.status(400).json({
+                    error: 'Bad Request',
+                    message: callbackError
+                });
+            }
+
+            const jobId = this.generateJobId();
+            // 0 is a real filter (studios), so only a missing value means "any"
+            const given = value => value !== undefined && value !== null && value !== '';
+            
+            const queuePosition = await this.enqueueSmartSearch(jobId, {
+                ...searchArea,
+                propertyType,
+                bedrooms: given(bedrooms) ? parseInt(bedrooms) : undefined,
+                bathrooms: given(bathrooms) ? parseFloat(bathrooms) : undefined,
+                undervaluationThreshold,
+                minPrice: given(minPrice) ? parseInt(minPrice) : undefined,
+                maxPrice: given(maxPrice) ? parseInt(maxPrice) : undefined,
+                maxResults: Math.min(parseInt(maxResults), 10),
+                noFee,
+                providers: providers?.length ? providers : this.defaultProviders,
+                valuationMode: valuationMode || this.valuationMode,
+                geo: geoArea,
+                channel
+            }, {
+                clientId: this.getClientId(req),
+                priority: await this.resolveSearchPriority(priority, profileId),
+                callbackUrl,
+                callbackClientId: req.apiClientId
+            });
+
+            res.status(202).json({
+                success: true,
+                data: {
+                    jobId,
+                    status: 'queued',
+                    queuePosition,
+                    message: `Smart search queued for ${geoArea ? `${geoArea.label} in ` : ''}${searchArea.neighborhoodName}`,
+                    areas: searchArea.areas.map(area => ({
+                        type: area.areaType,
+                        slug: area.neighborhood,
+                        name: area.neighborhoodName,
+                        borough: area.borough,
+                        matchedBy: area.matchedBy
+                    })),
+                    geo: geoArea ? { type: geoArea.type, label: geoArea.label } : null,
+                    estimatedDuration: '4-8 seconds',
+                    checkStatusUrl: `/api/jobs/${jobId}`,
+                    getResultsUrl: `/api/results/${jobId}`,
+                    callbackUrl: callbackUrl || null,
+                    ...extraData
+                }
+            });
+
+        } catch (error) {
+            if (error instanceof GeoQueryError) {
+                return res.status(error.statusCode).json({
+                    error: error.statusCode === 400 ? 'Bad Request' : 'Bad Gateway',
+                    message: error.message,
+                    ...error.details
+                });
+            }
+            console.error('Smart search error:', error);
+            res.status(error.statusCode || 500).json({ error: error.message });
+        }
+    }
+
+    // callbackClientId is the authenticated client whose secret signs the callback
+    // A resumed job passes its existing callback record so the client binding
+    // and earlier delivery attempts survive the restart
+    async enqueueSmartSearch(jobId, params, { clientId, priority, callbackUrl, callbackClientId = null, callback = null }) {
+        const job = {
+            status: 'queued',
+            progress: 0,
+            queuedAt: new Date().toISOString(),
+            lastUpdate: new Date().toISOString(),
+            message: 'Waiting for a search worker...',
+            params,
+            clientId,
+            priority,
+            callback: callback
+                || (callbackUrl ? { url: callbackUrl, clientId: callbackClientId, status: 'pending', attempts: [] } : null)
+        };
+
+        // Stored before the worker can pick it up, so its 'processing' write
+        // always lands after this one
+        this.activeJobs.set(jobId, job);
+        await this.persistJob(jobId, job);
+
+        let queuePosition;
+        try {
+            queuePosition = this.searchQueue.enqueue(jobId, params, { clientId, priority });
+        } catch (error) {
+            this.activeJobs.delete(jobId);
+            await this.storage.jobs.delete(jobId).catch(() => {});
+            throw error;
+        }
+        // The queue drains on the next tick, so this still precedes 'processing'
+        this.jobEvents.publish(jobId, 'queued', { queuePosition });
+
+        return queuePosition;
+    }
+
+    async resolveSearchPriority(requestedPriority, profileId) {
+        if (profileId) {
+            const profile = await this.storage.profiles.findById(profileId).catch(() => null);
+            if (profile?.subscription_plan === 'unlimited' && !profile.is_canceled) return 'high';
+        }
+        return JobQueue.normalizePriority(requestedPriority);
+    }
+
+    resolveClaudeModel(tier) {
+        return this.claudeTierModels[tier] || this.claudeModel;
+    }
+
+    getClientId(req) {
+        return req.apiClientId || req.headers['x-client-id'] || req.ip;
+    }
+
+    async startSmartSearch(jobId, params, { signal } = {}) {
         const startTime = Date.now();
+        const queuedJob = this.activeJobs.get(jobId) || {};
+        const context = {
+            jobId,
+            signal,
+            model: this.resolveClaudeModel(queuedJob.priority),
+            spend: { costUsd: 0, inputTokens: 0, outputTokens: 0, reservedUsd: 0 },
+            valuationMode: params.valuationMode || this.valuationMode,
+            compsMarkets: new Map()
+        };
         const job = {
+            queuedAt: queuedJob.queuedAt,
+            clientId: queuedJob.clientId,
+            priority: queuedJob.priority,
+            callback: queuedJob.callback || null,
             status: 'processing',
             progress: 0,
             startTime: new Date().toISOString(),
             lastUpdate: new Date().toISOString(),
             message: 'Starting smart search...',
+            params,
             originalThreshold: params.undervaluationThreshold,
             cacheHits: 0
         };
         
         this.activeJobs.set(jobId, job);
+        await this.persistJob(jobId, job);
         let fetchRecord = null;
 
         try {
             fetchRecord = await this.createFetchRecord(jobId, params);
             
-            job.progress = 20;
-            job.message = 'Checking cache...';
-            job.lastUpdate = new Date().toISOString();
+            await this.updateJob(jobId, job, {
+                fetchRecordId: fetchRecord.id,
+                progress: 20,
+                message: 'Checking cache...'
+            });
 
             const cacheResults = await this.smartCacheSearch(params);
             job.cacheHits = cacheResults.length;
+            this.jobEvents.publish(jobId, 'cache_checked', {
+                cacheHits: cacheResults.length,
+                needed: params.maxResults
+            });
 
             if (cacheResults.length >= params.maxResults) {
-                job.status = 'completed';
-                job.progress = 100;
-                job.message = `Found ${cacheResults.length} properties from cache`;
-                
-                this.jobResults.set(jobId, {
+                await this.saveJobResults(jobId, {
                     jobId,
                     type: 'smart_search',
                     source: 'cache_only',
                     parameters: params,
                     properties: cacheResults,
-                    instagramReady: this.formatInstagramResponse(cacheResults),
+                    instagramReady: this.formatInstagramResponse(cacheResults, { channel: params.channel }),
                     summary: {
                         totalFound: cacheResults.length,
                         cacheHits: cacheResults.length,
+                        neighborhoods: this.summarizeNeighborhoods(cacheResults),
                         processingTimeMs: Date.now() - startTime
                     },
                     completedAt: new Date().toISOString()
                 });
+
+                await this.updateJob(jobId, job, {
+                    status: 'completed',
+                    progress: 100,
+                    message: `Found ${cacheResults.length} properties from cache`
+                });
+
+                await this.updateFetchRecord(fetchRecord.id, {
+                    status: 'completed',
+                    result_source: 'cache_only',
+                    cache_hits: cacheResults.length,
+                    properties_found: cacheResults.length,
+                    completed_at: new Date().toISOString(),
+                    duration_ms: Date.now() - startTime
+                });
                 return;
             }
 
-            job.progress = 40;
-            job.message = 'Fetching from StreetEasy...';
-            job.lastUpdate = new Date().toISOString();
-
-            const streetEasyResults = await this.fetchWithThresholdFallback(params, fetchRecord.id);
-            const combinedResults = this.combineResults(cacheResults, streetEasyResults.properties, params.maxResults);
+            const providerNames = params.providers || this.defaultProviders;
+            await this.updateJob(jobId, job, {
+                progress: 40,
+                message: `Fetching listings from ${providerNames.join(', ')}...`
+            });
 
-            job.status = 'completed';
-            job.progress = 100;
-            job.message = `Found ${combinedResults.length} total properties`;
-            job.lastUpdate = new Date().toISOString();
+            const freshResults = await this.fetchWithThresholdFallback(params, fetchRecord.id, context);
+            const combinedResults = this.combineResults(cacheResults, freshResults.properties, params.maxResults);
 
-            this.jobResults.set(jobId, {
+            await this.saveJobResults(jobId, {
                 jobId,
                 type: 'smart_search',
-                source: 'cache_and_fresh',
+                source: cacheResults.length > 0 ? 'cache_and_fresh' : 'fresh_only',
                 parameters: params,
                 properties: combinedResults,
-                instagramReady: this.formatInstagramResponse(combinedResults),
+                instagramReady: this.formatInstagramResponse(combinedResults, { channel: params.channel }),
                 summary: {
                     totalFound: combinedResults.length,
                     cacheHits: cacheResults.length,
-                    newlyScraped: streetEasyResults.properties.length,
+                    newlyScraped: freshResults.properties.length,
+                    listingsScored: freshResults.totalFetched,
+                    originalThreshold: params.undervaluationThreshold,
+                    thresholdUsed: freshResults.thresholdUsed,
+                    pagesScanned: freshResults.pagesScanned,
+                    providerApiCalls: freshResults.apiCalls,
+                    providers: freshResults.providerStats,
+                    neighborhoods: this.summarizeNeighborhoods(combinedResults, freshResults.areaStats),
                     processingTimeMs: Date.now() - startTime,
-                    claudeApiCalls: streetEasyResults.claudeApiCalls,
-                    claudeCostUsd: streetEasyResults.claudeCost
+                    claudeApiCalls: freshResults.claudeApiCalls,
+                    analysisCacheHits: freshResults.analysisCacheHits,
+                    valuation: freshResults.valuation,
+                    claudeModel: context.model,
+                    claudeInputTokens: context.spend.inputTokens,
+                    claudeOutputTokens: context.spend.outputTokens,
+                    claudeCostUsd: freshResults.claudeCost,
+                    budgetExceeded: freshResults.budgetExceeded,
+                    analysisFailures: freshResults.analysisFailures,
+                    fetchErrors: freshResults.error
                 },
                 completedAt: new Date().toISOString()
             });
 
+            await this.updateJob(jobId, job, {
+                status: 'completed',
+                progress: 100,
+                message: `Found ${combinedResults.length} total properties`
+            });
+
+            await this.updateFetchRecord(fetchRecord.id, {
+                status: 'completed',
+                result_source: cacheResults.length > 0 ? 'cache_and_fresh' : 'fresh_only',
+                thresholds_tried: freshResults.thresholdsTried,
+                threshold_used: freshResults.thresholdUsed,
+                streeteasy_api_calls: freshResults.providerStats.streeteasy?.apiCalls || 0,
+                provider_stats: freshResults.providerStats,
+                pages_scanned: freshResults.pagesScanned,
+                total_listings_fetched: freshResults.totalFetched,
+                claude_api_calls: freshResults.claudeApiCalls,
+                analysis_cache_hits: freshResults.analysisCacheHits,
+                valuation: freshResults.valuation,
+                claude_tokens: freshResults.claudeTokens,
+                claude_cost_usd: freshResults.claudeCost,
+                claude_model: context.model,
+                budget_exceeded: freshResults.budgetExceeded,
+                analysis_failures: freshResults.analysisFailures,
+                cache_hits: cacheResults.length,
+                properties_found: combinedResults.length,
+                completed_at: new Date().toISOString(),
+                duration_ms: Date.now() - startTime
+            });
+
+        } catch (error) {
+            const canceled = signal?.aborted;
+            if (canceled) {
+                console.log(`🛑 Search ${jobId} canceled`);
+            } else {
+                console.error('❌ Search error:', error);
+            }
+
+            await this.updateJob(jobId, job, {
+                status: canceled ? 'canceled' : 'failed',
+                message: canceled ? 'Search canceled' : job.message,
+                error: canceled ? null : error.message
+            });
+
+            await this.updateFetchRecord(fetchRecord?.id, {
+                status: canceled ? 'canceled' : 'failed',
+                error_message: canceled ? 'Canceled by client' : error.message,
+                completed_at: new Date().toISOString(),
+                duration_ms: Date.now() - startTime
+            });
+        }
+    }
+
+    async getJobState(jobId) {
+        return this.activeJobs.get(jobId)
+            || await this.storage.jobs.get(jobId).catch(() => null);
+    }
+
+    async buildJobSnapshotEvent(jobId, job) {
+        const event = { id: 0, jobId, timestamp: new Date().toISOString() };
+
+        if (job.status === 'completed') {
+            const result = this.jobResults.get(jobId)
+                || await this.storage.jobResults.get(jobId).catch(() => null);
+            return { ...event, type: 'completed', data: { result } };
+        }
+        if (JobEventHub.isTerminal(job.status)) {
+            return { ...event, type: job.status, data: { message: job.message, error: job.error || null } };
+        }
+
+        return {
+            ...event,
+            type: 'status',
+            data: {
+                status: job.status,
+                progress: job.progress || 0,
+                message: job.message,
+                queuePosition: job.status === 'queued' ? this.searchQueue.position(jobId) : null
+            }
+        };
+    }
+
+    setupJobWebSocket(server) {
+        const wss = new WebSocketServer({ noServer: true });
+
+        server.on('upgrade', async (req, socket, head) => {
+            const url = new URL(req.url, 'http://localhost');
+            const match = url.pathname.match(/^\/api\/jobs\/([^/]+)\/ws$/);
+            if (!match) return socket.destroy();
+
+            const apiKey = req.headers['x-api-key'] || url.searchParams.get('apiKey');
+            if (apiKey !== this.apiKey && !this.clientIdsByKey.has(apiKey)) {
+                socket.write('HTTP/1.1 401 Unauthorized\r\n\r\n');
+                return socket.destroy();
+            }
+
+            const jobId = decodeURIComponent(match[1]);
+            const job = await this.getJobState(jobId);
+            if (!job) {
+                socket.write('HTTP/1.1 404 Not Found\r\n\r\n');
+                return socket.destroy();
+            }
+
+            wss.handleUpgrade(req, socket, head, async ws => {
+                let unsubscribe = () => {};
+                const send = event => {
+                    if (ws.readyState !== ws.OPEN) return;
+                    ws.send(JSON.stringify(event));
+                    if (JobEventHub.isTerminal(event.type)) ws.close(1000, event.type);
+                };
+
+                ws.on('close', () => unsubscribe());
+
+                const snapshot = await this.buildJobSnapshotEvent(jobId, job);
+                send(snapshot);
+                if (!JobEventHub.isTerminal(snapshot.type)) {
+                    unsubscribe = this.jobEvents.subscribe(jobId, send);
+                }
+            });
+        });
+    }
+
+    async updateJob(jobId, job, updates) {
+        Object.assign(job, updates, { lastUpdate: new Date().toISOString() });
+        this.activeJobs.touch(jobId);
+        await this.persistJob(jobId, job);
+
+        if (JobEventHub.isTerminal(job.status)) {
+            this.jobEvents.publish(jobId, job.status, job.status === 'completed'
+                ? { result: this.jobResults.get(jobId) }
+                : { message: job.message, error: job.error || null });
+            this.dispatchJobCallback(jobId, job);
+        } else {
+            this.jobEvents.publish(jobId, 'status', {
+                status: job.status,
+                progress: job.progress,
+                message: job.message
+            });
+        }
+    }
+
+    dispatchJobCallback(jobId, job) {
+        if (!job.callback || !['completed', 'failed'].includes(job.status)) return;
+
+        const payload = job.status === 'completed'
+            ? { success: true, data: this.jobResults.get(jobId) }
+            : { success: false, error: job.error, data: { jobId, status: 'failed', error: job.error } };
+
+        this.callbacks.deliver({
+            url: job.callback.url,
+            clientId: job.callback.clientId,
+            event: `job.${job.status}`,
+            jobId,
+            payload,
+            onAttempt: async (attempt, delivered) => {
+                job.callback.attempts.push(attempt);
+                job.callback.status = delivered
+                    ? 'delivered'
+                    : (attempt.attempt >= this.callbacks.maxAttempts ? 'failed' : 'retrying');
+                await this.persistJob(jobId, job);
+            }
+        }).then(delivered => {
+            console.log(delivered
+                ? `📬 Callback delivered for ${jobId}`
+                : `❌ Callback gave up for ${jobId} after ${this.callbacks.maxAttempts} attempts`);
+        }).catch(error => console.error('❌ Callback dispatch error:', error));
+    }
+
+    async persistJob(jobId, job) {
+        try {
+            await this.storage.jobs.save(jobId, job);
         } catch (error) {
-            console.error('❌ Search error:', error);
-            job.status = 'failed';
-            job.error = error.message;
-            job.lastUpdate = new Date().toISOString();
+            console.warn('⚠️ Failed to persist job state:', error.message);
+        }
+    }
+
+    async saveJobResults(jobId, results) {
+        this.jobResults.set(jobId, results);
+
+        try {
+            await this.storage.jobResults.save(jobId, results);
+        } catch (error) {
+            console.warn('⚠️ Failed to persist job results:', error.message);
+        }
+    }
+
+    async recoverJobs() {
+        let interruptedJobs;
+        try {
+            interruptedJobs = await this.storage.jobs.listByStatus(['queued', 'processing']);
+        } catch (error) {
+            console.warn('⚠️ Job recovery skipped:', error.message);
+            return;
+        }
+
+        for (const { jobId, ...job } of interruptedJobs) {
+            const ageMinutes = (Date.now() - new Date(job.queuedAt || job.startTime).getTime()) / 60000;
+
+            if (this.jobRecoveryMode === 'resume' && job.params && ageMinutes <= this.jobResumeMaxAgeMinutes) {
+                console.log(`♻️ Resuming interrupted job ${jobId}`);
+                try {
+                    await this.enqueueSmartSearch(jobId, job.params, {
+                        clientId: job.clientId,
+                        priority: job.priority,
+                        callback: job.callback || null
+                    });
+                    continue;
+                } catch (error) {
+                    console.warn(`⚠️ Could not requeue ${jobId}:`, error.message);
+                }
+            }
+
+            console.log(`🪦 Failing interrupted job ${jobId}`);
+            const failedJob = {
+                ...job,
+                status: 'failed',
+                error: 'Search was interrupted by a server restart. Please start a new search.',
+                lastUpdate: new Date().toISOString()
+            };
+            this.activeJobs.set(jobId, failedJob);
+            await this.persistJob(jobId, failedJob);
+            this.dispatchJobCallback(jobId, failedJob);
+            await this.updateFetchRecord(job.fetchRecordId, {
+                status: 'failed',
+                error_message: failedJob.error,
+                completed_at: new Date().toISOString()
+            });
         }
     }
 
     async smartCacheSearch(params) {
         console.log(`🔍 Cache search for ${params.neighborhood}...`);
-        return [];
+        // Geo searches narrow by bounding box in storage and by exact shape here;
+        // alert searches skip listings the profile has already been sent
+        const excluded = new Set(params.excludeListingIds || []);
+        const narrowed = Boolean(params.geo) || excluded.size > 0;
+
+        try {
+            const data = await this.storage.listings.search({
+                propertyType: params.propertyType,
+                neighborhood: params.neighborhood,
+                neighborhoods: params.neighborhoods,
+                status: 'active',
+                freshSince: new Date(Date.now() - this.cacheMaxAgeDays * 24 * 60 * 60 * 1000).toISOString(),
+                minDiscount: params.undervaluationThreshold,
+                bedrooms: params.bedrooms,
+                minBathrooms: params.bathrooms,
+                minPrice: params.minPrice,
+                maxPrice: params.maxPrice,
+                noFee: params.noFee && params.propertyType === 'rental',
+                bounds: params.geo?.bounds,
+                limit: narrowed ? undefined : params.maxResults
+            });
+            const matches = narrowed
+                ? data
+                    .filter(row => !excluded.has(row.listing_id))
+                    .filter(row => !params.geo || containsPoint(params.geo, { latitude: row.latitude, longitude: row.longitude }))
+                    .slice(0, params.maxResults)
+                : data;
+
+            console.log(`📦 Cache returned ${matches.length} properties`);
+
+            return matches.map(property => ({
+                ...property,
+                source: 'cache',
+                isCached: true
+            }));
+
+        } catch (error) {
+            console.warn('⚠️ Cache search failed:', error.message);
+            return [];
+        }
     }
 
-    async fetchWithThresholdFallback(params, fetchRecordId) {
+    async fetchWithThresholdFallback(params, fetchRecordId, context) {
         const thresholds = [params.undervaluationThreshold];
         
         for (const step of this.thresholdSteps) {
@@ -704,212 +1897,581 @@ class SmartCacheFirstAPI {
             }
         }
 
-        let allResults = [];
-        let apiCalls = 0;
-        let totalFetched = 0;
-        let claudeApiCalls = 0;
-        let claudeCost = 0;
+        const excluded = new Set(params.excludeListingIds || []);
 
-        for (const threshold of thresholds) {
-            console.log(`🎯 Trying threshold: ${threshold}%`);
-            
-            const results = await this.fetchFromStreetEasy(params, threshold, fetchRecordId);
-            
-            apiCalls += results.apiCalls;
-            totalFetched += results.totalFetched;
-            claudeApiCalls += results.claudeApiCalls;
-            claudeCost += results.claudeCost;
+        // One sweep fetches and scores every listing; lower thresholds are then
+        // just in-memory filters over the same percentBelowMarket values
+        const sweep = await this.fetchListings(params, fetchRecordId, context);
 
-            if (results.properties.length > 0) {
-                allResults = results.properties;
+        let qualifying = [];
+        let thresholdUsed = null;
+        const thresholdsTried = [];
+
+        for (const [attemptIndex, threshold] of thresholds.entries()) {
+            qualifying = sweep.scoredProperties
+                .filter(property => property.discount_percent >= threshold && !excluded.has(property.listing_id));
+
+            const attempt = { threshold, qualifying: qualifying.length };
+            thresholdsTried.push(attempt);
+            this.jobEvents.publish(context?.jobId, 'threshold_attempt', {
+                attempt: attemptIndex + 1,
+                of: thresholds.length,
+                ...attempt
+            });
+
+            if (qualifying.length > 0) {
+                thresholdUsed = threshold;
+                console.log(`🎯 ${qualifying.length} properties qualify at ${threshold}% below market`);
                 break;
             }
         }
 
+        if (thresholdUsed === null) {
+            console.log(`🎯 No properties qualify at any threshold down to ${thresholds[thresholds.length - 1]}%`);
+        }
+
         return {
-            properties: allResults,
-            apiCalls,
-            totalFetched,
-            claudeApiCalls,
-            claudeCost
+            properties: qualifying.sort((a, b) => (b.discount_percent || 0) - (a.discount_percent || 0)),
+            thresholdUsed,
+            thresholdsTried,
+            apiCalls: sweep.apiCalls,
+            pagesScanned: sweep.pagesScanned,
+            providerStats: sweep.providerStats,
+            totalFetched: sweep.totalFetched,
+            areaStats: sweep.areaStats,
+            claudeApiCalls: sweep.claudeApiCalls,
+            analysisCacheHits: sweep.analysisCacheHits,
+            valuation: this.summarizeValuation(sweep.scoredProperties, context),
+            claudeTokens: sweep.claudeTokens,
+            claudeCost: sweep.claudeCost,
+            budgetExceeded: sweep.budgetExceeded,
+            analysisFailures: sweep.analysisFailures,
+            error: sweep.error
         };
     }
 
-    async fetchFromStreetEasy(params, threshold, fetchRecordId) {
-        try {
-            const apiUrl = params.propertyType === 'rental' 
-                ? 'https://streeteasy-api.p.rapidapi.com/rentals/search'
-                : 'https://streeteasy-api.p.rapidapi.com/sales/search';
-            
-            const apiParams = {
-                areas: params.neighborhood,
-                limit: Math.min(20, params.maxResults * 4),
-                offset: 0
-            };
+    summarizeValuation(scoredProperties, context) {
+        const bySource = {};
+        for (const property of scoredProperties) {
+            const source = property.valuation_source || 'unscored';
+            bySource[source] = (bySource[source] || 0) + 1;
+        }
 
-            if (params.minPrice) apiParams.minPrice = params.minPrice;
-            if (params.maxPrice) apiParams.maxPrice = params.maxPrice;
-            if (params.bedrooms) {
-                apiParams.minBeds = params.bedrooms;
-                apiParams.maxBeds = params.bedrooms;
-            }
-            if (params.bathrooms) apiParams.minBath = params.bathrooms;
-            if (params.noFee && params.propertyType === 'rental') apiParams.noFee = true;
+        return {
+            mode: context?.valuationMode || this.valuationMode,
+            bySource,
+            compsFlagged: scoredProperties.filter(property => property.comps_check?.flagged).length
+        };
+    }
 
-            const response = await axios.get(apiUrl, {
-                params: apiParams,
-                headers: {
-                    'X-RapidAPI-Key': this.rapidApiKey,
-                    'X-RapidAPI-Host': 'streeteasy-api.p.rapidapi.com'
-                },
-                timeout: 30000
-            });
+    async fetchListings(params, fetchRecordId, context) {
+        const providerNames = params.providers || this.defaultProviders;
+        // Jobs queued before multi-area search carry a single area in params itself
+        const areas = params.areas?.length ? params.areas : [null];
+        const seen = new Set();
+        const excluded = new Set(params.excludeListingIds || []);
 
-            let listings = [];
-            if (response.data?.results && Array.isArray(response.data.results)) {
-                listings = response.data.results;
-            } else if (response.data?.listings && Array.isArray(response.data.listings)) {
-                listings = response.data.listings;
-            } else if (Array.isArray(response.data)) {
-                listings = response.data;
-            }
+        const scoredProperties = [];
+        const providerStats = {};
+        const areaStats = {};
+        let claudeApiCalls = 0;
+        let analysisCacheHits = 0;
+        let claudeTokens = 0;
+        let claudeCost = 0;
+        const errors = [];
+        const analysisFailures = [];
+        let budgetExceeded = null;
 
-            console.log(`📊 StreetEasy returned ${listings.length} listings`);
+        for (const providerName of providerNames) {
+            providerStats[providerName] = { apiCalls: 0, pagesScanned: 0, listings: 0, duplicates: 0, outsideArea: 0, error: null };
+        }
 
-            if (listings.length === 0) {
-                return { properties: [], apiCalls: 1, totalFetched: 0, claudeApiCalls: 0, claudeCost: 0 };
-            }
+        // Areas are fetched and scored one after another within the job; each
+        // fills up to maxResults so one busy area can't crowd out the others
+        for (const [areaIndex, area] of areas.entries()) {
+            if (budgetExceeded) break;
+
+            const areaParams = area ? { ...params, ...area } : params;
+            const areaScored = [];
+            const areaKey = areaParams.neighborhood;
+            areaStats[areaKey] = { name: areaParams.neighborhoodName || areaKey, listings: 0, apiCalls: 0 };
+            // Exclusions hold listing_id values; freshly scored listings still carry
+            // that value as id (formatPropertyForDatabase copies it to listing_id)
+            const qualifyingCount = () => areaScored
+                .filter(property => property.discount_percent >= params.undervaluationThreshold
+                    && !excluded.has(property.listing_id ?? property.id))
+                .length;
+
+            for (const providerName of providerNames) {
+                if (qualifyingCount() >= params.maxResults || budgetExceeded) break;
+
+                const provider = this.providers[providerName];
+                const stats = providerStats[providerName];
+                // The provider's per-job call budget is shared evenly by the areas still to scan
+                const areaCallLimit = stats.apiCalls + Math.max(
+                    1,
+                    Math.floor((provider.maxApiCalls - stats.apiCalls) / (areas.length - areaIndex))
+                );
+
+                try {
+                    for (let page = 0; page < provider.maxPages; page++) {
+                        this.throwIfAborted(context);
+
+                        if (stats.apiCalls >= Math.min(areaCallLimit, provider.maxApiCalls)) {
+                            console.log(`💸 ${providerName} API call budget for ${areaKey} exhausted`);
+                            break;
+                        }
 
-            const analysisResults = await this.analyzePropertiesWithClaude(listings, params, threshold);
-            const savedProperties = await this.savePropertiesToDatabase(
-                analysisResults.qualifyingProperties, 
-                params.propertyType, 
-                fetchRecordId
-            );
+                        stats.apiCalls++;
+                        areaStats[areaKey].apiCalls++;
+                        const { listings: pageListings, total } = await provider.fetchPage(areaParams, {
+                            offset: page * provider.pageSize,
+                            limit: provider.pageSize,
+                            signal: context?.signal
+                        });
+                        stats.pagesScanned++;
 
-            return {
-                properties: savedProperties,
-                apiCalls: 1,
-                totalFetched: listings.length,
-                claudeApiCalls: analysisResults.claudeApiCalls,
-                claudeCost: analysisResults.claudeCost
-            };
+                        console.log(`📊 ${providerName} ${areaKey} page ${page + 1} returned ${pageListings.length} listings`);
 
-        } catch (error) {
-            console.error('❌ StreetEasy fetch error:', error.message);
-            return { properties: [], apiCalls: 1, totalFetched: 0, claudeApiCalls: 0, claudeCost: 0 };
+                        if (pageListings.length === 0) break;
+                        for (const listing of pageListings) {
+                            listing.neighborhood = this.canonicalNeighborhood(listing.neighborhood || areaParams.neighborhood);
+                        }
+
+                        // Geo searches fetch whole neighborhoods; listings outside the
+                        // shape (or without coordinates) are dropped before scoring
+                        const inArea = params.geo
+                            ? pageListings.filter(listing => containsPoint(params.geo, listing.coordinates))
+                            : pageListings;
+                        stats.outsideArea += pageListings.length - inArea.length;
+
+                        // The same unit listed by several providers or areas is only scored once
+                        const listings = inArea.filter(listing => {
+                            const key = listingDedupeKey(listing);
+                            if (seen.has(key)) {
+                                stats.duplicates++;
+                                return false;
+                            }
+                            seen.add(key);
+                            return true;
+                        });
+                        stats.listings += listings.length;
+                        areaStats[areaKey].listings += listings.length;
+
+                        if (listings.length > 0) {
+                            const analysisResults = await this.analyzePropertiesWithClaude(listings, areaParams, context);
+                            areaScored.push(...analysisResults.scoredProperties);
+                            claudeApiCalls += analysisResults.claudeApiCalls;
+                            analysisCacheHits += analysisResults.cacheHits;
+                            claudeTokens += analysisResults.claudeTokens;
+                            claudeCost += analysisResults.claudeCost;
+                            analysisFailures.push(...analysisResults.batchFailures
+                                .map(failure => ({ provider: providerName, area: areaKey, page: page + 1, ...failure })));
+                            budgetExceeded = analysisResults.budgetExceeded;
+                        }
+
+                        this.jobEvents.publish(context?.jobId, 'page_scanned', {
+                            provider: providerName,
+                            area: areaKey,
+                            page: page + 1,
+                            listings: listings.length,
+                            qualifyingSoFar: qualifyingCount()
+                        });
+
+                        if (qualifyingCount() >= params.maxResults) break;
+                        if (budgetExceeded) {
+                            console.log(`💸 ${budgetExceeded}, stopping analysis`);
+                            break;
+                        }
+                        if (pageListings.length < provider.pageSize) break;
+                        if (total && (page + 1) * provider.pageSize >= total) break;
+                    }
+                } catch (error) {
+                    this.throwIfAborted(context);
+                    console.error(`❌ ${providerName} fetch error for ${areaKey}:`, error.message);
+                    stats.error = error.message;
+                    errors.push(`${providerName} (${areaKey}): ${error.message}`);
+                }
+            }
+
+            scoredProperties.push(...areaScored);
         }
+
+        // Every scored listing is stored, not just the undervalued ones, so the
+        // cache can answer later searches with different thresholds
+        const savedProperties = await this.savePropertiesToDatabase(
+            scoredProperties.filter(property => property.analyzed),
+            params.propertyType,
+            fetchRecordId
+        );
+
+        const totals = Object.values(providerStats);
+
+        return {
+            scoredProperties: savedProperties,
+            providerStats,
+            apiCalls: totals.reduce((sum, stats) => sum + stats.apiCalls, 0),
+            pagesScanned: totals.reduce((sum, stats) => sum + stats.pagesScanned, 0),
+            totalFetched: totals.reduce((sum, stats) => sum + stats.listings, 0),
+            areaStats,
+            claudeApiCalls,
+            analysisCacheHits,
+            claudeTokens,
+            claudeCost,
+            analysisFailures,
+            budgetExceeded,
+            error: errors.length > 0 ? errors.join('; ') : null
+        };
     }
 
-    async analyzePropertiesWithClaude(listings, params, threshold) {
-        const batchSize = 50;
-        let allQualifyingProperties = [];
+    async analyzePropertiesWithClaude(listings, params, context) {
+        let allScoredProperties = [];
         let totalClaudeApiCalls = 0;
         let totalClaudeTokens = 0;
         let totalClaudeCost = 0;
-
-        for (let i = 0; i < listings.length; i += batchSize) {
-            const batch = listings.slice(i, i + batchSize);
-            console.log(`🤖 Analyzing batch ${Math.floor(i/batchSize) + 1} (${batch.length} properties)`);
-            
-            const batchResults = await this.analyzePropertyBatchWithClaude(batch, params, threshold);
-            
-            allQualifyingProperties.push(...batchResults.qualifyingProperties);
-            totalClaudeApiCalls += 1;
-            totalClaudeTokens += batchResults.tokensUsed;
-            totalClaudeCost += batchResults.cost;
-            
-            if (i + batchSize < listings.length) {
-                await this.delay(1000);
+        const batchFailures = [];
+        let budgetExceeded = null;
+
+        // Only listings without a fresh cached analysis go to the model
+        const cached = context?.valuationMode === 'comps'
+            ? new Map()
+            : await this.analysisCache.lookup(listings, context?.model || this.claudeModel);
+        const uncached = listings.filter(listing => !cached.has(listing.id));
+        if (cached.size > 0) {
+            const cachedProperties = listings
+                .filter(listing => cached.has(listing.id))
+                .map(listing => ({
+                    ...this.applyAnalysis(listing, cached.get(listing.id)),
+                    // The cached verdict may come from a search with a different threshold
+                    isUndervalued: cached.get(listing.id).percentBelowMarket >= params.undervaluationThreshold,
+                    analysisCached: true
+                }));
+            if (context?.valuationMode === 'check') {
+                await this.attachCompsCheck(cachedProperties, params, context);
+            }
+            allScoredProperties.push(...cachedProperties);
+            console.log(`💾 Reused ${cached.size} cached analyses, ${uncached.length} left to analyze`);
+
+            const qualifying = cachedProperties
+                .filter(property => property.discount_percent >= params.undervaluationThreshold);
+            this.jobEvents.publish(context?.jobId, 'analysis_cache_hits', {
+                hits: cached.size,
+                qualifying: qualifying.length,
+                threshold: params.undervaluationThreshold
+            });
+            for (const property of qualifying) {
+                this.jobEvents.publish(context?.jobId, 'property_found', {
+                    property: this.formatPropertyForDatabase(property, params.propertyType, null)
+                });
             }
         }
 
+        const batches = this.planAnalysisBatches(uncached, params);
+        let nextBatch = 0;
+
+        // Batches run concurrently; the shared limiter inside ClaudeClient keeps
+        // the combined request and token rate of all jobs within the API limits
+        const runBatches = async () => {
+            while (nextBatch < batches.length && !budgetExceeded) {
+                this.throwIfAborted(context);
+                const batchNumber = ++nextBatch;
+                const batch = batches[batchNumber - 1];
+                console.log(`🤖 Analyzing batch ${batchNumber}/${batches.length} (${batch.length} properties)`);
+
+                const batchResults = await this.analyzePropertyBatchWithClaude(batch, params, context);
+                const qualifying = batchResults.scoredProperties
+                    .filter(property => property.discount_percent >= params.undervaluationThreshold);
+
+                allScoredProperties.push(...batchResults.scoredProperties);
+                await this.analysisCache.store(batchResults.scoredProperties, context?.model || this.claudeModel);
+                totalClaudeApiCalls += batchResults.apiCalls;
+                totalClaudeTokens += batchResults.tokensUsed;
+                totalClaudeCost += batchResults.cost;
+                if (batchResults.failure) {
+                    batchFailures.push({ batch: batchNumber, ...batchResults.failure });
+                }
+
+                this.jobEvents.publish(context?.jobId, 'batch_analyzed', {
+                    batch: batchNumber,
+                    batches: batches.length,
+                    analyzed: batch.length - (batchResults.failure?.unanalyzed || 0),
+                    failed: batchResults.failure?.unanalyzed || 0,
+                    qualifying: qualifying.length,
+                    threshold: params.undervaluationThreshold
+                });
+                for (const property of qualifying) {
+                    this.jobEvents.publish(context?.jobId, 'property_found', {
+                        property: this.formatPropertyForDatabase(property, params.propertyType, null)
+                    });
+                }
+
+                if (batchResults.budgetExceeded) {
+                    budgetExceeded = batchResults.budgetExceeded;
+                }
+            }
+        };
+        await Promise.all(
+            Array.from({ length: Math.min(this.analysisConcurrency, batches.length) }, runBatches)
+        );
+
         return {
-            qualifyingProperties: allQualifyingProperties,
+            scoredProperties: allScoredProperties,
+            budgetExceeded,
             claudeApiCalls: totalClaudeApiCalls,
+            cacheHits: cached.size,
             claudeTokens: totalClaudeTokens,
-            claudeCost: totalClaudeCost
+            claudeCost: totalClaudeCost,
+            batchFailures
         };
     }
 
-    async analyzePropertyBatchWithClaude(properties, params, threshold) {
-        const prompt = `You are an expert NYC real estate analyst. Analyze these ${params.propertyType} properties in ${params.neighborhood} for undervaluation potential.
+    async analyzePropertyBatchWithClaude(properties, params, context) {
+        const valuationMode = context?.valuationMode || this.valuationMode;
+        if (valuationMode === 'comps') {
+            return this.analyzePropertyBatchWithComps(properties, params, context);
+        }
 
-PROPERTIES TO ANALYZE:
-${properties.map((prop, i) => `
-Property ${i + 1}:
-- Address: ${prop.address || 'Not listed'}
+        let tokensUsed = 0;
+        let cost = 0;
+        let apiCalls = 0;
+        const issues = [];
+        const analyses = new Map();
+        let budgetExceeded = null;
+
+        try {
+            const first = await this.requestPropertyAnalysis(properties, params, context);
+            tokensUsed += first.tokensUsed;
+            cost += first.cost;
+            apiCalls += first.apiCalls;
+            issues.push(...first.issues);
+            first.analyses.forEach((analysis, index) => analyses.set(index, analysis));
+
+            // Re-ask once for whatever was dropped, truncated or malformed
+            if (first.missing.length > 0) {
+                console.warn(`⚠️ Re-asking Claude for ${first.missing.length} unanalyzed properties`);
+                const retryProperties = first.missing.map(index => properties[index - 1]);
+                const retry = await this.requestPropertyAnalysis(retryProperties, params, context);
+                tokensUsed += retry.tokensUsed;
+                cost += retry.cost;
+                apiCalls += retry.apiCalls;
+                issues.push(...retry.issues.map(issue => `re-ask: ${issue}`));
+                retry.analyses.forEach((analysis, retryIndex) => {
+                    analyses.set(first.missing[retryIndex - 1], analysis);
+                });
+            }
+
+        } catch (error) {
+            this.throwIfAborted(context);
+            if (error instanceof BudgetExceededError) {
+                budgetExceeded = error.message;
+            } else {
+                console.warn('⚠️ Claude analysis failed:', error.message);
+            }
+            issues.push(error.message);
+        }
+
+        const fallbackAnalyses = valuationMode === 'fallback' && analyses.size < properties.length
+            ? await this.valueWithComps(properties.filter((prop, i) => !analyses.has(i + 1)), params, context)
+            : new Map();
+        let fallbackIndex = 0;
+
+        const scoredProperties = properties.map((prop, i) => {
+            const propAnalysis = analyses.get(i + 1);
+            if (!propAnalysis) {
+                const compsAnalysis = fallbackAnalyses.get(++fallbackIndex);
+                if (compsAnalysis) return this.applyAnalysis(prop, compsAnalysis, 'comps');
+                return { ...prop, discount_percent: 0, reasoning: 'Analysis failed', score: 0, grade: 'F', analyzed: false };
+            }
+            
+            return this.applyAnalysis(prop, propAnalysis);
+        });
+        if (valuationMode === 'check') {
+            await this.attachCompsCheck(scoredProperties, params, context);
+        }
+
+        const unanalyzed = scoredProperties.filter(prop => !prop.analyzed).length;
+        const failure = unanalyzed > 0 || issues.length > 0
+            ? { properties: properties.length, unanalyzed, issues: issues.slice(0, 10) }
+            : null;
+
+        return { scoredProperties, tokensUsed, cost, apiCalls, failure, budgetExceeded };
+    }
+
+    applyAnalysis(property, analysis, valuationSource = 'llm') {
+        return {
+            ...property,
+            discount_percent: analysis.percentBelowMarket,
+            isUndervalued: analysis.isUndervalued,
+            reasoning: analysis.reasoning,
+            score: analysis.score,
+            grade: analysis.grade,
+            analyzed: true,
+            valuationSource,
+            explanation: analysis.explanation || explainLlmAnalysis(property, analysis)
+        };
+    }
+
+    async analyzePropertyBatchWithComps(properties, params, context) {
+        const analyses = await this.valueWithComps(properties, params, context);
+        const scoredProperties = properties.map((prop, i) => {
+            const compsAnalysis = analyses.get(i + 1);
+            return compsAnalysis
+                ? this.applyAnalysis(prop, compsAnalysis, 'comps')
+                : { ...prop, discount_percent: 0, reasoning: 'Not enough comparable listings', score: 0, grade: 'F', analyzed: false };
+        });
+
+        const unanalyzed = properties.length - analyses.size;
+        const failure = unanalyzed > 0
+            ? { properties: properties.length, unanalyzed, issues: [`${unanalyzed} listings without enough comps`] }
+            : null;
+
+        return { scoredProperties, tokensUsed: 0, cost: 0, apiCalls: 0, failure, budgetExceeded: null };
+    }
+
+    // Comps analyses keyed by 1-based index; empty when the stored market can't be read
+    async valueWithComps(properties, params, context) {
+        if (properties.length === 0) return new Map();
+        try {
+            const { analyses } = await this.comps.analyze(properties, params, context?.compsMarkets);
+            return analyses;
+        } catch (error) {
+            console.warn('⚠️ Comps valuation failed:', error.message);
+            context?.compsMarkets?.clear();
+            return new Map();
+        }
+    }
+
+    // Sanity check: flags Claude scores that are far off the comps estimate
+    async attachCompsCheck(scoredProperties, params, context) {
+        const llmScored = scoredProperties.filter(property => property.analyzed && property.valuationSource === 'llm');
+        const compsAnalyses = await this.valueWithComps(llmScored, params, context);
+
+        llmScored.forEach((property, i) => {
+            const compsAnalysis = compsAnalyses.get(i + 1);
+            if (!compsAnalysis) return;
+
+            const deviation = Math.round((property.discount_percent - compsAnalysis.percentBelowMarket) * 10) / 10;
+            property.compsCheck = {
+                percentBelowMarket: compsAnalysis.percentBelowMarket,
+                estimatedMarketPrice: compsAnalysis.estimatedMarketPrice,
+                deviation,
+                flagged: Math.abs(deviation) > this.valuationCheckTolerance
+            };
+            // Claude names no listings of its own, so show the comps it was checked against
+            property.explanation = {
+                ...property.explanation,
+                comparables: compsAnalysis.explanation.comparables,
+                compsBenchmark: compsAnalysis.explanation.benchmark
+            };
+            if (property.compsCheck.flagged) {
+                console.warn(`🚩 ${property.address}: Claude says ${property.discount_percent}% below market, comps say ${compsAnalysis.percentBelowMarket}%`);
+            }
+        });
+    }
+
+    formatPropertyForPrompt(prop, index, params) {
+        return `
+Property ${index + 1}:
+- Address: ${prop.address || 'Not listed'}${prop.coordinates ? `
+- Nearest Subway: ${describeStation(this.stations.nearest(prop.coordinates, 1)[0])}` : ''}${params.areaType === 'borough' ? `
+- Neighborhood: ${this.neighborhoods.neighborhoods.get(prop.neighborhood)?.name || prop.neighborhood || 'Unknown'}` : ''}
 - ${params.propertyType === 'rental' ? 'Monthly Rent' : 'Sale Price'}: ${prop.price?.toLocaleString() || 'Not listed'}
 - Layout: ${prop.bedrooms || 'N/A'}BR/${prop.bathrooms || 'N/A'}BA
 - Square Feet: ${prop.sqft || 'Not listed'}
 - Description: ${prop.description?.substring(0, 300) || 'None'}...
-`).join('\n')}
+`;
+    }
+
+    buildAnalysisPrompt(properties, params) {
+        const area = params.neighborhoodName || params.neighborhood;
+        return `You are an expert NYC real estate analyst. Analyze these ${params.propertyType} properties in ${area} for undervaluation potential.
+
+PROPERTIES TO ANALYZE:
+${properties.map((prop, i) => this.formatPropertyForPrompt(prop, i, params)).join('\n')}
 
 ANALYSIS REQUIREMENTS:
-- Evaluate each property against typical ${params.neighborhood} market rates
-- Only mark as undervalued if discount is ${threshold}% or greater
+- Evaluate each property against typical ${area} market rates${params.areaType === 'borough' ? ' for its own neighborhood' : ''}
+- Return an entry for EVERY property with your honest percentBelowMarket estimate (negative if above market)
+- Mark isUndervalued only if the discount is ${params.undervaluationThreshold}% or greater
 - Assign numerical score (0-100) and letter grade (A+ to F)
+- Keep reasoning to one or two sentences
+- Give your estimatedMarketPrice for a comparable unit and up to 3 factors that moved the estimate
 
-CRITICAL: Respond with ONLY a valid JSON array. No explanatory text. Start with [ and end with ].
+Record your analysis with the ${ANALYSIS_TOOL.name} tool.`;
+    }
+
+    // Splits listings into batches no larger than ANALYSIS_BATCH_SIZE whose
+    // prompt fits the context window and per-minute token budget, and whose
+    // expected tool output fits within max_tokens
+    planAnalysisBatches(listings, params) {
+        const overheadTokens = estimateTokens(this.buildAnalysisPrompt([], params))
+            + estimateTokens(JSON.stringify(ANALYSIS_TOOL));
+        const inputBudget = Math.min(this.claudeContextTokens, this.claudeLimiter.tokensPerMinute)
+            - this.analysisMaxTokens - overheadTokens;
+        const maxByOutput = Math.floor(this.analysisMaxTokens / this.analysisOutputTokensPerProperty);
+        const maxPerBatch = Math.max(1, Math.min(this.analysisBatchSize, maxByOutput));
+
+        const batches = [];
+        let current = [];
+        let currentTokens = 0;
+        for (const listing of listings) {
+            const listingTokens = estimateTokens(this.formatPropertyForPrompt(listing, current.length, params));
+            if (current.length > 0 && (current.length >= maxPerBatch || currentTokens + listingTokens > inputBudget)) {
+                batches.push(current);
+                current = [];
+                currentTokens = 0;
+            }
+            current.push(listing);
+            currentTokens += listingTokens;
+        }
+        if (current.length > 0) batches.push(current);
+
+        return batches;
+    }
+
+    async requestPropertyAnalysis(properties, params, context) {
+        const prompt = this.buildAnalysisPrompt(properties, params);
 
-RESPONSE FORMAT:
-[
-  {
-    "propertyIndex": 1,
-    "percentBelowMarket": 20,
-    "isUndervalued": true,
-    "reasoning": "This 2BR rental at $3,200/month is 20% below market...",
-    "score": 85,
-    "grade": "A-"
-  }
-]`;
+        const model = context?.model || this.claudeModel;
+        const reservation = await this.spend.reserve(model, {
+            input_tokens: estimateTokens(prompt) + estimateTokens(JSON.stringify(ANALYSIS_TOOL)),
+            output_tokens: this.analysisMaxTokens
+        }, context?.spend);
 
+        let data, attempts, cost;
         try {
-            const response = await axios.post('https://api.anthropic.com/v1/messages', {
-                model: 'claude-3-haiku-20240307',
-                max_tokens: 2000,
+            ({ data, attempts } = await this.claude.createMessage({
+                model,
+                max_tokens: this.analysisMaxTokens,
                 temperature: 0.1,
+                tools: [ANALYSIS_TOOL],
+                tool_choice: { type: 'tool', name: ANALYSIS_TOOL.name },
                 messages: [{ role: 'user', content: prompt }]
-            }, {
-                headers: {
-                    'Content-Type': 'application/json',
-                    'X-API-Key': this.claudeApiKey,
-                    'anthropic-version': '2023-06-01'
-                }
-            });
-
-            const analysis = JSON.parse(response.data.content[0].text);
-            const tokensUsed = (response.data.usage?.input_tokens || 0) + (response.data.usage?.output_tokens || 0);
-            const cost = (tokensUsed / 1000000) * 1.25;
-
-            const qualifyingProperties = properties
-                .map((prop, i) => {
-                    const propAnalysis = analysis.find(a => a.propertyIndex === i + 1) || {
-                        percentBelowMarket: 0,
-                        isUndervalued: false,
-                        reasoning: 'Analysis failed',
-                        score: 0,
-                        grade: 'F'
-                    };
-                    
-                    return {
-                        ...prop,
-                        discount_percent: propAnalysis.percentBelowMarket,
-                        isUndervalued: propAnalysis.isUndervalued,
-                        reasoning: propAnalysis.reasoning,
-                        score: propAnalysis.score || 0,
-                        grade: propAnalysis.grade || 'F',
-                        analyzed: true
-                    };
-                })
-                .filter(prop => prop.discount_percent >= threshold);
+            }, { signal: context?.signal }));
+            cost = await this.spend.record(model, data.usage, context?.spend);
+        } finally {
+            this.spend.release(reservation);
+        }
 
-            return { qualifyingProperties, tokensUsed, cost };
+        const tokensUsed = (data.usage?.input_tokens || 0) + (data.usage?.output_tokens || 0);
 
-        } catch (error) {
-            console.warn('⚠️ Claude analysis failed:', error.message);
-            return { qualifyingProperties: [], tokensUsed: 0, cost: 0 };
+        const { analyses, missing, issues } = validateAnalyses(
+            extractAnalysisItems(data),
+            properties.length,
+            params.undervaluationThreshold
+        );
+        if (data.stop_reason === 'max_tokens') {
+            issues.push(`response truncated at max_tokens with ${missing.length} properties missing`);
+            // Learn the real output cost per property so later batches are planned smaller
+            const perProperty = Math.ceil((data.usage?.output_tokens || this.analysisMaxTokens)
+                / Math.max(1, properties.length - missing.length));
+            if (perProperty > this.analysisOutputTokensPerProperty) {
+                console.warn(`📉 Shrinking analysis batches: ~${perProperty} output tokens per property`);
+                this.analysisOutputTokensPerProperty = perProperty;
+            }
         }
+
+        return { analyses, missing, issues, tokensUsed, cost, apiCalls: attempts };
     }
 
     async savePropertiesToDatabase(properties, propertyType, fetchRecordId) {
@@ -922,47 +2484,66 @@ RESPONSE FORMAT:
         );
         
         console.log(`✅ Formatted ${formattedProperties.length} properties`);
+
+        try {
+            await this.storage.listings.upsertMany(propertyType, formattedProperties);
+            console.log(`📦 Cached ${formattedProperties.length} properties`);
+        } catch (error) {
+            console.warn('⚠️ Failed to cache properties:', error.message);
+        }
+
         return formattedProperties;
     }
 
     formatPropertyForDatabase(property, propertyType, fetchRecordId) {
         const extractedImages = this.extractAndFormatImages(property);
+        const neighborhood = this.canonicalNeighborhood(property.neighborhood);
         
         const baseData = {
             fetch_job_id: fetchRecordId,
             listing_id: property.id || `generated_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            property_type: propertyType,
             address: property.address || '',
-            neighborhood: property.neighborhood || '',
-            borough: this.getBoroughFromNeighborhood(property.neighborhood || ''),
+            neighborhood,
+            borough: this.getBoroughFromNeighborhood(neighborhood),
+            latitude: property.coordinates?.latitude ?? null,
+            longitude: property.coordinates?.longitude ?? null,
+            nearest_stations: property.coordinates ? this.stations.nearest(property.coordinates) : [],
             bedrooms: property.bedrooms || 0,
             bathrooms: property.bathrooms || 0,
             sqft: property.sqft || null,
+            unit: property.unit || null,
+            provider: property.source || null,
+            valuation_source: property.valuationSource || null,
+            comps_check: property.compsCheck || null,
+            no_fee: Boolean(property.fees?.noFee),
             discount_percent: property.discount_percent || 0,
             score: property.score || 0,
             grade: property.grade || 'F',
             reasoning: property.reasoning || '',
+            explanation: property.explanation || null,
             images: extractedImages.processedImages,
             image_count: extractedImages.count,
             primary_image: extractedImages.primary,
-            instagram_ready_images: extractedImages.instagramReady,
-            listing_url: property.url || property.listing_url || '',
-            status: 'active'
+            listing_url: property.url || '',
+            status: 'active',
+            analysis_date: new Date().toISOString()
         };
 
-        if (propertyType === 'rental') {
-            return {
+        const row = propertyType === 'rental'
+            ? {
                 ...baseData,
                 monthly_rent: property.price || 0,
                 potential_monthly_savings: Math.round((property.price || 0) * (property.discount_percent || 0) / 100),
                 annual_savings: Math.round((property.price || 0) * (property.discount_percent || 0) / 100 * 12)
-            };
-        } else {
-            return {
+            }
+            : {
                 ...baseData,
                 price: property.price || 0,
                 potential_savings: Math.round((property.price || 0) * (property.discount_percent || 0) / 100)
             };
-        }
+
+        return { ...row, instagram_ready_images: this.captionImages(row) };
     }
 
     extractAndFormatImages(property) {
@@ -986,25 +2567,17 @@ RESPONSE FORMAT:
 
             const primaryImage = processedImages.length > 0 ? processedImages[0] : null;
 
-            const instagramReady = processedImages.map((img, index) => ({
-                url: img,
-                caption: this.generateImageCaption(property, index),
-                isPrimary: index === 0
-            }));
-
             return {
                 processedImages,
                 count: processedImages.length,
-                primary: primaryImage,
-                instagramReady
+                primary: primaryImage
             };
 
         } catch (error) {
             return {
                 processedImages: [],
                 count: 0,
-                primary: null,
-                instagramReady: []
+                primary: null
             };
         }
     }
@@ -1028,55 +2601,56 @@ RESPONSE FORMAT:
         }
     }
 
-    generateImageCaption(property, imageIndex) {
-        const price = property.monthly_rent || property.price;
-        const priceText = property.monthly_rent ? `${price?.toLocaleString()}/month` : `${price?.toLocaleString()}`;
-        
-        if (imageIndex === 0) {
-            return `🏠 ${property.bedrooms}BR/${property.bathrooms}BA in ${property.neighborhood}\n💰 ${priceText} (${property.discount_percent}% below market)`;
-        } else {
-            return `📸 ${property.address} - Photo ${imageIndex + 1}`;
-        }
-    }
-
-    generateInstagramDMMessage(property) {
-        const price = property.monthly_rent || property.price;
-        const priceText = property.monthly_rent ? `${price?.toLocaleString()}/month` : `${price?.toLocaleString()}`;
-        const savings = property.potential_monthly_savings || property.potential_savings;
-        
-        let message = '🏠 *UNDERVALUED PROPERTY ALERT*\n\n';
-        message += `📍 **${property.address}**\n`;
-        message += `🏘️ ${property.neighborhood}, ${property.borough}\n\n`;
-        message += `💰 **${priceText}**\n`;
-        message += `📉 ${property.discount_percent}% below market\n`;
-        message += `💵 Save ${savings?.toLocaleString()} ${property.monthly_rent ? 'per month' : 'total'}\n\n`;
-        message += `🏠 ${property.bedrooms}BR/${property.bathrooms}BA`;
-        if (property.sqft) message += ` | ${property.sqft} sqft`;
-        message += `\n📊 Score: ${property.score}/100 (${property.grade})\n\n`;
-        message += `🧠 *AI Analysis:*\n"${property.reasoning?.substring(0, 150)}..."\n\n`;
-        message += `🔗 [View Full Listing](${property.listing_url})`;
-        
-        return message;
+    // Per-photo captions rendered for a channel from a stored listing row
+    captionImages(row, channel = 'instagram') {
+        const fields = messageFields(row);
+        return (row.images || []).map((url, index) => ({
+            url,
+            caption: this.messageTemplates.render(index === 0 ? 'caption' : 'photoCaption', channel, {
+                ...fields,
+                photoNumber: index + 1
+            }),
+            isPrimary: index === 0
+        }));
     }
 
-    formatInstagramResponse(properties) {
-        return properties.map(property => ({
-            ...property,
-            instagram: {
-                primaryImage: property.primary_image,
-                imageCount: property.image_count,
-                images: property.instagram_ready_images || [],
-                dmMessage: this.generateInstagramDMMessage(property)
-            }
-        }));
+    // Listing rows plus ready-to-send messages for one channel (instagram, sms,
+    // whatsapp or telegram; see services/message-templates.js)
+    formatInstagramResponse(properties, { channel = 'instagram' } = {}) {
+        return properties.map(property => {
+            const named = {
+                ...property,
+                neighborhood_name: property.neighborhood_name
+                    || this.neighborhoods.neighborhoods.get(property.neighborhood)?.name
+            };
+            return {
+                ...named,
+                instagram: {
+                    channel,
+                    parseMode: this.messageTemplates.parseMode(channel),
+                    primaryImage: property.primary_image,
+                    imageCount: property.image_count,
+                    images: this.captionImages(named, channel),
+                    // Branded 1080x1080 carousel and 1080x1920 story, served by /api/share-cards
+                    shareCards: this.shareCards.links(named),
+                    dmMessage: this.messageTemplates.render('dm', channel, messageFields(named))
+                }
+            };
+        });
     }
 
     combineResults(cacheResults, newResults, maxResults) {
         const combined = [...cacheResults];
+        // Multi-area searches can meet the same unit through overlapping areas
+        // or providers, so match on address + unit as well as listing id
         const existingIds = new Set(cacheResults.map(r => r.listing_id));
+        const existingUnits = new Set(cacheResults.map(r => listingDedupeKey(r)));
 
         for (const newResult of newResults) {
-            if (!existingIds.has(newResult.listing_id)) {
+            const unitKey = listingDedupeKey(newResult);
+            if (!existingIds.has(newResult.listing_id) && !existingUnits.has(unitKey)) {
+                existingIds.add(newResult.listing_id);
+                existingUnits.add(unitKey);
                 combined.push({
                     ...newResult,
                     source: 'fresh',
@@ -1085,46 +2659,274 @@ RESPONSE FORMAT:
             }
         }
 
+        // Every area is ranked on the same scale: discount first, then score
         return combined
-            .sort((a, b) => (b.discount_percent || 0) - (a.discount_percent || 0))
+            .sort((a, b) => (b.discount_percent || 0) - (a.discount_percent || 0) || (b.score || 0) - (a.score || 0))
             .slice(0, maxResults);
     }
 
     async createFetchRecord(jobId, params) {
-        return { 
-            id: `fake_${jobId}`,
+        return this.storage.fetchJobs.create({
             job_id: jobId,
-            status: 'processing'
-        };
+            status: 'processing',
+            search_params: params,
+            started_at: new Date().toISOString()
+        });
     }
 
     async updateFetchRecord(id, updates) {
-        return;
+        if (!id) return null;
+
+        try {
+            return await this.storage.fetchJobs.update(id, updates);
+        } catch (error) {
+            console.warn('⚠️ Failed to update fetch record:', error.message);
+            return null;
+        }
     }
 
     getBoroughFromNeighborhood(neighborhood) {
-        const boroughMap = {
-            'soho': 'Manhattan',
-            'tribeca': 'Manhattan',
-            'west-village': 'Manhattan',
-            'east-village': 'Manhattan',
-            'lower-east-side': 'Manhattan',
-            'chelsea': 'Manhattan',
-            'gramercy': 'Manhattan',
-            'upper-west-side': 'Manhattan',
-            'upper-east-side': 'Manhattan',
-            'harlem': 'Manhattan',
-            'williamsburg': 'Brooklyn',
-            'bushwick': 'Brooklyn',
-            'park-slope': 'Brooklyn',
-            'dumbo': 'Brooklyn',
-            'brooklyn-heights': 'Brooklyn',
-            'astoria': 'Queens',
-            'long-island-city': 'Queens',
-            'forest-hills': 'Queens'
+        return this.neighborhoods.boroughOf(neighborhood);
+    }
+
+    // Search params for a resolved gazetteer area; boroughs expand to every
+    // neighborhood in them
+    areaSearchParams(area) {
+        return {
+            neighborhood: area.slug,
+            neighborhoodName: area.name,
+            borough: area.borough,
+            areaType: area.type,
+            matchedBy: area.matchedBy,
+            neighborhoods: area.neighborhoods,
+            streeteasyAreas: area.neighborhoods.map(slug => this.neighborhoods.neighborhoods.get(slug).streeteasyArea)
         };
-        
-        return boroughMap[neighborhood.toLowerCase()] || 'Unknown';
+    }
+
+    // Search params for one or more resolved areas. `areas` keeps each one's own
+    // params so fetchListings can fan out; the top level describes the union.
+    // Neighborhoods already covered by a requested borough are dropped.
+    searchAreaParams(resolvedAreas) {
+        const boroughs = new Set(resolvedAreas.filter(area => area.type === 'borough').map(area => area.borough));
+        const unique = new Map();
+        for (const area of resolvedAreas) {
+            if (area.type === 'neighborhood' && boroughs.has(area.borough)) continue;
+            if (!unique.has(area.slug)) unique.set(area.slug, this.areaSearchParams(area));
+        }
+
+        const areas = [...unique.values()];
+        if (areas.length === 1) return { ...areas[0], areas };
+
+        const names = areas.map(area => area.neighborhoodName);
+        const areaBoroughs = new Set(areas.map(area => area.borough));
+        return {
+            neighborhood: areas.map(area => area.neighborhood).join('+'),
+            neighborhoodName: `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}`,
+            borough: areaBoroughs.size === 1 ? areas[0].borough : null,
+            areaType: 'multi',
+            neighborhoods: [...new Set(areas.flatMap(area => area.neighborhoods))],
+            streeteasyAreas: [...new Set(areas.flatMap(area => area.streeteasyAreas))],
+            areas
+        };
+    }
+
+    // Per-neighborhood counts for the job summary: what was scanned in each
+    // requested area and how many final results came from each neighborhood
+    summarizeNeighborhoods(results, areaStats = {}) {
+        const summary = {};
+        for (const [slug, stats] of Object.entries(areaStats)) {
+            summary[slug] = { name: stats.name, listingsScanned: stats.listings, providerApiCalls: stats.apiCalls, results: 0 };
+        }
+        for (const property of results) {
+            const slug = property.neighborhood || 'unknown';
+            if (!summary[slug]) {
+                summary[slug] = { name: this.neighborhoods.neighborhoods.get(slug)?.name || slug, results: 0 };
+            }
+            summary[slug].results++;
+        }
+        return summary;
+    }
+
+    // Runs a search through the queue like POST /api/search/smart and resolves
+    // with its results once the job finishes
+    async runQueuedSearch(params, { clientId, priority }) {
+        const jobId = this.generateJobId();
+        let unsubscribe;
+        const finished = new Promise((resolve, reject) => {
+            unsubscribe = this.jobEvents.subscribe(jobId, event => {
+                if (!JobEventHub.isTerminal(event.type)) return;
+                unsubscribe();
+                if (event.type === 'completed') {
+                    resolve(event.data.result);
+                } else {
+                    reject(new Error(event.data.error || event.data.message || `Search ${event.type}`));
+                }
+            });
+        });
+
+        try {
+            await this.enqueueSmartSearch(jobId, params, { clientId, priority });
+        } catch (error) {
+            unsubscribe();
+            throw error;
+        }
+        return finished;
+    }
+
+    // Free text -> smart-search params. The deterministic parser handles the common
+    // phrasings; Claude is only asked when words are left over it couldn't place.
+    // Returns { params, source: 'parser' | 'parser+llm', unparsed }
+    async interpretSearchText(text) {
+        const parsed = parseSearchQuery(text, this.neighborhoods);
+        if (!parsed.unparsed || !this.claudeApiKey) {
+            return { params: parsed.params, source: 'parser', unparsed: parsed.unparsed || null };
+        }
+
+        let reservation = null;
+        try {
+            const content = `Extract the New York City property search from this message:\n\n${text}`;
+            reservation = await this.spend.reserve(this.claudeModel, {
+                input_tokens: estimateTokens(content) + estimateTokens(JSON.stringify(SEARCH_QUERY_TOOL)),
+                output_tokens: 300
+            });
+            const { data } = await this.claude.createMessage({
+                model: this.claudeModel,
+                max_tokens: 300,
+                temperature: 0,
+                tools: [SEARCH_QUERY_TOOL],
+                tool_choice: { type: 'tool', name: SEARCH_QUERY_TOOL.name },
+                messages: [{ role: 'user', content }]
+            });
+            await this.spend.record(this.claudeModel, data.usage);
+
+            return {
+                params: mergeSearchParams(parsed.params, llmSearchParams(data, this.neighborhoods)),
+                source: 'parser+llm',
+                unparsed: parsed.unparsed
+            };
+        } catch (error) {
+            console.warn('⚠️ LLM search parsing failed, using parser results:', error.message);
+            return { params: parsed.params, source: 'parser', unparsed: parsed.unparsed };
+        } finally {
+            this.spend.release(reservation);
+        }
+    }
+
+    // Emails each profile its pending alerts (see services/email-notifier.js)
+    deliverAlerts() {
+        return this.emailNotifier.deliverPending();
+    }
+
+    // Smart-search params from a profile's saved preferences (alerts, DMs), or
+    // null when there is nothing to search. `areas` (resolved gazetteer entries)
+    // replaces the saved neighborhoods and `overrides` the saved filters.
+    profileSearchParams(profile, { areas: requestedAreas, overrides = {}, excludeListingIds = [], maxResults = 10 } = {}) {
+        const savedAreas = (profile.preferred_neighborhoods || profile.neighborhood_preferences || [])
+            .map(name => this.neighborhoods.resolve(name))
+            .filter(Boolean);
+        const areas = (requestedAreas || savedAreas).slice(0, this.maxSearchAreas);
+        if (areas.length === 0) return null;
+
+        return {
+            ...this.searchAreaParams(areas),
+            propertyType: profile.property_type === 'sale' ? 'sale' : 'rental',
+            bedrooms: profile.bedrooms ?? undefined,
+            undervaluationThreshold: profile.discount_threshold || 15,
+            maxPrice: profile.max_budget || undefined,
+            maxResults,
+            noFee: false,
+            providers: this.defaultProviders,
+            valuationMode: this.valuationMode,
+            ...overrides,
+            profileId: profile.id,
+            excludeListingIds
+        };
+    }
+
+    // Validates a request's geo block and turns it into a search area (see services/geo.js)
+    async resolveGeoArea(geo) {
+        const type = geo.type || (geo.polygon ? 'polygon' : geo.line || geo.station ? 'transit' : 'radius');
+
+        if (type === 'polygon') return polygonArea(geo.polygon, geo.label, { maxVertices: this.maxPolygonVertices });
+        if (type === 'transit') return this.resolveTransitArea(geo);
+        if (type !== 'radius') throw new GeoQueryError('geo.type must be one of radius, polygon, transit');
+
+        const radiusMiles = parseFloat(geo.radiusMiles ?? 0.5);
+        if (!(radiusMiles > 0) || radiusMiles > this.maxGeoRadiusMiles) {
+            throw new GeoQueryError(`geo.radiusMiles must be greater than 0 and at most ${this.maxGeoRadiusMiles}`);
+        }
+
+        if (geo.address) {
+            const place = await this.geocoder.geocode(geo.address);
+            return radiusArea(
+                { latitude: place.latitude, longitude: place.longitude },
+                radiusMiles,
+                `${radiusMiles} mi around ${place.label}`
+            );
+        }
+
+        const center = { latitude: parseFloat(geo.latitude ?? geo.lat), longitude: parseFloat(geo.longitude ?? geo.lng) };
+        if (!isValidPoint(center)) {
+            throw new GeoQueryError('geo radius searches need latitude and longitude, or an address');
+        }
+        return radiusArea(center, radiusMiles, geo.label);
+    }
+
+    resolveTransitArea(geo) {
+        const minutes = parseInt(geo.walkMinutes ?? 10);
+        if (!(minutes > 0) || minutes > this.maxWalkMinutes) {
+            throw new GeoQueryError(`geo.walkMinutes must be between 1 and ${this.maxWalkMinutes}`);
+        }
+        if (!geo.line && !geo.station) {
+            throw new GeoQueryError('geo transit searches need a line, a station or both');
+        }
+        if (geo.line && !this.stations.hasLine(geo.line)) {
+            throw new GeoQueryError(`Unknown subway line "${geo.line}"`, 400, { lines: [...this.stations.routes].sort() });
+        }
+
+        if (!geo.station) {
+            const line = normalizeLine(geo.line);
+            return transitArea(this.stations.onLine(line), minutes, `${minutes} min walk from the ${line} line`);
+        }
+
+        const { stations, ambiguous } = this.stations.find(geo.station, geo.line);
+        if (stations.length === 0) {
+            throw new GeoQueryError(
+                `Unknown station "${geo.station}"${geo.line ? ` on the ${normalizeLine(geo.line)} line` : ''}`,
+                400,
+                { suggestions: this.stations.suggest(geo.station), stationsUrl: '/api/stations' }
+            );
+        }
+        if (ambiguous) {
+            throw new GeoQueryError(`"${geo.station}" matches stations in different places; add a line`, 400, {
+                candidates: stations.map(station => this.stations.describe(station))
+            });
+        }
+
+        const routes = [...new Set(stations.flatMap(station => station.routes))];
+        return transitArea(stations, minutes, `${minutes} min walk from ${stations[0].name} (${routes.join('/')})`);
+    }
+
+    // Neighborhoods to fetch for a geo area. Stations double as a coarse
+    // neighborhood locator: the neighborhoods of stations inside the area,
+    // closest to its center first, plus the station nearest the center
+    neighborhoodsForGeoArea(area) {
+        const inside = this.stations.stations.filter(station => containsPoint(area, station));
+        if (area.center) {
+            inside.sort((a, b) => distanceMiles(area.center, a) - distanceMiles(area.center, b));
+            inside.unshift(this.stations.closest(area.center));
+        }
+        return [...new Set(inside.map(station => station.neighborhood))]
+            .filter(slug => this.neighborhoods.neighborhoods.has(slug));
+    }
+
+    // Canonical slug for a provider's neighborhood label; typo matching is only
+    // trusted for user input, so unknown labels are just slugified
+    canonicalNeighborhood(value) {
+        const resolved = this.neighborhoods.resolve(value);
+        return resolved && resolved.matchedBy !== 'fuzzy' && resolved.type === 'neighborhood'
+            ? resolved.slug
+            : (value || '').toLowerCase().trim().replace(/\s+/g, '-');
     }
 
     generateJobId() {
@@ -1135,24 +2937,43 @@ RESPONSE FORMAT:
         return new Promise(resolve => setTimeout(resolve, ms));
     }
 
+    throwIfAborted(context) {
+        if (context?.signal?.aborted) throw new Error('Search canceled');
+    }
+
     start() {
-        this.app.listen(this.port, () => {
+        const server = this.app.listen(this.port, () => {
+            this.recoverJobs();
+            this.analysisCache.purgeExpired()
+                .catch(error => console.warn('⚠️ Analysis cache purge failed:', error.message));
+            if (this.alertsEnabled) this.alertScheduler.start();
+
             console.log(`🚀 NYC Real Estate API Server running on port ${this.port}`);
             console.log(`📊 API Documentation: http://localhost:${this.port}/api`);
             console.log(`💳 Stripe Integration: ${this.stripeDisabled ? 'DISABLED (FREE MODE)' : 'ENABLED'}`);
-            console.log(`📧 Supabase Integration: ENABLED`);
+            console.log(`📧 Storage Backend: ${this.storage.backend.toUpperCase()}`);
             console.log(`🎯 Features:`);
             console.log(`   ✅ Complete StreetEasy integration`);
             console.log(`   ✅ Claude AI property analysis`);
             console.log(`   ✅ Instagram-ready formatting`);
             console.log(`   ✅ ${this.stripeDisabled ? 'Free email notifications' : 'Stripe payments'}`);
         });
+        this.setupJobWebSocket(server);
+        return server;
     }
 }
 
 if (require.main === module) {
     const api = new SmartCacheFirstAPI();
     api.start();
+
+    for (const signal of ['SIGTERM', 'SIGINT']) {
+        process.once(signal, () => {
+            console.log(`🛑 ${signal} received, flushing storage`);
+            api.storage.flush?.();
+            process.exit(0);
+        });
+    }
 }
 
 module.exports = SmartCacheFirstAPI;
@@ -0,0 +1,66 @@
+// providers/fixture-provider.js
+// Local file provider - serves listings from a JSON file (or a directory of
+// JSON files) for offline development, demos and CI
+
+const fs = require('fs');
+const path = require('path');
+const { normalizeListing } = require('./listing');
+
+class FixtureProvider {
+    constructor(options = {}) {
+        this.name = 'fixture';
+        this.filePath = options.filePath || path.join(__dirname, '..', 'fixtures', 'listings.json');
+        this.pageSize = options.pageSize || 20;
+        this.maxPages = options.maxPages || 10;
+        this.maxApiCalls = options.maxApiCalls || 10;
+        this.listings = null;
+    }
+
+    load() {
+        if (this.listings) return this.listings;
+
+        const files = fs.statSync(this.filePath).isDirectory()
+            ? fs.readdirSync(this.filePath)
+                .filter(file => file.endsWith('.json'))
+                .map(file => path.join(this.filePath, file))
+            : [this.filePath];
+
+        this.listings = files.flatMap(file => {
+            const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+            return Array.isArray(data) ? data : (data.listings || data.results || []);
+        });
+
+        console.log(`📁 Loaded ${this.listings.length} fixture listings from ${this.filePath}`);
+        return this.listings;
+    }
+
+    async fetchPage(query, { offset = 0, limit = this.pageSize } = {}) {
+        const matches = this.load()
+            .map(raw => normalizeListing(raw, { source: this.name, propertyType: 'rental', idPrefix: 'fixture_' }))
+            .filter(listing => this.matches(listing, query));
+
+        return {
+            listings: matches.slice(offset, offset + limit),
+            total: matches.length
+        };
+    }
+
+    matches(listing, query) {
+        const slug = listing.neighborhood.toLowerCase().trim().replace(/\s+/g, '-');
+
+        if (query.neighborhoods?.length) {
+            if (!query.neighborhoods.includes(slug)) return false;
+        } else if (query.neighborhood && slug !== query.neighborhood) {
+            return false;
+        }
+        if (query.propertyType && listing.propertyType !== query.propertyType) return false;
+        if (query.bedrooms !== undefined && query.bedrooms !== null && listing.bedrooms !== query.bedrooms) return false;
+        if (query.bathrooms && listing.bathrooms < query.bathrooms) return false;
+        if (query.minPrice && (listing.price || 0) < query.minPrice) return false;
+        if (query.maxPrice && (listing.price || 0) > query.maxPrice) return false;
+        if (query.noFee && query.propertyType === 'rental' && !listing.fees.noFee) return false;
+        return true;
+    }
+}
+
+module.exports = FixtureProvider;
@@ -0,0 +1,33 @@
+// providers/index.js
+// Listing provider registry. LISTING_PROVIDERS is a comma-separated list of
+// provider names queried by default (e.g. "streeteasy" or "streeteasy,fixture").
+//
+// A provider is any object with:
+//   name, pageSize, maxPages, maxApiCalls
+//   async fetchPage(query, { offset, limit, signal }) -> { listings: [normalized], total }
+
+const StreetEasyProvider = require('./streeteasy-provider');
+const FixtureProvider = require('./fixture-provider');
+const { normalizeListing, listingDedupeKey } = require('./listing');
+
+function createProviders(env = process.env) {
+    return {
+        streeteasy: new StreetEasyProvider({
+            apiKey: env.RAPIDAPI_KEY,
+            pageSize: parseInt(env.STREETEASY_PAGE_SIZE) || 20,
+            maxPages: parseInt(env.STREETEASY_MAX_PAGES) || 5,
+            maxApiCalls: parseInt(env.STREETEASY_MAX_API_CALLS_PER_JOB) || 12
+        }),
+        fixture: new FixtureProvider({
+            filePath: env.FIXTURE_LISTINGS_PATH
+        })
+    };
+}
+
+module.exports = {
+    createProviders,
+    normalizeListing,
+    listingDedupeKey,
+    StreetEasyProvider,
+    FixtureProvider
+};
@@ -0,0 +1,80 @@
+// providers/listing.js
+// NORMALIZED LISTING MODEL - every provider maps its raw listings to this shape
+// before they reach analysis, storage and formatting:
+//
+// {
+//   id, source, propertyType, address, unit, neighborhood,
+//   price, bedrooms, bathrooms, sqft, description,
+//   photos: [url], url,
+//   fees: { noFee, brokerFee },
+//   amenities: [string],
+//   coordinates: { latitude, longitude } | null
+// }
+
+function toNumber(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const number = typeof value === 'number' ? value : parseFloat(String(value).replace(/[$,]/g, ''));
+    return Number.isFinite(number) ? number : null;
+}
+
+function extractPhotos(raw) {
+    const candidates = raw.photos || raw.images || raw.media?.photos || [];
+    if (!Array.isArray(candidates)) return [];
+
+    return candidates
+        .map(photo => (typeof photo === 'string' ? photo : photo?.url || photo?.large || photo?.src))
+        .filter(Boolean);
+}
+
+function extractAmenities(raw) {
+    const candidates = raw.amenities || raw.features || [];
+    if (!Array.isArray(candidates)) return [];
+
+    return candidates
+        .map(amenity => (typeof amenity === 'string' ? amenity : amenity?.name || amenity?.label))
+        .filter(Boolean)
+        .map(amenity => amenity.toLowerCase().trim());
+}
+
+function extractCoordinates(raw) {
+    const latitude = toNumber(raw.latitude ?? raw.lat ?? raw.coordinates?.latitude ?? raw.geo?.lat ?? raw.location?.lat);
+    const longitude = toNumber(raw.longitude ?? raw.lng ?? raw.lon ?? raw.coordinates?.longitude ?? raw.geo?.lng ?? raw.location?.lng);
+
+    return latitude !== null && longitude !== null ? { latitude, longitude } : null;
+}
+
+function normalizeListing(raw, { source, propertyType, neighborhood, idPrefix = '' } = {}) {
+    const rawId = raw.id ?? raw.listingId ?? raw.listing_id;
+    const noFee = raw.noFee ?? raw.no_fee ?? raw.fees?.noFee ?? raw.isNoFee;
+
+    return {
+        id: rawId !== undefined && rawId !== null ? `${idPrefix}${rawId}` : null,
+        source,
+        propertyType: raw.propertyType || propertyType,
+        address: raw.address || raw.street || raw.title || '',
+        unit: raw.unit ?? raw.unitNumber ?? null,
+        neighborhood: raw.neighborhood || raw.areaName || neighborhood || '',
+        price: toNumber(raw.price ?? raw.rent ?? raw.monthly_rent),
+        bedrooms: toNumber(raw.bedrooms ?? raw.beds) ?? 0,
+        bathrooms: toNumber(raw.bathrooms ?? raw.baths) ?? 0,
+        sqft: toNumber(raw.sqft ?? raw.size ?? raw.squareFeet),
+        description: raw.description || '',
+        photos: extractPhotos(raw),
+        url: raw.url || raw.listing_url || raw.listingUrl || '',
+        fees: {
+            noFee: noFee === undefined ? null : Boolean(noFee),
+            brokerFee: raw.brokerFee ?? raw.fees?.brokerFee ?? null
+        },
+        amenities: extractAmenities(raw),
+        coordinates: extractCoordinates(raw)
+    };
+}
+
+// Same unit listed by two providers: match on address + unit
+function listingDedupeKey(listing) {
+    const address = (listing.address || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+    const unit = String(listing.unit || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+    return address ? `${address}#${unit}` : `${listing.source}:${listing.id}`;
+}
+
+module.exports = { normalizeListing, listingDedupeKey, toNumber };
@@ -0,0 +1,91 @@
+// providers/streeteasy-provider.js
+// StreetEasy via RapidAPI
+
+const axios = require('axios');
+const { normalizeListing } = require('./listing');
+
+class StreetEasyProvider {
+    constructor(options = {}) {
+        this.name = 'streeteasy';
+        this.apiKey = options.apiKey;
+        this.host = options.host || 'streeteasy-api.p.rapidapi.com';
+        this.pageSize = options.pageSize || 20;
+        this.maxPages = options.maxPages || 5;
+        this.maxApiCalls = options.maxApiCalls || 12;
+        this.timeoutMs = options.timeoutMs || 30000;
+    }
+
+    async fetchPage(query, { offset = 0, limit = this.pageSize, signal } = {}) {
+        const apiUrl = query.propertyType === 'rental'
+            ? `https://${this.host}/rentals/search`
+            : `https://${this.host}/sales/search`;
+
+        const response = await axios.get(apiUrl, {
+            params: this.buildParams(query, limit, offset),
+            headers: {
+                'X-RapidAPI-Key': this.apiKey,
+                'X-RapidAPI-Host': this.host
+            },
+            timeout: this.timeoutMs,
+            signal
+        });
+
+        const { listings, total } = this.extractListings(response.data);
+
+        return {
+            listings: listings.map(raw => {
+                const listing = normalizeListing(raw, {
+                    source: this.name,
+                    propertyType: query.propertyType,
+                    neighborhood: query.neighborhood
+                });
+                // A noFee search only returns no-fee listings even when the
+                // payload does not say so
+                if (listing.fees.noFee === null && query.noFee && query.propertyType === 'rental') {
+                    listing.fees.noFee = true;
+                }
+                return listing;
+            }),
+            total
+        };
+    }
+
+    buildParams(query, limit, offset) {
+        const apiParams = {
+            // Borough searches are expanded to every neighborhood's StreetEasy area
+            areas: (query.streeteasyAreas || [query.neighborhood]).join(','),
+            limit,
+            offset
+        };
+
+        if (query.minPrice) apiParams.minPrice = query.minPrice;
+        if (query.maxPrice) apiParams.maxPrice = query.maxPrice;
+        if (query.bedrooms !== undefined && query.bedrooms !== null) {
+            apiParams.minBeds = query.bedrooms;
+            apiParams.maxBeds = query.bedrooms;
+        }
+        if (query.bathrooms) apiParams.minBath = query.bathrooms;
+        if (query.noFee && query.propertyType === 'rental') apiParams.noFee = true;
+
+        return apiParams;
+    }
+
+    extractListings(data) {
+        let listings = [];
+        if (data?.results && Array.isArray(data.results)) {
+            listings = data.results;
+        } else if (data?.listings && Array.isArray(data.listings)) {
+            listings = data.listings;
+        } else if (Array.isArray(data)) {
+            listings = data;
+        }
+
+        const total = Array.isArray(data)
+            ? null
+            : (data?.total ?? data?.totalCount ?? data?.pagination?.total ?? null);
+
+        return { listings, total };
+    }
+}
+
+module.exports = StreetEasyProvider;
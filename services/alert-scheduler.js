@@ -0,0 +1,180 @@
+// services/alert-scheduler.js
+// PREFERENCE ALERT SCHEDULER - periodically turns every active profile's saved
+// preferences into a smart search, runs it through the normal search queue and
+// queues the listings that profile has not been sent yet (storage.alerts, status
+// 'pending') for delivery
+
+// How often each plan is searched and how many new listings one run may queue.
+// Plans without an entry get no alerts. Override with ALERT_PLANS_JSON.
+const DEFAULT_PLAN_POLICIES = {
+    unlimited: { intervalHours: 12, maxMatches: 10 }
+};
+
+class AlertScheduler {
+    constructor(options = {}) {
+        this.storage = options.storage;
+        // (profile, { excludeListingIds, maxResults }) => search params, or null to skip the profile
+        this.buildSearchParams = options.buildSearchParams;
+        // (params, profile) => Promise of the finished job's results
+        this.runSearch = options.runSearch;
+        // Optional () => Promise, called after each pass to send what was queued
+        this.deliver = options.deliver || null;
+        this.plans = { ...DEFAULT_PLAN_POLICIES, ...(options.plans || {}) };
+        this.tickIntervalMs = options.tickIntervalMs || 15 * 60 * 1000;
+        this.concurrency = options.concurrency || 2;
+        this.timer = null;
+        this.running = null;
+        this.lastTick = null;
+    }
+
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => {
+            this.tick().catch(error => console.error('❌ Alert scheduler tick failed:', error));
+        }, this.tickIntervalMs);
+        this.timer.unref?.();
+        console.log(`⏰ Alert scheduler checking profiles every ${Math.round(this.tickIntervalMs / 60000)} min`);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    policyFor(profile) {
+        if (profile.is_canceled || profile.alerts_paused_at) return null;
+        return this.plans[profile.subscription_plan] || null;
+    }
+
+    isDue(profile, lastRun, now = Date.now()) {
+        const policy = this.policyFor(profile);
+        if (!policy) return false;
+        if (!lastRun?.started_at) return true;
+        return now - new Date(lastRun.started_at).getTime() >= policy.intervalHours * 60 * 60 * 1000;
+    }
+
+    // One pass over the active profiles. Overlapping ticks share the pass in flight.
+    // `force` runs the given profiles even if they are not due yet.
+    tick({ profileIds = null, force = false } = {}) {
+        if (this.running) return this.running;
+
+        this.running = this.runDueProfiles({ profileIds, force })
+            .finally(() => { this.running = null; });
+        return this.running;
+    }
+
+    async runDueProfiles({ profileIds, force }) {
+        const startedAt = new Date().toISOString();
+        const profiles = (await this.storage.profiles.listActive())
+            .filter(profile => !profileIds || profileIds.includes(profile.id));
+
+        const due = [];
+        for (const profile of profiles) {
+            if (!this.policyFor(profile)) continue;
+            const lastRun = await this.storage.alertRuns.get(profile.id);
+            if (force || this.isDue(profile, lastRun)) due.push(profile);
+        }
+
+        const runs = [];
+        const pending = [...due];
+        const workers = Array.from({ length: Math.min(this.concurrency, pending.length) }, async () => {
+            while (pending.length > 0) {
+                runs.push(await this.runProfile(pending.shift()));
+            }
+        });
+        await Promise.all(workers);
+
+        this.lastTick = {
+            startedAt,
+            completedAt: new Date().toISOString(),
+            profilesChecked: profiles.length,
+            profilesRun: runs.length,
+            alertsQueued: runs.reduce((sum, run) => sum + (run.alertsQueued || 0), 0),
+            failures: runs.filter(run => run.status === 'failed').length
+        };
+        const searched = runs.filter(run => run.status === 'completed').length;
+        if (runs.length > 0) {
+            console.log(`⏰ Alert run: ${searched} profiles searched, ${this.lastTick.alertsQueued} new alerts queued`);
+        }
+
+        // Runs even when nothing new was queued so earlier failed sends are retried
+        if (this.deliver) {
+            try {
+                this.lastTick.delivery = await this.deliver();
+            } catch (error) {
+                console.error('❌ Alert delivery failed:', error.message);
+                this.lastTick.delivery = { error: error.message };
+            }
+        }
+        return { ...this.lastTick, runs };
+    }
+
+    async runProfile(profile) {
+        const policy = this.policyFor(profile);
+        const run = { status: 'running', started_at: new Date().toISOString(), completed_at: null, error_message: null };
+
+        try {
+            const alreadySent = await this.storage.alerts.listListingIds(profile.id);
+            const params = this.buildSearchParams(profile, {
+                excludeListingIds: alreadySent,
+                maxResults: policy.maxMatches
+            });
+            if (!params) {
+                await this.storage.alertRuns.save(profile.id, { ...run, status: 'skipped', completed_at: run.started_at });
+                return { profileId: profile.id, status: 'skipped' };
+            }
+
+            // Recorded before searching so a crash mid-run waits a full interval
+            // instead of retrying on every tick
+            await this.storage.alertRuns.save(profile.id, run);
+
+            const result = await this.runSearch(params, profile);
+            const sent = new Set(alreadySent);
+            const matches = (result.properties || [])
+                .filter(property => property.listing_id && !sent.has(property.listing_id))
+                .slice(0, policy.maxMatches);
+
+            const queued = await this.storage.alerts.queueMany(matches.map(property => ({
+                profile_id: profile.id,
+                listing_id: property.listing_id,
+                property_type: params.propertyType,
+                job_id: result.jobId,
+                discount_percent: property.discount_percent,
+                listing: property
+            })));
+
+            const summary = {
+                ...run,
+                status: 'completed',
+                job_id: result.jobId,
+                completed_at: new Date().toISOString(),
+                matches_found: matches.length,
+                alerts_queued: queued.length
+            };
+            await this.storage.alertRuns.save(profile.id, summary);
+            return { profileId: profile.id, status: 'completed', jobId: result.jobId, alertsQueued: queued.length };
+
+        } catch (error) {
+            console.error(`❌ Alert run failed for profile ${profile.id}:`, error.message);
+            await this.storage.alertRuns.save(profile.id, {
+                ...run,
+                status: 'failed',
+                completed_at: new Date().toISOString(),
+                error_message: error.message
+            }).catch(() => {});
+            return { profileId: profile.id, status: 'failed', error: error.message };
+        }
+    }
+
+    stats() {
+        return {
+            enabled: Boolean(this.timer),
+            tickIntervalMinutes: Math.round(this.tickIntervalMs / 60000),
+            plans: this.plans,
+            running: Boolean(this.running),
+            lastTick: this.lastTick
+        };
+    }
+}
+
+module.exports = { AlertScheduler, DEFAULT_PLAN_POLICIES };
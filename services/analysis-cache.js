@@ -0,0 +1,100 @@
+// services/analysis-cache.js
+// LISTING ANALYSIS CACHE - remembers Claude's verdict per listing, keyed by
+// listing id plus a hash of the fields the analysis depends on, so unchanged
+// listings are not re-scored on every search or threshold step
+
+const crypto = require('crypto');
+
+class AnalysisCache {
+    constructor(options = {}) {
+        this.storage = options.storage;
+        this.maxAgeHours = options.maxAgeHours ?? 72;
+    }
+
+    // A price, layout, size or description change produces a new hash, which
+    // invalidates the cached analysis for that listing
+    static contentHash(listing) {
+        const content = JSON.stringify([
+            listing.price ?? null,
+            listing.bedrooms ?? null,
+            listing.bathrooms ?? null,
+            listing.sqft ?? null,
+            (listing.description || '').trim()
+        ]);
+        return crypto.createHash('sha256').update(content).digest('hex');
+    }
+
+    get enabled() {
+        return this.maxAgeHours > 0;
+    }
+
+    // Returns Map<listingId, analysis> for listings with a fresh, matching entry.
+    // An entry scored by a different model is a miss, so changing ANTHROPIC_MODEL
+    // or the tiers re-scores listings instead of serving the old model's verdict
+    async lookup(listings, model) {
+        const hits = new Map();
+        if (!this.enabled || listings.length === 0) return hits;
+
+        const ids = listings.map(listing => listing.id).filter(Boolean);
+        let rows = [];
+        try {
+            rows = await this.storage.listingAnalyses.getMany(ids);
+        } catch (error) {
+            console.warn('⚠️ Analysis cache lookup failed:', error.message);
+            return hits;
+        }
+
+        const cutoff = Date.now() - this.maxAgeHours * 60 * 60 * 1000;
+        const rowsById = new Map(rows.map(row => [row.listing_id, row]));
+        for (const listing of listings) {
+            const row = rowsById.get(listing.id);
+            if (!row) continue;
+            if (row.content_hash !== AnalysisCache.contentHash(listing)) continue;
+            if (row.model !== model) continue;
+            if (new Date(row.analyzed_at).getTime() < cutoff) continue;
+            hits.set(listing.id, row.analysis);
+        }
+        return hits;
+    }
+
+    // Stores analyses for listings Claude actually scored; failed ones are left
+    // uncached so the next search retries them
+    async store(scoredProperties, model) {
+        if (!this.enabled) return 0;
+
+        const analyzedAt = new Date().toISOString();
+        const rows = scoredProperties
+            .filter(property => property.analyzed && property.id && property.valuationSource !== 'comps')
+            .map(property => ({
+                listing_id: property.id,
+                content_hash: AnalysisCache.contentHash(property),
+                price: property.price ?? null,
+                model,
+                analysis: {
+                    percentBelowMarket: property.discount_percent,
+                    isUndervalued: property.isUndervalued,
+                    reasoning: property.reasoning,
+                    score: property.score,
+                    grade: property.grade,
+                    estimatedMarketPrice: property.explanation?.estimatedMarketPrice ?? null,
+                    factors: property.explanation?.factors || []
+                },
+                analyzed_at: analyzedAt
+            }));
+
+        try {
+            return await this.storage.listingAnalyses.upsertMany(rows);
+        } catch (error) {
+            console.warn('⚠️ Analysis cache write failed:', error.message);
+            return 0;
+        }
+    }
+
+    async purgeExpired() {
+        if (!this.enabled) return 0;
+        const cutoff = new Date(Date.now() - this.maxAgeHours * 60 * 60 * 1000).toISOString();
+        return this.storage.listingAnalyses.deleteOlderThan(cutoff);
+    }
+}
+
+module.exports = { AnalysisCache };
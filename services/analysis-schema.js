@@ -0,0 +1,180 @@
+// services/analysis-schema.js
+// Structured output contract for property analysis: the tool definition Claude
+// is forced to call, plus validation/repair of what comes back
+
+const GRADES = ['A+', 'A', 'A-', 'B+', 'B', 'B-', 'C+', 'C', 'C-', 'D+', 'D', 'D-', 'F'];
+
+const FACTOR_IMPACTS = ['positive', 'negative', 'neutral'];
+
+const ANALYSIS_TOOL = {
+    name: 'record_property_analysis',
+    description: 'Record the undervaluation analysis for every property in the batch.',
+    input_schema: {
+        type: 'object',
+        properties: {
+            analyses: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: {
+                        propertyIndex: { type: 'integer', minimum: 1, description: 'The "Property N" number from the prompt' },
+                        percentBelowMarket: { type: 'number', description: 'Estimated discount vs. market; negative when above market' },
+                        isUndervalued: { type: 'boolean' },
+                        reasoning: { type: 'string', description: 'One or two sentences explaining the estimate' },
+                        score: { type: 'number', minimum: 0, maximum: 100 },
+                        grade: { type: 'string', enum: GRADES },
+                        estimatedMarketPrice: { type: 'number', description: 'Typical price for a comparable unit, same units as the listed price' },
+                        factors: {
+                            type: 'array',
+                            maxItems: 5,
+                            description: 'What moved the estimate, most important first',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    factor: { type: 'string', description: 'Short snake_case name, e.g. no_fee, small_bedroom, doorman' },
+                                    impact: { type: 'string', enum: FACTOR_IMPACTS, description: 'Effect on the deal for the renter/buyer' },
+                                    detail: { type: 'string' }
+                                },
+                                required: ['factor', 'impact']
+                            }
+                        }
+                    },
+                    required: ['propertyIndex', 'percentBelowMarket', 'isUndervalued', 'reasoning', 'score', 'grade']
+                }
+            }
+        },
+        required: ['analyses']
+    }
+};
+
+function toFiniteNumber(value) {
+    if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+    if (typeof value === 'string') {
+        const parsed = parseFloat(value.replace(/[%\s,]/g, ''));
+        return Number.isFinite(parsed) ? parsed : null;
+    }
+    return null;
+}
+
+function gradeFromScore(score) {
+    if (score >= 97) return 'A+';
+    if (score >= 93) return 'A';
+    if (score >= 90) return 'A-';
+    if (score >= 87) return 'B+';
+    if (score >= 83) return 'B';
+    if (score >= 80) return 'B-';
+    if (score >= 77) return 'C+';
+    if (score >= 73) return 'C';
+    if (score >= 70) return 'C-';
+    if (score >= 67) return 'D+';
+    if (score >= 63) return 'D';
+    if (score >= 60) return 'D-';
+    return 'F';
+}
+
+function sanitizeFactors(factors) {
+    if (!Array.isArray(factors)) return [];
+
+    return factors
+        .filter(factor => factor && typeof factor.factor === 'string' && factor.factor.trim())
+        .slice(0, 5)
+        .map(factor => ({
+            factor: factor.factor.trim().toLowerCase().replace(/[^a-z0-9]+/g, '_'),
+            impact: FACTOR_IMPACTS.includes(factor.impact) ? factor.impact : 'neutral',
+            adjustmentPercent: null,
+            detail: typeof factor.detail === 'string' ? factor.detail.trim() : ''
+        }));
+}
+
+// Pull the analysis array out of a Messages API response: the forced tool call
+// when present, otherwise the first JSON array found in the text
+function extractAnalysisItems(responseData) {
+    const content = responseData?.content || [];
+
+    const toolUse = content.find(block => block.type === 'tool_use' && block.name === ANALYSIS_TOOL.name);
+    if (toolUse) {
+        const analyses = toolUse.input?.analyses;
+        return Array.isArray(analyses) ? analyses : [];
+    }
+
+    const text = content.filter(block => block.type === 'text').map(block => block.text).join('\n');
+    const start = text.indexOf('[');
+    const end = text.lastIndexOf(']');
+    if (start === -1 || end <= start) return [];
+
+    try {
+        const parsed = JSON.parse(text.slice(start, end + 1));
+        return Array.isArray(parsed) ? parsed : [];
+    } catch (error) {
+        return [];
+    }
+}
+
+// Validate each item, repairing what can be repaired. Returns the usable
+// analyses keyed by propertyIndex, the indexes still missing and the issues found.
+function validateAnalyses(items, propertyCount, threshold) {
+    const analyses = new Map();
+    const issues = [];
+
+    for (const item of items) {
+        const index = Number.isInteger(item?.propertyIndex) ? item.propertyIndex : parseInt(item?.propertyIndex);
+
+        if (!Number.isInteger(index) || index < 1 || index > propertyCount) {
+            issues.push(`invalid propertyIndex ${JSON.stringify(item?.propertyIndex)}`);
+            continue;
+        }
+        if (analyses.has(index)) {
+            issues.push(`duplicate propertyIndex ${index}`);
+            continue;
+        }
+
+        const percentBelowMarket = toFiniteNumber(item.percentBelowMarket);
+        if (percentBelowMarket === null) {
+            issues.push(`property ${index}: unusable percentBelowMarket`);
+            continue;
+        }
+
+        let score = toFiniteNumber(item.score);
+        if (score === null) {
+            issues.push(`property ${index}: missing score, defaulted to 0`);
+            score = 0;
+        }
+        score = Math.min(Math.max(Math.round(score), 0), 100);
+
+        let grade = typeof item.grade === 'string' ? item.grade.trim().toUpperCase() : null;
+        if (!GRADES.includes(grade)) {
+            if (item.grade !== undefined) issues.push(`property ${index}: invalid grade ${JSON.stringify(item.grade)}`);
+            grade = gradeFromScore(score);
+        }
+
+        analyses.set(index, {
+            propertyIndex: index,
+            percentBelowMarket: Math.round(percentBelowMarket * 10) / 10,
+            isUndervalued: typeof item.isUndervalued === 'boolean'
+                ? item.isUndervalued
+                : percentBelowMarket >= threshold,
+            reasoning: typeof item.reasoning === 'string' ? item.reasoning.trim() : '',
+            score,
+            grade,
+            estimatedMarketPrice: toFiniteNumber(item.estimatedMarketPrice) > 0
+                ? Math.round(toFiniteNumber(item.estimatedMarketPrice))
+                : null,
+            factors: sanitizeFactors(item.factors)
+        });
+    }
+
+    const missing = [];
+    for (let index = 1; index <= propertyCount; index++) {
+        if (!analyses.has(index)) missing.push(index);
+    }
+
+    return { analyses, missing, issues };
+}
+
+module.exports = {
+    ANALYSIS_TOOL,
+    GRADES,
+    extractAnalysisItems,
+    validateAnalyses,
+    gradeFromScore
+};
@@ -0,0 +1,170 @@
+// services/callback-dispatcher.js
+// SIGNED JOB CALLBACKS - POSTs job outcomes to client-supplied URLs with an
+// HMAC signature and exponential backoff retries. Callback hosts must resolve
+// to public addresses, checked when the job is queued and again on connect
+// (so a DNS change between the two can't reach internal services).
+
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const axios = require('axios');
+
+// Loopback, private, link-local (cloud metadata), CGNAT and unspecified ranges
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [address, prefix] of [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+    ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16]
+]) {
+    BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4');
+}
+for (const [address, prefix] of [['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10]]) {
+    BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6');
+}
+
+function isPrivateAddress(address) {
+    // IPv4-mapped IPv6 (::ffff:127.0.0.1) is checked as the IPv4 address
+    const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+    if (mapped) return BLOCKED_ADDRESSES.check(mapped[1], 'ipv4');
+    return BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+// dns.lookup that refuses to hand a private address to the socket
+function publicLookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) return callback(error);
+        const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+        if (blocked) return callback(new Error(`Host ${hostname} resolves to private address ${blocked.address}`));
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+class CallbackDispatcher {
+    constructor(options = {}) {
+        this.signingSecret = options.signingSecret;
+        this.maxAttempts = options.maxAttempts || 5;
+        this.baseDelayMs = options.baseDelayMs || 2000;
+        this.timeoutMs = options.timeoutMs || 10000;
+        // For local development against a callback receiver on localhost
+        this.allowPrivateNetworks = Boolean(options.allowPrivateNetworks);
+        this.agents = this.allowPrivateNetworks ? {} : CallbackDispatcher.publicAgents();
+    }
+
+    static isPrivateAddress(address) {
+        return isPrivateAddress(address);
+    }
+
+    // axios agents that only connect to public addresses (IP-literal hosts skip
+    // DNS, so callers check those with isPrivateAddress); also used for other
+    // outbound fetches of URLs we don't control (share card photos)
+    static publicAgents() {
+        return {
+            httpAgent: new http.Agent({ lookup: publicLookup }),
+            httpsAgent: new https.Agent({ lookup: publicLookup })
+        };
+    }
+
+    // Returns null when the URL is acceptable, otherwise the reason it isn't
+    async checkUrl(url) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch (error) {
+            return 'callbackUrl must be an http(s) URL';
+        }
+        if (!['https:', 'http:'].includes(parsed.protocol)) return 'callbackUrl must be an http(s) URL';
+        if (this.allowPrivateNetworks) return null;
+
+        const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+        let addresses;
+        try {
+            addresses = net.isIP(hostname)
+                ? [hostname]
+                : (await dns.promises.lookup(hostname, { all: true })).map(({ address }) => address);
+        } catch (error) {
+            return `callbackUrl host ${hostname} does not resolve`;
+        }
+        return addresses.some(isPrivateAddress)
+            ? 'callbackUrl must not point at a loopback, private or link-local address'
+            : null;
+    }
+
+    // Each client API key gets its own secret, derived from the server secret so
+    // nothing extra has to be stored. Jobs queued with the master key (no client)
+    // are signed with the server secret itself.
+    secretForClient(clientId) {
+        if (!clientId) return this.signingSecret;
+        return crypto
+            .createHmac('sha256', this.signingSecret)
+            .update(`callback:${clientId}`)
+            .digest('hex');
+    }
+
+    // Stripe-style header: t=<unix seconds>,v1=<hex HMAC of "t.body">
+    sign(secret, body, timestamp) {
+        const signature = crypto
+            .createHmac('sha256', secret)
+            .update(`${timestamp}.${body}`)
+            .digest('hex');
+        return `t=${timestamp},v1=${signature}`;
+    }
+
+    async deliver({ url, clientId, event, jobId, payload, onAttempt = () => {} }) {
+        const body = JSON.stringify(payload);
+        const secret = this.secretForClient(clientId);
+
+        for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
+            const startedAt = Date.now();
+            const timestamp = Math.floor(startedAt / 1000);
+            let record;
+
+            try {
+                const response = await axios.post(url, body, {
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'X-Realer-Event': event,
+                        'X-Realer-Job-Id': jobId,
+                        'X-Realer-Delivery-Attempt': String(attempt),
+                        'X-Realer-Signature': this.sign(secret, body, timestamp)
+                    },
+                    timeout: this.timeoutMs,
+                    maxRedirects: 0,
+                    ...this.agents,
+                    validateStatus: () => true
+                });
+
+                record = {
+                    attempt,
+                    at: new Date(startedAt).toISOString(),
+                    statusCode: response.status,
+                    durationMs: Date.now() - startedAt,
+                    error: response.status >= 300 ? `HTTP ${response.status}` : null
+                };
+            } catch (error) {
+                record = {
+                    attempt,
+                    at: new Date(startedAt).toISOString(),
+                    statusCode: null,
+                    durationMs: Date.now() - startedAt,
+                    error: error.message
+                };
+            }
+
+            const delivered = !record.error;
+            await onAttempt(record, delivered);
+            if (delivered) return true;
+
+            if (attempt < this.maxAttempts) {
+                const backoffMs = this.baseDelayMs * 2 ** (attempt - 1);
+                console.warn(`⚠️ Callback for ${jobId} failed (${record.error}), retrying in ${backoffMs}ms`);
+                await new Promise(resolve => setTimeout(resolve, backoffMs));
+            }
+        }
+
+        return false;
+    }
+}
+
+module.exports = CallbackDispatcher;
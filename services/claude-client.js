@@ -0,0 +1,91 @@
+// services/claude-client.js
+// Thin Anthropic Messages API client with retry + exponential backoff for
+// rate-limit (429), overload (529) and transient 5xx responses. When given a
+// shared TokenBucketLimiter every attempt waits for RPM/TPM capacity first
+
+const axios = require('axios');
+const { estimateTokens, sleep } = require('./rate-limiter');
+
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504, 529];
+
+class ClaudeApiError extends Error {
+    constructor(message, status, attempts) {
+        super(message);
+        this.name = 'ClaudeApiError';
+        this.status = status || null;
+        this.attempts = attempts;
+    }
+}
+
+class ClaudeClient {
+    constructor(options = {}) {
+        this.apiKey = options.apiKey;
+        this.baseUrl = options.baseUrl || 'https://api.anthropic.com';
+        this.maxRetries = options.maxRetries ?? 4;
+        this.baseDelayMs = options.baseDelayMs || 1000;
+        this.timeoutMs = options.timeoutMs || 60000;
+        this.limiter = options.limiter || null;
+    }
+
+    // Input estimate from the message text plus the full output allowance; the
+    // limiter is corrected with the real usage once the response arrives
+    estimateRequestTokens(body) {
+        const text = JSON.stringify(body.messages) + JSON.stringify(body.tools || []) + (body.system || '');
+        return estimateTokens(text) + (body.max_tokens || 0);
+    }
+
+    async createMessage(body, { signal } = {}) {
+        const estimatedTokens = this.estimateRequestTokens(body);
+
+        for (let attempt = 1; ; attempt++) {
+            const reserved = this.limiter
+                ? await this.limiter.acquire(estimatedTokens, { signal })
+                : 0;
+
+            try {
+                const response = await axios.post(`${this.baseUrl}/v1/messages`, body, {
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'X-API-Key': this.apiKey,
+                        'anthropic-version': '2023-06-01'
+                    },
+                    timeout: this.timeoutMs,
+                    signal
+                });
+
+                const usage = response.data?.usage;
+                this.limiter?.settle(reserved, (usage?.input_tokens || 0) + (usage?.output_tokens || 0));
+                return { data: response.data, attempts: attempt };
+
+            } catch (error) {
+                // A failed attempt is not billed, so every failure path hands its
+                // reservation back to the shared bucket
+                this.limiter?.settle(reserved, 0);
+                if (signal?.aborted) throw error;
+
+                const status = error.response?.status;
+                const retryable = !status || RETRYABLE_STATUSES.includes(status);
+                const message = error.response?.data?.error?.message || error.message;
+
+                if (!retryable || attempt > this.maxRetries) {
+                    throw new ClaudeApiError(`Claude API ${status || 'network'} error: ${message}`, status, attempt);
+                }
+
+                const retryAfterMs = parseFloat(error.response?.headers?.['retry-after']) * 1000;
+                const backoffMs = Number.isFinite(retryAfterMs)
+                    ? retryAfterMs
+                    : this.baseDelayMs * 2 ** (attempt - 1) + Math.floor(Math.random() * 250);
+
+                console.warn(`⚠️ Claude API ${status || 'network'} error, retry ${attempt}/${this.maxRetries} in ${backoffMs}ms`);
+                if (this.limiter && (status === 429 || status === 529)) {
+                    // Rate limits are account-wide, so every job backs off together
+                    this.limiter.pause(backoffMs);
+                } else {
+                    await sleep(backoffMs, signal);
+                }
+            }
+        }
+    }
+}
+
+module.exports = { ClaudeClient, ClaudeApiError, RETRYABLE_STATUSES };
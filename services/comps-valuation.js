@@ -0,0 +1,290 @@
+// services/comps-valuation.js
+// COMPARABLES VALUATION - deterministic, non-LLM scorer built from stored
+// listings: neighborhood x bedroom medians blended with price per sqft, then
+// adjusted for bathrooms, no-fee status and amenities. Produces analyses in
+// the same shape as the Claude tool output so either scorer can be swapped in,
+// plus a structured explanation naming the comps behind the estimate
+
+const { gradeFromScore } = require('./analysis-schema');
+
+const COMPARABLES_SHOWN = 5;
+
+const VALUATION_MODES = ['llm', 'comps', 'fallback', 'check'];
+
+// Relative value of each feature on top of the comp median
+const ADJUSTMENTS = {
+    perBathroom: 0.05,
+    maxBathroomSteps: 2,
+    noFeeRental: 0.03,
+    amenities: {
+        doorman: 0.04,
+        elevator: 0.02,
+        washer_dryer: 0.04,
+        dishwasher: 0.01,
+        outdoor_space: 0.03,
+        gym: 0.02
+    }
+};
+
+const ADJUSTMENT_LABELS = {
+    bathrooms: 'Bathrooms vs. comps',
+    no_fee: 'No broker fee',
+    doorman: 'Doorman',
+    elevator: 'Elevator',
+    washer_dryer: 'In-unit washer/dryer',
+    dishwasher: 'Dishwasher',
+    outdoor_space: 'Private outdoor space',
+    gym: 'Gym'
+};
+
+const AMENITY_PATTERNS = {
+    doorman: /\bdoorman\b|\bconcierge\b/i,
+    elevator: /\belevator\b/i,
+    washer_dryer: /\b(in[- ]unit )?washer\s*\/?\s*(and )?dryer\b|\bw\/d\b|\blaundry in[- ]unit\b/i,
+    dishwasher: /\bdishwasher\b/i,
+    outdoor_space: /\b(balcony|terrace|roof ?deck|private (yard|garden)|patio)\b/i,
+    gym: /\b(gym|fitness (center|room))\b/i
+};
+
+function median(values) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function slugify(value) {
+    return (value || '').toLowerCase().trim().replace(/\s+/g, '-');
+}
+
+function toComp(row, priceColumn) {
+    return {
+        listingId: row.listing_id,
+        address: row.address || '',
+        unit: row.unit || null,
+        price: row[priceColumn],
+        bedrooms: row.bedrooms || 0,
+        bathrooms: row.bathrooms || 0,
+        sqft: row.sqft || null
+    };
+}
+
+function detectAmenities(listing) {
+    const found = new Set();
+    for (const amenity of listing.amenities || []) {
+        const key = String(amenity).toLowerCase().replace(/[^a-z]+/g, '_');
+        if (ADJUSTMENTS.amenities[key]) found.add(key);
+    }
+    for (const [amenity, pattern] of Object.entries(AMENITY_PATTERNS)) {
+        if (pattern.test(listing.description || '')) found.add(amenity);
+    }
+    return [...found];
+}
+
+class CompsValuation {
+    constructor(options = {}) {
+        this.storage = options.storage;
+        this.minComps = options.minComps || 5;
+        this.lookbackDays = options.lookbackDays || 90;
+        this.maxComps = options.maxComps || 1000;
+    }
+
+    // Loads the stored listings one neighborhood's valuations are based on
+    async loadMarket(propertyType, neighborhood) {
+        const freshSince = new Date(Date.now() - this.lookbackDays * 24 * 60 * 60 * 1000).toISOString();
+        const priceColumn = propertyType === 'rental' ? 'monthly_rent' : 'price';
+        const rows = await this.storage.listings.search({
+            propertyType,
+            neighborhood,
+            status: 'active',
+            freshSince,
+            // Newest first, not the default most-discounted-first, which would
+            // fill a capped pool with the cheapest listings and drag medians down
+            sort: 'recent',
+            limit: this.maxComps
+        });
+
+        return {
+            propertyType,
+            neighborhood,
+            comps: rows
+                .filter(row => row[priceColumn] > 0)
+                .map(row => toComp(row, priceColumn))
+        };
+    }
+
+    // Estimated market price for one listing, or null when there are too few comps
+    estimate(listing, market) {
+        const comps = market.comps.filter(comp => comp.listingId !== listing.id);
+        const sameLayout = comps.filter(comp => comp.bedrooms === (listing.bedrooms || 0));
+        const withSqft = comps.filter(comp => comp.sqft > 0);
+
+        const bedroomMedian = sameLayout.length >= this.minComps
+            ? median(sameLayout.map(comp => comp.price))
+            : null;
+        const pricePerSqft = listing.sqft > 0 && withSqft.length >= this.minComps
+            ? median(withSqft.map(comp => comp.price / comp.sqft))
+            : null;
+
+        if (bedroomMedian === null && pricePerSqft === null) return null;
+
+        // Layout medians are the steadier signal; price per sqft refines them when the listing has a size
+        let base;
+        let method;
+        if (bedroomMedian !== null && pricePerSqft !== null) {
+            base = bedroomMedian * 0.6 + pricePerSqft * listing.sqft * 0.4;
+            method = 'bedroom_median+price_per_sqft';
+        } else if (bedroomMedian !== null) {
+            base = bedroomMedian;
+            method = 'bedroom_median';
+        } else {
+            base = pricePerSqft * listing.sqft;
+            method = 'price_per_sqft';
+        }
+
+        const adjustments = [];
+        const layoutComps = sameLayout.length >= this.minComps ? sameLayout : comps;
+        const bathroomSteps = Math.max(
+            -ADJUSTMENTS.maxBathroomSteps,
+            Math.min(ADJUSTMENTS.maxBathroomSteps, (listing.bathrooms || 0) - median(layoutComps.map(comp => comp.bathrooms)))
+        );
+        if (bathroomSteps !== 0) {
+            adjustments.push({ factor: 'bathrooms', percent: Math.round(bathroomSteps * ADJUSTMENTS.perBathroom * 1000) / 10 });
+        }
+        if (market.propertyType === 'rental' && listing.fees?.noFee) {
+            adjustments.push({ factor: 'no_fee', percent: ADJUSTMENTS.noFeeRental * 100 });
+        }
+        for (const amenity of detectAmenities(listing)) {
+            adjustments.push({ factor: amenity, percent: ADJUSTMENTS.amenities[amenity] * 100 });
+        }
+
+        const adjustmentPercent = adjustments.reduce((sum, adjustment) => sum + adjustment.percent, 0);
+        const pool = bedroomMedian !== null ? sameLayout : withSqft;
+        return {
+            marketPrice: Math.round(base * (1 + adjustmentPercent / 100)),
+            basePrice: Math.round(base),
+            method,
+            bedroomMedian,
+            pricePerSqft: pricePerSqft !== null ? Math.round(pricePerSqft * 100) / 100 : null,
+            compCount: pool.length,
+            comparables: this.closestComps(listing, pool),
+            adjustments
+        };
+    }
+
+    // The comps most like the listing: nearest in size, then in price
+    closestComps(listing, comps) {
+        const distance = comp => {
+            const sizeGap = listing.sqft > 0 && comp.sqft > 0 ? Math.abs(comp.sqft - listing.sqft) / listing.sqft : 1;
+            const priceGap = Math.abs(comp.price - listing.price) / listing.price;
+            return sizeGap + priceGap;
+        };
+
+        return [...comps]
+            .sort((a, b) => distance(a) - distance(b))
+            .slice(0, COMPARABLES_SHOWN)
+            .map(comp => ({ ...comp }));
+    }
+
+    explain(listing, market, estimate, percentBelowMarket) {
+        const describedBy = {
+            'bedroom_median+price_per_sqft': `${listing.bedrooms || 0}BR median blended with price per sqft`,
+            bedroom_median: `${listing.bedrooms || 0}BR median`,
+            price_per_sqft: 'median price per sqft'
+        }[estimate.method];
+
+        return {
+            source: 'comps',
+            listedPrice: listing.price,
+            estimatedMarketPrice: estimate.marketPrice,
+            percentBelowMarket,
+            benchmark: {
+                type: estimate.method,
+                description: `${describedBy} of ${estimate.compCount} ${market.neighborhood} listings`,
+                neighborhood: market.neighborhood,
+                compCount: estimate.compCount,
+                bedroomMedian: estimate.bedroomMedian,
+                pricePerSqft: estimate.pricePerSqft,
+                unadjustedPrice: estimate.basePrice,
+                lookbackDays: this.lookbackDays
+            },
+            comparables: estimate.comparables,
+            factors: estimate.adjustments.map(adjustment => ({
+                factor: adjustment.factor,
+                // A feature that raises the market value makes the listing a better deal
+                impact: adjustment.percent > 0 ? 'positive' : 'negative',
+                adjustmentPercent: adjustment.percent,
+                detail: ADJUSTMENT_LABELS[adjustment.factor] || adjustment.factor
+            }))
+        };
+    }
+
+    // Same shape as a validated Claude analysis
+    value(listing, market, threshold) {
+        if (!(listing.price > 0)) return null;
+        const estimate = this.estimate(listing, market);
+        if (!estimate) return null;
+
+        const percentBelowMarket = Math.round((estimate.marketPrice - listing.price) / estimate.marketPrice * 1000) / 10;
+        // 0% below market scores 50; every point of discount adds 2.5, less confidence on thin comp sets
+        const confidence = Math.min(1, estimate.compCount / (this.minComps * 3));
+        const score = Math.min(100, Math.max(0, Math.round(50 + percentBelowMarket * 2.5 * (0.5 + confidence / 2))));
+        const adjustmentText = estimate.adjustments.length > 0
+            ? ` (adjusted ${estimate.adjustments.map(a => `${a.percent > 0 ? '+' : ''}${a.percent}% ${a.factor.replace(/_/g, ' ')}`).join(', ')})`
+            : '';
+
+        return {
+            percentBelowMarket,
+            isUndervalued: percentBelowMarket >= threshold,
+            reasoning: `Comps value of $${estimate.marketPrice.toLocaleString()} from ${estimate.compCount} ${market.neighborhood} listings via ${estimate.method.replace(/_/g, ' ')}${adjustmentText}.`,
+            score,
+            grade: gradeFromScore(score),
+            estimatedMarketPrice: estimate.marketPrice,
+            explanation: this.explain(listing, market, estimate, percentBelowMarket)
+        };
+    }
+
+    // Listings fetched in the current sweep are comps too, even before they are stored
+    addComps(market, listings) {
+        const known = new Set(market.comps.map(comp => comp.listingId));
+        for (const listing of listings) {
+            if (!(listing.price > 0) || known.has(listing.id)) continue;
+            known.add(listing.id);
+            market.comps.push(toComp({ ...listing, listing_id: listing.id }, 'price'));
+        }
+    }
+
+    // Values a batch, loading each neighborhood's market once (memoized in `markets`)
+    async analyze(properties, params, markets = new Map()) {
+        const analyses = new Map();
+        const missing = [];
+
+        const byNeighborhood = new Map();
+        for (const property of properties) {
+            const neighborhood = slugify(property.neighborhood || params.neighborhood);
+            if (!byNeighborhood.has(neighborhood)) byNeighborhood.set(neighborhood, []);
+            byNeighborhood.get(neighborhood).push(property);
+        }
+        for (const [neighborhood, listings] of byNeighborhood) {
+            const key = `${params.propertyType}:${neighborhood}`;
+            if (!markets.has(key)) {
+                markets.set(key, this.loadMarket(params.propertyType, neighborhood));
+            }
+            this.addComps(await markets.get(key), listings);
+        }
+
+        for (const [i, property] of properties.entries()) {
+            const market = await markets.get(`${params.propertyType}:${slugify(property.neighborhood || params.neighborhood)}`);
+            const analysis = this.value(property, market, params.undervaluationThreshold);
+            if (analysis) {
+                analyses.set(i + 1, analysis);
+            } else {
+                missing.push(i + 1);
+            }
+        }
+
+        return { analyses, missing };
+    }
+}
+
+module.exports = { CompsValuation, VALUATION_MODES, ADJUSTMENTS, detectAmenities, median };
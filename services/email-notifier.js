@@ -0,0 +1,150 @@
+// services/email-notifier.js
+// EMAIL ALERT DELIVERY - groups pending alerts (storage.alerts) into one digest
+// per profile, renders it (services/email-templates.js), sends it through the
+// configured transport and records every attempt in storage.emailSends.
+// Failed sends leave the alerts pending for the next delivery pass.
+
+const crypto = require('crypto');
+const { renderDigest } = require('./email-templates');
+
+class EmailNotifier {
+    constructor(options = {}) {
+        this.storage = options.storage;
+        this.transport = options.transport;
+        this.from = options.from;
+        this.baseUrl = (options.baseUrl || '').replace(/\/+$/, '');
+        this.unsubscribeSecret = options.unsubscribeSecret;
+        // rows -> rows with the extra display fields the templates use
+        this.formatProperties = options.formatProperties || (properties => properties);
+        this.maxAlertsPerPass = options.maxAlertsPerPass || 500;
+        this.delivering = null;
+    }
+
+    unsubscribeToken(profileId) {
+        return crypto
+            .createHmac('sha256', this.unsubscribeSecret)
+            .update(`unsubscribe:${profileId}`)
+            .digest('hex')
+            .slice(0, 32);
+    }
+
+    verifyUnsubscribeToken(profileId, token) {
+        const expected = Buffer.from(this.unsubscribeToken(profileId));
+        const given = Buffer.from(String(token || ''));
+        return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+    }
+
+    unsubscribeUrl(profileId) {
+        const query = new URLSearchParams({ profile: profileId, token: this.unsubscribeToken(profileId) });
+        return `${this.baseUrl}/api/email/unsubscribe?${query}`;
+    }
+
+    canEmail(profile) {
+        return Boolean(profile?.email_address) && !profile.is_canceled && !profile.email_unsubscribed_at
+            && !profile.alerts_paused_at;
+    }
+
+    // Returns false when the token does not match the profile
+    async unsubscribe(profileId, token) {
+        if (!profileId || !this.verifyUnsubscribeToken(profileId, token)) return false;
+
+        const profile = await this.storage.profiles.findById(profileId);
+        if (!profile) return false;
+        if (!profile.email_unsubscribed_at) {
+            await this.storage.profiles.update(profileId, { email_unsubscribed_at: new Date().toISOString() });
+            console.log(`📭 Profile ${profileId} unsubscribed from email alerts`);
+        }
+        return true;
+    }
+
+    // One pass over pending alerts; overlapping calls share the pass in flight
+    deliverPending() {
+        if (this.delivering) return this.delivering;
+
+        this.delivering = this.sendPendingDigests()
+            .finally(() => { this.delivering = null; });
+        return this.delivering;
+    }
+
+    async sendPendingDigests() {
+        const pending = await this.storage.alerts.list({ status: 'pending', limit: this.maxAlertsPerPass });
+
+        const byProfile = new Map();
+        for (const alert of pending) {
+            if (!byProfile.has(alert.profile_id)) byProfile.set(alert.profile_id, []);
+            byProfile.get(alert.profile_id).push(alert);
+        }
+
+        const results = [];
+        for (const [profileId, alerts] of byProfile) {
+            results.push(await this.sendDigest(profileId, alerts));
+        }
+
+        const summary = {
+            digestsSent: results.filter(result => result.status === 'sent').length,
+            alertsSent: results.filter(result => result.status === 'sent').reduce((sum, result) => sum + result.alerts, 0),
+            suppressed: results.filter(result => result.status === 'suppressed').reduce((sum, result) => sum + result.alerts, 0),
+            failures: results.filter(result => result.status === 'failed').length
+        };
+        if (results.length > 0) {
+            console.log(`📧 Email delivery: ${summary.digestsSent} digests (${summary.alertsSent} listings) sent, ${summary.failures} failed`);
+        }
+        return summary;
+    }
+
+    async sendDigest(profileId, alerts) {
+        const profile = await this.storage.profiles.findById(profileId);
+
+        // Unsubscribed, paused or canceled profiles never get these; don't keep them pending
+        if (!this.canEmail(profile)) {
+            await Promise.all(alerts.map(alert => this.storage.alerts.update(alert.id, { status: 'suppressed' })));
+            return { profileId, status: 'suppressed', alerts: alerts.length };
+        }
+
+        const properties = this.formatProperties(alerts.map(alert => alert.listing))
+            .sort((a, b) => (b.discount_percent || 0) - (a.discount_percent || 0));
+        const unsubscribeUrl = this.unsubscribeUrl(profileId);
+        const { subject, html, text } = renderDigest({ properties, unsubscribeUrl });
+
+        const record = {
+            profile_id: profileId,
+            email: profile.email_address,
+            subject,
+            transport: this.transport.name,
+            alert_ids: alerts.map(alert => alert.id),
+            listing_count: alerts.length
+        };
+
+        let info;
+        try {
+            info = await this.transport.send({
+                from: this.from,
+                to: profile.email_address,
+                subject,
+                html,
+                text,
+                // RFC 8058 one-click unsubscribe for mail clients
+                headers: {
+                    'List-Unsubscribe': `<${unsubscribeUrl}>`,
+                    'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+                }
+            });
+        } catch (error) {
+            console.error(`❌ Email to profile ${profileId} failed:`, error.message);
+            await this.storage.emailSends.record({ ...record, status: 'failed', error_message: error.message })
+                .catch(recordError => console.warn('⚠️ Failed to record email send:', recordError.message));
+            return { profileId, status: 'failed', alerts: alerts.length, error: error.message };
+        }
+
+        // The email is out; bookkeeping errors are logged but never turn it into a
+        // failure, which would leave the alerts pending and resend the digest
+        const sentAt = new Date().toISOString();
+        await Promise.all(alerts.map(alert => this.storage.alerts.update(alert.id, { status: 'sent', sent_at: sentAt })
+            .catch(error => console.warn(`⚠️ Failed to mark alert ${alert.id} sent:`, error.message))));
+        await this.storage.emailSends.record({ ...record, status: 'sent', message_id: info?.messageId, sent_at: sentAt })
+            .catch(error => console.warn('⚠️ Failed to record email send:', error.message));
+        return { profileId, status: 'sent', alerts: alerts.length };
+    }
+}
+
+module.exports = { EmailNotifier };
@@ -0,0 +1,110 @@
+// services/email-templates.js
+// EMAIL DIGEST TEMPLATES - renders a profile's newly matched listings as one
+// HTML + plain-text email. Listings are the rows formatInstagramResponse
+// returns (database row + instagram.primaryImage), so email and DMs show the
+// same price, discount, savings, score and reasoning.
+
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function formatMoney(value) {
+    return value ? `$${Math.round(value).toLocaleString('en-US')}` : 'n/a';
+}
+
+function listingFacts(property) {
+    const isRental = property.monthly_rent !== undefined && property.monthly_rent !== null;
+    const savings = isRental ? property.potential_monthly_savings : property.potential_savings;
+    const train = property.nearest_stations?.[0];
+
+    return {
+        title: property.unit ? `${property.address}, ${property.unit}` : property.address || 'NYC listing',
+        area: [property.neighborhood_name || property.neighborhood, property.borough].filter(Boolean).join(', '),
+        price: `${formatMoney(isRental ? property.monthly_rent : property.price)}${isRental ? '/month' : ''}`,
+        discount: `${property.discount_percent || 0}% below market`,
+        savings: savings ? `Save ${formatMoney(savings)} ${isRental ? 'per month' : 'total'}` : null,
+        layout: `${property.bedrooms || 0}BR/${property.bathrooms || 0}BA${property.sqft ? ` · ${property.sqft} sqft` : ''}`,
+        score: `Score ${property.score || 0}/100 (${property.grade || 'F'})`,
+        train: train ? `${train.routes.join('/')} at ${train.name} (${train.walkMinutes} min walk)` : null,
+        reasoning: property.reasoning || '',
+        image: property.instagram?.primaryImage || property.primary_image || null,
+        url: property.listing_url || ''
+    };
+}
+
+function digestSubject(properties) {
+    const best = Math.max(...properties.map(property => property.discount_percent || 0));
+    const count = properties.length;
+    return `🏠 ${count} new undervalued NYC ${count === 1 ? 'listing' : 'listings'} (up to ${best}% below market)`;
+}
+
+function renderListingHtml(facts) {
+    return `
+        <tr><td style="padding:16px 0;border-bottom:1px solid #e9ecef;">
+            ${facts.image ? `<a href="${escapeHtml(facts.url)}"><img src="${escapeHtml(facts.image)}" alt="${escapeHtml(facts.title)}" width="560" style="width:100%;max-width:560px;border-radius:8px;display:block;"></a>` : ''}
+            <h2 style="margin:12px 0 4px;font-size:18px;">${escapeHtml(facts.title)}</h2>
+            <p style="margin:0;color:#6c757d;">${escapeHtml(facts.area)}</p>
+            <p style="margin:8px 0;font-size:16px;"><strong>${escapeHtml(facts.price)}</strong> · <span style="color:#28a745;">${escapeHtml(facts.discount)}</span></p>
+            ${facts.savings ? `<p style="margin:0;">💵 ${escapeHtml(facts.savings)}</p>` : ''}
+            <p style="margin:4px 0;">${escapeHtml(facts.layout)} · ${escapeHtml(facts.score)}</p>
+            ${facts.train ? `<p style="margin:4px 0;">🚇 ${escapeHtml(facts.train)}</p>` : ''}
+            ${facts.reasoning ? `<p style="margin:8px 0;color:#495057;font-style:italic;">"${escapeHtml(facts.reasoning)}"</p>` : ''}
+            ${facts.url ? `<a href="${escapeHtml(facts.url)}" style="display:inline-block;margin-top:8px;padding:8px 16px;background:#007bff;color:#ffffff;text-decoration:none;border-radius:4px;">View listing</a>` : ''}
+        </td></tr>`;
+}
+
+function renderListingText(facts, index) {
+    return [
+        `${index + 1}. ${facts.title}`,
+        facts.area,
+        `${facts.price} - ${facts.discount}`,
+        facts.savings,
+        `${facts.layout} - ${facts.score}`,
+        facts.train ? `Closest train: ${facts.train}` : null,
+        facts.reasoning ? `"${facts.reasoning}"` : null,
+        facts.url ? `View listing: ${facts.url}` : null
+    ].filter(Boolean).join('\n');
+}
+
+// Returns { subject, html, text }
+function renderDigest({ properties, unsubscribeUrl }) {
+    const listings = properties.map(listingFacts);
+    const intro = `We found ${listings.length} new ${listings.length === 1 ? 'property' : 'properties'} priced below market that match your preferences.`;
+
+    const html = `<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="UTF-8"><title>${escapeHtml(digestSubject(properties))}</title></head>
+<body style="margin:0;padding:0;background:#f8f9fa;font-family:Arial,sans-serif;color:#212529;">
+    <table role="presentation" width="100%" cellpadding="0" cellspacing="0"><tr><td align="center">
+        <table role="presentation" width="600" cellpadding="0" cellspacing="0" style="max-width:600px;background:#ffffff;padding:24px;">
+            <tr><td><h1 style="margin:0 0 8px;font-size:22px;">🏠 Undervalued property alert</h1><p style="margin:0;">${escapeHtml(intro)}</p></td></tr>
+            ${listings.map(renderListingHtml).join('')}
+            <tr><td style="padding-top:16px;font-size:12px;color:#6c757d;">
+                You are receiving this because you signed up for NYC property alerts.
+                <a href="${escapeHtml(unsubscribeUrl)}" style="color:#6c757d;">Unsubscribe</a>
+            </td></tr>
+        </table>
+    </td></tr></table>
+</body>
+</html>`;
+
+    const text = [
+        'UNDERVALUED PROPERTY ALERT',
+        '',
+        intro,
+        '',
+        listings.map(renderListingText).join('\n\n'),
+        '',
+        '--',
+        `Unsubscribe: ${unsubscribeUrl}`
+    ].join('\n');
+
+    return { subject: digestSubject(properties), html, text };
+}
+
+module.exports = { renderDigest, escapeHtml };
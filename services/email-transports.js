@@ -0,0 +1,78 @@
+// services/email-transports.js
+// EMAIL TRANSPORTS - where rendered emails go. smtp sends through any SMTP
+// server via nodemailer; file writes each message as an .eml file (open it in a
+// mail client) and console prints it, both for local testing.
+// Every transport exposes send(message) -> { messageId, ... }
+
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+class SmtpTransport {
+    constructor(options = {}) {
+        this.name = 'smtp';
+        this.transporter = nodemailer.createTransport({
+            host: options.host,
+            port: options.port || 587,
+            secure: Boolean(options.secure),
+            auth: options.user ? { user: options.user, pass: options.pass } : undefined
+        });
+    }
+
+    async send(message) {
+        const info = await this.transporter.sendMail(message);
+        return { messageId: info.messageId, accepted: info.accepted, rejected: info.rejected };
+    }
+}
+
+class FileTransport {
+    constructor(options = {}) {
+        this.name = 'file';
+        this.directory = options.directory || path.join(process.cwd(), 'data', 'outbox');
+        // Builds the same MIME message SMTP would send, without sending it
+        this.transporter = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+    }
+
+    async send(message) {
+        const info = await this.transporter.sendMail(message);
+        await fs.promises.mkdir(this.directory, { recursive: true });
+
+        const safeTo = String(message.to).replace(/[^a-z0-9@.]+/gi, '_');
+        const filePath = path.join(this.directory, `${Date.now()}-${safeTo}.eml`);
+        await fs.promises.writeFile(filePath, info.message);
+        console.log(`📨 Email to ${message.to} written to ${filePath}`);
+
+        return { messageId: info.messageId, path: filePath };
+    }
+}
+
+class ConsoleTransport {
+    constructor() {
+        this.name = 'console';
+        this.transporter = nodemailer.createTransport({ jsonTransport: true });
+    }
+
+    async send(message) {
+        const info = await this.transporter.sendMail(message);
+        console.log(`📨 Email to ${message.to}: ${message.subject}\n${message.text}`);
+        return { messageId: info.messageId };
+    }
+}
+
+function createEmailTransport(options = {}) {
+    const transport = options.transport || (options.smtp?.host ? 'smtp' : 'console');
+
+    switch (transport) {
+        case 'smtp':
+            if (!options.smtp?.host) throw new Error('EMAIL_TRANSPORT=smtp requires SMTP_HOST');
+            return new SmtpTransport(options.smtp);
+        case 'file':
+            return new FileTransport({ directory: options.fileDirectory });
+        case 'console':
+            return new ConsoleTransport();
+        default:
+            throw new Error(`Unknown EMAIL_TRANSPORT: ${transport}`);
+    }
+}
+
+module.exports = { createEmailTransport, SmtpTransport, FileTransport, ConsoleTransport };
@@ -0,0 +1,205 @@
+// services/geo.js
+// GEOGRAPHIC SEARCH AREAS - radius around a point, GeoJSON polygons and
+// "within N minutes' walk of these stations". Areas are plain JSON so they can
+// ride along in persisted job params:
+//
+// {
+//   type: 'radius' | 'polygon' | 'transit', label,
+//   center: { latitude, longitude }, radiusMiles,     // radius
+//   polygon: GeoJSON Polygon | MultiPolygon,            // polygon
+//   stations: [station], walkMinutes, radiusMiles,      // transit
+//   bounds: { south, west, north, east }
+// }
+
+const EARTH_RADIUS_MILES = 3958.8;
+const MILES_PER_DEGREE_LATITUDE = 69.0;
+// Street grids make walks longer than the straight line between two points
+const WALK_DETOUR_FACTOR = 1.25;
+const WALK_MILES_PER_HOUR = 3;
+
+class GeoQueryError extends Error {
+    constructor(message, statusCode = 400, details = {}) {
+        super(message);
+        this.name = 'GeoQueryError';
+        this.statusCode = statusCode;
+        this.details = details;
+    }
+}
+
+function toRadians(degrees) {
+    return degrees * Math.PI / 180;
+}
+
+function distanceMiles(a, b) {
+    const dLat = toRadians(b.latitude - a.latitude);
+    const dLng = toRadians(b.longitude - a.longitude);
+    const h = Math.sin(dLat / 2) ** 2
+        + Math.cos(toRadians(a.latitude)) * Math.cos(toRadians(b.latitude)) * Math.sin(dLng / 2) ** 2;
+    return 2 * EARTH_RADIUS_MILES * Math.asin(Math.sqrt(h));
+}
+
+function walkMinutes(miles) {
+    return Math.max(1, Math.round(miles * WALK_DETOUR_FACTOR / WALK_MILES_PER_HOUR * 60));
+}
+
+// Straight-line distance that takes `minutes` to walk
+function walkRadiusMiles(minutes) {
+    return minutes / 60 * WALK_MILES_PER_HOUR / WALK_DETOUR_FACTOR;
+}
+
+function isValidPoint(point) {
+    return Boolean(point)
+        && Number.isFinite(point.latitude) && Math.abs(point.latitude) <= 90
+        && Number.isFinite(point.longitude) && Math.abs(point.longitude) <= 180;
+}
+
+// Ray casting; GeoJSON positions are [longitude, latitude]
+function pointInRing(point, ring) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+        if ((yi > point.latitude) !== (yj > point.latitude)
+            && point.longitude < (xj - xi) * (point.latitude - yi) / (yj - yi) + xi) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+// The first ring is the outline, the rest are holes
+function pointInPolygon(point, geometry) {
+    const polygons = geometry.type === 'MultiPolygon' ? geometry.coordinates : [geometry.coordinates];
+    return polygons.some(([outline, ...holes]) => pointInRing(point, outline)
+        && !holes.some(hole => pointInRing(point, hole)));
+}
+
+function boundsAround(point, radiusMiles) {
+    const latDelta = radiusMiles / MILES_PER_DEGREE_LATITUDE;
+    const lngDelta = radiusMiles / (MILES_PER_DEGREE_LATITUDE * Math.cos(toRadians(point.latitude)));
+    return {
+        south: point.latitude - latDelta,
+        west: point.longitude - lngDelta,
+        north: point.latitude + latDelta,
+        east: point.longitude + lngDelta
+    };
+}
+
+function mergeBounds(boundsList) {
+    return {
+        south: Math.min(...boundsList.map(bounds => bounds.south)),
+        west: Math.min(...boundsList.map(bounds => bounds.west)),
+        north: Math.max(...boundsList.map(bounds => bounds.north)),
+        east: Math.max(...boundsList.map(bounds => bounds.east))
+    };
+}
+
+function inBounds(point, bounds) {
+    return point.latitude >= bounds.south && point.latitude <= bounds.north
+        && point.longitude >= bounds.west && point.longitude <= bounds.east;
+}
+
+// Accepts a Polygon / MultiPolygon geometry or a Feature wrapping one
+function normalizePolygon(input, maxVertices = Infinity) {
+    const geometry = input?.type === 'Feature' ? input.geometry : input;
+    if (!geometry || !['Polygon', 'MultiPolygon'].includes(geometry.type)) {
+        throw new GeoQueryError('polygon must be a GeoJSON Polygon or MultiPolygon (or a Feature wrapping one)');
+    }
+
+    const polygons = geometry.type === 'MultiPolygon' ? geometry.coordinates : [geometry.coordinates];
+    const vertexCount = Array.isArray(polygons)
+        ? polygons.reduce((sum, rings) => sum + (Array.isArray(rings) ? rings.reduce((n, ring) => n + (ring?.length || 0), 0) : 0), 0)
+        : 0;
+    if (vertexCount > maxVertices) {
+        throw new GeoQueryError(`polygon has ${vertexCount} positions; at most ${maxVertices} are allowed`);
+    }
+    const valid = Array.isArray(polygons) && polygons.length > 0 && polygons.every(rings =>
+        Array.isArray(rings) && rings.length > 0 && rings.every(ring =>
+            Array.isArray(ring) && ring.length >= 4 && ring.every(position =>
+                Array.isArray(position) && isValidPoint({ longitude: position[0], latitude: position[1] }))));
+    if (!valid) {
+        throw new GeoQueryError('polygon rings must be closed lists of at least 4 [longitude, latitude] positions');
+    }
+
+    return { type: geometry.type, coordinates: geometry.coordinates };
+}
+
+// A loop rather than Math.min(...positions): spreading a large polygon's
+// positions as arguments overflows the call stack
+function polygonBounds(geometry) {
+    const positions = (geometry.type === 'MultiPolygon' ? geometry.coordinates.flat() : geometry.coordinates).flat();
+    const bounds = { south: Infinity, west: Infinity, north: -Infinity, east: -Infinity };
+    for (const [longitude, latitude] of positions) {
+        if (latitude < bounds.south) bounds.south = latitude;
+        if (latitude > bounds.north) bounds.north = latitude;
+        if (longitude < bounds.west) bounds.west = longitude;
+        if (longitude > bounds.east) bounds.east = longitude;
+    }
+    return bounds;
+}
+
+function polygonCenter(geometry) {
+    const bounds = polygonBounds(geometry);
+    return { latitude: (bounds.south + bounds.north) / 2, longitude: (bounds.west + bounds.east) / 2 };
+}
+
+function radiusArea(center, radiusMiles, label) {
+    return {
+        type: 'radius',
+        label: label || `${radiusMiles} mi around ${center.latitude.toFixed(5)}, ${center.longitude.toFixed(5)}`,
+        center,
+        radiusMiles,
+        bounds: boundsAround(center, radiusMiles)
+    };
+}
+
+function polygonArea(polygon, label, { maxVertices } = {}) {
+    const geometry = normalizePolygon(polygon, maxVertices);
+    return {
+        type: 'polygon',
+        label: label || 'custom polygon',
+        center: polygonCenter(geometry),
+        polygon: geometry,
+        bounds: polygonBounds(geometry)
+    };
+}
+
+function transitArea(stations, minutes, label) {
+    const radiusMiles = walkRadiusMiles(minutes);
+    return {
+        type: 'transit',
+        label,
+        stations: stations.map(({ id, name, routes, latitude, longitude }) => ({ id, name, routes, latitude, longitude })),
+        walkMinutes: minutes,
+        radiusMiles,
+        bounds: mergeBounds(stations.map(station => boundsAround(station, radiusMiles)))
+    };
+}
+
+function containsPoint(area, point) {
+    if (!isValidPoint(point) || !inBounds(point, area.bounds)) return false;
+
+    switch (area.type) {
+        case 'radius':
+            return distanceMiles(area.center, point) <= area.radiusMiles;
+        case 'polygon':
+            return pointInPolygon(point, area.polygon);
+        case 'transit':
+            return area.stations.some(station => distanceMiles(station, point) <= area.radiusMiles);
+        default:
+            return false;
+    }
+}
+
+module.exports = {
+    GeoQueryError,
+    distanceMiles,
+    walkMinutes,
+    walkRadiusMiles,
+    isValidPoint,
+    pointInPolygon,
+    radiusArea,
+    polygonArea,
+    transitArea,
+    containsPoint
+};
@@ -0,0 +1,42 @@
+// services/geocoder.js
+// ADDRESS GEOCODING for radius searches, via NYC Planning's GeoSearch (free,
+// no API key; GEOCODER_URL points at any Pelias-compatible /search endpoint)
+
+const axios = require('axios');
+const { GeoQueryError } = require('./geo');
+
+class Geocoder {
+    constructor(options = {}) {
+        this.baseUrl = options.baseUrl || 'https://geosearch.planninglabs.nyc/v2';
+        this.timeoutMs = options.timeoutMs || 5000;
+    }
+
+    // Returns { latitude, longitude, label, neighborhood, borough }
+    async geocode(address) {
+        let response;
+        try {
+            response = await axios.get(`${this.baseUrl}/search`, {
+                params: { text: address, size: 1 },
+                timeout: this.timeoutMs
+            });
+        } catch (error) {
+            throw new GeoQueryError(`Geocoding failed: ${error.message}`, 502);
+        }
+
+        const feature = response.data?.features?.[0];
+        const [longitude, latitude] = feature?.geometry?.coordinates || [];
+        if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) {
+            throw new GeoQueryError(`Could not find address "${address}"`);
+        }
+
+        return {
+            latitude,
+            longitude,
+            label: feature.properties?.label || address,
+            neighborhood: feature.properties?.neighbourhood || null,
+            borough: feature.properties?.borough || null
+        };
+    }
+}
+
+module.exports = { Geocoder };
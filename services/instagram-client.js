@@ -0,0 +1,102 @@
+// services/instagram-client.js
+// INSTAGRAM SEND API CLIENT - sends DMs (text and images) and looks up sender
+// usernames through the Instagram Graph API. INSTAGRAM_API_URL points it at any
+// compatible base URL, e.g. a local stub when testing.
+
+const axios = require('axios');
+
+// Instagram rejects text messages longer than this
+const MAX_TEXT_LENGTH = 1000;
+
+class InstagramApiError extends Error {
+    constructor(message, status) {
+        super(message);
+        this.name = 'InstagramApiError';
+        this.status = status || null;
+    }
+}
+
+// Splits on paragraph breaks where possible so each part stays readable
+function splitText(text, maxLength = MAX_TEXT_LENGTH) {
+    const parts = [];
+    let current = '';
+    for (const paragraph of String(text).split('\n\n')) {
+        const candidate = current ? `${current}\n\n${paragraph}` : paragraph;
+        if (candidate.length <= maxLength) {
+            current = candidate;
+            continue;
+        }
+        if (current) parts.push(current);
+        current = paragraph;
+        while (current.length > maxLength) {
+            parts.push(current.slice(0, maxLength));
+            current = current.slice(maxLength);
+        }
+    }
+    if (current) parts.push(current);
+    return parts;
+}
+
+class InstagramClient {
+    constructor(options = {}) {
+        this.accessToken = options.accessToken;
+        this.accountId = options.accountId || 'me';
+        this.baseUrl = (options.baseUrl || 'https://graph.instagram.com/v21.0').replace(/\/+$/, '');
+        this.timeoutMs = options.timeoutMs || 10000;
+    }
+
+    get configured() {
+        return Boolean(this.accessToken);
+    }
+
+    get headers() {
+        return { Authorization: `Bearer ${this.accessToken}` };
+    }
+
+    apiError(error) {
+        const status = error.response?.status;
+        const message = error.response?.data?.error?.message || error.message;
+        return new InstagramApiError(`Instagram API ${status || 'network'} error: ${message}`, status);
+    }
+
+    async sendMessage(recipientId, message) {
+        try {
+            const response = await axios.post(`${this.baseUrl}/${this.accountId}/messages`, {
+                recipient: { id: recipientId },
+                message
+            }, { headers: this.headers, timeout: this.timeoutMs });
+            return response.data?.message_id || null;
+        } catch (error) {
+            throw this.apiError(error);
+        }
+    }
+
+    // Long texts go out as several messages; returns their message ids
+    async sendText(recipientId, text) {
+        const ids = [];
+        for (const part of splitText(text)) {
+            ids.push(await this.sendMessage(recipientId, { text: part }));
+        }
+        return ids;
+    }
+
+    async sendImage(recipientId, url) {
+        return this.sendMessage(recipientId, { attachment: { type: 'image', payload: { url } } });
+    }
+
+    // Webhooks only carry the sender's Instagram-scoped id, not their handle
+    async getUsername(userId) {
+        try {
+            const response = await axios.get(`${this.baseUrl}/${userId}`, {
+                params: { fields: 'username' },
+                headers: this.headers,
+                timeout: this.timeoutMs
+            });
+            return response.data?.username || null;
+        } catch (error) {
+            throw this.apiError(error);
+        }
+    }
+}
+
+module.exports = { InstagramClient, InstagramApiError, splitText };
@@ -0,0 +1,218 @@
+// services/instagram-dm.js
+// INSTAGRAM DM FLOW - verifies Meta webhook deliveries and answers incoming DMs.
+// Senders are matched to a profile by instagram_handle (then remembered by their
+// Instagram user id): unknown senders get the preferences link, profiles without
+// a subscription get a checkout link and subscribers get a search on their saved
+// preferences, adjusted by whatever the message asks for ("2br in bushwick under 4k").
+// Only "search" or a message with something searchable runs a search; anything
+// else ("thanks", a photo) gets the help text. STOP / START pause and resume alerts.
+
+const crypto = require('crypto');
+const { describeSearch } = require('./search-query-parser');
+
+// Meta retries deliveries it thinks failed; remember this many message ids
+const RECENT_MESSAGE_LIMIT = 1000;
+
+// X-Hub-Signature-256: sha256=<hex HMAC of the raw body with the app secret>
+function verifySignature(rawBody, header, appSecret) {
+    if (!appSecret || !header?.startsWith('sha256=')) return false;
+    const expected = Buffer.from(`sha256=${crypto.createHmac('sha256', appSecret).update(rawBody).digest('hex')}`);
+    const given = Buffer.from(header);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+// "@Some.User " -> "some.user"
+function normalizeInstagramHandle(handle) {
+    return String(handle || '').trim().replace(/^@+/, '').toLowerCase() || null;
+}
+
+// Incoming messages from a webhook payload; echoes of our own messages, reactions
+// and read receipts are skipped
+function messagingEvents(payload) {
+    if (payload?.object !== 'instagram') return [];
+    return (payload.entry || [])
+        .flatMap(entry => entry.messaging || [])
+        .filter(event => event.sender?.id && event.message && !event.message.is_echo);
+}
+
+class InstagramDmHandler {
+    constructor(options = {}) {
+        this.client = options.client;
+        this.storage = options.storage;
+        // text => { params } from the deterministic parser alone, used to decide
+        // whether a message asks for a search before paying for an LLM parse
+        this.parse = options.parse;
+        // text => Promise of { params } parsed from the message (see search-query-parser.js)
+        this.interpret = options.interpret;
+        // (profile, parsed params) => search params, or null when there is nothing to search
+        this.buildSearchParams = options.buildSearchParams;
+        // params => Promise of the finished job's results
+        this.runSearch = options.runSearch;
+        this.formatProperties = options.formatProperties || (properties => properties);
+        // profile => Promise of a checkout URL, or null when billing is off
+        this.createCheckoutUrl = options.createCheckoutUrl || (async () => null);
+        this.preferencesUrl = options.preferencesUrl || null;
+        this.maxResults = options.maxResults || 3;
+        this.recentMessageIds = new Set();
+    }
+
+    hasSubscription(profile) {
+        return !profile.is_canceled && Boolean(profile.subscription_plan) && profile.subscription_plan !== 'free';
+    }
+
+    preferencesLink(username) {
+        if (!this.preferencesUrl) return null;
+        const url = new URL(this.preferencesUrl);
+        if (username) url.searchParams.set('instagram_handle', username);
+        return url.toString();
+    }
+
+    // True when the parser found at least one search field in the message
+    isSearchRequest(text) {
+        if (!text) return false;
+        const { params } = this.parse(text);
+        return Object.values(params).some(value => (Array.isArray(value) ? value.length > 0 : value !== undefined));
+    }
+
+    helpText(preferencesLink) {
+        return [
+            'Send "search" to see today\'s best deals for your saved preferences, or describe what you want (e.g. "2br in Williamsburg under 4k no fee").',
+            preferencesLink ? `Update your preferences: ${preferencesLink}` : null
+        ].filter(Boolean).join('\n\n');
+    }
+
+    isDuplicate(messageId) {
+        if (!messageId) return false;
+        if (this.recentMessageIds.has(messageId)) return true;
+
+        this.recentMessageIds.add(messageId);
+        if (this.recentMessageIds.size > RECENT_MESSAGE_LIMIT) {
+            this.recentMessageIds.delete(this.recentMessageIds.values().next().value);
+        }
+        return false;
+    }
+
+    // Returns { profile, username }; profile is null for senders we don't know
+    async findProfile(senderId) {
+        const linked = await this.storage.profiles.findByInstagramUserId(senderId);
+        if (linked) return { profile: linked, username: normalizeInstagramHandle(linked.instagram_handle) };
+
+        const username = normalizeInstagramHandle(await this.client.getUsername(senderId));
+        const profile = username ? await this.storage.profiles.findByInstagramHandle(username) : null;
+        if (!profile) return { profile: null, username };
+
+        await this.storage.profiles.update(profile.id, { instagram_user_id: senderId });
+        console.log(`📱 Linked Instagram user ${senderId} (@${username}) to profile ${profile.id}`);
+        return { profile, username };
+    }
+
+    async handleEvent(event) {
+        if (this.isDuplicate(event.message.mid)) return;
+
+        const senderId = event.sender.id;
+        const text = (event.message.text || '').trim();
+
+        try {
+            const { profile, username } = await this.findProfile(senderId);
+            await this.respond(senderId, { profile, username, text });
+        } catch (error) {
+            console.error(`❌ Instagram DM from ${senderId} failed:`, error.message);
+            await this.client.sendText(senderId, 'Sorry, something went wrong on our side. Please try again in a few minutes.')
+                .catch(sendError => console.warn('⚠️ Failed to send Instagram error reply:', sendError.message));
+        }
+    }
+
+    async respond(senderId, { profile, username, text }) {
+        const command = text.toLowerCase();
+        const preferencesLink = this.preferencesLink(username);
+
+        if (!profile) {
+            return this.client.sendText(senderId, [
+                '👋 Hi! We find NYC rentals and sales priced below market.',
+                preferencesLink
+                    ? `Tell us what you're looking for here and we'll start sending you deals: ${preferencesLink}`
+                    : 'Sign up on our website with this Instagram handle and we\'ll start sending you deals.'
+            ].join('\n\n'));
+        }
+
+        // STOP pauses alerts (scheduler and email digests) until START; searches
+        // the subscriber asks for by DM still get answered
+        if (/^(stop|unsubscribe|cancel|quit)[.!]*$/.test(command)) {
+            if (!profile.alerts_paused_at) {
+                await this.storage.profiles.update(profile.id, { alerts_paused_at: new Date().toISOString() });
+                console.log(`🔕 Profile ${profile.id} paused alerts by Instagram DM`);
+            }
+            return this.client.sendText(senderId, [
+                '🔕 Got it, we\'ve paused your deal alerts. Message us "start" to turn them back on, or "search" whenever you want a one-off search.',
+                preferencesLink ? `Manage your subscription and preferences: ${preferencesLink}` : null
+            ].filter(Boolean).join('\n\n'));
+        }
+
+        if (/^(start|resume|unstop)[.!]*$/.test(command)) {
+            if (profile.alerts_paused_at) {
+                await this.storage.profiles.update(profile.id, { alerts_paused_at: null });
+                console.log(`🔔 Profile ${profile.id} resumed alerts by Instagram DM`);
+            }
+            return this.client.sendText(senderId, '🔔 Your deal alerts are on. Send "stop" any time to pause them.');
+        }
+
+        if (/^(help|\?|menu)$/.test(command)) {
+            return this.client.sendText(senderId, this.helpText(preferencesLink));
+        }
+
+        if (/\b(settings|preferences)\b/.test(command)) {
+            return this.client.sendText(senderId, preferencesLink
+                ? `⚙️ Update your preferences here: ${preferencesLink}`
+                : '⚙️ You can update your preferences on our website.');
+        }
+
+        const savedSearch = /^search[.!]*$/.test(command);
+        if (!savedSearch && !this.isSearchRequest(text)) {
+            return this.client.sendText(senderId, this.helpText(preferencesLink));
+        }
+
+        if (!this.hasSubscription(profile)) {
+            const checkoutUrl = await this.createCheckoutUrl(profile);
+            if (checkoutUrl) {
+                return this.client.sendText(senderId, `🔓 Unlock unlimited undervalued listings in your DMs: ${checkoutUrl}`);
+            }
+        }
+
+        return this.sendSearchResults(senderId, profile, savedSearch ? '' : text);
+    }
+
+    async sendSearchResults(senderId, profile, text) {
+        // "search" keeps the saved preferences; "2br in bushwick" narrows them
+        const { params: requested } = text ? await this.interpret(text) : { params: {} };
+        const params = this.buildSearchParams(profile, requested);
+        if (!params) {
+            const preferencesLink = this.preferencesLink(normalizeInstagramHandle(profile.instagram_handle));
+            return this.client.sendText(senderId, [
+                'Which neighborhood should we search? Reply with a name like "Williamsburg" or "Upper West Side".',
+                preferencesLink ? `Or save your preferred neighborhoods here: ${preferencesLink}` : null
+            ].filter(Boolean).join('\n\n'));
+        }
+
+        await this.client.sendText(senderId, `🔍 Searching for ${describeSearch(params)}. This can take a minute...`);
+
+        const result = await this.runSearch(params);
+        const properties = this.formatProperties(result.properties || []);
+        if (properties.length === 0) {
+            return this.client.sendText(senderId, `No undervalued listings in ${params.neighborhoodName} right now. Try another neighborhood or check back later!`);
+        }
+
+        for (const property of properties.slice(0, this.maxResults)) {
+            if (property.instagram.primaryImage) {
+                await this.client.sendImage(senderId, property.instagram.primaryImage)
+                    .catch(error => console.warn('⚠️ Instagram image send failed:', error.message));
+            }
+            await this.client.sendText(senderId, property.instagram.dmMessage);
+        }
+
+        if (properties.length > this.maxResults) {
+            await this.client.sendText(senderId, `…and ${properties.length - this.maxResults} more. Reply with another neighborhood to keep looking.`);
+        }
+    }
+}
+
+module.exports = { InstagramDmHandler, verifySignature, normalizeInstagramHandle, messagingEvents };
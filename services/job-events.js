@@ -0,0 +1,40 @@
+// services/job-events.js
+// JOB EVENT HUB - fan-out of per-job progress events to SSE and WebSocket
+// subscribers
+
+const { EventEmitter } = require('events');
+
+const TERMINAL_EVENTS = ['completed', 'failed', 'canceled'];
+
+class JobEventHub extends EventEmitter {
+    constructor() {
+        super();
+        this.setMaxListeners(0);
+        this.sequences = new Map();
+    }
+
+    publish(jobId, type, data = {}) {
+        if (!jobId) return;
+
+        const id = (this.sequences.get(jobId) || 0) + 1;
+        this.sequences.set(jobId, id);
+
+        const event = { id, jobId, type, data, timestamp: new Date().toISOString() };
+        this.emit(`job:${jobId}`, event);
+
+        if (TERMINAL_EVENTS.includes(type)) {
+            this.sequences.delete(jobId);
+        }
+    }
+
+    subscribe(jobId, listener) {
+        this.on(`job:${jobId}`, listener);
+        return () => this.off(`job:${jobId}`, listener);
+    }
+
+    static isTerminal(type) {
+        return TERMINAL_EVENTS.includes(type);
+    }
+}
+
+module.exports = JobEventHub;
@@ -0,0 +1,113 @@
+// services/job-queue.js
+// SEARCH JOB QUEUE - bounded worker pool with priority levels, per-client
+// fairness and cancellation through AbortController
+
+const PRIORITIES = { high: 0, normal: 1, low: 2 };
+
+class QueueFullError extends Error {
+    constructor(maxQueued) {
+        super(`Search queue is full (${maxQueued} jobs waiting)`);
+        this.name = 'QueueFullError';
+        this.statusCode = 503;
+    }
+}
+
+class JobQueue {
+    constructor(options = {}) {
+        this.concurrency = options.concurrency || 2;
+        this.maxQueued = options.maxQueued || 100;
+        this.worker = options.worker;
+        this.queued = [];
+        this.running = new Map();
+        this.sequence = 0;
+    }
+
+    static normalizePriority(priority) {
+        return Object.prototype.hasOwnProperty.call(PRIORITIES, priority) ? priority : 'normal';
+    }
+
+    enqueue(jobId, payload, { clientId = 'anonymous', priority = 'normal' } = {}) {
+        if (this.queued.length >= this.maxQueued) {
+            throw new QueueFullError(this.maxQueued);
+        }
+
+        // A client's Nth waiting job sorts behind every other client's earlier
+        // jobs of the same priority, so one busy bot cannot starve the rest.
+        const clientRound = this.queued.filter(task => task.clientId === clientId).length;
+
+        this.queued.push({
+            jobId,
+            payload,
+            clientId,
+            priority: JobQueue.normalizePriority(priority),
+            clientRound,
+            sequence: this.sequence++,
+            enqueuedAt: Date.now()
+        });
+        this.queued.sort((a, b) =>
+            PRIORITIES[a.priority] - PRIORITIES[b.priority]
+            || a.clientRound - b.clientRound
+            || a.sequence - b.sequence
+        );
+
+        setImmediate(() => this.drain());
+        return this.position(jobId);
+    }
+
+    position(jobId) {
+        const index = this.queued.findIndex(task => task.jobId === jobId);
+        return index === -1 ? null : index + 1;
+    }
+
+    isRunning(jobId) {
+        return this.running.has(jobId);
+    }
+
+    // Resolves once a running job's worker has returned (immediately otherwise)
+    whenSettled(jobId) {
+        return this.running.get(jobId)?.settled || Promise.resolve();
+    }
+
+    cancel(jobId) {
+        const index = this.queued.findIndex(task => task.jobId === jobId);
+        if (index !== -1) {
+            this.queued.splice(index, 1);
+            return 'queued';
+        }
+
+        const task = this.running.get(jobId);
+        if (task) {
+            task.controller.abort();
+            return 'running';
+        }
+
+        return null;
+    }
+
+    drain() {
+        while (this.running.size < this.concurrency && this.queued.length > 0) {
+            const task = this.queued.shift();
+            task.controller = new AbortController();
+            this.running.set(task.jobId, task);
+
+            task.settled = Promise.resolve()
+                .then(() => this.worker(task.jobId, task.payload, task.controller.signal))
+                .catch(error => console.error(`❌ Queue worker error for ${task.jobId}:`, error))
+                .finally(() => {
+                    this.running.delete(task.jobId);
+                    this.drain();
+                });
+        }
+    }
+
+    stats() {
+        return {
+            concurrency: this.concurrency,
+            running: this.running.size,
+            queued: this.queued.length,
+            maxQueued: this.maxQueued
+        };
+    }
+}
+
+module.exports = { JobQueue, QueueFullError, PRIORITIES };
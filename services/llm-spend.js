@@ -0,0 +1,158 @@
+// services/llm-spend.js
+// LLM PRICING + SPEND CONTROL - prices input and output tokens separately per
+// model, keeps per-day totals in storage and enforces per-job / per-day caps
+
+// USD per million tokens. Override or extend with ANTHROPIC_PRICING_JSON, e.g.
+// {"claude-3-haiku-20240307": {"input": 0.25, "output": 1.25}}
+const MODEL_PRICING = {
+    'claude-3-haiku-20240307': { input: 0.25, output: 1.25 },
+    'claude-3-5-haiku-20241022': { input: 0.80, output: 4.00 },
+    'claude-3-5-sonnet-20241022': { input: 3.00, output: 15.00 },
+    'claude-3-7-sonnet-20250219': { input: 3.00, output: 15.00 },
+    'claude-sonnet-4-20250514': { input: 3.00, output: 15.00 },
+    'claude-opus-4-20250514': { input: 15.00, output: 75.00 }
+};
+
+class BudgetExceededError extends Error {
+    constructor(message, scope) {
+        super(message);
+        this.name = 'BudgetExceededError';
+        this.scope = scope;
+    }
+}
+
+class SpendTracker {
+    constructor(options = {}) {
+        this.storage = options.storage;
+        this.pricing = { ...MODEL_PRICING, ...(options.pricingOverrides || {}) };
+        this.jobBudgetUsd = options.jobBudgetUsd ?? null;
+        this.dailyBudgetUsd = options.dailyBudgetUsd ?? null;
+        this.today = null;
+    }
+
+    priceFor(model) {
+        const price = this.pricing[model];
+        if (!price) {
+            throw new Error(`No pricing configured for model ${model}; add it to ANTHROPIC_PRICING_JSON`);
+        }
+        return price;
+    }
+
+    calculateCost(model, usage = {}) {
+        const price = this.priceFor(model);
+        const inputCost = (usage.input_tokens || 0) / 1000000 * price.input;
+        const outputCost = (usage.output_tokens || 0) / 1000000 * price.output;
+        return inputCost + outputCost;
+    }
+
+    static dateKey(date = new Date()) {
+        return date.toISOString().slice(0, 10);
+    }
+
+    async loadToday() {
+        const date = SpendTracker.dateKey();
+        if (this.today?.date === date) return this.today;
+
+        const rows = await this.storage.llmSpend.listByDate(date, date).catch(() => []);
+        if (this.today?.date === date) return this.today;
+        this.today = {
+            date,
+            costUsd: rows.reduce((sum, row) => sum + (row.cost_usd || 0), 0),
+            reservedUsd: 0
+        };
+        return this.today;
+    }
+
+    // Called before every LLM request with its worst-case usage (estimated input,
+    // max_tokens output). The estimate is held against the job and day budgets
+    // until release(), so concurrent batches can't all pass the check at once.
+    // jobSpend is the running total for the job
+    async reserve(model, estimate = {}, jobSpend = null) {
+        const costUsd = this.calculateCost(model, estimate);
+        const today = await this.loadToday();
+
+        if (this.jobBudgetUsd !== null && jobSpend) {
+            const held = jobSpend.costUsd + (jobSpend.reservedUsd || 0);
+            if (held + costUsd > this.jobBudgetUsd) {
+                throw new BudgetExceededError(
+                    `Per-job LLM budget of $${this.jobBudgetUsd.toFixed(2)} reached`,
+                    'job'
+                );
+            }
+        }
+
+        if (this.dailyBudgetUsd !== null && today.costUsd + today.reservedUsd + costUsd > this.dailyBudgetUsd) {
+            throw new BudgetExceededError(
+                `Daily LLM budget of $${this.dailyBudgetUsd.toFixed(2)} reached`,
+                'day'
+            );
+        }
+
+        if (jobSpend) jobSpend.reservedUsd = (jobSpend.reservedUsd || 0) + costUsd;
+        today.reservedUsd += costUsd;
+        return { costUsd, jobSpend, today };
+    }
+
+    // Call once the request has finished (recorded or failed)
+    release(reservation) {
+        if (!reservation || reservation.released) return;
+        reservation.released = true;
+        if (reservation.jobSpend) reservation.jobSpend.reservedUsd -= reservation.costUsd;
+        reservation.today.reservedUsd -= reservation.costUsd;
+    }
+
+    async record(model, usage = {}, jobSpend = null) {
+        const cost = this.calculateCost(model, usage);
+        const inputTokens = usage.input_tokens || 0;
+        const outputTokens = usage.output_tokens || 0;
+
+        if (jobSpend) {
+            jobSpend.costUsd += cost;
+            jobSpend.inputTokens += inputTokens;
+            jobSpend.outputTokens += outputTokens;
+        }
+
+        const today = await this.loadToday();
+        today.costUsd += cost;
+
+        try {
+            await this.storage.llmSpend.add(today.date, model, {
+                input_tokens: inputTokens,
+                output_tokens: outputTokens,
+                cost_usd: cost,
+                calls: 1
+            });
+        } catch (error) {
+            console.warn('⚠️ Failed to record LLM spend:', error.message);
+        }
+
+        return cost;
+    }
+
+    async report(days = 30) {
+        const to = SpendTracker.dateKey();
+        const from = SpendTracker.dateKey(new Date(Date.now() - (days - 1) * 24 * 60 * 60 * 1000));
+        const rows = await this.storage.llmSpend.listByDate(from, to);
+        const allRows = await this.storage.llmSpend.listByDate(null, to);
+
+        const sum = list => list.reduce((total, row) => ({
+            inputTokens: total.inputTokens + (row.input_tokens || 0),
+            outputTokens: total.outputTokens + (row.output_tokens || 0),
+            costUsd: total.costUsd + (row.cost_usd || 0),
+            calls: total.calls + (row.calls || 0)
+        }), { inputTokens: 0, outputTokens: 0, costUsd: 0, calls: 0 });
+
+        return {
+            today: sum(rows.filter(row => row.date === to)),
+            cumulative: sum(allRows),
+            days: rows,
+            caps: {
+                perJobUsd: this.jobBudgetUsd,
+                perDayUsd: this.dailyBudgetUsd
+            },
+            pricingPerMillionTokens: this.pricing
+        };
+    }
+}
+
+module.exports = { SpendTracker, BudgetExceededError, MODEL_PRICING };
@@ -0,0 +1,168 @@
+// services/message-templates.js
+// CHANNEL-AWARE MESSAGE TEMPLATES - listing DMs and image captions for
+// Instagram, SMS, WhatsApp and Telegram. Templates (data/message-templates.json,
+// overridable per template and channel with MESSAGE_TEMPLATES_PATH) are lists of
+// lines using:
+//   {{field}}                   value, or nothing when missing
+//   {{#field}}...{{/field}}     only when the field has a value (within one line)
+//   **bold**, [label](url)      turned into each channel's own formatting
+// A line that renders empty is dropped, so missing fields never leave
+// "undefined" or dangling labels behind.
+
+const fs = require('fs');
+const path = require('path');
+const { explanationLines } = require('./valuation-explanation');
+const { describeStation } = require('./subway-stations');
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Instagram DMs and SMS show markup literally; WhatsApp has its own *bold*;
+// Telegram messages are sent with parse_mode HTML
+const CHANNELS = {
+    instagram: { maxLength: 1000, bold: text => text, link: (label, url) => `${label}: ${url}` },
+    sms: { maxLength: 1600, bold: text => text, link: (label, url) => url },
+    whatsapp: { maxLength: 4096, bold: text => `*${text}*`, link: (label, url) => `${label}: ${url}` },
+    telegram: {
+        maxLength: 4096,
+        parseMode: 'HTML',
+        escape: escapeHtml,
+        bold: text => `<b>${text}</b>`,
+        link: (label, url) => `<a href="${url}">${label}</a>`
+    }
+};
+
+const REASONING_MAX_LENGTH = 150;
+
+function hasValue(value) {
+    return value !== undefined && value !== null && value !== '' && value !== false;
+}
+
+function formatMoney(value) {
+    return `$${Math.round(value).toLocaleString('en-US')}`;
+}
+
+// Template fields for a stored listing row (see formatPropertyForDatabase)
+function messageFields(property) {
+    const isRental = hasValue(property.monthly_rent);
+    const price = isRental ? property.monthly_rent : property.price;
+    const savings = isRental ? property.potential_monthly_savings : property.potential_savings;
+    const station = property.nearest_stations?.[0];
+    const reasoning = property.reasoning?.trim();
+    const comparedTo = explanationLines(property.explanation);
+
+    const bedrooms = property.bedrooms === 0 ? 'Studio' : hasValue(property.bedrooms) ? `${property.bedrooms}BR` : null;
+    const bathrooms = property.bathrooms ? `${property.bathrooms}BA` : null;
+
+    return {
+        address: property.address || null,
+        unit: property.unit || null,
+        neighborhood: property.neighborhood_name || property.neighborhood || null,
+        borough: property.borough && property.borough !== 'Unknown' ? property.borough : null,
+        price: price ? `${formatMoney(price)}${isRental ? '/month' : ''}` : null,
+        discount: property.discount_percent || null,
+        savings: savings ? `${formatMoney(savings)} ${isRental ? 'per month' : 'total'}` : null,
+        layout: [bedrooms, bathrooms].filter(Boolean).join('/') || null,
+        sqft: property.sqft || null,
+        score: property.score || null,
+        grade: property.score ? property.grade || null : null,
+        train: station ? describeStation(station) : null,
+        reasoning: reasoning && reasoning.length > REASONING_MAX_LENGTH
+            ? `${reasoning.slice(0, REASONING_MAX_LENGTH).trimEnd()}…`
+            : reasoning || null,
+        comparedTo: comparedTo.length > 0 ? comparedTo.map(line => `• ${line}`).join('\n') : null,
+        url: property.listing_url || null
+    };
+}
+
+class MessageTemplates {
+    constructor(templates) {
+        this.templates = templates;
+    }
+
+    // Defaults from data/message-templates.json with the overrides file's
+    // templates (per name and channel) on top
+    static load(overridesPath) {
+        const defaults = require(path.join(__dirname, '..', 'data', 'message-templates.json'));
+        const overrides = overridesPath ? JSON.parse(fs.readFileSync(path.resolve(overridesPath), 'utf8')) : {};
+
+        const templates = {};
+        for (const name of new Set([...Object.keys(defaults), ...Object.keys(overrides)])) {
+            templates[name] = { ...defaults[name], ...overrides[name] };
+            for (const [channel, lines] of Object.entries(templates[name])) {
+                if (channel !== 'default' && !CHANNELS[channel]) {
+                    throw new Error(`Message template "${name}" has unknown channel "${channel}" (use default, ${Object.keys(CHANNELS).join(', ')})`);
+                }
+                if (typeof lines !== 'string' && !(Array.isArray(lines) && lines.every(line => typeof line === 'string'))) {
+                    throw new Error(`Message template "${name}.${channel}" must be a string or an array of lines`);
+                }
+            }
+        }
+        return new MessageTemplates(templates);
+    }
+
+    static isChannel(channel) {
+        return Boolean(CHANNELS[channel]);
+    }
+
+    static channelNames() {
+        return Object.keys(CHANNELS);
+    }
+
+    template(name, channel) {
+        const variants = this.templates[name];
+        const template = variants?.[channel] || variants?.default;
+        if (!template) throw new Error(`No message template "${name}"`);
+        return Array.isArray(template) ? template : template.split('\n');
+    }
+
+    render(name, channel, fields) {
+        const format = CHANNELS[channel];
+        if (!format) throw new Error(`Unknown message channel "${channel}"`);
+
+        const lines = [];
+        for (const line of this.template(name, channel)) {
+            if (line.trim() === '') {
+                if (lines.length > 0 && lines[lines.length - 1] !== '') lines.push('');
+                continue;
+            }
+            const rendered = this.renderLine(line, format, fields);
+            if (rendered.trim() !== '') lines.push(rendered);
+        }
+        while (lines[lines.length - 1] === '') lines.pop();
+
+        return this.fitLength(lines.join('\n'), format.maxLength);
+    }
+
+    renderLine(line, format, fields) {
+        const escape = format.escape || (value => value);
+        // Markup first, so values that happen to contain ** or [..](..) stay literal
+        const marked = escape(line)
+            .replace(/\*\*(.+?)\*\*/g, (match, text) => format.bold(text))
+            .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, url) => format.link(label, url));
+
+        const withSections = text => text.replace(/\{\{#(\w+)\}\}([\s\S]*?)\{\{\/\1\}\}/g, (match, field, inner) =>
+            hasValue(fields[field]) ? withSections(inner) : '');
+
+        return withSections(marked)
+            .replace(/\{\{(\w+)\}\}/g, (match, field) => (hasValue(fields[field]) ? escape(String(fields[field])) : ''));
+    }
+
+    // Cut at a line break where possible so no formatting tag is split
+    fitLength(text, maxLength) {
+        if (text.length <= maxLength) return text;
+        const cut = text.lastIndexOf('\n', maxLength - 1);
+        return `${text.slice(0, cut > maxLength / 2 ? cut : maxLength - 1).trimEnd()}…`;
+    }
+
+    parseMode(channel) {
+        return CHANNELS[channel]?.parseMode || null;
+    }
+}
+
+module.exports = { MessageTemplates, messageFields };
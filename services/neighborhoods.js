@@ -0,0 +1,170 @@
+// services/neighborhoods.js
+// NYC NEIGHBORHOOD GAZETTEER - resolves free-text neighborhood input (names,
+// slugs, aliases like "LES" or "BK Heights", small typos) to canonical slugs
+// with their borough and StreetEasy area, and expands boroughs to neighborhoods.
+// Dataset: data/neighborhoods.json
+
+const path = require('path');
+
+const BOROUGHS = [
+    { slug: 'manhattan', name: 'Manhattan', streeteasyArea: 'manhattan', aliases: ['nyc', 'new york', 'the city'] },
+    { slug: 'brooklyn', name: 'Brooklyn', streeteasyArea: 'brooklyn', aliases: ['bk', 'bklyn'] },
+    { slug: 'queens', name: 'Queens', streeteasyArea: 'queens', aliases: [] },
+    { slug: 'bronx', name: 'Bronx', streeteasyArea: 'bronx', aliases: ['the bronx', 'bx'] },
+    { slug: 'staten-island', name: 'Staten Island', streeteasyArea: 'staten-island', aliases: ['si'] }
+];
+
+function normalizeKey(value) {
+    return String(value || '')
+        .toLowerCase()
+        .replace(/'/g, '')
+        .replace(/&/g, 'and')
+        .replace(/\bst\.?\s/g, 'st ')
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+}
+
+function editDistance(a, b) {
+    if (a === b) return 0;
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+class NeighborhoodGazetteer {
+    constructor(entries) {
+        this.neighborhoods = new Map(entries.map(entry => [entry.slug, entry]));
+        this.boroughs = new Map(BOROUGHS.map(borough => [borough.slug, {
+            ...borough,
+            neighborhoods: entries.filter(entry => entry.borough === borough.name).map(entry => entry.slug)
+        }]));
+
+        // Every spelling we accept, mapped to the neighborhood or borough it means
+        this.keys = new Map();
+        for (const entry of entries) {
+            for (const key of [entry.slug, entry.name, ...(entry.aliases || [])]) {
+                this.keys.set(normalizeKey(key), { type: 'neighborhood', slug: entry.slug });
+            }
+        }
+        for (const borough of BOROUGHS) {
+            for (const key of [borough.slug, borough.name, ...borough.aliases]) {
+                this.keys.set(normalizeKey(key), { type: 'borough', slug: borough.slug });
+            }
+        }
+    }
+
+    static load(filePath = path.join(__dirname, '..', 'data', 'neighborhoods.json')) {
+        return new NeighborhoodGazetteer(require(filePath));
+    }
+
+    // Returns { type: 'neighborhood' | 'borough', slug, name, borough, streeteasyArea,
+    // neighborhoods, matchedBy } or null when nothing is close enough
+    resolve(input) {
+        const key = normalizeKey(input);
+        if (!key) return null;
+
+        const exact = this.keys.get(key);
+        if (exact) return this.describe(exact, exact.slug === key ? 'slug' : 'alias');
+
+        // Accept a typo only when a single spelling is clearly the closest
+        const [best, runnerUp] = this.rank(key);
+        const tolerance = Math.max(1, Math.floor(key.length / 5));
+        if (best && best.distance <= tolerance && (!runnerUp || runnerUp.distance > best.distance)) {
+            return this.describe(best.target, 'fuzzy');
+        }
+        return null;
+    }
+
+    // Exact names and aliases only, for scanning free text where a typo match
+    // on an arbitrary word would be wrong
+    lookup(input) {
+        const key = normalizeKey(input);
+        const exact = key ? this.keys.get(key) : null;
+        return exact ? this.describe(exact, exact.slug === key ? 'slug' : 'alias') : null;
+    }
+
+    describe(target, matchedBy) {
+        if (target.type === 'borough') {
+            const borough = this.boroughs.get(target.slug);
+            return {
+                type: 'borough',
+                slug: borough.slug,
+                name: borough.name,
+                borough: borough.name,
+                streeteasyArea: borough.streeteasyArea,
+                neighborhoods: borough.neighborhoods,
+                matchedBy
+            };
+        }
+
+        const neighborhood = this.neighborhoods.get(target.slug);
+        return {
+            type: 'neighborhood',
+            slug: neighborhood.slug,
+            name: neighborhood.name,
+            borough: neighborhood.borough,
+            streeteasyArea: neighborhood.streeteasyArea,
+            neighborhoods: [neighborhood.slug],
+            matchedBy
+        };
+    }
+
+    // Distinct targets ordered by their closest accepted spelling
+    rank(key) {
+        const best = new Map();
+        for (const [candidate, target] of this.keys) {
+            // Partial names ("long island", "park") count as one edit away from every spelling containing them
+            const distance = key.length >= 3 && candidate !== key && candidate.includes(key)
+                ? 1
+                : editDistance(key, candidate);
+            const id = `${target.type}:${target.slug}`;
+            if (!best.has(id) || distance < best.get(id).distance) {
+                best.set(id, { target, distance });
+            }
+        }
+        return [...best.values()].sort((a, b) => a.distance - b.distance);
+    }
+
+    suggest(input, limit = 5) {
+        const key = normalizeKey(input);
+        if (!key) return [];
+
+        return this.rank(key)
+            .filter(match => match.distance <= Math.max(2, Math.ceil(key.length / 2)))
+            .slice(0, limit)
+            .map(match => {
+                const { slug, name, borough, type } = this.describe(match.target, 'suggestion');
+                return { slug, name, borough, type };
+            });
+    }
+
+    boroughOf(neighborhood) {
+        const resolved = this.resolve(neighborhood);
+        return resolved ? resolved.borough : 'Unknown';
+    }
+
+    list({ borough } = {}) {
+        const boroughName = borough ? this.resolve(borough)?.borough : null;
+        return [...this.neighborhoods.values()]
+            .filter(entry => !borough || entry.borough === boroughName)
+            .map(entry => ({ ...entry }));
+    }
+
+    listBoroughs() {
+        return [...this.boroughs.values()].map(({ slug, name, streeteasyArea, neighborhoods }) => ({
+            slug, name, streeteasyArea, neighborhoodCount: neighborhoods.length
+        }));
+    }
+}
+
+module.exports = { NeighborhoodGazetteer, BOROUGHS, normalizeKey, editDistance };
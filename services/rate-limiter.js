@@ -0,0 +1,123 @@
+// services/rate-limiter.js
+// SHARED TOKEN-BUCKET LIMITER - one instance gates every Claude request across
+// all running jobs by requests-per-minute and tokens-per-minute, and pauses
+// everyone when the API answers 429 / retry-after
+
+// Rough Anthropic tokenizer ratio for English text; good enough for budgeting
+const CHARS_PER_TOKEN = 4;
+
+function estimateTokens(text) {
+    return Math.ceil((text || '').length / CHARS_PER_TOKEN);
+}
+
+function abortError() {
+    const error = new Error('Rate limiter wait aborted');
+    error.name = 'AbortError';
+    return error;
+}
+
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) return reject(abortError());
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(abortError());
+        };
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+class TokenBucketLimiter {
+    constructor(options = {}) {
+        this.requestsPerMinute = options.requestsPerMinute || 50;
+        this.tokensPerMinute = options.tokensPerMinute || 40000;
+        this.availableRequests = this.requestsPerMinute;
+        this.availableTokens = this.tokensPerMinute;
+        this.lastRefill = Date.now();
+        this.pausedUntil = 0;
+        this.waiting = 0;
+        this.throttled = 0;
+        // Callers are served strictly in arrival order so one job's burst of
+        // batches can't starve another job's single request
+        this.tail = Promise.resolve();
+    }
+
+    refill() {
+        const now = Date.now();
+        const elapsedMinutes = (now - this.lastRefill) / 60000;
+        this.lastRefill = now;
+        this.availableRequests = Math.min(
+            this.requestsPerMinute,
+            this.availableRequests + elapsedMinutes * this.requestsPerMinute
+        );
+        this.availableTokens = Math.min(
+            this.tokensPerMinute,
+            this.availableTokens + elapsedMinutes * this.tokensPerMinute
+        );
+    }
+
+    // Resolves with the number of tokens reserved once the request may be sent
+    acquire(tokens, { signal } = {}) {
+        // A single request larger than the whole bucket would otherwise wait forever
+        const reserved = Math.min(Math.max(tokens || 0, 0), this.tokensPerMinute);
+        this.waiting++;
+        const turn = this.tail.then(() => this.take(reserved, signal));
+        this.tail = turn.catch(() => {});
+        return turn.finally(() => this.waiting--);
+    }
+
+    async take(tokens, signal) {
+        for (;;) {
+            if (signal?.aborted) throw abortError();
+            this.refill();
+
+            const pauseMs = this.pausedUntil - Date.now();
+            const requestDeficit = 1 - this.availableRequests;
+            const tokenDeficit = tokens - this.availableTokens;
+            const waitMs = Math.max(
+                pauseMs,
+                requestDeficit > 0 ? (requestDeficit / this.requestsPerMinute) * 60000 : 0,
+                tokenDeficit > 0 ? (tokenDeficit / this.tokensPerMinute) * 60000 : 0
+            );
+
+            if (waitMs <= 0) {
+                this.availableRequests -= 1;
+                this.availableTokens -= tokens;
+                return tokens;
+            }
+
+            this.throttled++;
+            await sleep(Math.ceil(waitMs), signal);
+        }
+    }
+
+    // Corrects the token bucket once the real usage of a request is known
+    settle(reservedTokens, actualTokens) {
+        if (!Number.isFinite(actualTokens)) return;
+        this.availableTokens = Math.min(this.tokensPerMinute, this.availableTokens + reservedTokens - actualTokens);
+    }
+
+    // Holds back every caller, e.g. after a 429 with retry-after
+    pause(ms) {
+        this.pausedUntil = Math.max(this.pausedUntil, Date.now() + ms);
+    }
+
+    stats() {
+        this.refill();
+        return {
+            requestsPerMinute: this.requestsPerMinute,
+            tokensPerMinute: this.tokensPerMinute,
+            availableRequests: Math.floor(this.availableRequests),
+            availableTokens: Math.floor(this.availableTokens),
+            pausedForMs: Math.max(0, this.pausedUntil - Date.now()),
+            waiting: this.waiting,
+            throttled: this.throttled
+        };
+    }
+}
+
+module.exports = { TokenBucketLimiter, estimateTokens, sleep };
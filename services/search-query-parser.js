@@ -0,0 +1,224 @@
+// services/search-query-parser.js
+// NATURAL-LANGUAGE SEARCH PARSER - turns free text like "2br in williamsburg
+// under 4k no fee" into smart-search params with a few regular expressions and
+// the neighborhood gazetteer. Words it can't place are returned as `unparsed`
+// so the caller can fall back to Claude (SEARCH_QUERY_TOOL) for those.
+
+const { normalizeKey } = require('./neighborhoods');
+
+const NUMBER_WORDS = { one: 1, two: 2, three: 3, four: 4, five: 5, six: 6 };
+const COUNT = String.raw`(\d(?:\.5)?|one|two|three|four|five|six)`;
+
+// "$3,500", "4k", "1.2m", "950000" -> $ sign, number, unit
+const AMOUNT = String.raw`(\$\s*)?(\d[\d,]*(?:\.\d+)?)\s*(k|mm|m|million|thousand)?\b`;
+const MAX_WORDS = String.raw`(?:under|below|less than|max(?:imum)?|up to|no more than|at most|budget(?:\s+(?:of|is))?|<)`;
+const MIN_WORDS = String.raw`(?:over|above|more than|min(?:imum)?|at least|from|starting at|>)`;
+
+// Filler that carries no search meaning once the rules above have run
+const STOPWORDS = new Set([
+    'a', 'an', 'the', 'in', 'near', 'around', 'by', 'at', 'of', 'for', 'with', 'and', 'or', 'to', 'on',
+    'i', 'im', 'me', 'my', 'we', 'us', 'want', 'need', 'looking', 'look', 'find', 'show', 'search', 'searching',
+    'get', 'any', 'some', 'something', 'apt', 'apts', 'apartment', 'apartments', 'place', 'places', 'home',
+    'homes', 'unit', 'units', 'listing', 'listings', 'deal', 'deals', 'please', 'pls', 'cheap', 'affordable',
+    'undervalued', 'good', 'great', 'best', 'new', 'area', 'neighborhood', 'price', 'priced', 'month',
+    'monthly', 'mo', 'per', 'hi', 'hey', 'hello', 'thanks', 'max', 'budget', 'least'
+]);
+
+// Typo matching needs enough letters that one edit isn't most of the word
+// ("ok" is one letter off the "bk" alias)
+const FUZZY_MIN_LENGTH = 4;
+const FUZZY_MAX_EDIT_RATIO = 0.25;
+
+const SEARCH_QUERY_TOOL = {
+    name: 'record_search_params',
+    description: 'Record the NYC property search the user describes. Leave out anything the message does not say.',
+    input_schema: {
+        type: 'object',
+        properties: {
+            neighborhoods: {
+                type: 'array',
+                items: { type: 'string' },
+                description: 'NYC neighborhoods or boroughs mentioned, by their common name'
+            },
+            propertyType: { type: 'string', enum: ['rental', 'sale'] },
+            bedrooms: { type: 'integer', minimum: 0, description: '0 for a studio' },
+            bathrooms: { type: 'number', minimum: 0 },
+            minPrice: { type: 'number', description: 'USD; monthly rent for rentals' },
+            maxPrice: { type: 'number', description: 'USD; monthly rent for rentals' },
+            noFee: { type: 'boolean', description: 'Only listings without a broker fee' },
+            undervaluationThreshold: { type: 'number', minimum: 1, maximum: 100, description: 'Minimum percent below market' }
+        }
+    }
+};
+
+function toCount(value) {
+    return NUMBER_WORDS[value] ?? parseFloat(value);
+}
+
+// "under 4" is not a price; "$4k", "4k" and "4000" are
+function toAmount(dollar, number, unit) {
+    const multiplier = { k: 1e3, thousand: 1e3, m: 1e6, mm: 1e6, million: 1e6 }[unit] || 1;
+    const amount = Math.round(parseFloat(number.replace(/,/g, '')) * multiplier);
+    return (dollar || unit || amount >= 500) && amount >= 100 ? amount : null;
+}
+
+// A single clearly-closest neighborhood for a misspelling ("bushwik"), or null
+function fuzzyArea(text, gazetteer) {
+    const key = normalizeKey(text);
+    if (key.replace(/-/g, '').length < FUZZY_MIN_LENGTH) return null;
+
+    const [best, runnerUp] = gazetteer.rank(key);
+    if (!best || best.distance > Math.floor(key.length * FUZZY_MAX_EDIT_RATIO)) return null;
+    if (runnerUp && runnerUp.distance <= best.distance) return null;
+    return gazetteer.describe(best.target, 'fuzzy');
+}
+
+function definedOnly(params) {
+    return Object.fromEntries(Object.entries(params).filter(([, value]) => value !== undefined && value !== null));
+}
+
+// Returns { params, unparsed }. params.neighborhoods holds gazetteer slugs.
+function parseSearchQuery(text, gazetteer) {
+    const params = {};
+    let rest = ` ${String(text || '').toLowerCase().replace(/[‘’]/g, '\'')} `;
+
+    // Replaces each match with a space unless the handler returns false
+    const take = (pattern, handler) => {
+        rest = rest.replace(pattern, (...match) => handler(...match) === false ? match[0] : ' ');
+    };
+
+    take(/\bno[\s-]*(?:broker(?:'?s)?[\s-]*)?fees?\b|\bnofee\b|\bfee[\s-]*free\b/g, () => { params.noFee = true; });
+
+    take(/(?:at least\s+)?(\d{1,2})\s*%\s*(?:or more\s+)?(?:below|under|off)(?:\s+(?:the\s+)?market(?:\s+value)?)?/g, (match, percent) => {
+        params.undervaluationThreshold = parseInt(percent);
+    });
+
+    take(/\b(?:for sale|to buy|buy|buying|purchase|condos?|co-?ops?|townhouses?)\b/g, () => { params.propertyType = 'sale'; });
+    take(/\b(?:for rent|to rent|rent|rentals?|renting|lease|leasing)\b/g, () => { params.propertyType = params.propertyType || 'rental'; });
+
+    // "2-3k" means 2,000-3,000
+    take(new RegExp(String.raw`(?:between\s+)?${AMOUNT}\s*(?:-|–|to|and)\s*${AMOUNT}`, 'g'), (match, dollar1, number1, unit1, dollar2, number2, unit2) => {
+        const min = toAmount(dollar1 || dollar2, number1, unit1 || unit2);
+        const max = toAmount(dollar2, number2, unit2);
+        if (!min || !max || min > max) return false;
+        params.minPrice = min;
+        params.maxPrice = max;
+    });
+    take(new RegExp(String.raw`${MAX_WORDS}\s*${AMOUNT}|${AMOUNT}\s*(?:max|or less|or under|tops)\b`, 'g'), (match, dollar1, number1, unit1, dollar2, number2, unit2) => {
+        const amount = number1 ? toAmount(dollar1, number1, unit1) : toAmount(dollar2, number2, unit2);
+        if (!amount) return false;
+        params.maxPrice = amount;
+    });
+    take(new RegExp(String.raw`${MIN_WORDS}\s*${AMOUNT}`, 'g'), (match, dollar, number, unit) => {
+        const amount = toAmount(dollar, number, unit);
+        if (!amount) return false;
+        params.minPrice = amount;
+    });
+
+    take(new RegExp(String.raw`\b${COUNT}\s*-?\s*(?:br|bd|bdr|bdrm|bdrms|bed|beds|bedroom|bedrooms)\b`, 'g'), (match, count) => {
+        params.bedrooms = params.bedrooms ?? Math.floor(toCount(count));
+    });
+    take(/\bstudios?\b/g, () => { params.bedrooms = 0; });
+    take(new RegExp(String.raw`\b${COUNT}\s*-?\s*(?:ba|bth|bath|baths|bathroom|bathrooms)\b`, 'g'), (match, count) => {
+        params.bathrooms = toCount(count);
+    });
+
+    // A bare "$3,500" or "4k" is a budget
+    if (!params.maxPrice) {
+        take(new RegExp(AMOUNT, 'g'), (match, dollar, number, unit) => {
+            const amount = toAmount(dollar, number, unit);
+            if (!amount || params.maxPrice) return false;
+            params.maxPrice = amount;
+        });
+    }
+
+    // Longest exact name or alias first ("bk heights" before "bk"), then a typo
+    // match on whatever is left ("bushwik")
+    const tokens = rest.split(/[\s,;/|+]+/).filter(token => normalizeKey(token));
+    const areas = [];
+    const remaining = [];
+    for (let i = 0; i < tokens.length;) {
+        let matched = false;
+        for (let length = Math.min(4, tokens.length - i); length > 0; length--) {
+            const area = gazetteer.lookup(tokens.slice(i, i + length).join(' '));
+            if (area) {
+                areas.push(area);
+                i += length;
+                matched = true;
+                break;
+            }
+        }
+        if (!matched) {
+            if (!STOPWORDS.has(normalizeKey(tokens[i]))) remaining.push(tokens[i]);
+            i++;
+        }
+    }
+    const leftover = remaining.join(' ');
+    const fuzzy = leftover ? fuzzyArea(leftover, gazetteer) : null;
+    if (fuzzy) areas.push(fuzzy);
+
+    params.neighborhoods = [...new Set(areas.map(area => area.slug))];
+
+    // Nobody rents for six figures a month
+    if (!params.propertyType && Math.max(params.minPrice || 0, params.maxPrice || 0) >= 100000) {
+        params.propertyType = 'sale';
+    }
+
+    return { params, unparsed: fuzzy ? '' : leftover };
+}
+
+// Params from a forced SEARCH_QUERY_TOOL call. Neighborhood names the gazetteer
+// knows become slugs; unknown ones are kept so the caller can suggest spellings.
+function llmSearchParams(data, gazetteer) {
+    const input = (data?.content || []).find(block => block.type === 'tool_use' && block.name === SEARCH_QUERY_TOOL.name)?.input || {};
+    const number = value => (typeof value === 'number' && Number.isFinite(value) && value >= 0 ? value : undefined);
+
+    return definedOnly({
+        neighborhoods: Array.isArray(input.neighborhoods)
+            ? input.neighborhoods.filter(name => typeof name === 'string' && name.trim()).map(name => gazetteer.resolve(name)?.slug || name.trim())
+            : undefined,
+        propertyType: ['rental', 'sale'].includes(input.propertyType) ? input.propertyType : undefined,
+        bedrooms: number(input.bedrooms) !== undefined ? Math.floor(input.bedrooms) : undefined,
+        bathrooms: number(input.bathrooms),
+        minPrice: number(input.minPrice) ? Math.round(input.minPrice) : undefined,
+        maxPrice: number(input.maxPrice) ? Math.round(input.maxPrice) : undefined,
+        noFee: typeof input.noFee === 'boolean' ? input.noFee : undefined,
+        undervaluationThreshold: number(input.undervaluationThreshold) && input.undervaluationThreshold <= 100
+            ? input.undervaluationThreshold
+            : undefined
+    });
+}
+
+// What the parser found wins over the LLM; the LLM fills the gaps
+function mergeSearchParams(parsed, llm = {}) {
+    const merged = { ...llm, ...definedOnly(parsed) };
+    merged.neighborhoods = parsed.neighborhoods?.length ? parsed.neighborhoods : llm.neighborhoods || [];
+    return merged;
+}
+
+function formatPrice(amount) {
+    return `$${amount.toLocaleString('en-US')}`;
+}
+
+// "2BR rentals in Williamsburg under $4,000 with no fee"; expects smart-search
+// params (neighborhoodName comes from the resolved search area)
+function describeSearch(params) {
+    const size = params.bedrooms === 0 ? 'studio' : params.bedrooms ? `${params.bedrooms}BR` : null;
+    const baths = params.bathrooms ? `${params.bathrooms}+ bath` : null;
+    const kind = params.propertyType === 'sale' ? 'homes for sale' : 'rentals';
+
+    let price = '';
+    if (params.minPrice && params.maxPrice) price = ` between ${formatPrice(params.minPrice)} and ${formatPrice(params.maxPrice)}`;
+    else if (params.maxPrice) price = ` under ${formatPrice(params.maxPrice)}`;
+    else if (params.minPrice) price = ` over ${formatPrice(params.minPrice)}`;
+
+    return [
+        [[size, baths].filter(Boolean).join(' '), kind].filter(Boolean).join(' '),
+        params.neighborhoodName ? ` in ${params.neighborhoodName}` : '',
+        price,
+        params.noFee ? ' with no fee' : '',
+        params.undervaluationThreshold ? `, at least ${params.undervaluationThreshold}% below market` : ''
+    ].join('');
+}
+
+module.exports = { parseSearchQuery, llmSearchParams, mergeSearchParams, describeSearch, SEARCH_QUERY_TOOL };
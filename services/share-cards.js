@@ -0,0 +1,348 @@
+// services/share-cards.js
+// BRANDED SHARE CARDS - renders listing images ready to post on Instagram: a
+// 1080x1080 feed card and a 1080x1920 story card with price, % below market,
+// beds/baths, neighborhood and grade over the primary photo, plus square crops
+// of the remaining photos for the rest of the carousel. Drawing is local
+// (@napi-rs/canvas). JPEGs are cached on disk under a hash of everything drawn,
+// so a re-analyzed listing gets a fresh card. Card URLs are public (Instagram
+// fetches them when publishing) and HMAC-signed so only cards we hand out render.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const net = require('net');
+const axios = require('axios');
+const { createCanvas, loadImage, GlobalFonts } = require('@napi-rs/canvas');
+const { messageFields } = require('./message-templates');
+const CallbackDispatcher = require('./callback-dispatcher');
+
+const FORMATS = {
+    square: { width: 1080, height: 1080, safeTop: 64, safeBottom: 64 },
+    // Instagram draws its own UI over the top and bottom of stories
+    story: { width: 1080, height: 1920, safeTop: 220, safeBottom: 280 }
+};
+
+// Bump when the layout changes so cached cards are redrawn
+const LAYOUT_VERSION = 1;
+// Instagram carousels hold at most 10 slides
+const CAROUSEL_LIMIT = 10;
+const PHOTO_MAX_BYTES = 15 * 1024 * 1024;
+const PADDING = 64;
+const FONT_FAMILY = 'Share Card';
+const FONT_STACK = `'${FONT_FAMILY}', 'Helvetica Neue', Arial, 'DejaVu Sans', sans-serif`;
+
+function font(size, weight = 'normal') {
+    return `${weight} ${size}px ${FONT_STACK}`;
+}
+
+// Largest size (down to minSize) at which the text fits maxWidth
+function fitFont(ctx, text, { weight, maxSize, minSize, maxWidth }) {
+    let size = maxSize;
+    ctx.font = font(size, weight);
+    while (size > minSize && ctx.measureText(text).width > maxWidth) {
+        size -= 4;
+        ctx.font = font(size, weight);
+    }
+    return size;
+}
+
+function ellipsize(ctx, text, maxWidth) {
+    if (ctx.measureText(text).width <= maxWidth) return text;
+    let cut = text;
+    while (cut.length > 1 && ctx.measureText(`${cut}…`).width > maxWidth) cut = cut.slice(0, -1);
+    return `${cut.trimEnd()}…`;
+}
+
+// Scales the photo to cover the whole card, cropping the overflow evenly
+function drawCover(ctx, image, width, height) {
+    const scale = Math.max(width / image.width, height / image.height);
+    const drawWidth = image.width * scale;
+    const drawHeight = image.height * scale;
+    ctx.drawImage(image, (width - drawWidth) / 2, (height - drawHeight) / 2, drawWidth, drawHeight);
+}
+
+function shade(ctx, width, fromY, toY, fromAlpha, toAlpha) {
+    const gradient = ctx.createLinearGradient(0, fromY, 0, toY);
+    gradient.addColorStop(0, `rgba(0, 0, 0, ${fromAlpha})`);
+    gradient.addColorStop(1, `rgba(0, 0, 0, ${toAlpha})`);
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, Math.min(fromY, toY), width, Math.abs(toY - fromY));
+}
+
+class ShareCards {
+    constructor(options = {}) {
+        this.cacheDir = options.cacheDir || path.join(process.cwd(), 'data', 'share-cards');
+        this.baseUrl = (options.baseUrl || '').replace(/\/+$/, '');
+        this.secret = options.secret;
+        this.brandName = options.brandName || 'Realer Estate';
+        this.brandColor = options.brandColor || '#28a745';
+        this.maxCachedFiles = options.maxCachedFiles || 2000;
+        this.photoTimeoutMs = options.photoTimeoutMs || 10000;
+        this.agents = CallbackDispatcher.publicAgents();
+        this.rendering = new Map();
+        this.writesSincePrune = 0;
+
+        if (options.fontPath) {
+            GlobalFonts.registerFromPath(path.resolve(options.fontPath), FONT_FAMILY);
+        }
+    }
+
+    static isFormat(format) {
+        return Boolean(FORMATS[format]);
+    }
+
+    static formatNames() {
+        return Object.keys(FORMATS);
+    }
+
+    photos(listing) {
+        return (listing.images || []).filter(Boolean).slice(0, CAROUSEL_LIMIT);
+    }
+
+    // The story is a single card; the feed carousel gets one slide per photo
+    slideCount(listing, format) {
+        return format === 'story' ? 1 : Math.max(1, this.photos(listing).length);
+    }
+
+    token(listingId, format, slide) {
+        return crypto
+            .createHmac('sha256', this.secret)
+            .update(`share-card:${listingId}:${format}:${slide}`)
+            .digest('hex')
+            .slice(0, 32);
+    }
+
+    verifyToken(listingId, format, slide, token) {
+        const expected = Buffer.from(this.token(listingId, format, slide));
+        const given = Buffer.from(String(token || ''));
+        return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+    }
+
+    url(listingId, format, slide) {
+        const query = new URLSearchParams({ sig: this.token(listingId, format, slide) });
+        return `${this.baseUrl}/api/share-cards/${encodeURIComponent(listingId)}/${format}/${slide}.jpg?${query}`;
+    }
+
+    // Signed URLs for a listing row: { carousel: [square slide URLs], story }
+    links(listing) {
+        if (!listing.listing_id) return null;
+        return {
+            carousel: Array.from({ length: this.slideCount(listing, 'square') }, (_, slide) => this.url(listing.listing_id, 'square', slide)),
+            story: this.url(listing.listing_id, 'story', 0)
+        };
+    }
+
+    // What a slide shows; the cache key is a hash of this
+    content(listing, format, slide) {
+        const photos = this.photos(listing);
+        const base = { version: LAYOUT_VERSION, format, slide, photo: photos[slide] || null, brand: [this.brandName, this.brandColor] };
+        if (slide > 0) {
+            return { ...base, address: listing.address || null, count: photos.length };
+        }
+
+        const fields = messageFields(listing);
+        return {
+            ...base,
+            price: fields.price,
+            discount: fields.discount,
+            details: [fields.layout, fields.sqft ? `${Number(fields.sqft).toLocaleString('en-US')} sqft` : null].filter(Boolean).join('  ·  ') || null,
+            location: [fields.neighborhood, fields.borough].filter(Boolean).join(', ') || null,
+            grade: fields.grade,
+            noFee: Boolean(listing.no_fee)
+        };
+    }
+
+    // Returns { image: JPEG Buffer, etag }; concurrent requests for the same card share one render
+    async render(listing, format, slide) {
+        const content = this.content(listing, format, slide);
+        const key = crypto.createHash('sha256').update(JSON.stringify(content)).digest('hex').slice(0, 40);
+        const filePath = path.join(this.cacheDir, `${key}.jpg`);
+
+        const cached = await fs.promises.readFile(filePath).catch(() => null);
+        if (cached) return { image: cached, etag: key };
+
+        if (!this.rendering.has(key)) {
+            this.rendering.set(key, this.draw(content)
+                .then(async image => {
+                    await this.store(filePath, image);
+                    return image;
+                })
+                .finally(() => this.rendering.delete(key)));
+        }
+        return { image: await this.rendering.get(key), etag: key };
+    }
+
+    async store(filePath, image) {
+        try {
+            await fs.promises.mkdir(this.cacheDir, { recursive: true });
+            await fs.promises.writeFile(filePath, image);
+            if (++this.writesSincePrune >= 50) {
+                this.writesSincePrune = 0;
+                await this.prune();
+            }
+        } catch (error) {
+            console.warn('⚠️ Failed to cache share card:', error.message);
+        }
+    }
+
+    // Drops the least recently written cards beyond maxCachedFiles
+    async prune() {
+        const names = (await fs.promises.readdir(this.cacheDir)).filter(name => name.endsWith('.jpg'));
+        if (names.length <= this.maxCachedFiles) return;
+
+        const files = await Promise.all(names.map(async name => {
+            const filePath = path.join(this.cacheDir, name);
+            return { filePath, mtime: (await fs.promises.stat(filePath)).mtimeMs };
+        }));
+        files.sort((a, b) => a.mtime - b.mtime);
+        for (const { filePath } of files.slice(0, files.length - this.maxCachedFiles)) {
+            await fs.promises.unlink(filePath).catch(() => {});
+        }
+    }
+
+    // A missing or broken photo falls back to a plain branded background. Photo
+    // URLs come from listing providers and are fetched from a public route, so
+    // only public hosts are reached and redirects aren't followed
+    async loadPhoto(url) {
+        if (!url || !/^https?:\/\//i.test(url)) return null;
+        try {
+            const host = new URL(url).hostname.replace(/^\[|\]$/g, '');
+            if (net.isIP(host) && CallbackDispatcher.isPrivateAddress(host)) {
+                throw new Error(`private address ${host}`);
+            }
+            const response = await axios.get(url, {
+                ...this.agents,
+                responseType: 'arraybuffer',
+                timeout: this.photoTimeoutMs,
+                maxContentLength: PHOTO_MAX_BYTES,
+                maxRedirects: 0
+            });
+            return await loadImage(Buffer.from(response.data));
+        } catch (error) {
+            console.warn(`⚠️ Share card photo failed (${url}):`, error.message);
+            return null;
+        }
+    }
+
+    async draw(content) {
+        const { width, height } = FORMATS[content.format];
+        const canvas = createCanvas(width, height);
+        const ctx = canvas.getContext('2d');
+
+        const photo = await this.loadPhoto(content.photo);
+        if (photo) {
+            drawCover(ctx, photo, width, height);
+        } else {
+            const background = ctx.createLinearGradient(0, 0, width, height);
+            background.addColorStop(0, this.brandColor);
+            background.addColorStop(1, '#111111');
+            ctx.fillStyle = background;
+            ctx.fillRect(0, 0, width, height);
+        }
+
+        if (content.slide === 0) {
+            this.drawListing(ctx, content);
+        } else {
+            this.drawPhotoFooter(ctx, content);
+        }
+        return canvas.encode('jpeg', 90);
+    }
+
+    drawListing(ctx, content) {
+        const { width, height, safeTop, safeBottom } = FORMATS[content.format];
+        const textWidth = width - PADDING * 2;
+
+        shade(ctx, width, 0, safeTop + 200, 0.45, 0);
+        shade(ctx, width, height * 0.4, height, 0, 0.88);
+
+        if (content.discount) {
+            const label = `${content.discount}% BELOW MARKET`;
+            ctx.font = font(40, 'bold');
+            const pillWidth = ctx.measureText(label).width + 56;
+            ctx.fillStyle = this.brandColor;
+            ctx.beginPath();
+            ctx.roundRect(PADDING, safeTop + 28, pillWidth, 76, 38);
+            ctx.fill();
+            ctx.fillStyle = '#ffffff';
+            ctx.textAlign = 'left';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(label, PADDING + 28, safeTop + 66);
+        }
+
+        if (content.grade) {
+            const centerX = width - PADDING - 66;
+            const centerY = safeTop + 66;
+            ctx.fillStyle = '#ffffff';
+            ctx.beginPath();
+            ctx.arc(centerX, centerY, 66, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.fillStyle = this.brandColor;
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.font = font(60, 'bold');
+            ctx.fillText(content.grade, centerX, centerY - 8);
+            ctx.font = font(18, 'bold');
+            ctx.fillText('GRADE', centerX, centerY + 38);
+        }
+
+        // Bottom block, laid out upwards from the brand line
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'alphabetic';
+        let y = height - safeBottom;
+
+        ctx.font = font(34, 'bold');
+        ctx.fillStyle = '#ffffff';
+        ctx.fillText(this.brandName, PADDING, y);
+        if (content.noFee) {
+            ctx.textAlign = 'right';
+            ctx.fillStyle = this.brandColor;
+            ctx.fillText('NO FEE', width - PADDING, y);
+            ctx.textAlign = 'left';
+        }
+        y -= 34 + 48;
+
+        if (content.location) {
+            ctx.font = font(44);
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+            ctx.fillText(ellipsize(ctx, content.location, textWidth), PADDING, y);
+            y -= 44 + 24;
+        }
+
+        if (content.details) {
+            ctx.font = font(48, 'bold');
+            ctx.fillStyle = '#ffffff';
+            ctx.fillText(ellipsize(ctx, content.details, textWidth), PADDING, y);
+            y -= 48 + 32;
+        }
+
+        if (content.price) {
+            fitFont(ctx, content.price, { weight: 'bold', maxSize: 120, minSize: 64, maxWidth: textWidth });
+            ctx.fillStyle = '#ffffff';
+            ctx.fillText(content.price, PADDING, y);
+        }
+    }
+
+    drawPhotoFooter(ctx, content) {
+        const { width, height, safeBottom } = FORMATS[content.format];
+        const y = height - safeBottom;
+
+        shade(ctx, width, height - safeBottom - 220, height, 0, 0.75);
+
+        ctx.textBaseline = 'alphabetic';
+        ctx.font = font(34, 'bold');
+        ctx.fillStyle = '#ffffff';
+        ctx.textAlign = 'left';
+        ctx.fillText(this.brandName, PADDING, y);
+        ctx.textAlign = 'right';
+        ctx.fillText(`${content.slide + 1}/${content.count}`, width - PADDING, y);
+
+        if (content.address) {
+            ctx.textAlign = 'left';
+            ctx.font = font(40);
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
+            ctx.fillText(ellipsize(ctx, content.address, width - PADDING * 2), PADDING, y - 34 - 28);
+        }
+    }
+}
+
+module.exports = { ShareCards, SHARE_CARD_FORMATS: FORMATS };
@@ -0,0 +1,141 @@
+// services/subway-stations.js
+// NYC SUBWAY STATIONS - local station dataset for "N minutes' walk from line X /
+// station Y" searches and the nearest-train line on every result. No network
+// calls: data/subway-stations.json holds { id, name, routes, latitude,
+// longitude, borough, neighborhood } per station (SUBWAY_STATIONS_PATH overrides)
+
+const path = require('path');
+const { normalizeKey, editDistance } = require('./neighborhoods');
+const { distanceMiles, walkMinutes } = require('./geo');
+
+// Stations sharing a name closer than this are one place ("Canal St"), farther
+// apart they are different stations ("Fulton St" in Manhattan vs Brooklyn)
+const SAME_PLACE_MILES = 0.5;
+
+function stationKey(value) {
+    return normalizeKey(value)
+        .replace(/\b(\d+)(st|nd|rd|th)\b/g, '$1')
+        .replace(/\bavenue\b|\bave\b/g, 'av')
+        .replace(/\bstreet\b/g, 'st')
+        .replace(/\bsquare\b/g, 'sq')
+        .replace(/\bparkway\b/g, 'pkwy')
+        .replace(/\bboulevard\b/g, 'blvd')
+        .replace(/\broad\b/g, 'rd')
+        .replace(/\bplace\b/g, 'pl');
+}
+
+// "L train", "the 7 line", "q" -> "L", "7", "Q"
+function normalizeLine(value) {
+    const line = String(value || '')
+        .toUpperCase()
+        .replace(/\b(THE|TRAIN|LINE|SUBWAY)\b/g, '')
+        .trim();
+    return line === 'STATEN ISLAND RAILWAY' ? 'SIR' : line;
+}
+
+// "L at Bedford Av (4 min walk)" for an entry from nearest()
+function describeStation(station) {
+    return `${station.routes.join('/')} at ${station.name} (${station.walkMinutes} min walk)`;
+}
+
+class SubwayStations {
+    constructor(stations) {
+        this.stations = stations;
+        this.routes = new Set(stations.flatMap(station => station.routes));
+
+        // Full names plus each part of a compound name ("Times Sq", "42 St")
+        this.keys = new Map();
+        for (const station of stations) {
+            const names = [station.name, ...station.name.split(/[-/]/)];
+            for (const key of new Set(names.map(stationKey).filter(Boolean))) {
+                if (!this.keys.has(key)) this.keys.set(key, []);
+                this.keys.get(key).push(station);
+            }
+        }
+    }
+
+    static load(filePath = path.join(__dirname, '..', 'data', 'subway-stations.json')) {
+        return new SubwayStations(require(path.resolve(filePath)));
+    }
+
+    hasLine(line) {
+        return this.routes.has(normalizeLine(line));
+    }
+
+    onLine(line) {
+        const route = normalizeLine(line);
+        return this.stations.filter(station => station.routes.includes(route));
+    }
+
+    // Stations matching a name, optionally on a given line. Returns
+    // { stations, ambiguous } where ambiguous means the name covers stations
+    // too far apart to treat as one place
+    find(name, line) {
+        const key = stationKey(name);
+        if (!key) return { stations: [], ambiguous: false };
+
+        let matches = this.keys.get(key);
+        if (!matches) {
+            // Accept a typo only when a single spelling is clearly the closest
+            const ranked = [...this.keys.keys()]
+                .map(candidate => ({ candidate, distance: editDistance(key, candidate) }))
+                .sort((a, b) => a.distance - b.distance);
+            const [best, runnerUp] = ranked;
+            const tolerance = Math.max(1, Math.floor(key.length / 5));
+            if (best && best.distance <= tolerance && (!runnerUp || runnerUp.distance > best.distance)) {
+                matches = this.keys.get(best.candidate);
+            }
+        }
+
+        const route = line ? normalizeLine(line) : null;
+        const stations = (matches || []).filter(station => !route || station.routes.includes(route));
+        const ambiguous = stations.some(a => stations.some(b => distanceMiles(a, b) > SAME_PLACE_MILES));
+        return { stations, ambiguous };
+    }
+
+    suggest(name, limit = 5) {
+        const key = stationKey(name);
+        if (!key) return [];
+
+        return this.stations
+            .map(station => ({ station, distance: editDistance(key, stationKey(station.name)) }))
+            .filter(match => match.distance <= Math.max(2, Math.ceil(key.length / 2)))
+            .sort((a, b) => a.distance - b.distance)
+            .slice(0, limit)
+            .map(({ station }) => this.describe(station));
+    }
+
+    // Closest stations to a point with straight-line distance and walking time
+    nearest(point, limit = 3) {
+        return this.byDistance(point)
+            .slice(0, limit)
+            .map(({ station, miles }) => ({
+                id: station.id,
+                name: station.name,
+                routes: station.routes,
+                distanceMiles: Math.round(miles * 100) / 100,
+                walkMinutes: walkMinutes(miles)
+            }));
+    }
+
+    closest(point) {
+        return this.byDistance(point)[0]?.station || null;
+    }
+
+    byDistance(point) {
+        return this.stations
+            .map(station => ({ station, miles: distanceMiles(point, station) }))
+            .sort((a, b) => a.miles - b.miles);
+    }
+
+    describe(station) {
+        const { id, name, routes, borough, neighborhood } = station;
+        return { id, name, routes, borough, neighborhood };
+    }
+
+    list({ line } = {}) {
+        return (line ? this.onLine(line) : this.stations).map(station => ({ ...station }));
+    }
+}
+
+module.exports = { SubwayStations, normalizeLine, stationKey, describeStation };
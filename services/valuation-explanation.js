@@ -0,0 +1,63 @@
+// services/valuation-explanation.js
+// STRUCTURED VALUATION EXPLANATION - answers "below market compared to what?"
+// for every scored listing, whichever scorer produced it:
+//
+// {
+//   source: 'llm' | 'comps',
+//   listedPrice, estimatedMarketPrice, percentBelowMarket,
+//   benchmark: { type, description, ... },
+//   comparables: [{ listingId, address, unit, price, bedrooms, bathrooms, sqft }],
+//   factors: [{ factor, impact: 'positive' | 'negative' | 'neutral', adjustmentPercent, detail }]
+// }
+//
+// `impact` is from the renter/buyer's side: positive factors make the deal better
+
+function marketPriceFromDiscount(price, percentBelowMarket) {
+    if (!(price > 0) || !(percentBelowMarket < 100)) return null;
+    return Math.round(price / (1 - percentBelowMarket / 100));
+}
+
+function explainLlmAnalysis(property, analysis) {
+    return {
+        source: 'llm',
+        listedPrice: property.price ?? null,
+        estimatedMarketPrice: analysis.estimatedMarketPrice
+            ?? marketPriceFromDiscount(property.price, analysis.percentBelowMarket),
+        percentBelowMarket: analysis.percentBelowMarket,
+        benchmark: {
+            type: 'model_estimate',
+            description: `Claude's estimate of typical ${property.neighborhood || 'neighborhood'} ${property.bedrooms || 0}BR ${property.propertyType === 'sale' ? 'prices' : 'rents'}`
+        },
+        comparables: [],
+        factors: analysis.factors || []
+    };
+}
+
+function formatMoney(value) {
+    return value ? `$${Math.round(value).toLocaleString()}` : 'n/a';
+}
+
+// Short human-readable lines for DMs and emails
+function explanationLines(explanation, { maxComparables = 2, maxFactors = 3 } = {}) {
+    if (!explanation) return [];
+    const lines = [];
+
+    if (explanation.estimatedMarketPrice) {
+        lines.push(`Est. market ${formatMoney(explanation.estimatedMarketPrice)} vs listed ${formatMoney(explanation.listedPrice)} (${explanation.benchmark?.description || explanation.source})`);
+    }
+    for (const comp of (explanation.comparables || []).slice(0, maxComparables)) {
+        const size = comp.sqft ? `, ${comp.sqft} sqft` : '';
+        lines.push(`Comp: ${comp.address}${comp.unit ? ` #${comp.unit}` : ''} ${formatMoney(comp.price)} (${comp.bedrooms}BR${size})`);
+    }
+    const factors = (explanation.factors || []).slice(0, maxFactors);
+    if (factors.length > 0) {
+        lines.push(`Factors: ${factors.map(factor => {
+            const sign = factor.impact === 'positive' ? '+' : factor.impact === 'negative' ? '-' : '';
+            return `${sign}${factor.factor.replace(/_/g, ' ')}`;
+        }).join(', ')}`);
+    }
+
+    return lines;
+}
+
+module.exports = { explainLlmAnalysis, explanationLines, marketPriceFromDiscount };
@@ -0,0 +1,98 @@
+// storage/bounded-store.js
+// Map-like in-memory store with TTL and max-size eviction. Used for the hot
+// copies of job state and job results; the storage layer keeps the durable copy.
+
+class BoundedStore {
+    constructor(options = {}) {
+        this.name = options.name || 'store';
+        this.ttlMs = options.ttlMs || 60 * 60 * 1000;
+        this.maxSize = options.maxSize || 1000;
+        this.isPinned = options.isPinned || (() => false);
+        this.entries = new Map();
+        this.evictions = { ttl: 0, size: 0 };
+
+        this.sweepTimer = setInterval(() => this.sweep(), options.sweepIntervalMs || 60 * 1000);
+        this.sweepTimer.unref?.();
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+
+    has(key) {
+        return this.get(key) !== undefined;
+    }
+
+    get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return undefined;
+
+        if (this.isExpired(entry)) {
+            this.entries.delete(key);
+            this.evictions.ttl++;
+            return undefined;
+        }
+
+        return entry.value;
+    }
+
+    set(key, value) {
+        this.entries.delete(key);
+        this.entries.set(key, { value, touchedAt: Date.now() });
+        this.enforceMaxSize();
+        return this;
+    }
+
+    touch(key) {
+        const entry = this.entries.get(key);
+        if (entry) entry.touchedAt = Date.now();
+    }
+
+    delete(key) {
+        return this.entries.delete(key);
+    }
+
+    values() {
+        return [...this.entries.values()].map(entry => entry.value);
+    }
+
+    isExpired(entry) {
+        return !this.isPinned(entry.value) && Date.now() - entry.touchedAt > this.ttlMs;
+    }
+
+    sweep() {
+        for (const [key, entry] of this.entries) {
+            if (this.isExpired(entry)) {
+                this.entries.delete(key);
+                this.evictions.ttl++;
+            }
+        }
+    }
+
+    enforceMaxSize() {
+        if (this.entries.size <= this.maxSize) return;
+
+        // Oldest unpinned entries go first; Map iteration order is insertion order
+        for (const [key, entry] of this.entries) {
+            if (this.entries.size <= this.maxSize) break;
+            if (this.isPinned(entry.value)) continue;
+            this.entries.delete(key);
+            this.evictions.size++;
+        }
+    }
+
+    stats() {
+        return {
+            size: this.entries.size,
+            maxSize: this.maxSize,
+            ttlMinutes: Math.round(this.ttlMs / 60000),
+            evictions: { ...this.evictions }
+        };
+    }
+
+    close() {
+        clearInterval(this.sweepTimer);
+    }
+}
+
+module.exports = BoundedStore;
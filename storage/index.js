@@ -0,0 +1,39 @@
+// storage/index.js
+// Storage backend selection. STORAGE_BACKEND=memory|supabase picks explicitly;
+// otherwise Supabase is used when SUPABASE_URL is configured and the embedded
+// memory backend everywhere else (laptops, CI).
+
+const MemoryStorage = require('./memory-storage');
+const SupabaseStorage = require('./supabase-storage');
+
+function createStorage(options = {}) {
+    const backend = options.backend
+        || process.env.STORAGE_BACKEND
+        || (process.env.SUPABASE_URL ? 'supabase' : 'memory');
+
+    switch (backend) {
+        case 'supabase':
+            if (!process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_ROLE_KEY) {
+                throw new Error('STORAGE_BACKEND=supabase requires SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY');
+            }
+            return new SupabaseStorage({
+                url: process.env.SUPABASE_URL,
+                serviceRoleKey: process.env.SUPABASE_SERVICE_ROLE_KEY
+            });
+
+        case 'memory':
+            console.log('🗄️ Using embedded memory storage');
+            return new MemoryStorage({
+                filePath: options.filePath || process.env.STORAGE_FILE || null,
+                jobRetentionMs: (parseFloat(process.env.STORAGE_JOB_RETENTION_HOURS) || 24) * 60 * 60 * 1000,
+                jobMaxRows: parseInt(process.env.STORAGE_JOB_MAX_ROWS) || 1000,
+                listingRetentionMs: (parseFloat(process.env.STORAGE_LISTING_RETENTION_DAYS) || 90) * 24 * 60 * 60 * 1000,
+                listingMaxRows: parseInt(process.env.STORAGE_LISTING_MAX_ROWS) || 20000
+            });
+
+        default:
+            throw new Error(`Unknown STORAGE_BACKEND: ${backend}`);
+    }
+}
+
+module.exports = { createStorage, MemoryStorage, SupabaseStorage };
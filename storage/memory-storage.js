@@ -0,0 +1,538 @@
+// storage/memory-storage.js
+// EMBEDDED STORAGE BACKEND - keeps every table in process memory and can
+// optionally snapshot to a JSON file so local runs survive a restart.
+// Set STORAGE_BACKEND=memory (and optionally STORAGE_FILE=./data/local-db.json)
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const SNAPSHOT_DELAY_MS = 1000;
+const SNAPSHOT_MAX_WAIT_MS = 10000;
+
+// Tables that only grow (job bookkeeping, listings, cached analyses) take a
+// retention: rows older than maxAgeMs or beyond maxRows (oldest first) are
+// dropped; pinned rows (in-flight jobs) stay
+const IN_FLIGHT = row => ['queued', 'processing'].includes(row.status);
+
+class MemoryTable {
+    // indexBy names a unique column that getBy() looks up without a scan
+    constructor(storage, name, retention = null, indexBy = null) {
+        this.storage = storage;
+        this.name = name;
+        this.retention = retention;
+        this.indexBy = indexBy;
+        this.rows = new Map();
+        this.index = indexBy ? new Map() : null;
+    }
+
+    get(id) {
+        const row = this.rows.get(id);
+        return row ? { ...row } : null;
+    }
+
+    getBy(value) {
+        const id = this.index?.get(value);
+        return id === undefined ? null : this.get(id);
+    }
+
+    find(predicate) {
+        for (const row of this.rows.values()) {
+            if (predicate(row)) return { ...row };
+        }
+        return null;
+    }
+
+    filter(predicate) {
+        const matches = [];
+        for (const row of this.rows.values()) {
+            if (predicate(row)) matches.push({ ...row });
+        }
+        return matches;
+    }
+
+    insert(data) {
+        const now = new Date().toISOString();
+        const row = { id: data.id || crypto.randomUUID(), created_at: now, updated_at: now, ...data };
+        this.setRow(row);
+        this.prune();
+        this.storage.scheduleSnapshot();
+        return { ...row };
+    }
+
+    update(id, updates) {
+        const existing = this.rows.get(id);
+        if (!existing) return null;
+        const row = { ...existing, ...updates, id, updated_at: new Date().toISOString() };
+        this.setRow(row);
+        this.storage.scheduleSnapshot();
+        return { ...row };
+    }
+
+    delete(id) {
+        const deleted = this.removeRow(id);
+        if (deleted) this.storage.scheduleSnapshot();
+        return deleted;
+    }
+
+    setRow(row) {
+        const existing = this.rows.get(row.id);
+        if (existing) {
+            // Re-inserting keeps retained tables in updated_at order for prune()
+            if (this.retention) this.rows.delete(row.id);
+            if (this.index && existing[this.indexBy] !== row[this.indexBy]) this.index.delete(existing[this.indexBy]);
+        }
+        this.rows.set(row.id, row);
+        if (this.index && row[this.indexBy] !== undefined) this.index.set(row[this.indexBy], row.id);
+    }
+
+    removeRow(id) {
+        const existing = this.rows.get(id);
+        if (!existing) return false;
+        this.rows.delete(id);
+        if (this.index && this.index.get(existing[this.indexBy]) === id) this.index.delete(existing[this.indexBy]);
+        return true;
+    }
+
+    // Rows sit in updated_at order, so the pass stops at the first unpinned row
+    // that is both fresh and within maxRows instead of scanning the table
+    prune() {
+        if (!this.retention) return 0;
+        const { maxAgeMs, maxRows, isPinned = () => false } = this.retention;
+        const cutoff = new Date(Date.now() - maxAgeMs).toISOString();
+
+        let dropped = 0;
+        for (const [id, row] of this.rows) {
+            if (isPinned(row)) continue;
+            if (row.updated_at >= cutoff && this.rows.size <= maxRows) break;
+            this.removeRow(id);
+            dropped++;
+        }
+        return dropped;
+    }
+
+    toJSON() {
+        return [...this.rows.values()];
+    }
+
+    load(rows = []) {
+        this.rows = new Map();
+        this.index = this.indexBy ? new Map() : null;
+        const ordered = this.retention
+            ? [...rows].sort((a, b) => String(a.updated_at).localeCompare(String(b.updated_at)))
+            : rows;
+        for (const row of ordered) this.setRow(row);
+    }
+}
+
+class MemoryProfileRepository {
+    constructor(table) {
+        this.table = table;
+    }
+
+    async findById(id) {
+        return this.table.get(id);
+    }
+
+    async findByEmail(email) {
+        return this.table.find(profile => profile.email_address === email);
+    }
+
+    async findByStripeCustomerId(customerId) {
+        return this.table.find(profile => profile.stripe_customer_id === customerId);
+    }
+
+    async findByInstagramUserId(userId) {
+        return this.table.find(profile => profile.instagram_user_id === userId);
+    }
+
+    // Handles saved before they were normalized may still carry "@" or capitals
+    async findByInstagramHandle(handle) {
+        return this.table.find(profile => String(profile.instagram_handle || '').replace(/^@+/, '').toLowerCase() === handle);
+    }
+
+    async create(data) {
+        return this.table.insert(data);
+    }
+
+    async update(id, updates) {
+        return this.table.update(id, updates);
+    }
+
+    async updateByStripeCustomerId(customerId, updates) {
+        const profile = await this.findByStripeCustomerId(customerId);
+        return profile ? this.table.update(profile.id, updates) : null;
+    }
+
+    async listActive() {
+        return this.table.filter(profile => !profile.is_canceled);
+    }
+}
+
+class MemoryFetchJobRepository {
+    constructor(table) {
+        this.table = table;
+    }
+
+    async create(data) {
+        return this.table.insert(data);
+    }
+
+    async update(id, updates) {
+        return this.table.update(id, updates);
+    }
+
+    async findById(id) {
+        return this.table.get(id);
+    }
+
+    async findByJobId(jobId) {
+        return this.table.find(record => record.job_id === jobId);
+    }
+
+    async list(filter = {}) {
+        return this.table
+            .filter(record => {
+                if (filter.status && record.status !== filter.status) return false;
+                if (filter.neighborhood && record.search_params?.neighborhood !== filter.neighborhood) return false;
+                return true;
+            })
+            .sort((a, b) => b.created_at.localeCompare(a.created_at))
+            .slice(0, filter.limit || undefined);
+    }
+}
+
+class MemoryListingRepository {
+    constructor(tables) {
+        this.tables = tables;
+    }
+
+    async upsertMany(propertyType, listings) {
+        const table = this.tables[propertyType === 'rental' ? 'rental' : 'sale'];
+
+        return listings.map(listing => {
+            const existing = table.getBy(listing.listing_id);
+            return existing
+                ? table.update(existing.id, listing)
+                : table.insert(listing);
+        });
+    }
+
+    async findByListingId(listingId) {
+        return this.tables.rental.getBy(listingId) || this.tables.sale.getBy(listingId);
+    }
+
+    async search(criteria) {
+        const table = this.tables[criteria.propertyType === 'rental' ? 'rental' : 'sale'];
+        const priceColumn = criteria.propertyType === 'rental' ? 'monthly_rent' : 'price';
+
+        return table
+            .filter(row => {
+                if (criteria.neighborhoods) {
+                    if (!criteria.neighborhoods.includes(row.neighborhood)) return false;
+                } else if (criteria.neighborhood && row.neighborhood !== criteria.neighborhood) {
+                    return false;
+                }
+                if (criteria.status && row.status !== criteria.status) return false;
+                if (criteria.freshSince && row.analysis_date < criteria.freshSince) return false;
+                if (criteria.minDiscount !== undefined && (row.discount_percent || 0) < criteria.minDiscount) return false;
+                if (criteria.bedrooms !== undefined && row.bedrooms !== criteria.bedrooms) return false;
+                if (criteria.minBathrooms && (row.bathrooms || 0) < criteria.minBathrooms) return false;
+                if (criteria.minPrice && (row[priceColumn] || 0) < criteria.minPrice) return false;
+                if (criteria.maxPrice && (row[priceColumn] || 0) > criteria.maxPrice) return false;
+                if (criteria.noFee && !row.no_fee) return false;
+                if (criteria.bounds) {
+                    const { south, west, north, east } = criteria.bounds;
+                    if (!(row.latitude >= south && row.latitude <= north && row.longitude >= west && row.longitude <= east)) {
+                        return false;
+                    }
+                }
+                return true;
+            })
+            .sort(criteria.sort === 'recent'
+                ? (a, b) => String(b.analysis_date || '').localeCompare(String(a.analysis_date || ''))
+                : (a, b) => (b.discount_percent || 0) - (a.discount_percent || 0))
+            .slice(0, criteria.limit || undefined);
+    }
+}
+
+class MemorySearchJobRepository {
+    constructor(table) {
+        this.table = table;
+    }
+
+    async save(jobId, state) {
+        const row = { id: jobId, job_id: jobId, status: state.status, state: { ...state } };
+        return this.table.get(jobId)
+            ? this.table.update(jobId, row)
+            : this.table.insert(row);
+    }
+
+    async get(jobId) {
+        return this.table.get(jobId)?.state || null;
+    }
+
+    async listByStatus(statuses) {
+        return this.table
+            .filter(row => statuses.includes(row.status))
+            .map(row => ({ jobId: row.job_id, ...row.state }));
+    }
+
+    async delete(jobId) {
+        return this.table.delete(jobId);
+    }
+}
+
+class MemoryJobResultRepository {
+    constructor(table) {
+        this.table = table;
+    }
+
+    async save(jobId, result) {
+        const row = { id: jobId, job_id: jobId, result };
+        return this.table.get(jobId)
+            ? this.table.update(jobId, row)
+            : this.table.insert(row);
+    }
+
+    async get(jobId) {
+        return this.table.get(jobId)?.result || null;
+    }
+
+    async delete(jobId) {
+        return this.table.delete(jobId);
+    }
+}
+
+class MemoryLlmSpendRepository {
+    constructor(table) {
+        this.table = table;
+    }
+
+    async add(date, model, increments) {
+        const id = `${date}:${model}`;
+        const existing = this.table.get(id);
+        if (!existing) {
+            return this.table.insert({ id, date, model, input_tokens: 0, output_tokens: 0, cost_usd: 0, calls: 0, ...increments });
+        }
+
+        const updates = {};
+        for (const [key, value] of Object.entries(increments)) {
+            updates[key] = (existing[key] || 0) + value;
+        }
+        return this.table.update(id, updates);
+    }
+
+    // from may be null for everything up to `to`
+    async listByDate(from, to) {
+        return this.table
+            .filter(row => (!from || row.date >= from) && row.date <= to)
+            .sort((a, b) => a.date.localeCompare(b.date) || a.model.localeCompare(b.model));
+    }
+}
+
+class MemoryListingAnalysisRepository {
+    constructor(table) {
+        this.table = table;
+    }
+
+    async getMany(listingIds) {
+        return listingIds.map(id => this.table.get(id)).filter(Boolean);
+    }
+
+    async upsertMany(rows) {
+        for (const row of rows) {
+            const data = { id: row.listing_id, ...row };
+            if (this.table.get(row.listing_id)) {
+                this.table.update(row.listing_id, data);
+            } else {
+                this.table.insert(data);
+            }
+        }
+        return rows.length;
+    }
+
+    async deleteOlderThan(cutoff) {
+        const stale = this.table.filter(row => row.analyzed_at < cutoff);
+        stale.forEach(row => this.table.delete(row.id));
+        return stale.length;
+    }
+}
+
+// Listings queued for a profile by the alert scheduler; one row per
+// profile + listing, so a listing is never queued twice for the same person
+class MemoryAlertRepository {
+    constructor(table) {
+        this.table = table;
+    }
+
+    async listListingIds(profileId) {
+        return this.table.filter(row => row.profile_id === profileId).map(row => row.listing_id);
+    }
+
+    async queueMany(alerts) {
+        const queued = [];
+        for (const alert of alerts) {
+            const id = `${alert.profile_id}:${alert.listing_id}`;
+            if (this.table.get(id)) continue;
+            queued.push(this.table.insert({ id, status: 'pending', ...alert }));
+        }
+        return queued;
+    }
+
+    async list({ profileId, status, limit } = {}) {
+        return this.table
+            .filter(row => (!profileId || row.profile_id === profileId) && (!status || row.status === status))
+            .sort((a, b) => a.created_at.localeCompare(b.created_at))
+            .slice(0, limit || undefined);
+    }
+
+    async update(id, updates) {
+        return this.table.update(id, updates);
+    }
+}
+
+class MemoryAlertRunRepository {
+    constructor(table) {
+        this.table = table;
+    }
+
+    async get(profileId) {
+        return this.table.get(profileId);
+    }
+
+    async save(profileId, run) {
+        const row = { id: profileId, profile_id: profileId, ...run };
+        return this.table.get(profileId)
+            ? this.table.update(profileId, row)
+            : this.table.insert(row);
+    }
+}
+
+// One row per email send attempt (sent or failed)
+class MemoryEmailSendRepository {
+    constructor(table) {
+        this.table = table;
+    }
+
+    async record(send) {
+        return this.table.insert(send);
+    }
+
+    async listByProfile(profileId, limit = 50) {
+        return this.table
+            .filter(row => row.profile_id === profileId)
+            .sort((a, b) => b.created_at.localeCompare(a.created_at))
+            .slice(0, limit);
+    }
+}
+
+class MemoryStorage {
+    constructor(options = {}) {
+        this.backend = 'memory';
+        this.filePath = options.filePath || null;
+        this.snapshotTimer = null;
+        this.snapshotPendingSince = null;
+        this.snapshotDelayMs = options.snapshotDelayMs ?? SNAPSHOT_DELAY_MS;
+        this.snapshotMaxWaitMs = options.snapshotMaxWaitMs ?? SNAPSHOT_MAX_WAIT_MS;
+        const retention = {
+            maxAgeMs: options.jobRetentionMs || 24 * 60 * 60 * 1000,
+            maxRows: options.jobMaxRows || 1000
+        };
+        const listingRetention = {
+            maxAgeMs: options.listingRetentionMs || 90 * 24 * 60 * 60 * 1000,
+            maxRows: options.listingMaxRows || 20000
+        };
+
+        this.tables = {
+            profiles: new MemoryTable(this, 'profiles'),
+            fetch_jobs: new MemoryTable(this, 'fetch_jobs', { ...retention, isPinned: IN_FLIGHT }),
+            search_jobs: new MemoryTable(this, 'search_jobs', { ...retention, isPinned: IN_FLIGHT }),
+            undervalued_rentals: new MemoryTable(this, 'undervalued_rentals', listingRetention, 'listing_id'),
+            undervalued_sales: new MemoryTable(this, 'undervalued_sales', listingRetention, 'listing_id'),
+            job_results: new MemoryTable(this, 'job_results', retention),
+            llm_spend: new MemoryTable(this, 'llm_spend'),
+            listing_analyses: new MemoryTable(this, 'listing_analyses', listingRetention),
+            profile_alerts: new MemoryTable(this, 'profile_alerts'),
+            alert_runs: new MemoryTable(this, 'alert_runs'),
+            email_sends: new MemoryTable(this, 'email_sends')
+        };
+
+        this.loadSnapshot();
+
+        this.profiles = new MemoryProfileRepository(this.tables.profiles);
+        this.fetchJobs = new MemoryFetchJobRepository(this.tables.fetch_jobs);
+        this.listings = new MemoryListingRepository({
+            rental: this.tables.undervalued_rentals,
+            sale: this.tables.undervalued_sales
+        });
+        this.jobs = new MemorySearchJobRepository(this.tables.search_jobs);
+        this.jobResults = new MemoryJobResultRepository(this.tables.job_results);
+        this.llmSpend = new MemoryLlmSpendRepository(this.tables.llm_spend);
+        this.listingAnalyses = new MemoryListingAnalysisRepository(this.tables.listing_analyses);
+        this.alerts = new MemoryAlertRepository(this.tables.profile_alerts);
+        this.alertRuns = new MemoryAlertRunRepository(this.tables.alert_runs);
+        this.emailSends = new MemoryEmailSendRepository(this.tables.email_sends);
+    }
+
+    loadSnapshot() {
+        if (!this.filePath || !fs.existsSync(this.filePath)) return;
+
+        try {
+            const snapshot = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            for (const [name, rows] of Object.entries(snapshot)) {
+                if (this.tables[name]) {
+                    this.tables[name].load(rows);
+                    this.tables[name].prune();
+                }
+            }
+            console.log(`📂 Loaded local storage snapshot from ${this.filePath}`);
+        } catch (error) {
+            console.warn('⚠️ Failed to load storage snapshot:', error.message);
+        }
+    }
+
+    // Trailing debounce: a burst of writes produces one snapshot, and a steady
+    // stream of writes still gets one at least every snapshotMaxWaitMs
+    scheduleSnapshot() {
+        if (!this.filePath) return;
+
+        const now = Date.now();
+        this.snapshotPendingSince ??= now;
+        clearTimeout(this.snapshotTimer);
+        const delay = Math.min(this.snapshotDelayMs, this.snapshotPendingSince + this.snapshotMaxWaitMs - now);
+        this.snapshotTimer = setTimeout(() => {
+            this.snapshotTimer = null;
+            this.snapshotPendingSince = null;
+            this.writeSnapshot();
+        }, Math.max(0, delay));
+        this.snapshotTimer.unref?.();
+    }
+
+    // Writes a pending snapshot now; called on shutdown since the debounce
+    // timer doesn't keep the process alive
+    flush() {
+        if (!this.snapshotTimer) return;
+        clearTimeout(this.snapshotTimer);
+        this.snapshotTimer = null;
+        this.snapshotPendingSince = null;
+        this.writeSnapshot();
+    }
+
+    writeSnapshot() {
+        for (const table of Object.values(this.tables)) table.prune();
+
+        // Write then rename so a crash mid-write leaves the previous snapshot intact
+        const tempPath = `${this.filePath}.${process.pid}.tmp`;
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            fs.writeFileSync(tempPath, JSON.stringify(this.tables));
+            fs.renameSync(tempPath, this.filePath);
+        } catch (error) {
+            fs.rmSync(tempPath, { force: true });
+            console.warn('⚠️ Failed to write storage snapshot:', error.message);
+        }
+    }
+}
+
+module.exports = MemoryStorage;
@@ -0,0 +1,240 @@
+-- storage/schema.sql
+-- Supabase tables used by storage/supabase-storage.js (profiles is managed separately)
+
+create table if not exists fetch_jobs (
+    id uuid primary key default gen_random_uuid(),
+    job_id text not null unique,
+    status text not null default 'processing',
+    search_params jsonb,
+    result_source text,
+    thresholds_tried jsonb,
+    threshold_used numeric,
+    streeteasy_api_calls integer default 0,
+    pages_scanned integer default 0,
+    provider_stats jsonb,
+    total_listings_fetched integer default 0,
+    claude_api_calls integer default 0,
+    claude_tokens integer default 0,
+    claude_cost_usd numeric default 0,
+    analysis_failures jsonb,
+    claude_model text,
+    analysis_cache_hits integer,
+    valuation jsonb,
+    budget_exceeded text,
+    cache_hits integer default 0,
+    properties_found integer default 0,
+    error_message text,
+    started_at timestamptz,
+    completed_at timestamptz,
+    duration_ms integer,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+);
+
+create index if not exists fetch_jobs_status_idx on fetch_jobs (status, created_at desc);
+
+create table if not exists undervalued_rentals (
+    id uuid primary key default gen_random_uuid(),
+    listing_id text not null unique,
+    fetch_job_id text,
+    property_type text,
+    provider text,
+    address text,
+    unit text,
+    neighborhood text,
+    borough text,
+    latitude double precision,
+    longitude double precision,
+    nearest_stations jsonb,
+    bedrooms numeric,
+    bathrooms numeric,
+    sqft numeric,
+    no_fee boolean default false,
+    monthly_rent numeric,
+    potential_monthly_savings numeric,
+    annual_savings numeric,
+    discount_percent numeric,
+    score numeric,
+    grade text,
+    reasoning text,
+    valuation_source text,
+    comps_check jsonb,
+    explanation jsonb,
+    images jsonb,
+    image_count integer,
+    primary_image text,
+    instagram_ready_images jsonb,
+    listing_url text,
+    status text default 'active',
+    analysis_date timestamptz,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+);
+
+create table if not exists undervalued_sales (
+    id uuid primary key default gen_random_uuid(),
+    listing_id text not null unique,
+    fetch_job_id text,
+    property_type text,
+    provider text,
+    address text,
+    unit text,
+    neighborhood text,
+    borough text,
+    latitude double precision,
+    longitude double precision,
+    nearest_stations jsonb,
+    bedrooms numeric,
+    bathrooms numeric,
+    sqft numeric,
+    no_fee boolean default false,
+    price numeric,
+    potential_savings numeric,
+    discount_percent numeric,
+    score numeric,
+    grade text,
+    reasoning text,
+    valuation_source text,
+    comps_check jsonb,
+    explanation jsonb,
+    images jsonb,
+    image_count integer,
+    primary_image text,
+    instagram_ready_images jsonb,
+    listing_url text,
+    status text default 'active',
+    analysis_date timestamptz,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+);
+
+create index if not exists undervalued_rentals_search_idx
+    on undervalued_rentals (neighborhood, status, analysis_date);
+create index if not exists undervalued_sales_search_idx
+    on undervalued_sales (neighborhood, status, analysis_date);
+create index if not exists undervalued_rentals_geo_idx
+    on undervalued_rentals (latitude, longitude);
+create index if not exists undervalued_sales_geo_idx
+    on undervalued_sales (latitude, longitude);
+
+create table if not exists search_jobs (
+    job_id text primary key,
+    status text not null,
+    state jsonb not null,
+    updated_at timestamptz not null default now()
+);
+
+create index if not exists search_jobs_status_idx on search_jobs (status);
+
+create table if not exists job_results (
+    job_id text primary key,
+    result jsonb not null,
+    updated_at timestamptz not null default now()
+);
+
+create table if not exists llm_spend (
+    date date not null,
+    model text not null,
+    input_tokens bigint not null default 0,
+    output_tokens bigint not null default 0,
+    cost_usd numeric not null default 0,
+    calls integer not null default 0,
+    updated_at timestamptz not null default now(),
+    primary key (date, model)
+);
+
+-- Atomic per-day increment used by SupabaseLlmSpendRepository.add
+create or replace function add_llm_spend(
+    p_date date,
+    p_model text,
+    p_input_tokens bigint,
+    p_output_tokens bigint,
+    p_cost_usd numeric,
+    p_calls integer
+) returns void
+language sql
+as $$
+    insert into llm_spend (date, model, input_tokens, output_tokens, cost_usd, calls, updated_at)
+    values (p_date, p_model, p_input_tokens, p_output_tokens, p_cost_usd, p_calls, now())
+    on conflict (date, model) do update set
+        input_tokens = llm_spend.input_tokens + excluded.input_tokens,
+        output_tokens = llm_spend.output_tokens + excluded.output_tokens,
+        cost_usd = llm_spend.cost_usd + excluded.cost_usd,
+        calls = llm_spend.calls + excluded.calls,
+        updated_at = now();
+$$;
+
+create table if not exists listing_analyses (
+    listing_id text primary key,
+    content_hash text not null,
+    price numeric,
+    model text,
+    analysis jsonb not null,
+    analyzed_at timestamptz not null,
+    updated_at timestamptz not null default now()
+);
+
+create index if not exists listing_analyses_analyzed_at_idx on listing_analyses (analyzed_at);
+
+create table if not exists profile_alerts (
+    id uuid primary key default gen_random_uuid(),
+    profile_id text not null,
+    listing_id text not null,
+    property_type text,
+    job_id text,
+    discount_percent numeric,
+    listing jsonb not null,
+    status text not null default 'pending',
+    sent_at timestamptz,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now(),
+    unique (profile_id, listing_id)
+);
+
+create index if not exists profile_alerts_status_idx on profile_alerts (status, created_at);
+
+create table if not exists alert_runs (
+    profile_id text primary key,
+    status text not null,
+    job_id text,
+    started_at timestamptz,
+    completed_at timestamptz,
+    matches_found integer default 0,
+    alerts_queued integer default 0,
+    error_message text,
+    updated_at timestamptz not null default now()
+);
+
+create table if not exists email_sends (
+    id uuid primary key default gen_random_uuid(),
+    profile_id text not null,
+    email text not null,
+    subject text,
+    transport text,
+    message_id text,
+    status text not null,
+    alert_ids jsonb,
+    listing_count integer default 0,
+    error_message text,
+    sent_at timestamptz,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists email_sends_profile_idx on email_sends (profile_id, created_at desc);
+
+-- Set by the one-click unsubscribe link in alert emails
+alter table if exists profiles add column if not exists email_unsubscribed_at timestamptz;
+
+-- Set when a subscriber DMs STOP; pauses scheduled alerts and email digests until START
+alter table if exists profiles add column if not exists alerts_paused_at timestamptz;
+
+-- Instagram-scoped id of the account that DMs us, linked on first message
+alter table if exists profiles add column if not exists instagram_user_id text;
+create index if not exists profiles_instagram_user_idx on profiles (instagram_user_id);
+create index if not exists profiles_instagram_handle_idx on profiles (instagram_handle);
+
+-- Handles are stored lowercased without "@"; normalize rows saved before that
+update profiles
+set instagram_handle = lower(regexp_replace(instagram_handle, '^@+', ''))
+where instagram_handle is not null
+  and instagram_handle <> lower(regexp_replace(instagram_handle, '^@+', ''));
@@ -0,0 +1,421 @@
+// storage/supabase-storage.js
+// SUPABASE STORAGE BACKEND - production persistence for profiles, fetch jobs,
+// cached listings and job results
+
+const { createClient } = require('@supabase/supabase-js');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+class SupabaseProfileRepository {
+    constructor(client) {
+        this.client = client;
+    }
+
+    async findById(id) {
+        const { data, error } = await this.client.from('profiles').select('*').eq('id', id).maybeSingle();
+        if (error) throw error;
+        return data;
+    }
+
+    async findByEmail(email) {
+        const { data, error } = await this.client.from('profiles').select('*').eq('email_address', email).maybeSingle();
+        if (error) throw error;
+        return data;
+    }
+
+    async findByStripeCustomerId(customerId) {
+        const { data, error } = await this.client.from('profiles').select('*').eq('stripe_customer_id', customerId).maybeSingle();
+        if (error) throw error;
+        return data;
+    }
+
+    async findByInstagramUserId(userId) {
+        const { data, error } = await this.client.from('profiles').select('*').eq('instagram_user_id', userId).maybeSingle();
+        if (error) throw error;
+        return data;
+    }
+
+    // Case-insensitive like the memory backend; "_" is legal in handles, so
+    // LIKE wildcards are escaped. Older "@"-prefixed rows are normalized by schema.sql
+    async findByInstagramHandle(handle) {
+        const pattern = String(handle).replace(/[\\%_]/g, '\\$&');
+        const { data, error } = await this.client
+            .from('profiles')
+            .select('*')
+            .ilike('instagram_handle', pattern)
+            .limit(1);
+        if (error) throw error;
+        return data[0] || null;
+    }
+
+    async create(profile) {
+        const { data, error } = await this.client.from('profiles').insert(profile).select().single();
+        if (error) throw error;
+        return data;
+    }
+
+    async update(id, updates) {
+        const { data, error } = await this.client.from('profiles').update(updates).eq('id', id).select().maybeSingle();
+        if (error) throw error;
+        return data;
+    }
+
+    async updateByStripeCustomerId(customerId, updates) {
+        const { data, error } = await this.client.from('profiles').update(updates).eq('stripe_customer_id', customerId).select();
+        if (error) throw error;
+        return data?.[0] || null;
+    }
+
+    async listActive() {
+        const { data, error } = await this.client.from('profiles').select('*').eq('is_canceled', false);
+        if (error) throw error;
+        return data;
+    }
+}
+
+class SupabaseFetchJobRepository {
+    constructor(client) {
+        this.client = client;
+    }
+
+    async create(record) {
+        const { data, error } = await this.client.from('fetch_jobs').insert(record).select().single();
+        if (error) throw error;
+        return data;
+    }
+
+    async update(id, updates) {
+        const { data, error } = await this.client.from('fetch_jobs').update(updates).eq('id', id).select().maybeSingle();
+        if (error) throw error;
+        return data;
+    }
+
+    async findById(id) {
+        if (!UUID_PATTERN.test(id)) return null;
+        const { data, error } = await this.client.from('fetch_jobs').select('*').eq('id', id).maybeSingle();
+        if (error) throw error;
+        return data;
+    }
+
+    async findByJobId(jobId) {
+        const { data, error } = await this.client.from('fetch_jobs').select('*').eq('job_id', jobId).maybeSingle();
+        if (error) throw error;
+        return data;
+    }
+
+    async list(filter = {}) {
+        let query = this.client.from('fetch_jobs').select('*');
+
+        if (filter.status) query = query.eq('status', filter.status);
+        if (filter.neighborhood) query = query.eq('search_params->>neighborhood', filter.neighborhood);
+
+        query = query.order('created_at', { ascending: false });
+        if (filter.limit) query = query.limit(filter.limit);
+
+        const { data, error } = await query;
+        if (error) throw error;
+        return data;
+    }
+}
+
+class SupabaseListingRepository {
+    constructor(client) {
+        this.client = client;
+    }
+
+    table(propertyType) {
+        return propertyType === 'rental' ? 'undervalued_rentals' : 'undervalued_sales';
+    }
+
+    async upsertMany(propertyType, listings) {
+        const { data, error } = await this.client
+            .from(this.table(propertyType))
+            .upsert(listings, { onConflict: 'listing_id' })
+            .select();
+        if (error) throw error;
+        return data;
+    }
+
+    async findByListingId(listingId) {
+        for (const propertyType of ['rental', 'sale']) {
+            const { data, error } = await this.client
+                .from(this.table(propertyType))
+                .select('*')
+                .eq('listing_id', listingId)
+                .maybeSingle();
+            if (error) throw error;
+            if (data) return data;
+        }
+        return null;
+    }
+
+    async search(criteria) {
+        const priceColumn = criteria.propertyType === 'rental' ? 'monthly_rent' : 'price';
+        let query = this.client.from(this.table(criteria.propertyType)).select('*');
+
+        if (criteria.neighborhoods) query = query.in('neighborhood', criteria.neighborhoods);
+        else if (criteria.neighborhood) query = query.eq('neighborhood', criteria.neighborhood);
+        if (criteria.status) query = query.eq('status', criteria.status);
+        if (criteria.freshSince) query = query.gte('analysis_date', criteria.freshSince);
+        if (criteria.minDiscount !== undefined) query = query.gte('discount_percent', criteria.minDiscount);
+        if (criteria.bedrooms !== undefined) query = query.eq('bedrooms', criteria.bedrooms);
+        if (criteria.minBathrooms) query = query.gte('bathrooms', criteria.minBathrooms);
+        if (criteria.minPrice) query = query.gte(priceColumn, criteria.minPrice);
+        if (criteria.maxPrice) query = query.lte(priceColumn, criteria.maxPrice);
+        if (criteria.noFee) query = query.eq('no_fee', true);
+        if (criteria.bounds) {
+            query = query
+                .gte('latitude', criteria.bounds.south)
+                .lte('latitude', criteria.bounds.north)
+                .gte('longitude', criteria.bounds.west)
+                .lte('longitude', criteria.bounds.east);
+        }
+
+        query = criteria.sort === 'recent'
+            ? query.order('analysis_date', { ascending: false })
+            : query.order('discount_percent', { ascending: false });
+        if (criteria.limit) query = query.limit(criteria.limit);
+
+        const { data, error } = await query;
+        if (error) throw error;
+        return data;
+    }
+}
+
+class SupabaseSearchJobRepository {
+    constructor(client) {
+        this.client = client;
+    }
+
+    async save(jobId, state) {
+        const { error } = await this.client
+            .from('search_jobs')
+            .upsert({ job_id: jobId, status: state.status, state, updated_at: new Date().toISOString() }, { onConflict: 'job_id' });
+        if (error) throw error;
+    }
+
+    async get(jobId) {
+        const { data, error } = await this.client.from('search_jobs').select('state').eq('job_id', jobId).maybeSingle();
+        if (error) throw error;
+        return data?.state || null;
+    }
+
+    async listByStatus(statuses) {
+        const { data, error } = await this.client.from('search_jobs').select('job_id, state').in('status', statuses);
+        if (error) throw error;
+        return data.map(row => ({ jobId: row.job_id, ...row.state }));
+    }
+
+    async delete(jobId) {
+        const { error } = await this.client.from('search_jobs').delete().eq('job_id', jobId);
+        if (error) throw error;
+        return true;
+    }
+}
+
+class SupabaseJobResultRepository {
+    constructor(client) {
+        this.client = client;
+    }
+
+    async save(jobId, result) {
+        const { error } = await this.client
+            .from('job_results')
+            .upsert({ job_id: jobId, result, updated_at: new Date().toISOString() }, { onConflict: 'job_id' });
+        if (error) throw error;
+    }
+
+    async get(jobId) {
+        const { data, error } = await this.client.from('job_results').select('result').eq('job_id', jobId).maybeSingle();
+        if (error) throw error;
+        return data?.result || null;
+    }
+
+    async delete(jobId) {
+        const { error } = await this.client.from('job_results').delete().eq('job_id', jobId);
+        if (error) throw error;
+        return true;
+    }
+}
+
+class SupabaseLlmSpendRepository {
+    constructor(client) {
+        this.client = client;
+    }
+
+    // Incremented in the database (add_llm_spend in schema.sql) so concurrent
+    // batches and processes never lose an update
+    async add(date, model, increments) {
+        const { error } = await this.client.rpc('add_llm_spend', {
+            p_date: date,
+            p_model: model,
+            p_input_tokens: increments.input_tokens || 0,
+            p_output_tokens: increments.output_tokens || 0,
+            p_cost_usd: increments.cost_usd || 0,
+            p_calls: increments.calls || 0
+        });
+        if (error) throw error;
+    }
+
+    // from may be null for everything up to `to`
+    async listByDate(from, to) {
+        let query = this.client.from('llm_spend').select('*');
+        if (from) query = query.gte('date', from);
+
+        const { data, error } = await query
+            .lte('date', to)
+            .order('date', { ascending: true });
+        if (error) throw error;
+        return data;
+    }
+}
+
+class SupabaseListingAnalysisRepository {
+    constructor(client) {
+        this.client = client;
+    }
+
+    async getMany(listingIds) {
+        if (listingIds.length === 0) return [];
+        const { data, error } = await this.client.from('listing_analyses').select('*').in('listing_id', listingIds);
+        if (error) throw error;
+        return data;
+    }
+
+    async upsertMany(rows) {
+        if (rows.length === 0) return 0;
+        const updatedAt = new Date().toISOString();
+        const { error } = await this.client
+            .from('listing_analyses')
+            .upsert(rows.map(row => ({ ...row, updated_at: updatedAt })), { onConflict: 'listing_id' });
+        if (error) throw error;
+        return rows.length;
+    }
+
+    async deleteOlderThan(cutoff) {
+        const { data, error } = await this.client
+            .from('listing_analyses')
+            .delete()
+            .lt('analyzed_at', cutoff)
+            .select('listing_id');
+        if (error) throw error;
+        return data.length;
+    }
+}
+
+class SupabaseAlertRepository {
+    constructor(client) {
+        this.client = client;
+    }
+
+    async listListingIds(profileId) {
+        const { data, error } = await this.client.from('profile_alerts').select('listing_id').eq('profile_id', profileId);
+        if (error) throw error;
+        return data.map(row => row.listing_id);
+    }
+
+    // Rows already queued for the same profile + listing are left untouched
+    async queueMany(alerts) {
+        if (alerts.length === 0) return [];
+        const { data, error } = await this.client
+            .from('profile_alerts')
+            .upsert(alerts.map(alert => ({ status: 'pending', ...alert })), {
+                onConflict: 'profile_id,listing_id',
+                ignoreDuplicates: true
+            })
+            .select();
+        if (error) throw error;
+        return data;
+    }
+
+    async list({ profileId, status, limit } = {}) {
+        let query = this.client.from('profile_alerts').select('*');
+        if (profileId) query = query.eq('profile_id', profileId);
+        if (status) query = query.eq('status', status);
+        query = query.order('created_at', { ascending: true });
+        if (limit) query = query.limit(limit);
+
+        const { data, error } = await query;
+        if (error) throw error;
+        return data;
+    }
+
+    async update(id, updates) {
+        const { data, error } = await this.client
+            .from('profile_alerts')
+            .update({ ...updates, updated_at: new Date().toISOString() })
+            .eq('id', id)
+            .select()
+            .maybeSingle();
+        if (error) throw error;
+        return data;
+    }
+}
+
+class SupabaseAlertRunRepository {
+    constructor(client) {
+        this.client = client;
+    }
+
+    async get(profileId) {
+        const { data, error } = await this.client.from('alert_runs').select('*').eq('profile_id', profileId).maybeSingle();
+        if (error) throw error;
+        return data;
+    }
+
+    async save(profileId, run) {
+        const { data, error } = await this.client
+            .from('alert_runs')
+            .upsert({ profile_id: profileId, ...run, updated_at: new Date().toISOString() }, { onConflict: 'profile_id' })
+            .select()
+            .single();
+        if (error) throw error;
+        return data;
+    }
+}
+
+class SupabaseEmailSendRepository {
+    constructor(client) {
+        this.client = client;
+    }
+
+    async record(send) {
+        const { data, error } = await this.client.from('email_sends').insert(send).select().single();
+        if (error) throw error;
+        return data;
+    }
+
+    async listByProfile(profileId, limit = 50) {
+        const { data, error } = await this.client
+            .from('email_sends')
+            .select('*')
+            .eq('profile_id', profileId)
+            .order('created_at', { ascending: false })
+            .limit(limit);
+        if (error) throw error;
+        return data;
+    }
+}
+
+class SupabaseStorage {
+    constructor(options = {}) {
+        this.backend = 'supabase';
+        // options.client lets tests pass a stand-in for the supabase-js client
+        this.client = options.client || createClient(options.url, options.serviceRoleKey);
+
+        this.profiles = new SupabaseProfileRepository(this.client);
+        this.fetchJobs = new SupabaseFetchJobRepository(this.client);
+        this.listings = new SupabaseListingRepository(this.client);
+        this.jobs = new SupabaseSearchJobRepository(this.client);
+        this.jobResults = new SupabaseJobResultRepository(this.client);
+        this.llmSpend = new SupabaseLlmSpendRepository(this.client);
+        this.listingAnalyses = new SupabaseListingAnalysisRepository(this.client);
+        this.alerts = new SupabaseAlertRepository(this.client);
+        this.alertRuns = new SupabaseAlertRunRepository(this.client);
+        this.emailSends = new SupabaseEmailSendRepository(this.client);
+
+        console.log('✅ Supabase client initialized');
+    }
+}
+
+module.exports = SupabaseStorage;
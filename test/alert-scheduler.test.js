@@ -0,0 +1,125 @@
+// test/alert-scheduler.test.js
+// Preference alerts: which profiles are due, what gets queued, and full runs
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { AlertScheduler } = require('../services/alert-scheduler');
+const MemoryStorage = require('../storage/memory-storage');
+const { createApi, stubClaudeAnalysis } = require('./helpers');
+
+const HOUR = 60 * 60 * 1000;
+
+// A scheduler whose searches return the given listing ids, recording the params
+function scheduler({ results = ['a', 'b', 'c'], buildSearchParams, runSearch, plans } = {}) {
+    const searches = [];
+    const instance = new AlertScheduler({
+        storage: new MemoryStorage({}),
+        plans,
+        buildSearchParams: buildSearchParams || ((profile, options) => ({ propertyType: 'rental', ...options })),
+        runSearch: runSearch || (async params => {
+            searches.push(params);
+            return {
+                jobId: `job-${searches.length}`,
+                properties: results.map(id => ({ listing_id: id, discount_percent: 20 }))
+            };
+        })
+    });
+    return { scheduler: instance, storage: instance.storage, searches };
+}
+
+const profile = (overrides = {}) => ({ subscription_plan: 'unlimited', email_address: 'a@example.com', ...overrides });
+
+test('only active, unpaused profiles on a plan with alerts get a policy', () => {
+    const { scheduler: alerts } = scheduler();
+
+    assert.deepEqual(alerts.policyFor(profile()), { intervalHours: 12, maxMatches: 10 });
+    assert.equal(alerts.policyFor(profile({ subscription_plan: 'free' })), null);
+    assert.equal(alerts.policyFor(profile({ is_canceled: true })), null);
+    assert.equal(alerts.policyFor(profile({ alerts_paused_at: new Date().toISOString() })), null);
+});
+
+test('a profile is due when it has never run or its interval has passed', () => {
+    const { scheduler: alerts } = scheduler();
+    const now = Date.now();
+
+    assert.ok(alerts.isDue(profile(), null, now));
+    assert.ok(!alerts.isDue(profile(), { started_at: new Date(now - 11 * HOUR).toISOString() }, now));
+    assert.ok(alerts.isDue(profile(), { started_at: new Date(now - 12 * HOUR).toISOString() }, now));
+});
+
+test('a run queues new matches once and the next tick waits for the interval', async () => {
+    const { scheduler: alerts, storage, searches } = scheduler({ plans: { unlimited: { intervalHours: 12, maxMatches: 2 } } });
+    const { id } = await storage.profiles.create(profile());
+    await storage.profiles.create(profile({ subscription_plan: 'free' }));
+
+    const first = await alerts.tick();
+    assert.equal(first.profilesChecked, 2);
+    assert.equal(first.profilesRun, 1);
+    assert.equal(first.alertsQueued, 2);
+    assert.equal(searches[0].maxResults, 2);
+    assert.deepEqual((await storage.alerts.list({ profileId: id })).map(alert => alert.listing_id).sort(), ['a', 'b']);
+    assert.equal((await storage.alertRuns.get(id)).status, 'completed');
+
+    const second = await alerts.tick();
+    assert.equal(second.profilesRun, 0);
+});
+
+test('forced reruns exclude listings already sent', async () => {
+    const { scheduler: alerts, storage, searches } = scheduler();
+    const { id } = await storage.profiles.create(profile());
+    await storage.alerts.queueMany([{ profile_id: id, listing_id: 'a', property_type: 'rental' }]);
+
+    const run = await alerts.tick({ force: true });
+
+    assert.deepEqual(searches[0].excludeListingIds, ['a']);
+    assert.equal(run.alertsQueued, 2);
+});
+
+test('paused profiles are skipped', async () => {
+    const { scheduler: alerts, storage, searches } = scheduler();
+    await storage.profiles.create(profile({ alerts_paused_at: new Date().toISOString() }));
+
+    const run = await alerts.tick({ force: true });
+
+    assert.equal(run.profilesRun, 0);
+    assert.equal(searches.length, 0);
+});
+
+test('profiles without usable preferences are skipped and failed searches recorded', async () => {
+    const failing = scheduler({ runSearch: async () => { throw new Error('search exploded'); } });
+    const { id } = await failing.storage.profiles.create(profile());
+    const failed = await failing.scheduler.tick();
+    assert.equal(failed.failures, 1);
+    assert.equal((await failing.storage.alertRuns.get(id)).error_message, 'search exploded');
+
+    const skipping = scheduler({ buildSearchParams: () => null });
+    const { id: skippedId } = await skipping.storage.profiles.create(profile());
+    await skipping.scheduler.tick();
+    assert.equal((await skipping.storage.alertRuns.get(skippedId)).status, 'skipped');
+});
+
+test('overlapping ticks share the pass in flight and delivery runs after it', async () => {
+    const { scheduler: alerts, storage } = scheduler();
+    await storage.profiles.create(profile());
+    let deliveries = 0;
+    alerts.deliver = async () => ({ sent: ++deliveries });
+
+    const [first, second] = await Promise.all([alerts.tick(), alerts.tick()]);
+
+    assert.equal(first, second);
+    assert.deepEqual(first.delivery, { sent: 1 });
+});
+
+test('the API runs a profile\'s saved preferences through a real search', async () => {
+    const api = createApi();
+    stubClaudeAnalysis(api, { discount: () => 20 });
+    api.deliverAlerts = async () => ({});
+    const { id } = await api.storage.profiles.create(profile({ preferred_neighborhoods: ['Williamsburg'], discount_threshold: 15 }));
+
+    const run = await api.alertScheduler.tick();
+
+    assert.equal(run.runs[0].status, 'completed');
+    assert.equal(run.alertsQueued, 3);
+    const alerts = await api.storage.alerts.list({ profileId: id });
+    assert.ok(alerts.every(alert => alert.status === 'pending' && alert.listing.neighborhood === 'williamsburg'));
+});
@@ -0,0 +1,106 @@
+// test/analysis-cache.test.js
+// Per-listing analysis cache: content hashing, model and age checks, reuse
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { AnalysisCache } = require('../services/analysis-cache');
+const MemoryStorage = require('../storage/memory-storage');
+const { createApi, stubClaudeAnalysis } = require('./helpers');
+
+const HAIKU = 'claude-3-haiku-20240307';
+const SONNET = 'claude-3-5-sonnet-20241022';
+
+const listing = (overrides = {}) => ({ id: 'l1', price: 3000, bedrooms: 1, bathrooms: 1, sqft: 600, description: 'Bright', ...overrides });
+const scored = (overrides = {}) => ({
+    ...listing(),
+    analyzed: true,
+    valuationSource: 'llm',
+    discount_percent: 22,
+    isUndervalued: true,
+    reasoning: 'Cheap',
+    score: 88,
+    grade: 'B+',
+    explanation: { estimatedMarketPrice: 3850, factors: [{ factor: 'no_fee' }] },
+    ...overrides
+});
+
+function cache(options = {}) {
+    return new AnalysisCache({ storage: new MemoryStorage({}), ...options });
+}
+
+test('the content hash changes with price, layout, size or description only', () => {
+    const base = AnalysisCache.contentHash(listing());
+
+    assert.equal(AnalysisCache.contentHash(listing({ address: 'elsewhere', description: ' Bright ' })), base);
+    for (const change of [{ price: 2900 }, { bedrooms: 2 }, { bathrooms: 2 }, { sqft: 650 }, { description: 'Dark' }]) {
+        assert.notEqual(AnalysisCache.contentHash(listing(change)), base, JSON.stringify(change));
+    }
+});
+
+test('a stored analysis is served for the same listing, content and model', async () => {
+    const analysisCache = cache();
+    assert.equal(await analysisCache.store([scored()], HAIKU), 1);
+
+    const hits = await analysisCache.lookup([listing(), listing({ id: 'l2' })], HAIKU);
+
+    assert.deepEqual([...hits.keys()], ['l1']);
+    assert.deepEqual(hits.get('l1'), {
+        percentBelowMarket: 22,
+        isUndervalued: true,
+        reasoning: 'Cheap',
+        score: 88,
+        grade: 'B+',
+        estimatedMarketPrice: 3850,
+        factors: [{ factor: 'no_fee' }]
+    });
+});
+
+test('changed content, another model or an old entry is a miss', async () => {
+    const analysisCache = cache({ maxAgeHours: 1 });
+    await analysisCache.store([scored()], HAIKU);
+
+    assert.equal((await analysisCache.lookup([listing({ price: 2500 })], HAIKU)).size, 0);
+    assert.equal((await analysisCache.lookup([listing()], SONNET)).size, 0);
+
+    const [row] = await analysisCache.storage.listingAnalyses.getMany(['l1']);
+    await analysisCache.storage.listingAnalyses.upsertMany([{
+        ...row,
+        analyzed_at: new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString()
+    }]);
+    assert.equal((await analysisCache.lookup([listing()], HAIKU)).size, 0);
+    assert.equal(await analysisCache.purgeExpired(), 1);
+});
+
+test('failed and comps-valued listings are not cached', async () => {
+    const analysisCache = cache();
+
+    const stored = await analysisCache.store([
+        scored({ id: 'failed', analyzed: false }),
+        scored({ id: 'comps', valuationSource: 'comps' })
+    ], HAIKU);
+
+    assert.equal(stored, 0);
+});
+
+test('a zero max age disables the cache', async () => {
+    const analysisCache = cache({ maxAgeHours: 0 });
+
+    assert.equal(await analysisCache.store([scored()], HAIKU), 0);
+    assert.equal((await analysisCache.lookup([listing()], HAIKU)).size, 0);
+});
+
+test('a repeat sweep reuses cached analyses until the model changes', async () => {
+    const api = createApi();
+    const requests = stubClaudeAnalysis(api);
+    const search = { neighborhood: 'williamsburg', propertyType: 'rental', undervaluationThreshold: 15, maxResults: 5 };
+
+    await api.fetchListings(search, null, {});
+    const repeat = await api.fetchListings(search, null, {});
+    assert.equal(requests.length, 1);
+    assert.equal(repeat.analysisCacheHits, 3);
+    assert.equal(repeat.claudeApiCalls, 0);
+
+    await api.fetchListings(search, null, { model: SONNET });
+    assert.equal(requests.length, 2);
+    assert.equal(requests[1].model, SONNET);
+});
@@ -0,0 +1,115 @@
+// test/analysis-schema.test.js
+// Structured analysis output: extraction, validation/repair and the re-ask
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { extractAnalysisItems, validateAnalyses, gradeFromScore } = require('../services/analysis-schema');
+const { FixtureProvider } = require('../providers');
+const { createApi, claudeToolResponse } = require('./helpers');
+
+const item = (overrides = {}) => ({
+    propertyIndex: 1,
+    percentBelowMarket: 20,
+    isUndervalued: true,
+    reasoning: ' Below comps ',
+    score: 85,
+    grade: 'B',
+    ...overrides
+});
+
+test('analyses come from the forced tool call, or a JSON array in text as a fallback', () => {
+    assert.deepEqual(extractAnalysisItems(claudeToolResponse('record_property_analysis', { analyses: [item()] }).data), [item()]);
+    assert.deepEqual(extractAnalysisItems(claudeToolResponse('record_property_analysis', { analyses: 'oops' }).data), []);
+    assert.deepEqual(extractAnalysisItems({ content: [{ type: 'text', text: 'Here you go: [{"propertyIndex": 2}] done' }] }), [{ propertyIndex: 2 }]);
+    assert.deepEqual(extractAnalysisItems({ content: [{ type: 'text', text: 'no json [here' }] }), []);
+});
+
+test('valid items pass through with reasoning trimmed and discounts rounded', () => {
+    const { analyses, missing, issues } = validateAnalyses([item({ percentBelowMarket: 20.26, estimatedMarketPrice: '4100.4' })], 1, 15);
+
+    assert.deepEqual(missing, []);
+    assert.deepEqual(issues, []);
+    assert.deepEqual(analyses.get(1), {
+        propertyIndex: 1,
+        percentBelowMarket: 20.3,
+        isUndervalued: true,
+        reasoning: 'Below comps',
+        score: 85,
+        grade: 'B',
+        estimatedMarketPrice: 4100,
+        factors: []
+    });
+});
+
+test('repairable fields are repaired and reported', () => {
+    const { analyses, issues } = validateAnalyses([
+        item({ propertyIndex: '1', percentBelowMarket: '18 %', isUndervalued: 'yes', score: 140, grade: 'excellent' }),
+        item({ propertyIndex: 2, score: undefined, grade: undefined, percentBelowMarket: 3 })
+    ], 2, 15);
+
+    assert.equal(analyses.get(1).percentBelowMarket, 18);
+    assert.equal(analyses.get(1).isUndervalued, true);
+    assert.equal(analyses.get(1).score, 100);
+    assert.equal(analyses.get(1).grade, 'A+');
+    assert.equal(analyses.get(2).score, 0);
+    assert.equal(analyses.get(2).grade, 'F');
+    assert.deepEqual(issues, ['property 1: invalid grade "excellent"', 'property 2: missing score, defaulted to 0']);
+});
+
+test('unusable, out-of-range and duplicate items are dropped and reported missing', () => {
+    const { analyses, missing, issues } = validateAnalyses([
+        item({ propertyIndex: 1 }),
+        item({ propertyIndex: 1 }),
+        item({ propertyIndex: 2, percentBelowMarket: 'a lot' }),
+        item({ propertyIndex: 9 })
+    ], 3, 15);
+
+    assert.deepEqual([...analyses.keys()], [1]);
+    assert.deepEqual(missing, [2, 3]);
+    assert.deepEqual(issues, ['duplicate propertyIndex 1', 'property 2: unusable percentBelowMarket', 'invalid propertyIndex 9']);
+});
+
+test('factors are normalized and capped at five', () => {
+    const factors = [
+        { factor: 'No Fee', impact: 'positive', detail: ' saves a month ' },
+        { factor: 'small bedroom', impact: 'bad' },
+        { factor: '' },
+        ...Array.from({ length: 5 }, (_, i) => ({ factor: `f${i}`, impact: 'neutral' }))
+    ];
+    const { analyses } = validateAnalyses([item({ factors })], 1, 15);
+
+    assert.equal(analyses.get(1).factors.length, 5);
+    assert.deepEqual(analyses.get(1).factors[0], { factor: 'no_fee', impact: 'positive', adjustmentPercent: null, detail: 'saves a month' });
+    assert.equal(analyses.get(1).factors[1].impact, 'neutral');
+});
+
+test('grades follow the score bands', () => {
+    assert.deepEqual([97, 90, 80, 70, 60, 59].map(gradeFromScore), ['A+', 'A-', 'B-', 'C-', 'D-', 'F']);
+});
+
+test('properties the first response dropped are re-asked once', async () => {
+    const api = createApi();
+    const { listings } = await new FixtureProvider().fetchPage({ neighborhood: 'williamsburg', propertyType: 'rental' });
+    const requests = [];
+    const responses = [
+        { analyses: [item({ propertyIndex: 1 }), item({ propertyIndex: 3, percentBelowMarket: 'n/a' })] },
+        { analyses: [item({ propertyIndex: 2, percentBelowMarket: 17 })] }
+    ];
+    api.claude.createMessage = async body => {
+        requests.push(body.messages[0].content);
+        return { ...claudeToolResponse('record_property_analysis', responses[requests.length - 1] || { analyses: [] }), attempts: 1 };
+    };
+
+    const result = await api.analyzePropertyBatchWithClaude(listings, { propertyType: 'rental', undervaluationThreshold: 15 }, {});
+
+    assert.equal(requests.length, 2);
+    // The re-ask numbers the two missing listings 1 and 2
+    assert.ok(requests[1].includes(listings[1].address) && requests[1].includes(listings[2].address));
+    assert.ok(!requests[1].includes(listings[0].address));
+    assert.doesNotMatch(requests[1], /Property 3:/);
+    assert.equal(result.apiCalls, 2);
+    assert.deepEqual(result.scoredProperties.map(property => property.analyzed !== false), [true, false, true]);
+    assert.equal(result.scoredProperties[2].discount_percent, 17);
+    assert.equal(result.failure.unanalyzed, 1);
+    assert.match(result.failure.issues[0], /property 3: unusable percentBelowMarket/);
+});
@@ -0,0 +1,139 @@
+// test/callbacks.test.js
+// Signed job callbacks: secrets, signatures, URL checks and delivery retries
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const CallbackDispatcher = require('../services/callback-dispatcher');
+const { createApi, listen } = require('./helpers');
+
+// Verifies an X-Realer-Signature header the way a receiver would
+function verify(secret, header, body) {
+    const { t, v1 } = Object.fromEntries(header.split(',').map(part => part.split('=')));
+    const expected = crypto.createHmac('sha256', secret).update(`${t}.${body}`).digest('hex');
+    return crypto.timingSafeEqual(Buffer.from(v1), Buffer.from(expected));
+}
+
+// A local receiver answering with the given status codes in turn
+async function receiver(statuses) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            requests.push({ headers: req.headers, body });
+            res.writeHead(statuses[Math.min(requests.length, statuses.length) - 1]).end();
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    after(() => server.close());
+    return { url: `http://127.0.0.1:${server.address().port}/hook`, requests };
+}
+
+test('client secrets are derived per client and the server secret is used without one', () => {
+    const dispatcher = new CallbackDispatcher({ signingSecret: 'server-secret' });
+
+    assert.equal(dispatcher.secretForClient(null), 'server-secret');
+    assert.notEqual(dispatcher.secretForClient('acme'), dispatcher.secretForClient('globex'));
+    assert.equal(dispatcher.secretForClient('acme'), new CallbackDispatcher({ signingSecret: 'server-secret' }).secretForClient('acme'));
+});
+
+test('signatures cover the timestamp and body', () => {
+    const dispatcher = new CallbackDispatcher({ signingSecret: 's' });
+    const header = dispatcher.sign('secret', '{"a":1}', 1700000000);
+
+    assert.match(header, /^t=1700000000,v1=[0-9a-f]{64}$/);
+    assert.ok(verify('secret', header, '{"a":1}'));
+    assert.ok(!verify('secret', header, '{"a":2}'));
+});
+
+test('checkUrl rejects non-http schemes and private, loopback and metadata addresses', async () => {
+    const dispatcher = new CallbackDispatcher({ signingSecret: 's' });
+
+    for (const url of ['ftp://example.com/', 'not a url']) {
+        assert.equal(await dispatcher.checkUrl(url), 'callbackUrl must be an http(s) URL');
+    }
+    for (const url of [
+        'http://127.0.0.1/', 'http://10.1.2.3/', 'http://169.254.169.254/latest/meta-data',
+        'http://[::1]/', 'http://[::ffff:10.0.0.1]/', 'http://localhost/'
+    ]) {
+        assert.match(await dispatcher.checkUrl(url), /loopback, private or link-local/, url);
+    }
+    assert.equal(await dispatcher.checkUrl('https://93.184.216.34/hook'), null);
+    assert.equal(await new CallbackDispatcher({ allowPrivateNetworks: true }).checkUrl('http://127.0.0.1/'), null);
+});
+
+test('delivery retries failed attempts with signed, numbered requests', async () => {
+    const target = await receiver([500, 200]);
+    const dispatcher = new CallbackDispatcher({ signingSecret: 's', baseDelayMs: 1, allowPrivateNetworks: true });
+    const attempts = [];
+
+    const delivered = await dispatcher.deliver({
+        url: target.url,
+        clientId: 'acme',
+        event: 'job.completed',
+        jobId: 'job-1',
+        payload: { success: true },
+        onAttempt: (record, ok) => attempts.push([record.attempt, record.statusCode, record.error, ok])
+    });
+
+    assert.equal(delivered, true);
+    assert.deepEqual(attempts, [[1, 500, 'HTTP 500', false], [2, 200, null, true]]);
+    const last = target.requests[1];
+    assert.equal(last.headers['x-realer-event'], 'job.completed');
+    assert.equal(last.headers['x-realer-job-id'], 'job-1');
+    assert.equal(last.headers['x-realer-delivery-attempt'], '2');
+    assert.ok(verify(dispatcher.secretForClient('acme'), last.headers['x-realer-signature'], last.body));
+});
+
+test('delivery gives up after maxAttempts', async () => {
+    const target = await receiver([503]);
+    const dispatcher = new CallbackDispatcher({ signingSecret: 's', maxAttempts: 3, baseDelayMs: 1, allowPrivateNetworks: true });
+
+    const delivered = await dispatcher.deliver({ url: target.url, event: 'job.failed', jobId: 'j', payload: {} });
+
+    assert.equal(delivered, false);
+    assert.equal(target.requests.length, 3);
+});
+
+test('delivery refuses to connect to a host that resolves to a private address', async () => {
+    const target = await receiver([200]);
+    const dispatcher = new CallbackDispatcher({ signingSecret: 's', maxAttempts: 1 });
+    let record;
+
+    await dispatcher.deliver({
+        url: target.url.replace('127.0.0.1', 'localhost'),
+        event: 'job.completed',
+        jobId: 'j',
+        payload: {},
+        onAttempt: attempt => { record = attempt; }
+    });
+
+    assert.match(record.error, /resolves to private address/);
+    assert.equal(target.requests.length, 0);
+});
+
+test('per-client keys fetch their own secret; the server key and private callback URLs are refused', async () => {
+    process.env.API_CLIENT_KEYS_JSON = JSON.stringify({ acme: 'acme-key' });
+    const api = createApi();
+    delete process.env.API_CLIENT_KEYS_JSON;
+    const server = await listen(api);
+
+    try {
+        const own = await server.request('/api/callbacks/secret', { headers: { 'X-API-Key': 'acme-key', 'X-Client-Id': 'globex' } });
+        const { data } = await own.json();
+        assert.equal(data.clientId, 'acme');
+        assert.equal(data.secret, api.callbacks.secretForClient('acme'));
+
+        assert.equal((await server.request('/api/callbacks/secret')).status, 403);
+
+        const search = await server.request('/api/search/smart', {
+            method: 'POST',
+            body: { neighborhood: 'astoria', callbackUrl: 'http://169.254.169.254/' }
+        });
+        assert.equal(search.status, 400);
+    } finally {
+        await server.close();
+    }
+});
@@ -0,0 +1,136 @@
+// test/claude-rate-limit.test.js
+// Shared token-bucket limiter and the Claude client's retry/backoff
+
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const { TokenBucketLimiter, estimateTokens } = require('../services/rate-limiter');
+const { ClaudeClient, ClaudeApiError } = require('../services/claude-client');
+// Mutes the retry warnings
+require('./helpers');
+
+const originalPost = axios.post;
+afterEach(() => { axios.post = originalPost; });
+
+test('tokens are estimated at four characters each', () => {
+    assert.equal(estimateTokens('abcdefghi'), 3);
+    assert.equal(estimateTokens(null), 0);
+});
+
+test('acquire takes a request and the reserved tokens, capped at the bucket size', async () => {
+    const limiter = new TokenBucketLimiter({ requestsPerMinute: 10, tokensPerMinute: 1000 });
+
+    assert.equal(await limiter.acquire(300), 300);
+    const stats = limiter.stats();
+    assert.equal(stats.availableRequests, 9);
+    assert.equal(stats.availableTokens, 700);
+    assert.equal(stats.throttled, 0);
+
+    assert.equal(await new TokenBucketLimiter({ tokensPerMinute: 1000 }).acquire(5000), 1000);
+});
+
+test('callers wait for token capacity and are served in arrival order', async () => {
+    // 60000 tokens per minute refill at one token per millisecond
+    const limiter = new TokenBucketLimiter({ requestsPerMinute: 1000, tokensPerMinute: 60000 });
+    await limiter.acquire(60000);
+    const order = [];
+
+    const startedAt = Date.now();
+    await Promise.all([
+        limiter.acquire(40).then(() => order.push('first')),
+        limiter.acquire(1).then(() => order.push('second'))
+    ]);
+
+    assert.deepEqual(order, ['first', 'second']);
+    assert.ok(Date.now() - startedAt >= 35);
+    assert.ok(limiter.stats().throttled >= 1);
+});
+
+test('settle returns unused tokens and charges overruns', async () => {
+    const limiter = new TokenBucketLimiter({ requestsPerMinute: 10, tokensPerMinute: 100000 });
+    await limiter.acquire(5000);
+
+    limiter.settle(5000, 1200);
+    assert.ok(Math.abs(limiter.availableTokens - 98800) < 50);
+    limiter.settle(0, NaN);
+    assert.ok(Math.abs(limiter.availableTokens - 98800) < 50);
+});
+
+test('a waiting acquire rejects when its signal aborts', async () => {
+    const limiter = new TokenBucketLimiter({ requestsPerMinute: 10, tokensPerMinute: 1000 });
+    limiter.pause(60000);
+    const controller = new AbortController();
+
+    const waiting = limiter.acquire(10, { signal: controller.signal });
+    setTimeout(() => controller.abort(), 10);
+
+    await assert.rejects(waiting, { name: 'AbortError' });
+    assert.equal(limiter.stats().waiting, 0);
+});
+
+function client(options = {}) {
+    return new ClaudeClient({ apiKey: 'key', baseDelayMs: 1, maxRetries: 2, ...options });
+}
+
+function httpError(status, { headers = {}, message = 'boom' } = {}) {
+    return Object.assign(new Error(`Request failed with status code ${status}`), {
+        response: { status, headers, data: { error: { message } } }
+    });
+}
+
+// axios.post answering with each outcome in turn (an Error is thrown)
+function answer(...outcomes) {
+    const calls = [];
+    axios.post = async (url, body, options) => {
+        calls.push({ url, body, options });
+        const outcome = outcomes[Math.min(calls.length, outcomes.length) - 1];
+        if (outcome instanceof Error) throw outcome;
+        return { data: outcome };
+    };
+    return calls;
+}
+
+const BODY = { model: 'claude-3-haiku-20240307', max_tokens: 100, messages: [{ role: 'user', content: 'hi' }] };
+const OK = { content: [], usage: { input_tokens: 10, output_tokens: 5 } };
+
+test('transient failures are retried and every attempt settles its reservation', async () => {
+    const limiter = new TokenBucketLimiter({ requestsPerMinute: 100, tokensPerMinute: 100000 });
+    const calls = answer(httpError(503), Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }), OK);
+
+    const { data, attempts } = await client({ limiter }).createMessage(BODY);
+
+    assert.equal(attempts, 3);
+    assert.deepEqual(data, OK);
+    assert.equal(calls[0].url, 'https://api.anthropic.com/v1/messages');
+    assert.equal(calls[0].options.headers['X-API-Key'], 'key');
+    // Only the successful attempt's 15 real tokens stay charged
+    assert.ok(limiter.stats().availableTokens >= 100000 - 20);
+});
+
+test('client errors are not retried', async () => {
+    const calls = answer(httpError(400, { message: 'bad request body' }));
+
+    await assert.rejects(client().createMessage(BODY), error =>
+        error instanceof ClaudeApiError && error.status === 400 && error.attempts === 1
+        && error.message === 'Claude API 400 error: bad request body');
+    assert.equal(calls.length, 1);
+});
+
+test('retries stop after maxRetries', async () => {
+    const calls = answer(httpError(500));
+
+    await assert.rejects(client().createMessage(BODY), { name: 'ClaudeApiError', attempts: 3 });
+    assert.equal(calls.length, 3);
+});
+
+test('a 429 pauses the shared limiter for retry-after', async () => {
+    const limiter = new TokenBucketLimiter({ requestsPerMinute: 100, tokensPerMinute: 100000 });
+    answer(httpError(429, { headers: { 'retry-after': '0.05' } }), OK);
+
+    const startedAt = Date.now();
+    const { attempts } = await client({ limiter }).createMessage(BODY);
+
+    assert.equal(attempts, 2);
+    assert.ok(Date.now() - startedAt >= 45);
+    assert.ok(limiter.stats().throttled >= 1);
+});
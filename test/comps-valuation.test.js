@@ -0,0 +1,124 @@
+// test/comps-valuation.test.js
+// Comparables valuation: medians, adjustments, scoring and the comp pool
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { CompsValuation, detectAmenities, median } = require('../services/comps-valuation');
+const MemoryStorage = require('../storage/memory-storage');
+const { createApi, listingRow, pagedProvider, stubClaudeAnalysis } = require('./helpers');
+
+const comp = (price, overrides = {}) => ({ listingId: `c${price}`, price, bedrooms: 1, bathrooms: 1, sqft: null, ...overrides });
+const market = comps => ({ propertyType: 'rental', neighborhood: 'astoria', comps });
+const listing = (overrides = {}) => ({ id: 'subject', price: 2400, bedrooms: 1, bathrooms: 1, sqft: null, description: '', ...overrides });
+
+test('median handles odd, even and empty sets', () => {
+    assert.equal(median([3, 1, 2]), 2);
+    assert.equal(median([4, 1, 3, 2]), 2.5);
+    assert.equal(median([]), null);
+});
+
+test('amenities come from the amenity list and the description', () => {
+    assert.deepEqual(
+        detectAmenities({ amenities: ['Doorman', 'Pool'], description: 'Sunny, W/D in unit, roof deck access' }).sort(),
+        ['doorman', 'outdoor_space', 'washer_dryer']
+    );
+});
+
+test('the estimate is the same-layout median, ignoring the listing itself', () => {
+    const valuation = new CompsValuation({ minComps: 3 });
+    const comps = [comp(2800), comp(3000), comp(3200), comp(9999, { bedrooms: 3 }), comp(100, { listingId: 'subject' })];
+
+    const estimate = valuation.estimate(listing(), market(comps));
+
+    assert.equal(estimate.method, 'bedroom_median');
+    assert.equal(estimate.marketPrice, 3000);
+    assert.equal(estimate.compCount, 3);
+    assert.deepEqual(estimate.adjustments, []);
+});
+
+test('too few comps gives no estimate', () => {
+    const valuation = new CompsValuation({ minComps: 3 });
+    assert.equal(valuation.estimate(listing(), market([comp(2800), comp(3000)])), null);
+    assert.equal(valuation.value(listing({ price: null }), market([comp(1), comp(2), comp(3)]), 15), null);
+});
+
+test('price per sqft is blended in when the listing has a size', () => {
+    const valuation = new CompsValuation({ minComps: 3 });
+    const comps = [comp(3000, { sqft: 600 }), comp(3000, { sqft: 600 }), comp(3000, { sqft: 600 })];
+
+    const estimate = valuation.estimate(listing({ sqft: 720 }), market(comps));
+
+    assert.equal(estimate.method, 'bedroom_median+price_per_sqft');
+    assert.equal(estimate.pricePerSqft, 5);
+    assert.equal(estimate.marketPrice, Math.round(3000 * 0.6 + 5 * 720 * 0.4));
+});
+
+test('bathrooms, no fee and amenities adjust the market price', () => {
+    const valuation = new CompsValuation({ minComps: 3 });
+    const comps = [comp(3000), comp(3000), comp(3000)];
+
+    const estimate = valuation.estimate(
+        listing({ bathrooms: 2, fees: { noFee: true }, description: 'Elevator building' }),
+        market(comps)
+    );
+
+    assert.deepEqual(estimate.adjustments, [
+        { factor: 'bathrooms', percent: 5 },
+        { factor: 'no_fee', percent: 3 },
+        { factor: 'elevator', percent: 2 }
+    ]);
+    assert.equal(estimate.marketPrice, 3300);
+});
+
+test('value scores the discount and explains the comps behind it', () => {
+    const valuation = new CompsValuation({ minComps: 3 });
+    const comps = Array.from({ length: 9 }, () => comp(3000));
+
+    const analysis = valuation.value(listing({ price: 2400 }), market(comps), 15);
+
+    assert.equal(analysis.percentBelowMarket, 20);
+    assert.equal(analysis.isUndervalued, true);
+    assert.equal(analysis.score, 100);
+    assert.equal(analysis.grade, 'A+');
+    assert.equal(analysis.explanation.source, 'comps');
+    assert.equal(analysis.explanation.comparables.length, 5);
+    assert.match(analysis.reasoning, /^Comps value of \$3,000 from 9 astoria listings via bedroom median\.$/);
+});
+
+test('the comp pool is the newest listings, not the most discounted', async () => {
+    const storage = new MemoryStorage({});
+    const now = Date.now();
+    await storage.listings.upsertMany('rental', [
+        ...Array.from({ length: 5 }, (_, i) => listingRow({
+            listing_id: `old-deal-${i}`, monthly_rent: 1500, discount_percent: 45, analysis_date: new Date(now - 60000 - i).toISOString()
+        })),
+        ...Array.from({ length: 5 }, (_, i) => listingRow({
+            listing_id: `recent-${i}`, monthly_rent: 3000, discount_percent: 0, analysis_date: new Date(now - i).toISOString()
+        }))
+    ]);
+    const valuation = new CompsValuation({ storage, maxComps: 5 });
+
+    const { comps } = await valuation.loadMarket('rental', 'astoria');
+
+    assert.deepEqual(comps.map(entry => entry.price), [3000, 3000, 3000, 3000, 3000]);
+});
+
+test('comps mode values a sweep from stored listings without calling Claude', async () => {
+    const api = createApi({ providers: { paged: pagedProvider({ pages: 1 }) } });
+    const requests = stubClaudeAnalysis(api);
+    await api.storage.listings.upsertMany('rental', Array.from({ length: 6 }, (_, i) =>
+        listingRow({ listing_id: `soho-${i}`, neighborhood: 'soho', monthly_rent: 4000, bedrooms: 0, bathrooms: 0 })));
+
+    const result = await api.fetchListings(
+        { neighborhood: 'soho', propertyType: 'rental', undervaluationThreshold: 15, maxResults: 5, providers: ['paged'] },
+        null,
+        { valuationMode: 'comps' }
+    );
+
+    assert.equal(requests.length, 0);
+    assert.equal(result.scoredProperties.length, 5);
+    for (const property of result.scoredProperties) {
+        assert.equal(property.valuation_source, 'comps');
+        assert.equal(property.discount_percent, 25);
+    }
+});
@@ -0,0 +1,228 @@
+// test/email-notifier.test.js
+// Alert digests: rendering, sent/failed/suppressed outcomes, unsubscribe links and the file transport
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EmailNotifier } = require('../services/email-notifier');
+const { renderDigest, escapeHtml } = require('../services/email-templates');
+const { FileTransport } = require('../services/email-transports');
+const MemoryStorage = require('../storage/memory-storage');
+const { createApi, listen, listingRow } = require('./helpers');
+
+// A transport that records messages, or throws when given an error
+function fakeTransport(error) {
+    const sent = [];
+    return {
+        name: 'fake',
+        sent,
+        async send(message) {
+            if (error) throw error;
+            sent.push(message);
+            return { messageId: `<msg-${sent.length}@test>` };
+        }
+    };
+}
+
+function notifier(transport = fakeTransport()) {
+    return new EmailNotifier({
+        storage: new MemoryStorage({}),
+        transport,
+        from: 'Alerts <alerts@test>',
+        baseUrl: 'https://alerts.test/',
+        unsubscribeSecret: 'secret'
+    });
+}
+
+// A profile with pending alerts for the given discounts
+async function seed(storage, profileOverrides = {}, discounts = [20, 35]) {
+    const { id } = await storage.profiles.create({ email_address: 'renter@example.com', ...profileOverrides });
+    await storage.alerts.queueMany(discounts.map((discount, index) => ({
+        profile_id: id,
+        listing_id: `listing-${index}`,
+        property_type: 'rental',
+        discount_percent: discount,
+        listing: listingRow({ listing_id: `listing-${index}`, address: `${index + 1} Main St`, discount_percent: discount })
+    })));
+    return id;
+}
+
+test('digests render the count, best discount, rental price and unsubscribe link', () => {
+    const digest = renderDigest({
+        properties: [
+            listingRow({ address: '1 Main St', discount_percent: 18 }),
+            listingRow({ address: '2 Main St', discount_percent: 31, monthly_rent: 2450 })
+        ],
+        unsubscribeUrl: 'https://alerts.test/api/email/unsubscribe?profile=p&token=t'
+    });
+
+    assert.equal(digest.subject, '🏠 2 new undervalued NYC listings (up to 31% below market)');
+    assert.ok(digest.text.startsWith('UNDERVALUED PROPERTY ALERT'));
+    assert.match(digest.text, /\$2,450\/month/);
+    assert.ok(digest.text.trim().endsWith('Unsubscribe: https://alerts.test/api/email/unsubscribe?profile=p&token=t'));
+    assert.match(digest.html, /unsubscribe\?profile=p&amp;token=t/);
+});
+
+test('listing text is escaped in the HTML digest', () => {
+    const { html } = renderDigest({
+        properties: [listingRow({ address: '<script>alert(1)</script>', reasoning: 'Tom\'s "deal" & more' })],
+        unsubscribeUrl: 'https://alerts.test/u'
+    });
+
+    assert.ok(!html.includes('<script>'));
+    assert.match(html, /&lt;script&gt;alert\(1\)&lt;\/script&gt;/);
+    assert.match(html, /Tom&#39;s &quot;deal&quot; &amp; more/);
+    assert.equal(escapeHtml(null), '');
+});
+
+test('a sent digest marks its alerts sent and records the message id', async () => {
+    const transport = fakeTransport();
+    const email = notifier(transport);
+    const profileId = await seed(email.storage);
+
+    const summary = await email.deliverPending();
+
+    assert.deepEqual(summary, { digestsSent: 1, alertsSent: 2, suppressed: 0, failures: 0 });
+    const [message] = transport.sent;
+    assert.equal(message.to, 'renter@example.com');
+    assert.equal(message.from, 'Alerts <alerts@test>');
+    assert.match(message.subject, /up to 35% below market/);
+    // Best discount first
+    assert.ok(message.text.indexOf('2 Main St') < message.text.indexOf('1 Main St'));
+    assert.equal(message.headers['List-Unsubscribe'], `<${email.unsubscribeUrl(profileId)}>`);
+    assert.equal(message.headers['List-Unsubscribe-Post'], 'List-Unsubscribe=One-Click');
+
+    const alerts = await email.storage.alerts.list({ profileId });
+    assert.ok(alerts.every(alert => alert.status === 'sent' && alert.sent_at));
+    const [send] = await email.storage.emailSends.listByProfile(profileId);
+    assert.equal(send.status, 'sent');
+    assert.equal(send.message_id, '<msg-1@test>');
+    assert.equal(send.transport, 'fake');
+    assert.equal(send.listing_count, 2);
+
+    assert.equal((await email.deliverPending()).digestsSent, 0);
+});
+
+test('a transport failure is recorded and leaves the alerts pending', async () => {
+    const email = notifier(fakeTransport(new Error('SMTP down')));
+    const profileId = await seed(email.storage);
+
+    const summary = await email.deliverPending();
+
+    assert.equal(summary.failures, 1);
+    assert.equal(summary.digestsSent, 0);
+    assert.equal((await email.storage.alerts.list({ profileId, status: 'pending' })).length, 2);
+    const [send] = await email.storage.emailSends.listByProfile(profileId);
+    assert.equal(send.status, 'failed');
+    assert.equal(send.error_message, 'SMTP down');
+});
+
+test('bookkeeping errors after a send still count the digest as sent', async () => {
+    const transport = fakeTransport();
+    const email = notifier(transport);
+    const profileId = await seed(email.storage);
+    const alerts = await email.storage.alerts.list({ profileId });
+    email.storage.alerts.update = async () => { throw new Error('db down'); };
+    email.storage.emailSends.record = async () => { throw new Error('db down'); };
+
+    const result = await email.sendDigest(profileId, alerts);
+
+    assert.equal(result.status, 'sent');
+    assert.equal(transport.sent.length, 1);
+});
+
+test('unsubscribed, paused and canceled profiles are suppressed without sending', async () => {
+    const transport = fakeTransport();
+    const email = notifier(transport);
+    const now = new Date().toISOString();
+    const ids = [
+        await seed(email.storage, { email_unsubscribed_at: now }, [20]),
+        await seed(email.storage, { alerts_paused_at: now }, [20]),
+        await seed(email.storage, { is_canceled: true }, [20]),
+        await seed(email.storage, { email_address: null }, [20])
+    ];
+
+    const summary = await email.deliverPending();
+
+    assert.equal(summary.suppressed, 4);
+    assert.equal(transport.sent.length, 0);
+    for (const profileId of ids) {
+        const [alert] = await email.storage.alerts.list({ profileId });
+        assert.equal(alert.status, 'suppressed');
+    }
+});
+
+test('overlapping delivery calls share one pass', async () => {
+    const email = notifier();
+    await seed(email.storage);
+
+    const [first, second] = [email.deliverPending(), email.deliverPending()];
+
+    assert.equal(first, second);
+    await first;
+    assert.notEqual(email.deliverPending(), first);
+});
+
+test('unsubscribe tokens are per profile and only a valid one unsubscribes', async () => {
+    const email = notifier();
+    const profileId = await seed(email.storage);
+    const token = email.unsubscribeToken(profileId);
+
+    assert.equal(token.length, 32);
+    assert.ok(email.verifyUnsubscribeToken(profileId, token));
+    assert.ok(!email.verifyUnsubscribeToken('other-profile', token));
+    assert.ok(!email.verifyUnsubscribeToken(profileId, token.slice(1)));
+    assert.ok(email.unsubscribeUrl(profileId).startsWith('https://alerts.test/api/email/unsubscribe?profile='));
+
+    assert.equal(await email.unsubscribe(profileId, 'x'.repeat(32)), false);
+    assert.equal(await email.unsubscribe('missing', email.unsubscribeToken('missing')), false);
+    assert.equal(await email.unsubscribe(profileId, token), true);
+    assert.ok((await email.storage.profiles.findById(profileId)).email_unsubscribed_at);
+});
+
+test('the unsubscribe endpoints need only the signed token', async () => {
+    const api = createApi({ emailTransport: fakeTransport() });
+    const { id } = await api.storage.profiles.create({ email_address: 'renter@example.com' });
+    const token = api.emailNotifier.unsubscribeToken(id);
+    const server = await listen(api);
+    try {
+        const invalid = await fetch(`${server.base}/api/email/unsubscribe?profile=${id}&token=bad`);
+        assert.equal(invalid.status, 400);
+        assert.match(await invalid.text(), /not valid/);
+
+        const oneClick = await fetch(`${server.base}/api/email/unsubscribe?profile=${id}&token=${token}`, { method: 'POST' });
+        assert.equal(oneClick.status, 200);
+        assert.deepEqual(await oneClick.json(), { success: true });
+        assert.ok((await api.storage.profiles.findById(id)).email_unsubscribed_at);
+
+        const page = await fetch(`${server.base}/api/email/unsubscribe?profile=${id}&token=${token}`);
+        assert.equal(page.status, 200);
+        assert.match(await page.text(), /unsubscribed/);
+    } finally {
+        await server.close();
+    }
+});
+
+test('the file transport writes each message as an .eml file', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'email-test-'));
+    try {
+        const transport = new FileTransport({ directory });
+        const info = await transport.send({
+            from: 'Alerts <alerts@test>',
+            to: 'renter@example.com',
+            subject: 'Hello',
+            text: 'Listing body'
+        });
+
+        assert.ok(info.messageId);
+        assert.equal(path.dirname(info.path), directory);
+        assert.ok(info.path.endsWith('-renter@example.com.eml'));
+        const eml = fs.readFileSync(info.path, 'utf8');
+        assert.match(eml, /Subject: Hello/);
+        assert.match(eml, /Listing body/);
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,78 @@
+// test/fetch-jobs.test.js
+// Fetch-job records: one per search, completed or failed with its stats
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createApi, listen, stubClaudeAnalysis, waitForJob } = require('./helpers');
+
+async function runSearch(api, body) {
+    const http = await listen(api);
+    try {
+        const response = await http.request('/api/search/smart', { method: 'POST', body });
+        assert.equal(response.status, 202);
+        const { data } = await response.json();
+        const job = await waitForJob(api, data.jobId);
+        const record = await (await http.request(`/api/fetch-jobs/${data.jobId}`)).json();
+        return { jobId: data.jobId, job, record: record.data, http };
+    } finally {
+        await http.close();
+    }
+}
+
+test('a fresh search records provider, Claude and result stats on its fetch job', async () => {
+    const api = createApi();
+    stubClaudeAnalysis(api, { discount: address => (address === '185 N 6th St' ? 30 : 5) });
+
+    const { jobId, job, record } = await runSearch(api, { neighborhood: 'williamsburg', maxResults: 5 });
+
+    assert.equal(job.status, 'completed');
+    assert.equal(record.job_id, jobId);
+    assert.equal(record.status, 'completed');
+    assert.equal(record.result_source, 'fresh_only');
+    assert.equal(record.provider_stats.fixture.apiCalls, 1);
+    assert.equal(record.total_listings_fetched, 3);
+    assert.equal(record.claude_api_calls, 1);
+    assert.equal(record.properties_found, 1);
+    assert.equal(record.threshold_used, 15);
+    assert.equal(record.search_params.neighborhood, 'williamsburg');
+    assert.equal(typeof record.duration_ms, 'number');
+    assert.ok(record.completed_at);
+});
+
+test('a search answered from cache is recorded as cache_only', async () => {
+    const api = createApi();
+    const requests = stubClaudeAnalysis(api, { discount: () => 30 });
+    await runSearch(api, { neighborhood: 'williamsburg', maxResults: 2 });
+
+    const { record } = await runSearch(api, { neighborhood: 'williamsburg', maxResults: 2 });
+
+    assert.equal(requests.length, 1);
+    assert.equal(record.result_source, 'cache_only');
+    assert.equal(record.cache_hits, 2);
+});
+
+test('a failed search records the error', async () => {
+    const api = createApi();
+    api.fetchWithThresholdFallback = async () => { throw new Error('provider exploded'); };
+
+    const { job, record } = await runSearch(api, { neighborhood: 'williamsburg' });
+
+    assert.equal(job.status, 'failed');
+    assert.equal(record.status, 'failed');
+    assert.equal(record.error_message, 'provider exploded');
+});
+
+test('fetch jobs can be listed by status', async () => {
+    const api = createApi();
+    await api.storage.fetchJobs.create({ job_id: 'a', status: 'failed', search_params: { neighborhood: 'soho' } });
+    await api.storage.fetchJobs.create({ job_id: 'b', status: 'completed', search_params: { neighborhood: 'soho' } });
+    const http = await listen(api);
+
+    try {
+        const { data } = await (await http.request('/api/fetch-jobs?status=failed')).json();
+        assert.deepEqual(data.map(record => record.job_id), ['a']);
+        assert.equal((await http.request('/api/fetch-jobs/missing')).status, 404);
+    } finally {
+        await http.close();
+    }
+});
@@ -0,0 +1,113 @@
+// test/geo.test.js
+// Radius, polygon and transit search areas, and geo searches through the API
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    GeoQueryError, distanceMiles, walkMinutes, walkRadiusMiles, radiusArea, polygonArea, transitArea, containsPoint
+} = require('../services/geo');
+const { createApi, listen, stubClaudeAnalysis, waitForJob } = require('./helpers');
+
+const BEDFORD_AV = { latitude: 40.717304, longitude: -73.956872 };
+
+// Closed square ring of [lng, lat] positions
+const square = (west, south, east, north) => [[west, south], [east, south], [east, north], [west, north], [west, south]];
+
+test('distances are great-circle miles and walks allow for the street grid', () => {
+    assert.ok(Math.abs(distanceMiles({ latitude: 40.7, longitude: -74 }, { latitude: 41.7, longitude: -74 }) - 69.1) < 0.1);
+    assert.equal(walkMinutes(0.8), 20);
+    assert.equal(walkMinutes(0), 1);
+    assert.equal(walkRadiusMiles(20), 0.8);
+});
+
+test('a radius area contains points within the radius only', () => {
+    const area = radiusArea(BEDFORD_AV, 0.25);
+
+    assert.ok(containsPoint(area, { latitude: 40.7177, longitude: -73.9582 }));
+    assert.ok(!containsPoint(area, { latitude: 40.7034, longitude: -73.926 }));
+    assert.ok(!containsPoint(area, null));
+    assert.match(area.label, /^0.25 mi around 40.71730, -73.95687$/);
+});
+
+test('polygons respect holes and multipolygons, and Features are unwrapped', () => {
+    const withHole = polygonArea({
+        type: 'Feature',
+        geometry: { type: 'Polygon', coordinates: [square(-74, 40.7, -73.9, 40.8), square(-73.96, 40.74, -73.94, 40.76)] }
+    });
+    assert.ok(containsPoint(withHole, { latitude: 40.71, longitude: -73.99 }));
+    assert.ok(!containsPoint(withHole, { latitude: 40.75, longitude: -73.95 }));
+    assert.deepEqual(withHole.bounds, { south: 40.7, west: -74, north: 40.8, east: -73.9 });
+
+    const islands = polygonArea({ type: 'MultiPolygon', coordinates: [[square(-74, 40.7, -73.99, 40.71)], [square(-73.9, 40.8, -73.89, 40.81)]] });
+    assert.ok(containsPoint(islands, { latitude: 40.805, longitude: -73.895 }));
+    assert.ok(!containsPoint(islands, { latitude: 40.75, longitude: -73.95 }));
+});
+
+test('malformed polygons are rejected with a GeoQueryError', () => {
+    assert.throws(() => polygonArea({ type: 'Point', coordinates: [0, 0] }), GeoQueryError);
+    assert.throws(() => polygonArea({ type: 'Polygon', coordinates: [[[0, 0], [1, 1], [0, 0]]] }), /closed lists of at least 4/);
+    assert.throws(() => polygonArea({ type: 'Polygon', coordinates: [square(-74, 95, -73, 96)] }), GeoQueryError);
+});
+
+test('a polygon over the vertex cap is rejected; a large one under it does not overflow', () => {
+    const ring = Array.from({ length: 200000 }, (_, i) => [-74 + i / 1e7, 40.7 + (i % 2) / 100]);
+    ring.push(ring[0]);
+    const polygon = { type: 'Polygon', coordinates: [ring] };
+
+    assert.throws(() => polygonArea(polygon, null, { maxVertices: 1000 }), {
+        name: 'GeoQueryError',
+        message: 'polygon has 200001 positions; at most 1000 are allowed'
+    });
+    assert.equal(polygonArea(polygon).bounds.south, 40.7);
+});
+
+test('a transit area covers a walk from any of its stations', () => {
+    const area = transitArea([{ id: 'a', name: 'Bedford Av', routes: ['L'], ...BEDFORD_AV }], 5, '5 min walk');
+
+    assert.ok(containsPoint(area, { latitude: 40.7177, longitude: -73.9582 }));
+    assert.ok(!containsPoint(area, { latitude: 40.7141, longitude: -73.9665 }));
+});
+
+async function searchResponse(body) {
+    const api = createApi();
+    stubClaudeAnalysis(api, { discount: () => 20 });
+    const http = await listen(api);
+    try {
+        const response = await http.request('/api/search/smart', { method: 'POST', body: { maxResults: 10, ...body } });
+        const json = await response.json();
+        if (response.status !== 202) return { status: response.status, body: json };
+        await waitForJob(api, json.data.jobId);
+        const results = await (await http.request(`/api/results/${json.data.jobId}`)).json();
+        return { status: response.status, body: json, results: results.data };
+    } finally {
+        await http.close();
+    }
+}
+
+test('a radius search only returns listings inside the circle', async () => {
+    const { status, results } = await searchResponse({
+        neighborhood: 'williamsburg',
+        geo: { type: 'radius', latitude: 40.7177, longitude: -73.9582, radiusMiles: 0.1 }
+    });
+
+    assert.equal(status, 202);
+    assert.deepEqual(results.properties.map(property => property.address), ['185 N 6th St']);
+});
+
+test('bad geo input is a 400, including polygons over GEO_MAX_POLYGON_VERTICES', async () => {
+    const ring = Array.from({ length: 1500 }, (_, i) => [-73.96 + i / 1e6, 40.71 + (i % 2) / 1000]);
+    ring.push(ring[0]);
+
+    const cases = [
+        [{ type: 'radius', latitude: 40.7, longitude: -73.9, radiusMiles: 50 }, /radiusMiles must be greater than 0 and at most 3/],
+        [{ type: 'radius' }, /need latitude and longitude/],
+        [{ type: 'transit', line: 'Z9' }, /Unknown subway line "Z9"/],
+        [{ type: 'teleport' }, /geo.type must be one of/],
+        [{ type: 'polygon', polygon: { type: 'Polygon', coordinates: [ring] } }, /at most 1000 are allowed/]
+    ];
+    for (const [geo, message] of cases) {
+        const { status, body } = await searchResponse({ neighborhood: 'williamsburg', geo });
+        assert.equal(status, 400, JSON.stringify(geo));
+        assert.match(body.message, message);
+    }
+});
@@ -0,0 +1,152 @@
+// test/helpers.js
+// SHARED TEST SETUP - an API instance on the embedded memory backend with the
+// fixture provider, no Stripe, no email and no alert scheduler, plus builders
+// for stored listing rows, canned Claude responses and a paged fake provider.
+// Logs are muted unless TEST_VERBOSE is set.
+
+process.env.DISABLE_STRIPE = 'true';
+process.env.VC_API_KEY = 'test-key';
+process.env.LISTING_PROVIDERS = 'fixture';
+process.env.EMAIL_TRANSPORT = 'console';
+process.env.ALERTS_ENABLED = 'false';
+process.env.STORAGE_BACKEND = 'memory';
+delete process.env.STORAGE_FILE;
+delete process.env.SUPABASE_URL;
+delete process.env.ANTHROPIC_API_KEY;
+
+if (!process.env.TEST_VERBOSE) {
+    for (const method of ['log', 'info', 'warn', 'error']) console[method] = () => {};
+}
+
+const SmartCacheFirstAPI = require('../api-server');
+const MemoryStorage = require('../storage/memory-storage');
+const { normalizeListing } = require('../providers/listing');
+
+const API_KEY = process.env.VC_API_KEY;
+
+function createApi(options = {}) {
+    return new SmartCacheFirstAPI({ storage: new MemoryStorage({}), ...options });
+}
+
+// Starts the HTTP server on a free port; close() stops it
+async function listen(api) {
+    api.port = 0;
+    const server = api.start();
+    await new Promise(resolve => server.listening ? resolve() : server.once('listening', resolve));
+    const base = `http://127.0.0.1:${server.address().port}`;
+
+    return {
+        base,
+        server,
+        request(path, { method = 'GET', body, headers = {} } = {}) {
+            return fetch(base + path, {
+                method,
+                headers: {
+                    'X-API-Key': API_KEY,
+                    ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+                    ...headers
+                },
+                body: body !== undefined ? JSON.stringify(body) : undefined
+            });
+        },
+        close: () => new Promise(resolve => {
+            server.closeAllConnections?.();
+            server.close(resolve);
+        })
+    };
+}
+
+// A stored undervalued_rentals / undervalued_sales row
+function listingRow(overrides = {}) {
+    return {
+        listing_id: `listing-${Math.random().toString(36).slice(2, 10)}`,
+        property_type: 'rental',
+        address: '100 Test St',
+        neighborhood: 'astoria',
+        borough: 'queens',
+        status: 'active',
+        monthly_rent: 3000,
+        bedrooms: 1,
+        bathrooms: 1,
+        discount_percent: 20,
+        analysis_date: new Date().toISOString(),
+        ...overrides
+    };
+}
+
+// Messages API response carrying one forced tool call
+function claudeToolResponse(name, input, usage = { input_tokens: 1000, output_tokens: 200 }) {
+    return {
+        data: {
+            id: 'msg_test',
+            type: 'message',
+            role: 'assistant',
+            stop_reason: 'tool_use',
+            content: [{ type: 'tool_use', id: 'toolu_test', name, input }],
+            usage
+        }
+    };
+}
+
+// Answers every analysis batch on api.claude; discount(address) sets each
+// property's percentBelowMarket. Returns the request bodies sent.
+function stubClaudeAnalysis(api, { discount = () => 25, usage } = {}) {
+    const requests = [];
+    api.claude.createMessage = async body => {
+        requests.push(body);
+        const addresses = [...body.messages[0].content.matchAll(/Property (\d+):\n- Address: (.*)/g)];
+        const analyses = addresses.map(([, index, address]) => {
+            const percentBelowMarket = discount(address);
+            return {
+                propertyIndex: Number(index),
+                percentBelowMarket,
+                isUndervalued: percentBelowMarket >= 15,
+                reasoning: `Priced ${percentBelowMarket}% below comparable units`,
+                score: 80,
+                grade: 'B-',
+                estimatedMarketPrice: 4000
+            };
+        });
+        const { data } = claudeToolResponse('record_property_analysis', { analyses }, usage);
+        return { data, attempts: 1 };
+    };
+    return requests;
+}
+
+// pages * pageSize listings numbered from 0, recording the offsets requested
+function pagedProvider({ pages, pageSize = 5, maxPages = 10, maxApiCalls = 10 }) {
+    const provider = {
+        name: 'paged',
+        pageSize,
+        maxPages,
+        maxApiCalls,
+        offsets: [],
+        async fetchPage(query, { offset, limit }) {
+            provider.offsets.push(offset);
+            const total = pages * pageSize;
+            const listings = [];
+            for (let n = offset; n < Math.min(offset + limit, total); n++) {
+                listings.push(normalizeListing(
+                    { id: n, address: `${n} Paged Ave`, price: 3000, neighborhood: query.neighborhood },
+                    { source: 'paged', propertyType: 'rental' }
+                ));
+            }
+            return { listings, total };
+        }
+    };
+    return provider;
+}
+
+const TERMINAL_STATUSES = ['completed', 'failed', 'canceled'];
+
+async function waitForJob(api, jobId, timeoutMs = 5000) {
+    const deadline = Date.now() + timeoutMs;
+    while (Date.now() < deadline) {
+        const job = await api.getJobState(jobId);
+        if (TERMINAL_STATUSES.includes(job?.status)) return job;
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    throw new Error(`Job ${jobId} did not finish within ${timeoutMs}ms`);
+}
+
+module.exports = { API_KEY, createApi, listen, listingRow, claudeToolResponse, stubClaudeAnalysis, waitForJob, pagedProvider };
@@ -0,0 +1,223 @@
+// test/instagram-dm.test.js
+// Instagram DMs: webhook signatures and events, sender matching, replies and STOP/START
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { InstagramDmHandler, verifySignature, normalizeInstagramHandle, messagingEvents } = require('../services/instagram-dm');
+const MemoryStorage = require('../storage/memory-storage');
+const { createApi, listen } = require('./helpers');
+
+const sign = (body, secret) => `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+
+// A client that records what would be sent to each sender
+function fakeClient(usernames = {}) {
+    const sent = [];
+    return {
+        sent,
+        texts: () => sent.filter(message => message.text).map(message => message.text),
+        async getUsername(senderId) { return usernames[senderId] || null; },
+        async sendText(recipientId, text) { sent.push({ recipientId, text }); },
+        async sendImage(recipientId, url) { sent.push({ recipientId, image: url }); }
+    };
+}
+
+const namedArea = text => {
+    const match = text.match(/\bin (\w+)/);
+    return match ? [match[1]] : [];
+};
+
+// A handler whose parser finds a neighborhood in "... in <name>" and whose
+// searches return the given properties, recording their params
+function handler({ usernames, properties = [], checkoutUrl = null, maxResults } = {}) {
+    const client = fakeClient(usernames);
+    const searches = [];
+    const dm = new InstagramDmHandler({
+        client,
+        storage: new MemoryStorage({}),
+        parse: text => ({ params: { neighborhoods: namedArea(text) } }),
+        interpret: async text => ({ params: { neighborhoods: namedArea(text) } }),
+        buildSearchParams: (profile, { neighborhoods = [] }) => {
+            const area = neighborhoods[0] || profile.preferred_neighborhoods?.[0];
+            return area ? { neighborhood: area, neighborhoodName: area, propertyType: 'rental' } : null;
+        },
+        runSearch: async params => {
+            searches.push(params);
+            return { properties };
+        },
+        createCheckoutUrl: async () => checkoutUrl,
+        preferencesUrl: 'https://example.com/preferences',
+        maxResults
+    });
+    return { dm, client, storage: dm.storage, searches };
+}
+
+const message = (senderId, text, mid = `mid-${Math.random()}`) => ({ sender: { id: senderId }, message: { mid, text } });
+
+const property = n => ({ instagram: { primaryImage: `https://img.test/${n}.jpg`, dmMessage: `Deal ${n}` } });
+
+test('signatures are the sha256 HMAC of the raw body with the app secret', () => {
+    const body = Buffer.from('{"object":"instagram"}');
+
+    assert.ok(verifySignature(body, sign(body, 'app-secret'), 'app-secret'));
+    assert.ok(!verifySignature(body, sign(body, 'other'), 'app-secret'));
+    assert.ok(!verifySignature(body, sign(body, 'app-secret').replace('sha256=', ''), 'app-secret'));
+    assert.ok(!verifySignature(body, sign(body, 'app-secret'), undefined));
+});
+
+test('only incoming messages are taken from a webhook payload', () => {
+    const events = messagingEvents({
+        object: 'instagram',
+        entry: [
+            { messaging: [message('1', 'hi'), { sender: { id: '2' }, read: { mid: 'x' } }] },
+            { messaging: [{ sender: { id: '3' }, message: { mid: 'y', text: 'echo', is_echo: true } }] }
+        ]
+    });
+
+    assert.deepEqual(events.map(event => event.sender.id), ['1']);
+    assert.deepEqual(messagingEvents({ object: 'page', entry: [{ messaging: [message('1', 'hi')] }] }), []);
+    assert.equal(normalizeInstagramHandle(' @Some.User '), 'some.user');
+    assert.equal(normalizeInstagramHandle(''), null);
+});
+
+test('unknown senders get the preferences link with their handle', async () => {
+    const { dm, client } = handler({ usernames: { 99: 'Stranger' } });
+
+    await dm.handleEvent(message('99', 'hi'));
+
+    assert.match(client.texts()[0], /preferences\?instagram_handle=stranger/);
+});
+
+test('a sender is matched by handle once and then by their Instagram user id', async () => {
+    const { dm, client, storage } = handler({ usernames: { 42: 'renter' } });
+    const { id } = await storage.profiles.create({ instagram_handle: '@Renter', subscription_plan: 'unlimited' });
+
+    const first = await dm.findProfile('42');
+    assert.equal(first.profile.id, id);
+    assert.equal((await storage.profiles.findById(id)).instagram_user_id, '42');
+
+    client.getUsername = async () => { throw new Error('should use the linked id'); };
+    const second = await dm.findProfile('42');
+    assert.equal(second.profile.id, id);
+    assert.equal(second.username, 'renter');
+});
+
+test('redelivered message ids are answered once', async () => {
+    const { dm, client } = handler();
+
+    await dm.handleEvent(message('1', 'hi', 'same'));
+    await dm.handleEvent(message('1', 'hi', 'same'));
+
+    assert.equal(client.sent.length, 1);
+});
+
+test('subscribers get up to maxResults listings with images, then a count of the rest', async () => {
+    const { dm, client, storage, searches } = handler({ properties: [1, 2, 3].map(property), maxResults: 2 });
+    const profile = await storage.profiles.create({ subscription_plan: 'unlimited', preferred_neighborhoods: ['astoria'] });
+
+    await dm.respond('7', { profile, username: null, text: 'search' });
+
+    assert.deepEqual(searches, [{ neighborhood: 'astoria', neighborhoodName: 'astoria', propertyType: 'rental' }]);
+    assert.match(client.texts()[0], /Searching for/);
+    assert.deepEqual(client.sent.slice(1, 5), [
+        { recipientId: '7', image: 'https://img.test/1.jpg' },
+        { recipientId: '7', text: 'Deal 1' },
+        { recipientId: '7', image: 'https://img.test/2.jpg' },
+        { recipientId: '7', text: 'Deal 2' }
+    ]);
+    assert.match(client.texts().at(-1), /and 1 more/);
+});
+
+test('a described search narrows the saved preferences', async () => {
+    const { dm, storage, searches } = handler({ properties: [] });
+    const profile = await storage.profiles.create({ subscription_plan: 'unlimited', preferred_neighborhoods: ['astoria'] });
+
+    await dm.respond('7', { profile, username: null, text: '2br in bushwick' });
+
+    assert.equal(searches[0].neighborhood, 'bushwick');
+});
+
+test('messages with nothing to search get the help text', async () => {
+    const { dm, client, storage, searches } = handler();
+    const profile = await storage.profiles.create({ subscription_plan: 'unlimited' });
+
+    await dm.respond('7', { profile, username: 'renter', text: 'thanks!' });
+
+    assert.equal(searches.length, 0);
+    assert.match(client.texts()[0], /Send "search"/);
+    assert.match(client.texts()[0], /instagram_handle=renter/);
+});
+
+test('a search without any neighborhood asks for one', async () => {
+    const { dm, client, storage, searches } = handler();
+    const profile = await storage.profiles.create({ subscription_plan: 'unlimited' });
+
+    await dm.respond('7', { profile, username: null, text: 'search' });
+
+    assert.equal(searches.length, 0);
+    assert.match(client.texts()[0], /Which neighborhood/);
+});
+
+test('profiles without a subscription get the checkout link instead of a search', async () => {
+    const { dm, client, storage, searches } = handler({ checkoutUrl: 'https://checkout.test/session' });
+    const profile = await storage.profiles.create({ subscription_plan: 'free', preferred_neighborhoods: ['astoria'] });
+
+    await dm.respond('7', { profile, username: null, text: 'search' });
+
+    assert.equal(searches.length, 0);
+    assert.match(client.texts()[0], /https:\/\/checkout\.test\/session/);
+});
+
+test('STOP pauses alerts and START resumes them', async () => {
+    const { dm, client, storage } = handler();
+    const { id } = await storage.profiles.create({ subscription_plan: 'unlimited' });
+
+    await dm.respond('7', { profile: await storage.profiles.findById(id), username: null, text: 'STOP' });
+    assert.ok((await storage.profiles.findById(id)).alerts_paused_at);
+    assert.match(client.texts()[0], /paused your deal alerts/);
+
+    await dm.respond('7', { profile: await storage.profiles.findById(id), username: null, text: 'start!' });
+    assert.equal((await storage.profiles.findById(id)).alerts_paused_at, null);
+    assert.match(client.texts()[1], /alerts are on/);
+});
+
+test('a failing search sends an apology instead of throwing', async () => {
+    const { dm, client, storage } = handler();
+    await storage.profiles.create({ instagram_user_id: '7', subscription_plan: 'unlimited', preferred_neighborhoods: ['astoria'] });
+    dm.runSearch = async () => { throw new Error('queue full'); };
+
+    await dm.handleEvent(message('7', 'search'));
+
+    assert.match(client.texts().at(-1), /something went wrong/);
+});
+
+test('the webhook answers the verify handshake and only accepts signed deliveries', async () => {
+    const api = createApi({ instagramClient: fakeClient() });
+    api.instagramVerifyToken = 'verify-me';
+    api.instagramAppSecret = 'app-secret';
+    const handled = [];
+    api.instagramDm.handleEvent = async event => { handled.push(event); };
+    const server = await listen(api);
+    try {
+        const handshake = await fetch(`${server.base}/api/instagram/webhook?hub.mode=subscribe&hub.verify_token=verify-me&hub.challenge=123`);
+        assert.equal(handshake.status, 200);
+        assert.equal(await handshake.text(), '123');
+        const wrongToken = await fetch(`${server.base}/api/instagram/webhook?hub.mode=subscribe&hub.verify_token=nope&hub.challenge=123`);
+        assert.equal(wrongToken.status, 403);
+
+        const body = JSON.stringify({ object: 'instagram', entry: [{ messaging: [message('5', 'search', 'm1')] }] });
+        const post = signature => fetch(`${server.base}/api/instagram/webhook`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'X-Hub-Signature-256': signature },
+            body
+        });
+
+        assert.equal((await post(sign(body, 'wrong'))).status, 401);
+        assert.equal(handled.length, 0);
+
+        assert.equal((await post(sign(body, 'app-secret'))).status, 200);
+        assert.deepEqual(handled.map(event => event.message.mid), ['m1']);
+    } finally {
+        await server.close();
+    }
+});
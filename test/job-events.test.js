@@ -0,0 +1,117 @@
+// test/job-events.test.js
+// Job event hub and the SSE / WebSocket progress streams
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const WebSocket = require('ws');
+const JobEventHub = require('../services/job-events');
+const { API_KEY, createApi, listen, stubClaudeAnalysis, waitForJob } = require('./helpers');
+
+test('events carry a per-job sequence that resets after a terminal event', () => {
+    const hub = new JobEventHub();
+    const received = [];
+    const unsubscribe = hub.subscribe('a', event => received.push(event));
+
+    hub.publish('a', 'queued');
+    hub.publish('b', 'queued');
+    hub.publish('a', 'page_scanned', { page: 1 });
+    hub.publish('a', 'completed');
+    hub.publish('a', 'queued');
+    unsubscribe();
+    hub.publish('a', 'status');
+
+    assert.deepEqual(received.map(event => [event.id, event.type]), [[1, 'queued'], [2, 'page_scanned'], [3, 'completed'], [1, 'queued']]);
+    assert.deepEqual(received[1].data, { page: 1 });
+});
+
+test('publishing without a job id is a no-op', () => {
+    const hub = new JobEventHub();
+    hub.publish(null, 'queued');
+    assert.equal(hub.sequences.size, 0);
+});
+
+// Queues a search without starting it, so a stream can attach first
+async function heldSearch(api) {
+    stubClaudeAnalysis(api, { discount: () => 30 });
+    api.searchQueue.concurrency = 0;
+    await api.enqueueSmartSearch('job', { neighborhood: 'williamsburg', propertyType: 'rental', undervaluationThreshold: 15, maxResults: 1 }, { clientId: 'a' });
+    return () => {
+        api.searchQueue.concurrency = 1;
+        api.searchQueue.drain();
+    };
+}
+
+function parseSse(text) {
+    return text.split('\n\n').filter(block => block.startsWith('id:')).map(block => {
+        const fields = Object.fromEntries(block.split('\n').map(line => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 2)]));
+        return { ...fields, data: JSON.parse(fields.data) };
+    });
+}
+
+test('the SSE stream sends a snapshot, progress events and ends on the terminal event', async () => {
+    const api = createApi();
+    const start = await heldSearch(api);
+    const http = await listen(api);
+
+    try {
+        const response = await http.request('/api/jobs/job/stream');
+        assert.equal(response.headers.get('content-type'), 'text/event-stream');
+        start();
+        const events = parseSse(await response.text());
+        const types = events.map(event => event.event);
+
+        assert.equal(types[0], 'status');
+        assert.equal(events[0].data.data.status, 'queued');
+        assert.ok(types.includes('threshold_attempt'));
+        assert.ok(types.includes('property_found'));
+        assert.equal(types.at(-1), 'completed');
+        assert.equal(events.at(-1).data.data.result.properties.length, 1);
+    } finally {
+        await http.close();
+    }
+});
+
+test('a stream opened after the job finished sends only the final state', async () => {
+    const api = createApi();
+    (await heldSearch(api))();
+    await waitForJob(api, 'job');
+    const http = await listen(api);
+
+    try {
+        const events = parseSse(await (await http.request('/api/jobs/job/stream')).text());
+        assert.deepEqual(events.map(event => event.event), ['completed']);
+        assert.equal((await http.request('/api/jobs/missing/stream')).status, 404);
+    } finally {
+        await http.close();
+    }
+});
+
+test('the WebSocket stream requires an API key and relays the same events', async () => {
+    const api = createApi();
+    const start = await heldSearch(api);
+    const http = await listen(api);
+    const wsBase = http.base.replace('http', 'ws');
+
+    try {
+        const rejected = await new Promise(resolve => {
+            new WebSocket(`${wsBase}/api/jobs/job/ws`).on('unexpected-response', (req, res) => resolve(res.statusCode));
+        });
+        assert.equal(rejected, 401);
+
+        const events = await new Promise((resolve, reject) => {
+            const received = [];
+            const ws = new WebSocket(`${wsBase}/api/jobs/job/ws`, { headers: { 'X-API-Key': API_KEY } });
+            ws.on('message', message => {
+                received.push(JSON.parse(message));
+                if (received.length === 1) start();
+            });
+            ws.on('close', () => resolve(received));
+            ws.on('error', reject);
+        });
+
+        assert.equal(events[0].type, 'status');
+        assert.equal(events.at(-1).type, 'completed');
+    } finally {
+        await http.close();
+    }
+});
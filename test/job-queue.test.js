@@ -0,0 +1,189 @@
+// test/job-queue.test.js
+// Search job queue ordering and cancellation, and the DELETE /api/jobs route
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { JobQueue, QueueFullError } = require('../services/job-queue');
+const { createApi, listen } = require('./helpers');
+
+function deferred() {
+    let resolve;
+    const promise = new Promise(done => { resolve = done; });
+    return { promise, resolve };
+}
+
+// A queue whose workers block until released, recording the start order
+function blockedQueue(options = {}) {
+    const started = [];
+    const gate = deferred();
+    const queue = new JobQueue({
+        concurrency: 1,
+        ...options,
+        worker: async jobId => {
+            started.push(jobId);
+            await gate.promise;
+        }
+    });
+    return { queue, started, release: gate.resolve };
+}
+
+test('higher priority jobs run first, then each client takes turns', () => {
+    const { queue } = blockedQueue();
+    queue.enqueue('bot-1', {}, { clientId: 'bot' });
+    queue.enqueue('bot-2', {}, { clientId: 'bot' });
+    queue.enqueue('bot-3', {}, { clientId: 'bot' });
+    queue.enqueue('web-1', {}, { clientId: 'web' });
+    queue.enqueue('vip-1', {}, { clientId: 'web', priority: 'high' });
+    queue.enqueue('batch-1', {}, { clientId: 'cron', priority: 'low' });
+
+    assert.deepEqual(queue.queued.map(task => task.jobId), ['vip-1', 'bot-1', 'web-1', 'bot-2', 'bot-3', 'batch-1']);
+    assert.equal(queue.position('web-1'), 3);
+    assert.equal(queue.queued.find(task => task.jobId === 'bot-1').priority, 'normal');
+});
+
+test('unknown priorities are treated as normal', () => {
+    assert.equal(JobQueue.normalizePriority('urgent'), 'normal');
+    assert.equal(JobQueue.normalizePriority('__proto__'), 'normal');
+    assert.equal(JobQueue.normalizePriority('low'), 'low');
+});
+
+test('enqueue throws a 503 QueueFullError past maxQueued', () => {
+    const { queue } = blockedQueue({ maxQueued: 1 });
+    queue.enqueue('a', {});
+
+    assert.throws(() => queue.enqueue('b', {}), error =>
+        error instanceof QueueFullError && error.statusCode === 503);
+});
+
+test('workers run up to the concurrency limit and drain the rest in order', async () => {
+    const { queue, started, release } = blockedQueue({ concurrency: 2 });
+    for (const jobId of ['a', 'b', 'c']) queue.enqueue(jobId, {});
+    await new Promise(resolve => setImmediate(resolve));
+
+    assert.deepEqual(started, ['a', 'b']);
+    assert.equal(queue.stats().queued, 1);
+
+    release();
+    await queue.whenSettled('a');
+    await queue.whenSettled('c');
+    assert.deepEqual(started, ['a', 'b', 'c']);
+    assert.equal(queue.stats().running, 0);
+});
+
+test('cancel removes a queued job and aborts a running one', async () => {
+    let runningSignal;
+    const queue = new JobQueue({
+        concurrency: 1,
+        worker: (jobId, payload, signal) => {
+            runningSignal = signal;
+            return new Promise(resolve => signal.addEventListener('abort', resolve));
+        }
+    });
+    queue.enqueue('running', {});
+    queue.enqueue('waiting', {});
+    await new Promise(resolve => setImmediate(resolve));
+
+    assert.equal(queue.cancel('waiting'), 'queued');
+    assert.equal(queue.position('waiting'), null);
+    assert.equal(queue.cancel('running'), 'running');
+    assert.equal(runningSignal.aborted, true);
+    await queue.whenSettled('running');
+    assert.equal(queue.cancel('running'), null);
+});
+
+// Replaces the search worker: each job goes 'processing', waits for finish(),
+// then ends canceled if it honours an abort it has seen, otherwise completed
+function controllableSearches(api, { honoursAbort = true } = {}) {
+    const gates = new Map();
+    api.startSmartSearch = async (jobId, params, { signal }) => {
+        const job = await api.getJobState(jobId);
+        await api.updateJob(jobId, job, { status: 'processing' });
+        const gate = deferred();
+        gates.set(jobId, gate);
+        await gate.promise;
+        await api.updateJob(jobId, job, { status: signal.aborted && honoursAbort ? 'canceled' : 'completed' });
+    };
+    return {
+        finish: jobId => gates.get(jobId)?.resolve(),
+        started: jobId => new Promise(function poll(resolve) {
+            gates.has(jobId) ? resolve() : setTimeout(() => poll(resolve), 5);
+        })
+    };
+}
+
+async function withServer(api, fn) {
+    const http = await listen(api);
+    try {
+        return await fn(http);
+    } finally {
+        await http.close();
+    }
+}
+
+const SEARCH = { neighborhood: 'soho' };
+
+test('DELETE cancels a queued job outright', async () => {
+    const api = createApi();
+    api.searchQueue.concurrency = 1;
+    const searches = controllableSearches(api);
+    await api.enqueueSmartSearch('first', SEARCH, { clientId: 'a' });
+    await api.enqueueSmartSearch('second', SEARCH, { clientId: 'a' });
+    await searches.started('first');
+
+    await withServer(api, async http => {
+        const response = await http.request('/api/jobs/second', { method: 'DELETE' });
+        assert.equal(response.status, 200);
+        assert.deepEqual((await response.json()).data, { jobId: 'second', status: 'canceled', canceled: true });
+        searches.finish('first');
+    });
+});
+
+test('DELETE on a running job reports canceled once the job stops', async () => {
+    const api = createApi();
+    const searches = controllableSearches(api);
+    await api.enqueueSmartSearch('job', SEARCH, { clientId: 'a' });
+    await searches.started('job');
+
+    await withServer(api, async http => {
+        const pending = http.request('/api/jobs/job', { method: 'DELETE' });
+        setTimeout(() => searches.finish('job'), 20);
+        const { data } = await (await pending).json();
+        assert.deepEqual(data, { jobId: 'job', status: 'canceled', canceled: true });
+    });
+});
+
+test('DELETE reports completed when the job finishes before seeing the abort', async () => {
+    const api = createApi();
+    const searches = controllableSearches(api, { honoursAbort: false });
+    await api.enqueueSmartSearch('job', SEARCH, { clientId: 'a' });
+    await searches.started('job');
+
+    await withServer(api, async http => {
+        const pending = http.request('/api/jobs/job', { method: 'DELETE' });
+        setTimeout(() => searches.finish('job'), 20);
+        const { data } = await (await pending).json();
+        assert.deepEqual(data, { jobId: 'job', status: 'completed', canceled: false });
+
+        const again = await http.request('/api/jobs/job', { method: 'DELETE' });
+        assert.equal(again.status, 409);
+    });
+});
+
+test('DELETE answers 202 canceling when the job outlasts the wait, and GET shows the outcome', async () => {
+    const api = createApi();
+    api.jobCancelWaitMs = 20;
+    const searches = controllableSearches(api);
+    await api.enqueueSmartSearch('job', SEARCH, { clientId: 'a' });
+    await searches.started('job');
+
+    await withServer(api, async http => {
+        const response = await http.request('/api/jobs/job', { method: 'DELETE' });
+        assert.equal(response.status, 202);
+        assert.equal((await response.json()).data.status, 'canceling');
+
+        searches.finish('job');
+        await api.searchQueue.whenSettled('job');
+        const { data } = await (await http.request('/api/jobs/job')).json();
+        assert.equal(data.status, 'canceled');
+    });
+});
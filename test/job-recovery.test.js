@@ -0,0 +1,106 @@
+// test/job-recovery.test.js
+// Bounded job stores and restart recovery of queued/processing jobs
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const BoundedStore = require('../storage/bounded-store');
+const { createApi, stubClaudeAnalysis, waitForJob } = require('./helpers');
+
+function boundedStore(options) {
+    return new BoundedStore({ sweepIntervalMs: 60 * 60 * 1000, ...options });
+}
+
+test('bounded stores evict the oldest unpinned entries past maxSize', () => {
+    const store = boundedStore({ maxSize: 2, isPinned: value => value.pinned });
+    store.set('a', { pinned: true });
+    store.set('b', {});
+    store.set('c', {});
+
+    assert.deepEqual([...store.entries.keys()], ['a', 'c']);
+    assert.equal(store.stats().evictions.size, 1);
+    store.close();
+});
+
+test('bounded stores expire unpinned entries after the ttl', () => {
+    const store = boundedStore({ ttlMs: 1000, isPinned: value => value.pinned });
+    store.set('old', {});
+    store.set('running', { pinned: true });
+    for (const entry of store.entries.values()) entry.touchedAt -= 5000;
+
+    assert.equal(store.get('old'), undefined);
+    assert.deepEqual(store.get('running'), { pinned: true });
+    assert.equal(store.stats().evictions.ttl, 1);
+    store.close();
+});
+
+function interruptedJob(overrides = {}) {
+    return {
+        status: 'processing',
+        progress: 40,
+        queuedAt: new Date().toISOString(),
+        params: { neighborhood: 'williamsburg', maxResults: 1, propertyType: 'rental' },
+        clientId: 'acme',
+        priority: 'normal',
+        callback: {
+            url: 'https://hooks.example.com/done',
+            clientId: 'acme',
+            status: 'retrying',
+            attempts: [{ attempt: 1, statusCode: 500 }]
+        },
+        ...overrides
+    };
+}
+
+function captureCallbacks(api) {
+    const deliveries = [];
+    api.callbacks.deliver = async delivery => {
+        deliveries.push(delivery);
+        return true;
+    };
+    return deliveries;
+}
+
+test('a recent interrupted job is resumed with its callback client and attempts intact', async () => {
+    const api = createApi();
+    stubClaudeAnalysis(api, { discount: () => 30 });
+    const deliveries = captureCallbacks(api);
+    await api.storage.jobs.save('job-1', interruptedJob());
+
+    await api.recoverJobs();
+    const job = await waitForJob(api, 'job-1');
+
+    assert.equal(job.status, 'completed');
+    assert.equal(deliveries.length, 1);
+    assert.equal(deliveries[0].clientId, 'acme');
+    assert.equal(deliveries[0].event, 'job.completed');
+    const stored = await api.storage.jobs.get('job-1');
+    assert.deepEqual(stored.callback.attempts, [{ attempt: 1, statusCode: 500 }]);
+});
+
+test('jobs older than the resume window are failed instead', async () => {
+    const api = createApi();
+    const deliveries = captureCallbacks(api);
+    const queuedAt = new Date(Date.now() - (api.jobResumeMaxAgeMinutes + 5) * 60000).toISOString();
+    await api.storage.jobs.save('job-old', interruptedJob({ queuedAt }));
+
+    await api.recoverJobs();
+
+    const job = await api.storage.jobs.get('job-old');
+    assert.equal(job.status, 'failed');
+    assert.match(job.error, /interrupted by a server restart/);
+    assert.equal(deliveries[0].event, 'job.failed');
+    assert.equal(api.searchQueue.stats().queued + api.searchQueue.stats().running, 0);
+});
+
+test('JOB_RECOVERY_MODE=fail fails every interrupted job', async () => {
+    const api = createApi();
+    captureCallbacks(api);
+    api.jobRecoveryMode = 'fail';
+    await api.storage.jobs.save('job-q', interruptedJob({ status: 'queued' }));
+    await api.storage.jobs.save('job-done', interruptedJob({ status: 'completed' }));
+
+    await api.recoverJobs();
+
+    assert.equal((await api.storage.jobs.get('job-q')).status, 'failed');
+    assert.equal((await api.storage.jobs.get('job-done')).status, 'completed');
+});
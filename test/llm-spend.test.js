@@ -0,0 +1,102 @@
+// test/llm-spend.test.js
+// LLM pricing, per-job / per-day budget reservations and the spend report
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { SpendTracker, BudgetExceededError } = require('../services/llm-spend');
+const MemoryStorage = require('../storage/memory-storage');
+const { createApi, listen, stubClaudeAnalysis } = require('./helpers');
+
+const HAIKU = 'claude-3-haiku-20240307';
+
+function tracker(options = {}) {
+    return new SpendTracker({ storage: new MemoryStorage({}), ...options });
+}
+
+const jobSpend = () => ({ costUsd: 0, reservedUsd: 0, inputTokens: 0, outputTokens: 0 });
+
+test('input and output tokens are priced separately per model', () => {
+    const spend = tracker({ pricingOverrides: { custom: { input: 1, output: 2 } } });
+
+    assert.equal(spend.calculateCost(HAIKU, { input_tokens: 1000000, output_tokens: 1000000 }), 1.5);
+    assert.equal(spend.calculateCost('custom', { input_tokens: 500000 }), 0.5);
+    assert.throws(() => spend.calculateCost('mystery-model', {}), /No pricing configured for model mystery-model/);
+});
+
+test('reservations count against the job budget until released', async () => {
+    const spend = tracker({ jobBudgetUsd: 1, pricingOverrides: { flat: { input: 1, output: 0 } } });
+    const job = jobSpend();
+
+    const first = await spend.reserve('flat', { input_tokens: 600000 }, job);
+    await assert.rejects(
+        spend.reserve('flat', { input_tokens: 600000 }, job),
+        error => error instanceof BudgetExceededError && error.scope === 'job'
+    );
+
+    spend.release(first);
+    spend.release(first);
+    assert.equal(job.reservedUsd, 0);
+    await spend.reserve('flat', { input_tokens: 600000 }, job);
+});
+
+test('recorded spend counts against the day budget across jobs', async () => {
+    const spend = tracker({ dailyBudgetUsd: 1, pricingOverrides: { flat: { input: 1, output: 0 } } });
+
+    await spend.record('flat', { input_tokens: 700000 }, jobSpend());
+    await assert.rejects(
+        spend.reserve('flat', { input_tokens: 400000 }, jobSpend()),
+        error => error instanceof BudgetExceededError && error.scope === 'day'
+    );
+});
+
+test('the day total is loaded from storage so a restart keeps it', async () => {
+    const storage = new MemoryStorage({});
+    await new SpendTracker({ storage }).record(HAIKU, { input_tokens: 1000, output_tokens: 1000 });
+
+    const today = await new SpendTracker({ storage }).loadToday();
+    assert.equal(today.costUsd, 0.0015);
+});
+
+test('record adds to the job totals and the report sums by day', async () => {
+    const spend = tracker({ jobBudgetUsd: 0.5, dailyBudgetUsd: 25 });
+    const job = jobSpend();
+    await spend.record(HAIKU, { input_tokens: 2000, output_tokens: 400 }, job);
+    await spend.record(HAIKU, { input_tokens: 1000, output_tokens: 100 }, job);
+
+    assert.deepEqual({ inputTokens: job.inputTokens, outputTokens: job.outputTokens }, { inputTokens: 3000, outputTokens: 500 });
+    const report = await spend.report(7);
+    assert.equal(report.today.calls, 2);
+    assert.equal(report.today.inputTokens, 3000);
+    assert.equal(report.cumulative.costUsd, job.costUsd);
+    assert.deepEqual(report.caps, { perJobUsd: 0.5, perDayUsd: 25 });
+});
+
+test('a search stops analyzing when the job budget is reached and says so', async () => {
+    const api = createApi();
+    api.spend.jobBudgetUsd = 0.000001;
+    const requests = stubClaudeAnalysis(api);
+
+    const result = await api.fetchWithThresholdFallback(
+        { neighborhood: 'williamsburg', propertyType: 'rental', undervaluationThreshold: 15, maxResults: 1 },
+        null,
+        { spend: jobSpend() }
+    );
+
+    assert.equal(requests.length, 0);
+    assert.match(result.budgetExceeded, /Per-job LLM budget/);
+});
+
+test('GET /api/usage/llm reports spend and caps', async () => {
+    const api = createApi();
+    await api.spend.record(HAIKU, { input_tokens: 1000, output_tokens: 0 });
+    const http = await listen(api);
+
+    try {
+        const { data } = await (await http.request('/api/usage/llm?days=7')).json();
+        assert.equal(data.today.calls, 1);
+        assert.equal(data.defaultModel, api.claudeModel);
+        assert.equal(data.caps.perDayUsd, 25);
+    } finally {
+        await http.close();
+    }
+});
@@ -0,0 +1,175 @@
+// test/memory-storage.test.js
+// Embedded storage backend: repositories, the listing_id index, retention and snapshots
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const MemoryStorage = require('../storage/memory-storage');
+const { listingRow } = require('./helpers');
+
+const tempDirs = [];
+after(() => tempDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+function tempFile() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'memory-storage-'));
+    tempDirs.push(dir);
+    return path.join(dir, 'db.json');
+}
+
+test('profiles are created, found by each key and updated', async () => {
+    const storage = new MemoryStorage({});
+    const profile = await storage.profiles.create({
+        email_address: 'a@example.com',
+        stripe_customer_id: 'cus_1',
+        instagram_handle: 'Some.User'
+    });
+
+    assert.equal((await storage.profiles.findByEmail('a@example.com')).id, profile.id);
+    assert.equal((await storage.profiles.findByStripeCustomerId('cus_1')).id, profile.id);
+    assert.equal((await storage.profiles.findByInstagramHandle('some.user')).id, profile.id);
+
+    await storage.profiles.update(profile.id, { is_canceled: true });
+    assert.equal((await storage.profiles.findById(profile.id)).is_canceled, true);
+    assert.deepEqual(await storage.profiles.listActive(), []);
+});
+
+test('returned rows are copies, not live table rows', async () => {
+    const storage = new MemoryStorage({});
+    const profile = await storage.profiles.create({ email_address: 'a@example.com' });
+    profile.email_address = 'changed@example.com';
+
+    assert.equal((await storage.profiles.findById(profile.id)).email_address, 'a@example.com');
+});
+
+test('listing upserts update the row with the same listing_id instead of duplicating it', async () => {
+    const storage = new MemoryStorage({});
+    const [first] = await storage.listings.upsertMany('rental', [listingRow({ listing_id: 'x', monthly_rent: 3000 })]);
+    const [second] = await storage.listings.upsertMany('rental', [listingRow({ listing_id: 'x', monthly_rent: 2800 })]);
+
+    assert.equal(second.id, first.id);
+    assert.equal(storage.tables.undervalued_rentals.rows.size, 1);
+    assert.equal((await storage.listings.findByListingId('x')).monthly_rent, 2800);
+    assert.equal(await storage.listings.findByListingId('missing'), null);
+});
+
+test('rentals and sales live in separate tables', async () => {
+    const storage = new MemoryStorage({});
+    await storage.listings.upsertMany('rental', [listingRow({ listing_id: 'r' })]);
+    await storage.listings.upsertMany('sale', [listingRow({ listing_id: 's', property_type: 'sale', price: 900000 })]);
+
+    const rentals = await storage.listings.search({ propertyType: 'rental', neighborhood: 'astoria' });
+    const sales = await storage.listings.search({ propertyType: 'sale', neighborhood: 'astoria' });
+    assert.deepEqual(rentals.map(row => row.listing_id), ['r']);
+    assert.deepEqual(sales.map(row => row.listing_id), ['s']);
+    assert.equal((await storage.listings.findByListingId('s')).price, 900000);
+});
+
+test('listing search sorts by discount by default and by analysis date for sort=recent', async () => {
+    const storage = new MemoryStorage({});
+    const now = Date.now();
+    await storage.listings.upsertMany('rental', [
+        listingRow({ listing_id: 'old-cheap', discount_percent: 40, analysis_date: new Date(now - 3000).toISOString() }),
+        listingRow({ listing_id: 'new-fair', discount_percent: 0, analysis_date: new Date(now - 1000).toISOString() }),
+        listingRow({ listing_id: 'mid', discount_percent: 20, analysis_date: new Date(now - 2000).toISOString() })
+    ]);
+
+    const byDiscount = await storage.listings.search({ propertyType: 'rental', neighborhood: 'astoria' });
+    const byDate = await storage.listings.search({ propertyType: 'rental', neighborhood: 'astoria', sort: 'recent', limit: 2 });
+    assert.deepEqual(byDiscount.map(row => row.listing_id), ['old-cheap', 'mid', 'new-fair']);
+    assert.deepEqual(byDate.map(row => row.listing_id), ['new-fair', 'mid']);
+});
+
+test('listing search filters by bounds', async () => {
+    const storage = new MemoryStorage({});
+    await storage.listings.upsertMany('rental', [
+        listingRow({ listing_id: 'inside', latitude: 40.76, longitude: -73.92 }),
+        listingRow({ listing_id: 'outside', latitude: 40.60, longitude: -73.92 }),
+        listingRow({ listing_id: 'no-coordinates' })
+    ]);
+
+    const rows = await storage.listings.search({
+        propertyType: 'rental',
+        bounds: { south: 40.75, west: -73.95, north: 40.78, east: -73.90 }
+    });
+    assert.deepEqual(rows.map(row => row.listing_id), ['inside']);
+});
+
+test('listing tables keep at most listingMaxRows rows, dropping the least recently written', async () => {
+    const storage = new MemoryStorage({ listingMaxRows: 3 });
+    await storage.listings.upsertMany('rental', ['a', 'b', 'c'].map(id => listingRow({ listing_id: id })));
+    // Rewriting "a" makes it the most recent, so "b" goes first
+    await storage.listings.upsertMany('rental', [listingRow({ listing_id: 'a' })]);
+    await storage.listings.upsertMany('rental', [listingRow({ listing_id: 'd' })]);
+
+    const ids = (await storage.listings.search({ propertyType: 'rental' })).map(row => row.listing_id).sort();
+    assert.deepEqual(ids, ['a', 'c', 'd']);
+    assert.equal(await storage.listings.findByListingId('b'), null);
+});
+
+test('listings and analyses older than the retention are pruned', async () => {
+    const storage = new MemoryStorage({ listingRetentionMs: 60 * 1000 });
+    const old = new Date(Date.now() - 5 * 60 * 1000).toISOString();
+    storage.tables.undervalued_rentals.load([
+        { id: '1', ...listingRow({ listing_id: 'stale' }), updated_at: old },
+        { id: '2', ...listingRow({ listing_id: 'fresh' }), updated_at: new Date().toISOString() }
+    ]);
+    storage.tables.listing_analyses.load([{ id: 'stale', listing_id: 'stale', updated_at: old }]);
+
+    assert.equal(storage.tables.undervalued_rentals.prune(), 1);
+    assert.equal(storage.tables.listing_analyses.prune(), 1);
+    assert.equal(await storage.listings.findByListingId('stale'), null);
+    assert.ok(await storage.listings.findByListingId('fresh'));
+});
+
+test('llm spend increments accumulate per date and model', async () => {
+    const storage = new MemoryStorage({});
+    await storage.llmSpend.add('2026-01-01', 'm', { input_tokens: 10, output_tokens: 5, cost_usd: 0.5, calls: 1 });
+    await storage.llmSpend.add('2026-01-01', 'm', { input_tokens: 20, output_tokens: 5, cost_usd: 0.25, calls: 1 });
+    await storage.llmSpend.add('2026-01-02', 'm', { input_tokens: 1, output_tokens: 1, cost_usd: 0.1, calls: 1 });
+
+    const [day] = await storage.llmSpend.listByDate('2026-01-01', '2026-01-01');
+    assert.deepEqual(
+        [day.input_tokens, day.output_tokens, day.cost_usd, day.calls],
+        [30, 10, 0.75, 2]
+    );
+    assert.equal((await storage.llmSpend.listByDate(null, '2026-01-02')).length, 2);
+});
+
+test('snapshots round-trip through the file and leave no temp file behind', async () => {
+    const filePath = tempFile();
+    const storage = new MemoryStorage({ filePath });
+    await storage.profiles.create({ id: 'p1', email_address: 'a@example.com' });
+    await storage.listings.upsertMany('rental', [listingRow({ listing_id: 'x' })]);
+    storage.flush();
+
+    assert.deepEqual(fs.readdirSync(path.dirname(filePath)), ['db.json']);
+
+    const reloaded = new MemoryStorage({ filePath });
+    assert.equal((await reloaded.profiles.findById('p1')).email_address, 'a@example.com');
+    assert.ok(await reloaded.listings.findByListingId('x'));
+});
+
+test('a burst of writes produces a single debounced snapshot', async () => {
+    const storage = new MemoryStorage({ filePath: tempFile(), snapshotDelayMs: 20, snapshotMaxWaitMs: 1000 });
+    let writes = 0;
+    const writeSnapshot = storage.writeSnapshot.bind(storage);
+    storage.writeSnapshot = () => {
+        writes++;
+        writeSnapshot();
+    };
+
+    for (let i = 0; i < 50; i++) await storage.profiles.create({ email_address: `${i}@example.com` });
+    await new Promise(resolve => setTimeout(resolve, 60));
+
+    assert.equal(writes, 1);
+});
+
+test('a corrupt snapshot file is ignored rather than crashing startup', () => {
+    const filePath = tempFile();
+    fs.writeFileSync(filePath, '{"profiles": [');
+
+    const storage = new MemoryStorage({ filePath });
+    assert.equal(storage.tables.profiles.rows.size, 0);
+});
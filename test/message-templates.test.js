@@ -0,0 +1,144 @@
+// test/message-templates.test.js
+// Listing messages per channel: fields, sections, formatting, overrides and length limits
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MessageTemplates, messageFields } = require('../services/message-templates');
+const { createApi, listen, listingRow, stubClaudeAnalysis, waitForJob } = require('./helpers');
+
+const templates = MessageTemplates.load();
+
+const row = listingRow({
+    address: '1 Main St',
+    unit: '2A',
+    borough: 'queens',
+    monthly_rent: 2800,
+    potential_monthly_savings: 500,
+    discount_percent: 22,
+    score: 85,
+    grade: 'A-',
+    reasoning: 'Cheap & <good>',
+    listing_url: 'https://example.com/listing?id=1&ref=dm'
+});
+
+// Writes an overrides file and loads it
+function loadOverrides(overrides) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'templates-test-'));
+    const file = path.join(directory, 'templates.json');
+    try {
+        fs.writeFileSync(file, JSON.stringify(overrides));
+        return MessageTemplates.load(file);
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+}
+
+test('fields are formatted from a stored listing row', () => {
+    const fields = messageFields(row);
+
+    assert.equal(fields.price, '$2,800/month');
+    assert.equal(fields.savings, '$500 per month');
+    assert.equal(fields.layout, '1BR/1BA');
+    assert.equal(fields.grade, 'A-');
+    assert.equal(messageFields({ bedrooms: 0 }).layout, 'Studio');
+    assert.equal(messageFields({ price: 750000, potential_savings: 90000 }).savings, '$90,000 total');
+    assert.equal(messageFields({ borough: 'Unknown', grade: 'B' }).borough, null);
+    assert.equal(messageFields({ grade: 'B' }).grade, null);
+    assert.ok(messageFields({ reasoning: 'x'.repeat(200) }).reasoning.endsWith('…'));
+});
+
+test('each channel gets its own bold and link formatting', () => {
+    const fields = messageFields(row);
+    const instagram = templates.render('dm', 'instagram', fields);
+    const whatsapp = templates.render('dm', 'whatsapp', fields);
+    const telegram = templates.render('dm', 'telegram', fields);
+
+    assert.ok(instagram.startsWith('🏠 UNDERVALUED PROPERTY ALERT\n\n📍 1 Main St, 2A\n'));
+    assert.match(instagram, /View Full Listing: https:\/\/example\.com\/listing\?id=1&ref=dm$/);
+    assert.match(whatsapp, /💰 \*\$2,800\/month\*/);
+    assert.match(telegram, /<b>UNDERVALUED PROPERTY ALERT<\/b>/);
+    assert.match(telegram, /<a href="https:\/\/example\.com\/listing\?id=1&amp;ref=dm">View Full Listing<\/a>/);
+    assert.equal(templates.parseMode('telegram'), 'HTML');
+    assert.equal(templates.parseMode('sms'), null);
+});
+
+test('telegram escapes listing text; other channels show it as written', () => {
+    const fields = messageFields(row);
+
+    assert.match(templates.render('dm', 'telegram', fields), /&quot;Cheap &amp; &lt;good&gt;&quot;/);
+    assert.match(templates.render('dm', 'instagram', fields), /"Cheap & <good>"/);
+});
+
+test('missing fields drop their lines and sections without leaving blanks', () => {
+    const message = templates.render('dm', 'instagram', messageFields({ address: '1 Main St', monthly_rent: 2800 }));
+
+    assert.equal(message, '🏠 UNDERVALUED PROPERTY ALERT\n\n📍 1 Main St\n\n💰 $2,800/month');
+    assert.ok(!/undefined|null/.test(message));
+    assert.equal(templates.render('dm', 'sms', messageFields({ address: '1 Main St' })), '🏠 1 Main St');
+});
+
+test('sms has its own short template with bare links', () => {
+    assert.equal(
+        templates.render('dm', 'sms', messageFields(row)),
+        '🏠 1 Main St (astoria)\n$2,800/month - 22% below market, save $500 per month\n1BR/1BA · Score 85/100\nhttps://example.com/listing?id=1&ref=dm'
+    );
+});
+
+test('values containing markup stay literal', () => {
+    const message = templates.render('dm', 'whatsapp', messageFields({ address: '**1** [Main](https://x.test) St' }));
+
+    assert.match(message, /📍 \*\*\*1\*\* \[Main\]\(https:\/\/x\.test\) St\*/);
+});
+
+test('long messages are cut at a line break within the channel limit', () => {
+    const long = new MessageTemplates({ dm: { default: Array.from({ length: 40 }, (_, i) => `line ${i} {{filler}}`) } });
+    const message = long.render('dm', 'instagram', { filler: 'x'.repeat(40) });
+
+    assert.ok(message.length <= 1000);
+    assert.match(message, /x…$/);
+});
+
+test('overrides replace single channels and unknown channels or shapes are rejected', () => {
+    const custom = loadOverrides({ dm: { telegram: ['{{address}} only'] } });
+
+    assert.equal(custom.render('dm', 'telegram', messageFields(row)), '1 Main St only');
+    assert.match(custom.render('dm', 'instagram', messageFields(row)), /UNDERVALUED PROPERTY ALERT/);
+
+    assert.throws(() => loadOverrides({ dm: { fax: ['x'] } }), /unknown channel "fax"/);
+    assert.throws(() => loadOverrides({ dm: { sms: [1, 2] } }), /must be a string or an array of lines/);
+    assert.throws(() => templates.render('dm', 'fax', {}), /Unknown message channel/);
+    assert.throws(() => templates.render('missing', 'sms', {}), /No message template "missing"/);
+    assert.deepEqual(MessageTemplates.channelNames(), ['instagram', 'sms', 'whatsapp', 'telegram']);
+});
+
+test('results can be re-rendered for another channel', async () => {
+    const api = createApi();
+    stubClaudeAnalysis(api, { discount: () => 20 });
+    const http = await listen(api);
+    try {
+        const response = await http.request('/api/search/smart', {
+            method: 'POST',
+            body: { neighborhood: 'astoria', propertyType: 'rental', maxResults: 10, channel: 'whatsapp' }
+        });
+        const { data } = await response.json();
+        await waitForJob(api, data.jobId);
+
+        const results = (await (await http.request(`/api/results/${data.jobId}`)).json()).data;
+        assert.ok(results.instagramReady.length > 0);
+        assert.equal(results.instagramReady[0].instagram.channel, 'whatsapp');
+
+        const telegram = (await (await http.request(`/api/results/${data.jobId}?channel=telegram`)).json()).data;
+        assert.ok(telegram.instagramReady.every(property => property.instagram.channel === 'telegram'
+            && property.instagram.parseMode === 'HTML'
+            && property.instagram.dmMessage.includes('<b>UNDERVALUED PROPERTY ALERT</b>')));
+
+        assert.equal((await http.request(`/api/results/${data.jobId}?channel=fax`)).status, 400);
+        const invalid = await http.request('/api/search/smart', { method: 'POST', body: { neighborhood: 'astoria', channel: 'fax' } });
+        assert.equal(invalid.status, 400);
+    } finally {
+        await http.close();
+    }
+});
@@ -0,0 +1,89 @@
+// test/multi-area-search.test.js
+// Multi-neighborhood and borough-wide searches: area params, fan-out, ranking
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createApi, listen, stubClaudeAnalysis, waitForJob } = require('./helpers');
+
+function areas(api, ...names) {
+    return api.searchAreaParams(names.map(name => api.neighborhoods.resolve(name)));
+}
+
+test('one neighborhood searches just its own area', () => {
+    const params = areas(createApi(), 'LES');
+
+    assert.equal(params.neighborhood, 'lower-east-side');
+    assert.equal(params.areaType, 'neighborhood');
+    assert.deepEqual(params.streeteasyAreas, ['lower-east-side']);
+    assert.equal(params.areas.length, 1);
+});
+
+test('several neighborhoods become one search over their union', () => {
+    const params = areas(createApi(), 'williamsburg', 'Bushwick', 'greenpoint', 'williamsburg');
+
+    assert.equal(params.neighborhood, 'williamsburg+bushwick+greenpoint');
+    assert.equal(params.neighborhoodName, 'Williamsburg, Bushwick and Greenpoint');
+    assert.equal(params.areaType, 'multi');
+    assert.equal(params.borough, 'Brooklyn');
+    assert.deepEqual(params.areas.map(area => area.neighborhood), ['williamsburg', 'bushwick', 'greenpoint']);
+});
+
+test('a borough covers its own neighborhoods but not other boroughs', () => {
+    const api = createApi();
+    const params = areas(api, 'brooklyn', 'williamsburg', 'astoria');
+
+    assert.deepEqual(params.areas.map(area => area.neighborhood), ['brooklyn', 'astoria']);
+    assert.equal(params.borough, null);
+    assert.ok(params.neighborhoods.includes('williamsburg'));
+    assert.equal(params.areas[0].neighborhoods.length, api.neighborhoods.list({ borough: 'brooklyn' }).length);
+});
+
+test('combined results drop repeats by id or unit and rank by discount, then score', () => {
+    const api = createApi();
+    const cached = [{ listing_id: 'a', address: '1 Main St', unit: '2', discount_percent: 18, score: 70 }];
+    const fresh = [
+        { listing_id: 'a', address: '1 Main St', unit: '2', discount_percent: 40 },
+        { listing_id: 'b', address: '1 MAIN ST.', unit: '2', discount_percent: 35 },
+        { listing_id: 'c', address: '9 Side St', discount_percent: 18, score: 90 },
+        { listing_id: 'd', address: '5 Low St', discount_percent: 16 }
+    ];
+
+    const combined = api.combineResults(cached, fresh, 2);
+
+    assert.deepEqual(combined.map(result => result.listing_id), ['c', 'a']);
+    assert.equal(combined[0].source, 'fresh');
+});
+
+async function search(body) {
+    const api = createApi();
+    stubClaudeAnalysis(api, { discount: () => 20 });
+    const http = await listen(api);
+    try {
+        const response = await http.request('/api/search/smart', { method: 'POST', body: { maxResults: 10, ...body } });
+        assert.equal(response.status, 202);
+        const { data } = await response.json();
+        await waitForJob(api, data.jobId);
+        return (await (await http.request(`/api/results/${data.jobId}`)).json()).data;
+    } finally {
+        await http.close();
+    }
+}
+
+test('a multi-neighborhood search fans out and counts results per neighborhood', async () => {
+    const result = await search({ neighborhoods: ['williamsburg', 'bushwick'] });
+
+    assert.equal(result.properties.length, 4);
+    assert.deepEqual(
+        Object.fromEntries(Object.entries(result.summary.neighborhoods).map(([slug, stats]) => [slug, [stats.listingsScanned, stats.results]])),
+        { williamsburg: [3, 3], bushwick: [1, 1] }
+    );
+});
+
+test('a borough search covers every neighborhood in it', async () => {
+    const result = await search({ neighborhood: 'brooklyn' });
+
+    assert.deepEqual(
+        [...new Set(result.properties.map(property => property.neighborhood))].sort(),
+        ['bushwick', 'williamsburg']
+    );
+});
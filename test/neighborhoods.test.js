@@ -0,0 +1,113 @@
+// test/neighborhoods.test.js
+// NYC neighborhood gazetteer: dataset, alias/typo resolution and the endpoints
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { NeighborhoodGazetteer, BOROUGHS, normalizeKey, editDistance } = require('../services/neighborhoods');
+const { createApi, listen } = require('./helpers');
+
+const gazetteer = NeighborhoodGazetteer.load();
+
+test('every neighborhood has a unique slug, a known borough and a StreetEasy area', () => {
+    const entries = gazetteer.list();
+    const boroughNames = BOROUGHS.map(borough => borough.name);
+
+    assert.ok(entries.length > 200);
+    assert.equal(new Set(entries.map(entry => entry.slug)).size, entries.length);
+    for (const entry of entries) {
+        assert.ok(boroughNames.includes(entry.borough), entry.slug);
+        assert.ok(entry.streeteasyArea, entry.slug);
+        assert.equal(normalizeKey(entry.slug), entry.slug);
+    }
+    assert.ok(gazetteer.listBoroughs().every(borough => borough.neighborhoodCount > 0));
+});
+
+test('keys ignore case, punctuation, apostrophes and ampersands', () => {
+    assert.equal(normalizeKey("  Hell's Kitchen "), 'hells-kitchen');
+    assert.equal(normalizeKey('St. George'), 'st-george');
+    assert.equal(normalizeKey('Prospect Lefferts & Gardens'), 'prospect-lefferts-and-gardens');
+    assert.equal(editDistance('kitten', 'sitting'), 3);
+});
+
+test('names, slugs and common aliases resolve to the canonical neighborhood', () => {
+    const cases = {
+        LES: 'lower-east-side',
+        UWS: 'upper-west-side',
+        'BK Heights': 'brooklyn-heights',
+        'Bed-Stuy': 'bedford-stuyvesant',
+        LIC: 'long-island-city',
+        "Hell's Kitchen": 'hells-kitchen'
+    };
+    for (const [input, slug] of Object.entries(cases)) {
+        assert.equal(gazetteer.resolve(input)?.slug, slug, input);
+    }
+    assert.equal(gazetteer.resolve('LES').matchedBy, 'alias');
+    assert.equal(gazetteer.resolve('astoria').matchedBy, 'slug');
+    assert.equal(gazetteer.resolve('astoria').borough, 'Queens');
+});
+
+test('a clear typo or partial name resolves fuzzily; ambiguous or unknown input does not', () => {
+    assert.deepEqual(
+        [gazetteer.resolve('williamsburgh')?.slug, gazetteer.resolve('williamsburgh')?.matchedBy],
+        ['williamsburg', 'fuzzy']
+    );
+    assert.equal(gazetteer.resolve('long island')?.slug, 'long-island-city');
+    assert.equal(gazetteer.resolve('park'), null);
+    assert.equal(gazetteer.resolve('xyzzy'), null);
+    assert.equal(gazetteer.resolve(''), null);
+    // Free-text scanning never guesses
+    assert.equal(gazetteer.lookup('williamsburgh'), null);
+});
+
+test('boroughs resolve with their neighborhoods', () => {
+    const brooklyn = gazetteer.resolve('BK');
+
+    assert.equal(brooklyn.type, 'borough');
+    assert.equal(brooklyn.slug, 'brooklyn');
+    assert.ok(brooklyn.neighborhoods.includes('williamsburg'));
+    assert.equal(gazetteer.resolve('the bronx').slug, 'bronx');
+    assert.ok(gazetteer.list({ borough: 'staten island' }).every(entry => entry.borough === 'Staten Island'));
+});
+
+test('unknown names get close suggestions and an Unknown borough', () => {
+    assert.deepEqual(gazetteer.suggest('astorya').map(match => match.slug), ['astoria']);
+    assert.equal(gazetteer.suggest('greenpont', 2)[0].slug, 'greenpoint');
+    assert.equal(gazetteer.boroughOf('LIC'), 'Queens');
+    assert.equal(gazetteer.boroughOf('xyzzy'), 'Unknown');
+});
+
+test('GET /api/neighborhoods lists, filters by borough and resolves ?q=', async () => {
+    const http = await listen(createApi());
+
+    try {
+        const all = (await (await http.request('/api/neighborhoods')).json()).data;
+        assert.equal(all.count, gazetteer.list().length);
+        assert.equal(all.boroughs.length, 5);
+
+        const queens = (await (await http.request('/api/neighborhoods?borough=queens')).json()).data;
+        assert.ok(queens.neighborhoods.every(entry => entry.borough === 'Queens'));
+        assert.equal((await http.request('/api/neighborhoods?borough=jersey')).status, 400);
+
+        const query = (await (await http.request('/api/neighborhoods?q=astorya')).json()).data;
+        assert.equal(query.match.slug, 'astoria');
+        const miss = (await (await http.request('/api/neighborhoods?q=xyzzy')).json()).data;
+        assert.equal(miss.match, null);
+    } finally {
+        await http.close();
+    }
+});
+
+test('searching an unknown neighborhood is a 400 with did-you-mean suggestions', async () => {
+    const http = await listen(createApi());
+
+    try {
+        const response = await http.request('/api/search/smart', { method: 'POST', body: { neighborhood: 'greenpnt' } });
+        const body = await response.json();
+
+        assert.equal(response.status, 400);
+        assert.equal(body.message, 'Unknown neighborhood "greenpnt"');
+        assert.equal(body.suggestions[0].slug, 'greenpoint');
+    } finally {
+        await http.close();
+    }
+});
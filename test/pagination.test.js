@@ -0,0 +1,87 @@
+// test/pagination.test.js
+// Multi-page provider sweeps and the StreetEasy page request/response handling
+
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const StreetEasyProvider = require('../providers/streeteasy-provider');
+const { createApi, stubClaudeAnalysis, pagedProvider } = require('./helpers');
+
+const originalGet = axios.get;
+afterEach(() => { axios.get = originalGet; });
+
+test('StreetEasy pages are requested by offset with the search filters', async () => {
+    const calls = [];
+    axios.get = async (url, options) => {
+        calls.push({ url, ...options });
+        return { data: { results: [{ id: 7, address: '1 Main St', price: '$3,100' }], total: 41 } };
+    };
+    const provider = new StreetEasyProvider({ apiKey: 'rapid-key' });
+
+    const page = await provider.fetchPage(
+        { propertyType: 'rental', neighborhood: 'soho', bedrooms: 0, maxPrice: 4000, noFee: true },
+        { offset: 40, limit: 20 }
+    );
+
+    assert.equal(calls[0].url, 'https://streeteasy-api.p.rapidapi.com/rentals/search');
+    assert.deepEqual(calls[0].params, { areas: 'soho', limit: 20, offset: 40, maxPrice: 4000, minBeds: 0, maxBeds: 0, noFee: true });
+    assert.equal(calls[0].headers['X-RapidAPI-Key'], 'rapid-key');
+    assert.equal(page.total, 41);
+    assert.equal(page.listings[0].id, '7');
+    assert.equal(page.listings[0].price, 3100);
+    assert.equal(page.listings[0].fees.noFee, true);
+});
+
+test('every StreetEasy response shape yields its listings and total', () => {
+    const provider = new StreetEasyProvider();
+    const listing = { id: 1 };
+
+    assert.deepEqual(provider.extractListings({ results: [listing], totalCount: 9 }), { listings: [listing], total: 9 });
+    assert.deepEqual(provider.extractListings({ listings: [listing], pagination: { total: 3 } }), { listings: [listing], total: 3 });
+    assert.deepEqual(provider.extractListings([listing]), { listings: [listing], total: null });
+    assert.deepEqual(provider.extractListings({ error: 'nope' }), { listings: [], total: null });
+});
+
+const SEARCH = { neighborhood: 'soho', propertyType: 'rental', undervaluationThreshold: 15, providers: ['paged'] };
+
+// Listings whose number is in `deals` come back undervalued
+function pagingApi(provider, deals = []) {
+    const api = createApi({ providers: { paged: provider } });
+    stubClaudeAnalysis(api, { discount: address => (deals.includes(parseInt(address)) ? 25 : 5) });
+    return api;
+}
+
+test('pages are fetched until enough listings qualify', async () => {
+    const provider = pagedProvider({ pages: 6 });
+    const api = pagingApi(provider, [3, 12]);
+
+    const result = await api.fetchListings({ ...SEARCH, maxResults: 2 }, null, {});
+
+    assert.deepEqual(provider.offsets, [0, 5, 10]);
+    assert.equal(result.pagesScanned, 3);
+    assert.equal(result.totalFetched, 15);
+    assert.equal(result.scoredProperties.filter(property => property.discount_percent >= 15).length, 2);
+});
+
+test('paging stops at the provider page budget', async () => {
+    const provider = pagedProvider({ pages: 20, maxPages: 4 });
+    const result = await pagingApi(provider).fetchListings({ ...SEARCH, maxResults: 1 }, null, {});
+
+    assert.equal(result.pagesScanned, 4);
+    assert.equal(result.providerStats.paged.apiCalls, 4);
+});
+
+test('paging stops at the provider API-call budget', async () => {
+    const provider = pagedProvider({ pages: 20, maxPages: 10, maxApiCalls: 2 });
+    await pagingApi(provider).fetchListings({ ...SEARCH, maxResults: 1 }, null, {});
+
+    assert.deepEqual(provider.offsets, [0, 5]);
+});
+
+test('paging stops at the last page the provider reports', async () => {
+    const provider = pagedProvider({ pages: 2 });
+    const result = await pagingApi(provider).fetchListings({ ...SEARCH, maxResults: 5 }, null, {});
+
+    assert.deepEqual(provider.offsets, [0, 5]);
+    assert.equal(result.totalFetched, 10);
+});
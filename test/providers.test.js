@@ -0,0 +1,110 @@
+// test/providers.test.js
+// Normalized listing model, the fixture provider and multi-provider merging
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { normalizeListing, listingDedupeKey, FixtureProvider } = require('../providers');
+const { createApi, stubClaudeAnalysis, pagedProvider } = require('./helpers');
+
+test('provider field variants normalize to one listing shape', () => {
+    const listing = normalizeListing({
+        listingId: 42,
+        street: '10 Main St',
+        unitNumber: '4B',
+        areaName: 'Astoria',
+        rent: '$2,950',
+        beds: '1',
+        baths: 1.5,
+        size: '650',
+        images: [{ url: 'https://img/1.jpg' }, 'https://img/2.jpg', {}],
+        features: [{ name: 'Dishwasher ' }, 'Elevator'],
+        no_fee: 1,
+        listing_url: 'https://example.com/42',
+        geo: { lat: '40.77', lng: -73.92 }
+    }, { source: 'other', propertyType: 'rental', idPrefix: 'other_' });
+
+    assert.deepEqual(listing, {
+        id: 'other_42',
+        source: 'other',
+        propertyType: 'rental',
+        address: '10 Main St',
+        unit: '4B',
+        neighborhood: 'Astoria',
+        price: 2950,
+        bedrooms: 1,
+        bathrooms: 1.5,
+        sqft: 650,
+        description: '',
+        photos: ['https://img/1.jpg', 'https://img/2.jpg'],
+        url: 'https://example.com/42',
+        fees: { noFee: true, brokerFee: null },
+        amenities: ['dishwasher', 'elevator'],
+        coordinates: { latitude: 40.77, longitude: -73.92 }
+    });
+});
+
+test('studios keep zero bedrooms and missing values stay unknown', () => {
+    const listing = normalizeListing({ bedrooms: 0, price: 'call' }, { source: 'x', neighborhood: 'soho' });
+
+    assert.equal(listing.id, null);
+    assert.equal(listing.bedrooms, 0);
+    assert.equal(listing.price, null);
+    assert.equal(listing.neighborhood, 'soho');
+    assert.equal(listing.fees.noFee, null);
+    assert.equal(listing.coordinates, null);
+});
+
+test('the dedupe key matches the same unit across providers', () => {
+    const a = normalizeListing({ id: 1, address: '185 N. 6th St', unit: '3F' }, { source: 'a' });
+    const b = normalizeListing({ id: 'x', address: '185 n 6th st', unit: '3-f' }, { source: 'b' });
+    const noAddress = normalizeListing({ id: 9 }, { source: 'a' });
+
+    assert.equal(listingDedupeKey(a), listingDedupeKey(b));
+    assert.equal(listingDedupeKey(noAddress), 'a:9');
+});
+
+test('the fixture provider filters and pages the bundled listings', async () => {
+    const provider = new FixtureProvider();
+
+    const williamsburg = await provider.fetchPage({ neighborhood: 'williamsburg', propertyType: 'rental' }, { offset: 1, limit: 1 });
+    assert.equal(williamsburg.total, 3);
+    assert.deepEqual(williamsburg.listings.map(listing => listing.id), ['fixture_wb-102']);
+
+    const filtered = await provider.fetchPage({ neighborhood: 'williamsburg', propertyType: 'rental', bedrooms: 2, noFee: true });
+    assert.deepEqual(filtered.listings.map(listing => listing.id), ['fixture_wb-101']);
+
+    const sales = await provider.fetchPage({ neighborhood: 'park-slope', propertyType: 'sale' });
+    assert.equal(sales.total, 1);
+});
+
+test('the fixture provider reads every JSON file in a directory', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fixtures-'));
+    after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    fs.writeFileSync(path.join(dir, 'a.json'), JSON.stringify([{ id: 1, neighborhood: 'soho', propertyType: 'rental' }]));
+    fs.writeFileSync(path.join(dir, 'b.json'), JSON.stringify({ listings: [{ id: 2, neighborhood: 'Soho', propertyType: 'rental' }] }));
+    fs.writeFileSync(path.join(dir, 'notes.txt'), 'ignored');
+
+    const { total } = await new FixtureProvider({ filePath: dir }).fetchPage({ neighborhood: 'soho', propertyType: 'rental' });
+    assert.equal(total, 2);
+});
+
+test('listings from several providers are merged and the same unit is scored once', async () => {
+    const first = pagedProvider({ pages: 1 });
+    const second = { ...pagedProvider({ pages: 1 }), name: 'mirror' };
+    const api = createApi({ providers: { paged: first, mirror: second } });
+    const requests = stubClaudeAnalysis(api);
+
+    const result = await api.fetchListings(
+        { neighborhood: 'soho', propertyType: 'rental', undervaluationThreshold: 15, maxResults: 10, providers: ['paged', 'mirror'] },
+        null,
+        {}
+    );
+
+    assert.equal(result.providerStats.paged.listings, 5);
+    assert.equal(result.providerStats.mirror.duplicates, 5);
+    assert.equal(result.totalFetched, 5);
+    assert.equal(requests.length, 1);
+});
@@ -0,0 +1,166 @@
+// test/search-query-parser.test.js
+// Natural-language searches: the rule parser, the Claude fallback and /api/search/natural
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { NeighborhoodGazetteer } = require('../services/neighborhoods');
+const { parseSearchQuery, llmSearchParams, mergeSearchParams, describeSearch, SEARCH_QUERY_TOOL } = require('../services/search-query-parser');
+const { createApi, listen, claudeToolResponse, stubClaudeAnalysis, waitForJob } = require('./helpers');
+
+const gazetteer = NeighborhoodGazetteer.load();
+const parse = text => parseSearchQuery(text, gazetteer);
+
+test('bedrooms, budget, fee and neighborhood come out of a typical message', () => {
+    assert.deepEqual(parse('2br in williamsburg under 4k no fee'), {
+        params: { noFee: true, maxPrice: 4000, bedrooms: 2, neighborhoods: ['williamsburg'] },
+        unparsed: ''
+    });
+});
+
+test('studios, aliases and "max" budgets', () => {
+    assert.deepEqual(parse('studio in bk heights $2,500 max').params, {
+        maxPrice: 2500,
+        bedrooms: 0,
+        neighborhoods: ['brooklyn-heights']
+    });
+});
+
+test('price ranges, number words, half baths and sale keywords', () => {
+    assert.deepEqual(parse('two bedroom 1.5 bath condo in park slope 800k-1.2m').params, {
+        propertyType: 'sale',
+        minPrice: 800000,
+        maxPrice: 1200000,
+        bedrooms: 2,
+        bathrooms: 1.5,
+        neighborhoods: ['park-slope']
+    });
+    assert.deepEqual(parse('between 2500 and 3500 in greenpoint').params, {
+        minPrice: 2500,
+        maxPrice: 3500,
+        neighborhoods: ['greenpoint']
+    });
+    assert.equal(parse('over $3,000 rental in soho').params.minPrice, 3000);
+});
+
+test('six-figure budgets without a property type mean a sale', () => {
+    assert.equal(parse('astoria under 900k').params.propertyType, 'sale');
+    assert.equal(parse('astoria under 4k').params.propertyType, undefined);
+});
+
+test('"below market" percentages set the undervaluation threshold', () => {
+    assert.deepEqual(parse('20% below market rentals in harlem').params, {
+        undervaluationThreshold: 20,
+        propertyType: 'rental',
+        neighborhoods: ['harlem']
+    });
+});
+
+test('several neighborhoods and misspellings are resolved', () => {
+    assert.deepEqual(parse('astoria and long island city 2 beds').params.neighborhoods, ['astoria', 'long-island-city']);
+    assert.deepEqual(parse('bushwik 3k').params, { maxPrice: 3000, neighborhoods: ['bushwick'] });
+});
+
+test('small numbers are not prices and unplaced words are left for Claude', () => {
+    assert.deepEqual(parse('1 bed under 4 in les'), {
+        params: { bedrooms: 1, neighborhoods: ['lower-east-side'] },
+        unparsed: 'under 4'
+    });
+    assert.equal(parse('apartment near the water in astoria with a doorman').unparsed, 'water doorman');
+    // Too short to be a typo for the "bk" alias
+    assert.deepEqual(parse('ok thanks'), { params: { neighborhoods: [] }, unparsed: 'ok' });
+});
+
+test('tool input is validated and neighborhood names become slugs', () => {
+    const { data } = claudeToolResponse(SEARCH_QUERY_TOOL.name, {
+        neighborhoods: ['Williamsburg', 'Atlantis', ' '],
+        propertyType: 'lease',
+        bedrooms: 2.7,
+        bathrooms: -1,
+        maxPrice: 3999.6,
+        noFee: 'yes',
+        undervaluationThreshold: 150
+    });
+
+    assert.deepEqual(llmSearchParams(data, gazetteer), {
+        neighborhoods: ['williamsburg', 'Atlantis'],
+        bedrooms: 2,
+        maxPrice: 4000
+    });
+    assert.deepEqual(llmSearchParams({ content: [{ type: 'text', text: 'no tool' }] }, gazetteer), {});
+});
+
+test('parser results win over Claude, which only fills the gaps', () => {
+    assert.deepEqual(
+        mergeSearchParams({ bedrooms: 1, neighborhoods: [] }, { bedrooms: 2, maxPrice: 3000, neighborhoods: ['astoria'] }),
+        { bedrooms: 1, maxPrice: 3000, neighborhoods: ['astoria'] }
+    );
+    assert.deepEqual(mergeSearchParams({ neighborhoods: ['soho'] }, {}).neighborhoods, ['soho']);
+    assert.deepEqual(mergeSearchParams({ neighborhoods: [] }).neighborhoods, []);
+});
+
+test('searches are described in plain words', () => {
+    assert.equal(
+        describeSearch({ bedrooms: 2, propertyType: 'rental', neighborhoodName: 'Williamsburg', maxPrice: 4000, noFee: true }),
+        '2BR rentals in Williamsburg under $4,000 with no fee'
+    );
+    assert.equal(
+        describeSearch({ bedrooms: 0, bathrooms: 1, propertyType: 'sale', neighborhoodName: 'SoHo', minPrice: 500000, maxPrice: 900000, undervaluationThreshold: 20 }),
+        'studio 1+ bath homes for sale in SoHo between $500,000 and $900,000, at least 20% below market'
+    );
+});
+
+test('Claude is only asked when the parser leaves words over', async () => {
+    const api = createApi();
+    api.claudeApiKey = 'test';
+    const requests = [];
+    api.claude.createMessage = async body => {
+        requests.push(body);
+        return claudeToolResponse(SEARCH_QUERY_TOOL.name, { neighborhoods: ['Astoria'], bedrooms: 3, noFee: true });
+    };
+
+    const parsed = await api.interpretSearchText('2br in williamsburg');
+    assert.equal(parsed.source, 'parser');
+    assert.equal(requests.length, 0);
+
+    const interpreted = await api.interpretSearchText('2br with a doorman');
+    assert.equal(interpreted.source, 'parser+llm');
+    assert.equal(interpreted.unparsed, 'doorman');
+    assert.deepEqual(interpreted.params, { neighborhoods: ['astoria'], bedrooms: 2, noFee: true });
+    assert.equal(requests[0].tool_choice.name, SEARCH_QUERY_TOOL.name);
+});
+
+test('a failing Claude call falls back to the parser results', async () => {
+    const api = createApi();
+    api.claudeApiKey = 'test';
+    api.claude.createMessage = async () => { throw new Error('overloaded'); };
+
+    const interpreted = await api.interpretSearchText('2br with a doorman');
+
+    assert.equal(interpreted.source, 'parser');
+    assert.deepEqual(interpreted.params, { bedrooms: 2, neighborhoods: [] });
+});
+
+test('natural searches queue the interpreted search or ask for a neighborhood', async () => {
+    const api = createApi();
+    stubClaudeAnalysis(api, { discount: () => 20 });
+    const http = await listen(api);
+    try {
+        const missing = await http.request('/api/search/natural', { method: 'POST', body: { query: 'ok thanks' } });
+        assert.equal(missing.status, 400);
+        assert.match((await missing.json()).message, /Couldn't find a neighborhood/);
+
+        assert.equal((await http.request('/api/search/natural', { method: 'POST', body: {} })).status, 400);
+
+        const response = await http.request('/api/search/natural', {
+            method: 'POST',
+            body: { query: 'studio in astoria under 3k', propertyType: 'rental' }
+        });
+        assert.equal(response.status, 202);
+        const { data } = await response.json();
+        assert.equal(data.summary, 'Searching for studio rentals in Astoria under $3,000…');
+        assert.deepEqual(data.interpreted.params, { maxPrice: 3000, bedrooms: 0, neighborhoods: ['astoria'] });
+        assert.equal((await waitForJob(api, data.jobId)).status, 'completed');
+    } finally {
+        await http.close();
+    }
+});
@@ -0,0 +1,198 @@
+// test/share-cards.test.js
+// Share cards: signed URLs, slide content, rendering and caching, photo fetch limits and the route
+
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const { createCanvas } = require('@napi-rs/canvas');
+const { ShareCards } = require('../services/share-cards');
+const { createApi, listen, listingRow } = require('./helpers');
+
+const originalGet = axios.get;
+const directories = [];
+
+afterEach(() => {
+    axios.get = originalGet;
+    for (const directory of directories.splice(0)) fs.rmSync(directory, { recursive: true, force: true });
+});
+
+function tempDir() {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'share-cards-test-'));
+    directories.push(directory);
+    return directory;
+}
+
+function cards(options = {}) {
+    return new ShareCards({ cacheDir: tempDir(), baseUrl: 'https://cards.test/', secret: 'secret', ...options });
+}
+
+// A small JPEG to stand in for a listing photo
+function photoBytes() {
+    const canvas = createCanvas(40, 30);
+    canvas.getContext('2d').fillRect(0, 0, 40, 30);
+    return canvas.encodeSync('jpeg');
+}
+
+const isJpeg = image => image[0] === 0xff && image[1] === 0xd8;
+
+const row = listingRow({
+    listing_id: 'se-1',
+    address: '1 Main St',
+    grade: 'A-',
+    score: 88,
+    sqft: 650,
+    no_fee: true,
+    images: ['https://photos.test/1.jpg', 'https://photos.test/2.jpg', null]
+});
+
+test('card URLs are signed per listing, format and slide', () => {
+    const shareCards = cards();
+    const token = shareCards.token('se-1', 'square', 0);
+
+    assert.ok(shareCards.verifyToken('se-1', 'square', 0, token));
+    assert.ok(shareCards.verifyToken('se-1', 'square', '0', token));
+    assert.ok(!shareCards.verifyToken('se-1', 'square', 1, token));
+    assert.ok(!shareCards.verifyToken('se-1', 'story', 0, token));
+    assert.ok(!cards({ secret: 'other' }).verifyToken('se-1', 'square', 0, token));
+    assert.equal(shareCards.url('se-1', 'square', 0), `https://cards.test/api/share-cards/se-1/square/0.jpg?sig=${token}`);
+});
+
+test('the carousel has a slide per photo and the story a single card', () => {
+    const shareCards = cards();
+    const links = shareCards.links(row);
+
+    assert.equal(links.carousel.length, 2);
+    assert.match(links.carousel[1], /\/square\/1\.jpg\?sig=/);
+    assert.match(links.story, /\/story\/0\.jpg\?sig=/);
+    assert.equal(shareCards.links({ ...row, images: [] }).carousel.length, 1);
+    assert.equal(shareCards.slideCount({ images: Array(14).fill('https://photos.test/x.jpg') }, 'square'), 10);
+    assert.equal(shareCards.links({ address: 'no id' }), null);
+});
+
+test('the first slide shows the listing and later slides only the photo and address', () => {
+    const shareCards = cards();
+    const first = shareCards.content(row, 'square', 0);
+    const second = shareCards.content(row, 'square', 1);
+
+    assert.equal(first.price, '$3,000/month');
+    assert.equal(first.discount, 20);
+    assert.equal(first.details, '1BR/1BA  ·  650 sqft');
+    assert.equal(first.location, 'astoria, queens');
+    assert.equal(first.grade, 'A-');
+    assert.equal(first.noFee, true);
+    assert.equal(first.photo, 'https://photos.test/1.jpg');
+    assert.deepEqual(
+        { photo: second.photo, address: second.address, count: second.count, price: second.price },
+        { photo: 'https://photos.test/2.jpg', address: '1 Main St', count: 2, price: undefined }
+    );
+});
+
+test('cards are rendered once, cached on disk and redrawn when the listing changes', async () => {
+    const shareCards = cards();
+    const fetched = [];
+    axios.get = async url => {
+        fetched.push(url);
+        return { data: photoBytes() };
+    };
+
+    const [first, concurrent] = await Promise.all([shareCards.render(row, 'square', 0), shareCards.render(row, 'square', 0)]);
+    assert.ok(isJpeg(first.image));
+    assert.equal(first.etag, concurrent.etag);
+    assert.equal(fetched.length, 1);
+    assert.ok(fs.existsSync(path.join(shareCards.cacheDir, `${first.etag}.jpg`)));
+
+    const again = await shareCards.render(row, 'square', 0);
+    assert.equal(again.etag, first.etag);
+    assert.equal(fetched.length, 1);
+
+    const repriced = await shareCards.render({ ...row, monthly_rent: 2900 }, 'square', 0);
+    assert.notEqual(repriced.etag, first.etag);
+    assert.equal(fetched.length, 2);
+});
+
+test('a missing or broken photo falls back to the branded background', async () => {
+    const shareCards = cards();
+    axios.get = async () => { throw new Error('404'); };
+
+    const { image } = await shareCards.render(row, 'story', 0);
+    const { image: withoutPhotos } = await shareCards.render({ ...row, images: [] }, 'square', 0);
+
+    assert.ok(isJpeg(image));
+    assert.ok(isJpeg(withoutPhotos));
+});
+
+test('photos are only fetched over http(s) from public hosts, without redirects', async () => {
+    const shareCards = cards();
+    const requests = [];
+    axios.get = async (url, options) => {
+        requests.push({ url, options });
+        return { data: photoBytes() };
+    };
+
+    for (const url of ['file:///etc/passwd', 'ftp://photos.test/1.jpg', 'http://127.0.0.1/1.jpg', 'http://10.0.0.5/1.jpg',
+        'http://169.254.169.254/latest/meta-data', 'http://[::1]/1.jpg', 'http://[::ffff:192.168.1.1]/1.jpg']) {
+        assert.equal(await shareCards.loadPhoto(url), null, url);
+    }
+    assert.equal(requests.length, 0);
+
+    assert.ok(await shareCards.loadPhoto('https://photos.test/1.jpg'));
+    const [{ options }] = requests;
+    assert.equal(options.maxRedirects, 0);
+    assert.equal(options.responseType, 'arraybuffer');
+    assert.ok(options.maxContentLength > 0);
+    assert.ok(options.httpAgent && options.httpsAgent);
+});
+
+test('hostnames that resolve to private addresses are never connected to', async () => {
+    let hits = 0;
+    const server = http.createServer((req, res) => {
+        hits++;
+        res.end(photoBytes());
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    try {
+        const photo = await cards().loadPhoto(`http://localhost:${server.address().port}/1.jpg`);
+
+        assert.equal(photo, null);
+        assert.equal(hits, 0);
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+    }
+});
+
+test('the card route checks the format, signature and slide before rendering', async () => {
+    const api = createApi();
+    api.shareCards.cacheDir = tempDir();
+    axios.get = async () => ({ data: photoBytes() });
+    await api.storage.listings.upsertMany('rental', [row]);
+    const server = await listen(api);
+    try {
+        const { carousel, story } = api.shareCards.links(row);
+        const get = url => fetch(url.replace(api.shareCards.baseUrl, server.base));
+
+        const card = await get(carousel[0]);
+        assert.equal(card.status, 200);
+        assert.equal(card.headers.get('content-type'), 'image/jpeg');
+        assert.ok(isJpeg(Buffer.from(await card.arrayBuffer())));
+
+        // fetch() adds Cache-Control: no-cache to conditional requests
+        const revalidated = await new Promise((resolve, reject) => {
+            http.get(carousel[0].replace(api.shareCards.baseUrl, server.base), { headers: { 'If-None-Match': card.headers.get('etag') } }, resolve)
+                .on('error', reject);
+        });
+        revalidated.resume();
+        assert.equal(revalidated.statusCode, 304);
+        assert.equal((await get(story)).status, 200);
+
+        assert.equal((await get(carousel[0].replace(/sig=\w+/, 'sig=bad'))).status, 403);
+        assert.equal((await fetch(`${server.base}/api/share-cards/se-1/banner/0.jpg?sig=x`)).status, 400);
+        assert.equal((await get(api.shareCards.url('se-1', 'square', 5))).status, 404);
+        assert.equal((await get(api.shareCards.url('missing', 'square', 0))).status, 404);
+    } finally {
+        await server.close();
+    }
+});
@@ -0,0 +1,94 @@
+// test/smart-cache-search.test.js
+// Cache-first search: stored listings answer a search before any provider call
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createApi, listingRow } = require('./helpers');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+async function seededApi(rows) {
+    const api = createApi();
+    await api.storage.listings.upsertMany('rental', rows);
+    return api;
+}
+
+const baseParams = {
+    neighborhood: 'astoria',
+    propertyType: 'rental',
+    undervaluationThreshold: 15,
+    maxResults: 10
+};
+
+test('returns fresh, active listings at or above the threshold, most discounted first', async () => {
+    const api = await seededApi([
+        listingRow({ listing_id: 'a', discount_percent: 18 }),
+        listingRow({ listing_id: 'b', discount_percent: 30 }),
+        listingRow({ listing_id: 'c', discount_percent: 10 }),
+        listingRow({ listing_id: 'd', discount_percent: 25, status: 'inactive' }),
+        listingRow({ listing_id: 'e', discount_percent: 40, analysis_date: new Date(Date.now() - 60 * DAY_MS).toISOString() }),
+        listingRow({ listing_id: 'f', discount_percent: 35, neighborhood: 'bushwick' })
+    ]);
+
+    const results = await api.smartCacheSearch(baseParams);
+
+    assert.deepEqual(results.map(row => row.listing_id), ['b', 'a']);
+    assert.ok(results.every(row => row.source === 'cache' && row.isCached));
+});
+
+test('caps results at maxResults', async () => {
+    const api = await seededApi(Array.from({ length: 5 }, (_, i) => listingRow({ discount_percent: 20 + i })));
+
+    const results = await api.smartCacheSearch({ ...baseParams, maxResults: 2 });
+
+    assert.deepEqual(results.map(row => row.discount_percent), [24, 23]);
+});
+
+test('applies bedroom, bathroom, price and no-fee filters, including bedrooms 0', async () => {
+    const api = await seededApi([
+        listingRow({ listing_id: 'studio', bedrooms: 0, monthly_rent: 2200, no_fee: true }),
+        listingRow({ listing_id: 'one-bed', bedrooms: 1, monthly_rent: 2500, no_fee: true }),
+        listingRow({ listing_id: 'pricey-studio', bedrooms: 0, monthly_rent: 4000, no_fee: true }),
+        listingRow({ listing_id: 'fee-studio', bedrooms: 0, monthly_rent: 2000, no_fee: false })
+    ]);
+
+    const results = await api.smartCacheSearch({ ...baseParams, bedrooms: 0, maxPrice: 3000, noFee: true });
+
+    assert.deepEqual(results.map(row => row.listing_id), ['studio']);
+});
+
+test('skips excluded listings but still fills maxResults from the rest', async () => {
+    const api = await seededApi([
+        listingRow({ listing_id: 'seen-1', discount_percent: 40 }),
+        listingRow({ listing_id: 'seen-2', discount_percent: 35 }),
+        listingRow({ listing_id: 'new-1', discount_percent: 20 }),
+        listingRow({ listing_id: 'new-2', discount_percent: 18 })
+    ]);
+
+    const results = await api.smartCacheSearch({ ...baseParams, maxResults: 2, excludeListingIds: ['seen-1', 'seen-2'] });
+
+    assert.deepEqual(results.map(row => row.listing_id), ['new-1', 'new-2']);
+});
+
+test('searches every neighborhood of a multi-area search', async () => {
+    const api = await seededApi([
+        listingRow({ listing_id: 'astoria', neighborhood: 'astoria' }),
+        listingRow({ listing_id: 'lic', neighborhood: 'long-island-city' }),
+        listingRow({ listing_id: 'bushwick', neighborhood: 'bushwick' })
+    ]);
+
+    const results = await api.smartCacheSearch({
+        ...baseParams,
+        neighborhood: 'astoria',
+        neighborhoods: ['astoria', 'long-island-city']
+    });
+
+    assert.deepEqual(results.map(row => row.listing_id).sort(), ['astoria', 'lic']);
+});
+
+test('a storage failure degrades to an empty cache result', async () => {
+    const api = createApi();
+    api.storage.listings.search = async () => { throw new Error('storage down'); };
+
+    assert.deepEqual(await api.smartCacheSearch(baseParams), []);
+});
@@ -0,0 +1,101 @@
+// test/supabase-storage.test.js
+// Supabase backend: the queries each repository sends, checked against a
+// recording stand-in for the supabase-js client
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const SupabaseStorage = require('../storage/supabase-storage');
+
+// Records every builder call; awaiting the chain resolves with `result`
+function fakeClient(result = { data: [], error: null }) {
+    const calls = [];
+    const builder = new Proxy({}, {
+        get(target, method) {
+            if (method === 'then') return (resolve, reject) => Promise.resolve(result).then(resolve, reject);
+            return (...args) => {
+                calls.push([method, ...args]);
+                return builder;
+            };
+        }
+    });
+    return {
+        calls,
+        from: table => {
+            calls.push(['from', table]);
+            return builder;
+        },
+        rpc: async (name, args) => {
+            calls.push(['rpc', name, args]);
+            return result;
+        }
+    };
+}
+
+function storageWith(result) {
+    const client = fakeClient(result);
+    return { storage: new SupabaseStorage({ client }), calls: client.calls };
+}
+
+test('instagram handle lookup is case-insensitive with LIKE wildcards escaped', async () => {
+    const { storage, calls } = storageWith({ data: [{ id: 'p1' }], error: null });
+
+    const profile = await storage.profiles.findByInstagramHandle('jane_doe.nyc');
+
+    assert.equal(profile.id, 'p1');
+    assert.deepEqual(calls.find(call => call[0] === 'ilike'), ['ilike', 'instagram_handle', 'jane\\_doe.nyc']);
+});
+
+test('llm spend is incremented atomically through the add_llm_spend function', async () => {
+    const { storage, calls } = storageWith({ data: null, error: null });
+
+    await storage.llmSpend.add('2026-01-01', 'claude-3-haiku-20240307', { input_tokens: 100, output_tokens: 20, cost_usd: 0.01, calls: 1 });
+
+    assert.deepEqual(calls, [['rpc', 'add_llm_spend', {
+        p_date: '2026-01-01',
+        p_model: 'claude-3-haiku-20240307',
+        p_input_tokens: 100,
+        p_output_tokens: 20,
+        p_cost_usd: 0.01,
+        p_calls: 1
+    }]]);
+});
+
+test('llm spend listing only applies a lower date bound when one is given', async () => {
+    const { storage, calls } = storageWith();
+
+    await storage.llmSpend.listByDate(null, '2026-01-31');
+    assert.equal(calls.some(call => call[0] === 'gte'), false);
+
+    calls.length = 0;
+    await storage.llmSpend.listByDate('2026-01-01', '2026-01-31');
+    assert.deepEqual(calls.find(call => call[0] === 'gte'), ['gte', 'date', '2026-01-01']);
+});
+
+test('listing search orders by discount, or by analysis date for sort=recent', async () => {
+    const { storage, calls } = storageWith();
+
+    await storage.listings.search({ propertyType: 'rental', neighborhood: 'astoria', limit: 5 });
+    assert.deepEqual(calls.find(call => call[0] === 'from'), ['from', 'undervalued_rentals']);
+    assert.deepEqual(calls.find(call => call[0] === 'order'), ['order', 'discount_percent', { ascending: false }]);
+    assert.deepEqual(calls.find(call => call[0] === 'limit'), ['limit', 5]);
+
+    calls.length = 0;
+    await storage.listings.search({ propertyType: 'sale', sort: 'recent' });
+    assert.deepEqual(calls.find(call => call[0] === 'from'), ['from', 'undervalued_sales']);
+    assert.deepEqual(calls.find(call => call[0] === 'order'), ['order', 'analysis_date', { ascending: false }]);
+});
+
+test('listing search keeps a bedrooms 0 filter', async () => {
+    const { storage, calls } = storageWith();
+
+    await storage.listings.search({ propertyType: 'rental', bedrooms: 0 });
+
+    assert.deepEqual(calls.find(call => call[0] === 'eq' && call[1] === 'bedrooms'), ['eq', 'bedrooms', 0]);
+});
+
+test('errors from Supabase are thrown to the caller', async () => {
+    const { storage } = storageWith({ data: null, error: new Error('permission denied') });
+
+    await assert.rejects(storage.profiles.findByEmail('a@example.com'), /permission denied/);
+    await assert.rejects(storage.listings.upsertMany('rental', [{ listing_id: 'x' }]), /permission denied/);
+});
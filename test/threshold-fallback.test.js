@@ -0,0 +1,74 @@
+// test/threshold-fallback.test.js
+// One fetch-and-score sweep per search, with lower thresholds applied in memory
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createApi, stubClaudeAnalysis, pagedProvider } = require('./helpers');
+
+const SEARCH = { neighborhood: 'soho', propertyType: 'rental', undervaluationThreshold: 15, maxResults: 3, providers: ['paged'] };
+
+// Listing n is discounted by discounts[n] percent (5 when not listed)
+function fallbackApi(provider, discounts) {
+    const api = createApi({ providers: { paged: provider } });
+    const requests = stubClaudeAnalysis(api, { discount: address => discounts[parseInt(address)] ?? 5 });
+    return { api, requests };
+}
+
+test('listings are fetched and scored once however many thresholds are tried', async () => {
+    const provider = pagedProvider({ pages: 2 });
+    const { api, requests } = fallbackApi(provider, { 2: 12, 7: 11 });
+
+    const result = await api.fetchWithThresholdFallback(SEARCH, null, {});
+
+    assert.deepEqual(provider.offsets, [0, 5]);
+    assert.equal(requests.length, 2);
+    assert.equal(result.thresholdUsed, 12);
+    assert.deepEqual(result.thresholdsTried, [
+        { threshold: 15, qualifying: 0 },
+        { threshold: 14, qualifying: 0 },
+        { threshold: 13, qualifying: 0 },
+        { threshold: 12, qualifying: 1 }
+    ]);
+    assert.deepEqual(result.properties.map(property => property.listing_id), ['2']);
+});
+
+test('the strictest threshold with results wins and results sort by discount', async () => {
+    const { api } = fallbackApi(pagedProvider({ pages: 1 }), { 0: 16, 1: 30, 3: 14 });
+
+    const result = await api.fetchWithThresholdFallback(SEARCH, null, {});
+
+    assert.equal(result.thresholdUsed, 15);
+    assert.deepEqual(result.properties.map(property => property.discount_percent), [30, 16]);
+});
+
+test('every scored listing keeps its discount and is stored, qualifying or not', async () => {
+    const { api } = fallbackApi(pagedProvider({ pages: 1 }), { 0: 16 });
+
+    await api.fetchWithThresholdFallback(SEARCH, null, {});
+
+    const stored = await api.storage.listings.search({ propertyType: 'rental', limit: 10 });
+    assert.equal(stored.length, 5);
+    assert.ok(stored.every(row => typeof row.discount_percent === 'number'));
+});
+
+test('nothing qualifying down to the lowest threshold leaves thresholdUsed null', async () => {
+    const { api } = fallbackApi(pagedProvider({ pages: 1 }), {});
+
+    const result = await api.fetchWithThresholdFallback(SEARCH, null, {});
+
+    assert.equal(result.thresholdUsed, null);
+    assert.equal(result.thresholdsTried.at(-1).threshold, 10);
+    assert.deepEqual(result.properties, []);
+});
+
+test('excluded listings neither qualify nor count toward stopping the sweep', async () => {
+    const provider = pagedProvider({ pages: 3 });
+    const { api } = fallbackApi(provider, { 0: 20, 1: 20, 12: 20 });
+
+    const result = await api.fetchWithThresholdFallback(
+        { ...SEARCH, maxResults: 1, excludeListingIds: ['0', '1'] }, null, {}
+    );
+
+    assert.deepEqual(provider.offsets, [0, 5, 10]);
+    assert.deepEqual(result.properties.map(property => property.listing_id), ['12']);
+});
@@ -0,0 +1,77 @@
+// test/valuation-explanation.test.js
+// Structured "below market compared to what?" explanations and their text lines
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { explainLlmAnalysis, explanationLines, marketPriceFromDiscount } = require('../services/valuation-explanation');
+const { createApi, stubClaudeAnalysis } = require('./helpers');
+
+test('the market price is backed out of the listed price and discount', () => {
+    assert.equal(marketPriceFromDiscount(3000, 25), 4000);
+    assert.equal(marketPriceFromDiscount(3000, -20), 2500);
+    assert.equal(marketPriceFromDiscount(null, 25), null);
+    assert.equal(marketPriceFromDiscount(3000, 100), null);
+});
+
+test('Claude analyses are explained as a model estimate for the layout and area', () => {
+    const explanation = explainLlmAnalysis(
+        { price: 3000, neighborhood: 'astoria', bedrooms: 2, propertyType: 'rental' },
+        { percentBelowMarket: 25, factors: [{ factor: 'no_fee', impact: 'positive' }] }
+    );
+
+    assert.deepEqual(explanation, {
+        source: 'llm',
+        listedPrice: 3000,
+        estimatedMarketPrice: 4000,
+        percentBelowMarket: 25,
+        benchmark: { type: 'model_estimate', description: "Claude's estimate of typical astoria 2BR rents" },
+        comparables: [],
+        factors: [{ factor: 'no_fee', impact: 'positive' }]
+    });
+    assert.equal(explainLlmAnalysis({ price: 3000 }, { percentBelowMarket: 10, estimatedMarketPrice: 3500 }).estimatedMarketPrice, 3500);
+});
+
+test('explanation lines name the benchmark, the closest comps and the factors', () => {
+    const lines = explanationLines({
+        source: 'comps',
+        listedPrice: 2400,
+        estimatedMarketPrice: 3000,
+        benchmark: { description: '1BR median of 9 astoria listings' },
+        comparables: [
+            { address: '1 A St', unit: '2R', price: 2950, bedrooms: 1, sqft: 600 },
+            { address: '2 B St', unit: null, price: 3050, bedrooms: 1, sqft: null },
+            { address: '3 C St', price: 3100, bedrooms: 1 }
+        ],
+        factors: [
+            { factor: 'no_fee', impact: 'positive' },
+            { factor: 'small_bedroom', impact: 'negative' },
+            { factor: 'gym', impact: 'neutral' },
+            { factor: 'elevator', impact: 'positive' }
+        ]
+    });
+
+    assert.deepEqual(lines, [
+        'Est. market $3,000 vs listed $2,400 (1BR median of 9 astoria listings)',
+        'Comp: 1 A St #2R $2,950 (1BR, 600 sqft)',
+        'Comp: 2 B St $3,050 (1BR)',
+        'Factors: +no fee, -small bedroom, gym'
+    ]);
+    assert.deepEqual(explanationLines(null), []);
+});
+
+test('stored search results carry the explanation', async () => {
+    const api = createApi();
+    stubClaudeAnalysis(api, { discount: () => 20 });
+
+    const result = await api.fetchWithThresholdFallback(
+        { neighborhood: 'williamsburg', propertyType: 'rental', undervaluationThreshold: 15, maxResults: 1 },
+        null,
+        {}
+    );
+
+    const [property] = result.properties;
+    assert.equal(property.explanation.source, 'llm');
+    assert.equal(property.explanation.estimatedMarketPrice, 4000);
+    const stored = await api.storage.listings.findByListingId(property.listing_id);
+    assert.deepEqual(stored.explanation, property.explanation);
+});